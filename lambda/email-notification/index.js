@@ -2,7 +2,8 @@
  * Tixly Email Notification Lambda Function
  *
  * This Lambda function is triggered by SQS messages and sends email notifications
- * via AWS SNS for booking confirmations and refund acceptances.
+ * via AWS SNS for booking confirmations, refund acceptances, refund
+ * requests, ticket transfers and waitlist offers.
  *
  * Flow: ECS App -> SQS -> Lambda -> SNS -> Email
  */
@@ -13,6 +14,38 @@ const snsClient = new SNSClient({
   region: process.env.AWS_REGION || 'us-east-1',
 });
 
+/**
+ * Format an amount of money
+ */
+const formatCurrency = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount || 0);
+};
+
+/**
+ * Format the itemised price breakdown stored on the booking
+ * Older messages without a breakdown only show the price per seat
+ */
+const formatPriceBreakdown = (booking) => {
+  const breakdown = booking.priceBreakdown;
+
+  if (!breakdown) {
+    return `   • Price per Seat: ${formatCurrency(booking.pricePerSeat)}`;
+  }
+
+  return breakdown.lineItems
+    .map(
+      (item) =>
+        `   • ${item.description}: ${formatCurrency(
+          item.amount,
+          breakdown.currency
+        )}`
+    )
+    .join('\n');
+};
+
 /**
  * Generate booking confirmation email content
  */
@@ -21,10 +54,10 @@ const generateBookingConfirmationEmail = (data) => {
 
   const totalAmount =
     booking.totalAmount || booking.pricePerSeat * booking.seats?.length || 0;
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-  }).format(totalAmount);
+  const formattedAmount = formatCurrency(
+    totalAmount,
+    booking.priceBreakdown?.currency
+  );
 
   const seatsDisplay = Array.isArray(booking.seats)
     ? booking.seats.join(', ')
@@ -55,7 +88,9 @@ Event Information:
 Ticket Details:
    • Seats: ${seatsDisplay}
    • Number of Tickets: ${booking.seats?.length || 1}
-   • Price per Seat: $${booking.pricePerSeat || 0}
+
+Payment Summary:
+${formatPriceBreakdown(booking)}
    • Total Amount: ${formattedAmount}
 
 Customer Information:
@@ -95,14 +130,38 @@ const generateRefundEmail = (data) => {
 
   const totalAmount =
     booking.totalAmount || booking.pricePerSeat * booking.seats?.length || 0;
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-  }).format(totalAmount);
+  // Older messages carry no refund amount, those were always full refunds
+  const refundAmount = booking.refundAmount ?? totalAmount;
+  const refund = booking.refundBreakdown;
+  const currency = refund?.currency || booking.priceBreakdown?.currency;
+  const formattedAmount = formatCurrency(refundAmount, currency);
+
+  const refundPolicyLines = [];
+  if (refund && refund.refundPercent < 100) {
+    refundPolicyLines.push(
+      `   • Amount Paid: ${formatCurrency(refund.paidAmount, currency)}`,
+      `   • Refunded Share: ${refund.refundPercent}%`
+    );
+  }
+  if (refund?.cancellationFee > 0) {
+    refundPolicyLines.push(
+      `   • Cancellation Fee: ${formatCurrency(refund.cancellationFee, currency)}`
+    );
+  }
 
-  const seatsDisplay = Array.isArray(booking.seats)
-    ? booking.seats.join(', ')
-    : booking.seats || 'N/A';
+  // Only the refunded seats; older messages refund every seat
+  const refundedSeats = booking.refundedSeats || booking.seats;
+  const seatsDisplay = Array.isArray(refundedSeats)
+    ? refundedSeats.join(', ')
+    : refundedSeats || 'N/A';
+  const isPartial = booking.status === 'PARTIALLY_REFUNDED';
+  const remainingTickets = isPartial
+    ? `
+Remaining Tickets:
+   • Seats: ${booking.seats?.join(', ') || 'N/A'}
+   Your remaining tickets are still valid for the event.
+`
+    : '';
 
   const subject = `Refund Processed - ${event?.title || 'Your Event'}`;
 
@@ -117,8 +176,8 @@ REFUND CONFIRMATION
 
 Refund Details:
    • Original Booking Code: ${booking.bookingCode || booking.id}
-   • Status: REFUNDED
-   • Refund Amount: ${formattedAmount}
+   • Status: ${booking.status || 'REFUNDED'}
+${refundPolicyLines.length ? `${refundPolicyLines.join('\n')}\n` : ''}   • Refund Amount: ${formattedAmount}
    • Refund Date: ${
      booking.refundedAt
        ? new Date(booking.refundedAt).toLocaleString()
@@ -132,15 +191,19 @@ Original Event:
 
 Cancelled Tickets:
    • Seats: ${seatsDisplay}
-   • Number of Tickets: ${booking.seats?.length || 1}
-
+   • Number of Tickets: ${refundedSeats?.length || 1}
+${remainingTickets}
 Refund Information:
    The refund will be processed to your original payment method.
    Please allow 5-10 business days for the refund to appear in your account.
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-We're sorry to see you cancel your booking. We hope to see you at future events!
+${
+  isPartial
+    ? 'We look forward to seeing you at the event!'
+    : "We're sorry to see you cancel your booking. We hope to see you at future events!"
+}
 
 If you have any questions about your refund, please contact our support team.
 
@@ -156,6 +219,235 @@ This is an automated message. Please do not reply directly to this email.
   return { subject, message };
 };
 
+/**
+ * Generate refund request email content
+ * REFUND_REQUEST_SUBMITTED and REFUND_REQUEST_REVIEWED go to the customer
+ * and to an admin; recipient.role picks the wording
+ */
+const generateRefundRequestEmail = (type, data) => {
+  const { booking, event, refundRequest, recipient } = data;
+  const isAdmin = recipient.role === 'admin';
+  const isSubmitted = type === 'REFUND_REQUEST_SUBMITTED';
+  const status = refundRequest?.status || 'PENDING';
+
+  const seats = refundRequest?.seats || booking.seats;
+  const seatsDisplay = Array.isArray(seats) ? seats.join(', ') : 'N/A';
+
+  let subject;
+  let intro;
+  if (isSubmitted) {
+    subject = isAdmin
+      ? `New Refund Request - ${event?.title || 'Event'}`
+      : `Refund Request Received - ${event?.title || 'Your Event'}`;
+    intro = isAdmin
+      ? 'A customer has requested a refund. Please review it in the admin dashboard.'
+      : 'We have received your refund request. Our team will review it and get back to you.';
+  } else {
+    const decision = status === 'APPROVED' ? 'Approved' : 'Rejected';
+    subject = `Refund Request ${decision} - ${event?.title || 'Your Event'}`;
+    if (isAdmin) {
+      intro = `The refund request below has been ${decision.toLowerCase()}.`;
+    } else if (status === 'APPROVED') {
+      intro =
+        'Good news! Your refund request has been approved. You will receive a separate refund confirmation.';
+    } else {
+      intro =
+        'We have reviewed your refund request and unfortunately cannot approve it.';
+    }
+  }
+
+  const reviewLines = [];
+  if (refundRequest?.reviewNote) {
+    reviewLines.push(`   • Note: ${refundRequest.reviewNote}`);
+  }
+  if (
+    status === 'APPROVED' &&
+    typeof refundRequest?.refundAmount === 'number'
+  ) {
+    reviewLines.push(
+      `   • Refund Amount: ${formatCurrency(
+        refundRequest.refundAmount,
+        booking.priceBreakdown?.currency
+      )}`
+    );
+  }
+
+  const message = `
+Dear ${isAdmin ? 'Admin' : recipient.name || 'Valued Customer'},
+
+${intro}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+REFUND REQUEST
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Request Details:
+   • Request ID: ${refundRequest?.id || 'N/A'}
+   • Booking Code: ${booking.bookingCode || booking.id}
+   • Status: ${status}
+   • Reason: ${refundRequest?.reason || 'N/A'}
+   • Seats: ${seatsDisplay}
+${reviewLines.length ? `${reviewLines.join('\n')}\n` : ''}${
+    isAdmin
+      ? `   • Customer: ${booking.customerName || 'N/A'} (${
+          booking.customerEmail || 'N/A'
+        })\n`
+      : ''
+  }
+Event:
+   • Event: ${event?.title || 'N/A'}
+   • Date: ${event?.date || 'N/A'}
+   • Venue: ${event?.venue || 'N/A'}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Best regards,
+The Tixly Team
+
+--
+This is an automated message. Please do not reply directly to this email.
+  `.trim();
+
+  return { subject, message };
+};
+
+/**
+ * Generate ticket transfer email content
+ * TRANSFER_OFFERED and TRANSFER_REVOKED go to the recipient,
+ * TRANSFER_ACCEPTED to both parties; recipient.role picks the wording
+ */
+const generateTransferEmail = (type, data) => {
+  const { booking, event, transfer, recipient } = data;
+  const isSender = recipient.role === 'transfer_sender';
+  const eventTitle = event?.title || 'Your Event';
+  const seatsDisplay = Array.isArray(booking.seats)
+    ? booking.seats.join(', ')
+    : 'N/A';
+  const expiresAt = transfer?.expiresAt
+    ? new Date(transfer.expiresAt).toUTCString()
+    : 'N/A';
+
+  let subject;
+  let intro;
+  const detailLines = [];
+  if (type === 'TRANSFER_OFFERED') {
+    subject = `Tickets Offered to You - ${eventTitle}`;
+    intro = `${
+      transfer?.fromEmail || 'Another Tixly user'
+    } would like to transfer their tickets to you. Accept them before ${expiresAt}:\n\n   ${
+      transfer?.acceptUrl || 'Sign in to Tixly to accept the transfer.'
+    }`;
+    if (transfer?.message) {
+      detailLines.push(`   • Message: ${transfer.message}`);
+    }
+  } else if (type === 'TRANSFER_ACCEPTED') {
+    subject = `Ticket Transfer Completed - ${eventTitle}`;
+    intro = isSender
+      ? `${
+          transfer?.toUsername || transfer?.toEmail || 'The recipient'
+        } has accepted your tickets. They are no longer in your account and your old booking code is no longer valid.`
+      : 'The tickets below are now yours. Please use the new booking code at the venue.';
+    if (!isSender) {
+      detailLines.push(
+        `   • Booking Code: ${booking.bookingCode || booking.id}`
+      );
+    }
+  } else {
+    subject = `Ticket Transfer Cancelled - ${eventTitle}`;
+    intro = 'The sender has cancelled the transfer of the tickets below.';
+  }
+
+  const message = `
+Dear ${recipient.name || 'Valued Customer'},
+
+${intro}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+TICKET TRANSFER
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Transfer Details:
+   • Status: ${transfer?.status || 'N/A'}
+   • Seats: ${seatsDisplay}
+   • Ticket Tier: ${booking.tierName || 'General Admission'}
+${detailLines.length ? `${detailLines.join('\n')}\n` : ''}
+Event:
+   • Event: ${event?.title || 'N/A'}
+   • Date: ${event?.date || 'N/A'}
+   • Time: ${event?.time || 'N/A'}
+   • Venue: ${event?.venue || 'N/A'}
+   • Location: ${event?.location || 'N/A'}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Best regards,
+The Tixly Team
+
+--
+This is an automated message. Please do not reply directly to this email.
+  `.trim();
+
+  return { subject, message };
+};
+
+/**
+ * Generate waitlist offer email content
+ */
+const generateWaitlistOfferEmail = (data) => {
+  const { booking, event, waitlistOffer, recipient } = data;
+  const eventTitle = event?.title || 'Your Event';
+  const seatsDisplay = Array.isArray(booking.seats)
+    ? booking.seats.join(', ')
+    : 'N/A';
+  const expiresAt = waitlistOffer?.expiresAt
+    ? new Date(waitlistOffer.expiresAt).toUTCString()
+    : 'N/A';
+  const formattedAmount = formatCurrency(
+    booking.totalAmount,
+    booking.priceBreakdown?.currency
+  );
+
+  const subject = `Seats Available for You - ${eventTitle}`;
+
+  const message = `
+Dear ${recipient?.name || booking.customerName || 'Valued Customer'},
+
+Good news! Seats came back for an event you are on the waitlist for, and we are holding them for you. Complete your payment before ${expiresAt} to claim them:
+
+   ${waitlistOffer?.claimUrl || 'Sign in to Tixly to claim your seats.'}
+
+If you don't claim them in time, they will be offered to the next person in line.
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+WAITLIST OFFER
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Offer Details:
+   • Booking Code: ${booking.bookingCode || booking.id}
+   • Seats: ${seatsDisplay}
+   • Ticket Tier: ${booking.tierName || 'General Admission'}
+   • Total: ${formattedAmount}
+   • Hold Expires: ${expiresAt}
+
+Event:
+   • Event: ${event?.title || 'N/A'}
+   • Date: ${event?.date || 'N/A'}
+   • Time: ${event?.time || 'N/A'}
+   • Venue: ${event?.venue || 'N/A'}
+   • Location: ${event?.location || 'N/A'}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Best regards,
+The Tixly Team
+
+--
+This is an automated message. Please do not reply directly to this email.
+  `.trim();
+
+  return { subject, message };
+};
+
 /**
  * Send email via SNS
  */
@@ -234,6 +526,24 @@ const processMessage = async (record) => {
       emailContent = generateRefundEmail(data);
       break;
 
+    case 'REFUND_REQUEST_SUBMITTED':
+    case 'REFUND_REQUEST_REVIEWED':
+      console.log('Generating refund request email for:', recipientEmail);
+      emailContent = generateRefundRequestEmail(type, data);
+      break;
+
+    case 'TRANSFER_OFFERED':
+    case 'TRANSFER_ACCEPTED':
+    case 'TRANSFER_REVOKED':
+      console.log('Generating ticket transfer email for:', recipientEmail);
+      emailContent = generateTransferEmail(type, data);
+      break;
+
+    case 'WAITLIST_OFFER':
+      console.log('Generating waitlist offer email for:', recipientEmail);
+      emailContent = generateWaitlistOfferEmail(data);
+      break;
+
     default:
       console.warn('Unknown notification type:', type);
       throw new Error(`Unknown notification type: ${type}`);
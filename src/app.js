@@ -114,8 +114,15 @@ const startServer = async () => {
       },
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-      exposedHeaders: ['Content-Length', 'X-Request-Id'],
+      allowedHeaders: [
+        'Content-Type',
+        'Authorization',
+        'X-Requested-With',
+        'Idempotency-Key',
+        'Payment-Signature',
+        'X-Queue-Token',
+      ],
+      exposedHeaders: ['Content-Length', 'X-Request-Id', 'Idempotent-Replayed'],
       maxAge: 86400, // 24 hours
       preflightContinue: false,
       optionsSuccessStatus: 204,
@@ -124,7 +131,14 @@ const startServer = async () => {
     // Apply CORS middleware
     app.use(cors(corsOptions));
 
-    app.use(express.json());
+    // Keep the raw body, payment webhook signatures are computed over it
+    app.use(
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      })
+    );
 
     app.use('/api/v1', routes);
 
@@ -23,6 +23,55 @@ const env = {
     snsTopicArn: process.env.SNS_TOPIC_ARN,
   },
 
+  pricing: {
+    currency: process.env.CURRENCY || 'USD',
+    // Platform service fee, charged as a percentage plus a flat amount per seat
+    serviceFeePercent: parseFloat(process.env.SERVICE_FEE_PERCENT) || 0,
+    serviceFeePerSeat: parseFloat(process.env.SERVICE_FEE_PER_SEAT) || 0,
+  },
+
+  payments: {
+    // Payment provider used to charge bookings ('mock' for local development)
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+    timeoutMs: parseInt(process.env.PAYMENT_TIMEOUT_MS) || 10000,
+    // Shared secret used to verify payment webhook signatures
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+  },
+
+  notifications: {
+    // Admin inbox told about refund requests
+    adminEmail: process.env.ADMIN_EMAIL,
+  },
+
+  tickets: {
+    // Ed25519 private key (PKCS#8 PEM) that signs the QR codes on tickets
+    signingKey: process.env.TICKET_SIGNING_KEY,
+  },
+
+  waitlist: {
+    // How long the next person in line has to pay for the seats offered
+    offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES) || 60,
+  },
+
+  wallet: {
+    // Apple Wallet pass type certificate and key (PEM), and Apple's WWDR
+    // intermediate certificate, used to sign .pkpass bundles
+    apple: {
+      passTypeId: process.env.APPLE_PASS_TYPE_ID,
+      teamId: process.env.APPLE_TEAM_ID,
+      certificate: process.env.APPLE_PASS_CERT,
+      privateKey: process.env.APPLE_PASS_KEY,
+      privateKeyPassword: process.env.APPLE_PASS_KEY_PASSWORD,
+      wwdrCertificate: process.env.APPLE_WWDR_CERT,
+    },
+    // Google Wallet issuer and the service account that signs save links
+    google: {
+      issuerId: process.env.GOOGLE_WALLET_ISSUER_ID,
+      serviceAccountEmail: process.env.GOOGLE_WALLET_EMAIL,
+      privateKey: process.env.GOOGLE_WALLET_KEY,
+    },
+  },
+
   redis: {
     host: process.env.REDIS_HOST,
     port: parseInt(process.env.REDIS_PORT) || 6379,
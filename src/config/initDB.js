@@ -8,6 +8,17 @@ const {
   EventModel,
   BookingModel,
   CategoryModel,
+  SeatLockModel,
+  IdempotencyKeyModel,
+  PromoCodeModel,
+  RefundRequestModel,
+  TicketTransferModel,
+  SeatTicketModel,
+  CounterModel,
+  WaitlistEntryModel,
+  AccessCodeModel,
+  VenueModel,
+  PaymentReconciliationModel,
 } = require('../models');
 
 /**
@@ -34,6 +45,54 @@ const initializeTables = async (dynamoClient) => {
       name: 'Categories',
       schema: CategoryModel.tableSchema,
     },
+    {
+      name: 'SeatLocks',
+      schema: SeatLockModel.tableSchema,
+    },
+    {
+      name: 'IdempotencyKeys',
+      schema: IdempotencyKeyModel.tableSchema,
+    },
+    {
+      name: 'PromoCodes',
+      schema: PromoCodeModel.tableSchema,
+    },
+    {
+      name: 'PromoRedemptions',
+      schema: PromoCodeModel.redemptionTableSchema,
+    },
+    {
+      name: 'RefundRequests',
+      schema: RefundRequestModel.tableSchema,
+    },
+    {
+      name: 'TicketTransfers',
+      schema: TicketTransferModel.tableSchema,
+    },
+    {
+      name: 'SeatTickets',
+      schema: SeatTicketModel.tableSchema,
+    },
+    {
+      name: 'Counters',
+      schema: CounterModel.tableSchema,
+    },
+    {
+      name: 'WaitlistEntries',
+      schema: WaitlistEntryModel.tableSchema,
+    },
+    {
+      name: 'EventAccessCodes',
+      schema: AccessCodeModel.tableSchema,
+    },
+    {
+      name: 'Venues',
+      schema: VenueModel.tableSchema,
+    },
+    {
+      name: 'PaymentReconciliations',
+      schema: PaymentReconciliationModel.tableSchema,
+    },
   ];
 
   const results = await Promise.allSettled(
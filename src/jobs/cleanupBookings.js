@@ -31,12 +31,22 @@ const stopCleanupScheduler = () => {
 const runCleanup = async () => {
   try {
     const result = await bookingService.cleanupExpiredBookings();
-    if (result.deleted > 0) {
-      console.log(`Cleaned up ${result.deleted} expired booking(s)`);
+    if (result.expired > 0) {
+      console.log(`Expired ${result.expired} booking(s)`);
     }
   } catch (error) {
     console.error('Error during booking cleanup:', error);
   }
+
+  // Retry payment captures and voids that failed when they first ran
+  try {
+    const result = await bookingService.reconcilePayments();
+    if (result.settled > 0) {
+      console.log(`Settled ${result.settled} payment reconciliation(s)`);
+    }
+  } catch (error) {
+    console.error('Error during payment reconciliation:', error);
+  }
 };
 
 module.exports = {
@@ -1,4 +1,5 @@
 const authService = require('../services/auth.service');
+const { UserModel } = require('../models');
 
 /**
  * Middleware to authenticate requests using Cognito access token
@@ -47,6 +48,7 @@ const authenticate = async (req, res, next) => {
 
 /**
  * Middleware to check if user has specific role
+ * Roles include the roles they inherit, e.g. admins pass authorize('staff')
  */
 const authorize = (...roles) => {
   return async (req, res, next) => {
@@ -72,9 +74,7 @@ const authorize = (...roles) => {
         });
       }
 
-      const userRole = userProfile.data.role;
-
-      if (!roles.includes(userRole)) {
+      if (!roles.some((role) => UserModel.hasRole(userProfile.data, role))) {
         return res.status(403).json({
           success: false,
           message: 'Insufficient permissions',
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotency.service');
+const { IdempotencyKeyModel } = require('../models');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so the same body always
+ * produces the same fingerprint
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash the parts of a request that make it "the same request"
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(canonicalize(req.body || {}))
+    .digest('hex');
+};
+
+/**
+ * Middleware to make a route safe to retry with an Idempotency-Key header
+ * The first response for a key is stored and replayed for later requests
+ * with the same key. Requests without the header run normally.
+ * Must run after authenticate, keys are scoped per user.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const id = IdempotencyKeyModel.buildId(req.user.cognitoId, key);
+    const fingerprint = fingerprintRequest(req);
+    const { claimed, record } = await idempotencyService.claimKey(
+      id,
+      fingerprint
+    );
+
+    if (!claimed) {
+      if (!record || record.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message:
+            'Idempotency-Key has already been used with a different request',
+        });
+      }
+
+      if (record.status !== IdempotencyKeyModel.KeyStatus.COMPLETED) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still in progress',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    // Store the response before it is sent, so a retry that follows it is
+    // always replayed. Server errors are not remembered, so the client may
+    // retry them.
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      res.json = originalJson;
+
+      const pending =
+        res.statusCode >= 500
+          ? idempotencyService.releaseKey(id)
+          : idempotencyService.completeKey(id, res.statusCode, body);
+
+      pending
+        .catch((error) =>
+          console.error('[Idempotency] Failed to store response:', error)
+        )
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    // Responses that did not go through res.json (res.send, res.end, errors
+    // handled by Express) are not stored; free the key so the client can
+    // retry. Requests that never finish keep it until their lease runs out.
+    res.on('finish', () => {
+      if (settled) return;
+      settled = true;
+
+      idempotencyService
+        .releaseKey(id)
+        .catch((error) =>
+          console.error('[Idempotency] Failed to release key:', error)
+        );
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key',
+    });
+  }
+};
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,106 @@
+const eventService = require('../services/event.service');
+const queueService = require('../services/queue.service');
+const { EventModel } = require('../models');
+
+const QUEUE_TOKEN_HEADER = 'X-Queue-Token';
+
+// Events are kept in memory briefly so a busy on-sale does not read the
+// event on every request, even while Redis (and with it the event cache) is
+// down. Turning queue mode on or off applies after at most this delay.
+const EVENT_CACHE_TTL_MS = 30 * 1000;
+const EVENT_CACHE_MAX_SIZE = 1000;
+const eventCache = new Map();
+
+/**
+ * Get an event if it is booked through a queue
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Event, or null if it has no queue or
+ * does not exist
+ */
+const getQueuedEvent = async (eventId) => {
+  const cached = eventCache.get(eventId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.event;
+  }
+
+  const result = await eventService.getEventById(eventId);
+  const event =
+    result.success && EventModel.getQueueSettings(result.data)
+      ? result.data
+      : null;
+
+  if (eventCache.size >= EVENT_CACHE_MAX_SIZE) {
+    eventCache.clear();
+  }
+  eventCache.set(eventId, {
+    event,
+    expiresAt: Date.now() + EVENT_CACHE_TTL_MS,
+  });
+
+  return event;
+};
+
+/**
+ * Middleware to let only admitted queue sessions through to the seat map
+ * and booking routes of events with queue mode on
+ * The event comes from the eventId route param or body field. Requests for
+ * events without a queue run normally. While Redis is unavailable, requests
+ * go through or get a 503 depending on the event's queue.failOpen. When
+ * req.user is set the token must be theirs.
+ */
+const requireQueueAdmission = async (req, res, next) => {
+  try {
+    const eventId = req.params.eventId || req.body?.eventId;
+    if (!eventId) {
+      return next();
+    }
+
+    const event = await getQueuedEvent(eventId);
+    if (!event) {
+      return next();
+    }
+
+    const admitted = await queueService.isAdmitted(
+      event,
+      req.get(QUEUE_TOKEN_HEADER),
+      req.user?.cognitoId
+    );
+
+    if (admitted === null) {
+      if (EventModel.getQueueSettings(event).failOpen !== false) {
+        console.warn(
+          `[Queue] Redis unavailable, letting request for ${eventId} through`
+        );
+        return next();
+      }
+
+      return res.status(503).json({
+        success: false,
+        message: 'The queue is not available right now, please try again',
+        data: { queueRequired: true, eventId },
+      });
+    }
+
+    if (!admitted) {
+      return res.status(403).json({
+        success: false,
+        message:
+          'This event is booked through a queue. Join the queue and wait for your turn.',
+        data: { queueRequired: true, eventId },
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Queue admission error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check queue admission',
+    });
+  }
+};
+
+module.exports = {
+  QUEUE_TOKEN_HEADER,
+  requireQueueAdmission,
+};
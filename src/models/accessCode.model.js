@@ -0,0 +1,137 @@
+const Joi = require('joi');
+
+/**
+ * Access Code Model
+ * Codes that open an event to the people who hold them: presale codes book
+ * before the general sale opens, access codes view and book private events.
+ * Codes belong to one event and are managed by admins.
+ */
+
+const tableName = 'EventAccessCodes';
+
+const AccessCodeType = {
+  ACCESS: 'ACCESS', // View and book a private event
+  PRESALE: 'PRESALE', // Book during the presale, also opens private events
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [
+    { AttributeName: 'eventId', KeyType: 'HASH' },
+    { AttributeName: 'code', KeyType: 'RANGE' },
+  ],
+  AttributeDefinitions: [
+    { AttributeName: 'eventId', AttributeType: 'S' },
+    { AttributeName: 'code', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+// Validation Schema
+const validationSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  code: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .min(3)
+    .max(32)
+    .uppercase()
+    .required(),
+  type: Joi.string()
+    .valid(...Object.values(AccessCodeType))
+    .required(),
+  description: Joi.string().optional().allow('').max(200),
+  validFrom: Joi.string().isoDate().optional(),
+  validUntil: Joi.string().isoDate().optional(),
+  active: Joi.boolean().default(true),
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Validate access code data
+ * @param {Object} data - Access code data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Normalize a code as typed by a user
+ * @param {string} code - Raw code
+ * @returns {string} Upper-cased, trimmed code
+ */
+const normalizeCode = (code) => {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+};
+
+/**
+ * Prepare access code data for creation
+ * @param {Object} data - Raw access code data
+ * @returns {Object} Access code data ready for DynamoDB
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+
+  return {
+    ...data,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Prepare access code data for update
+ * @param {Object} data - Update data
+ * @returns {Object} Update data with timestamp
+ */
+const prepareForUpdate = (data) => {
+  return {
+    ...data,
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Check if an access code can be used at a given time
+ * @param {Object} accessCode - Access code object
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if active and inside its validity window
+ */
+const isUsable = (accessCode, now = new Date()) => {
+  if (!accessCode.active) return false;
+  if (accessCode.validFrom && new Date(accessCode.validFrom) > now) {
+    return false;
+  }
+  if (accessCode.validUntil && new Date(accessCode.validUntil) <= now) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  tableName,
+  AccessCodeType,
+  tableSchema,
+  validationSchema,
+  validate,
+  normalizeCode,
+  prepareForCreation,
+  prepareForUpdate,
+  isUsable,
+};
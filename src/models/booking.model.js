@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const env = require('../config/env');
@@ -9,6 +10,16 @@ const env = require('../config/env');
 
 const tableName = 'Tickets';
 
+// Seats are locked in a single DynamoDB transaction (max 100 items)
+const MAX_SEATS_PER_BOOKING = 50;
+
+// How many times a pending booking can extend its seat hold
+const MAX_HOLD_EXTENSIONS = 1;
+
+// Booking codes avoid characters that are easy to confuse (0/O, 1/I)
+const BOOKING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const BOOKING_CODE_LENGTH = 8;
+
 // DynamoDB Table Schema (for table creation)
 const tableSchema = {
   TableName: tableName,
@@ -39,25 +50,70 @@ const tableSchema = {
   ],
 };
 
+// CANCELLED, EXPIRED and REFUNDED are terminal, the booking is kept as a
+// record and its seats are released. A PARTIALLY_REFUNDED booking still
+// holds the seats that were not refunded.
+const BookingStatus = {
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED',
+  REFUNDED: 'REFUNDED',
+};
+
+// One status change of a booking, appended by the booking state machine
+const historyEntrySchema = Joi.object({
+  at: Joi.string().isoDate().required(),
+  actor: Joi.object({
+    type: Joi.string().required(),
+    id: Joi.string().allow(null).optional(),
+  }).required(),
+  from: Joi.string().allow(null).required(),
+  to: Joi.string().required(),
+  reason: Joi.string().allow(null).optional(),
+});
+
 // Validation Schema
 const validationSchema = Joi.object({
   id: Joi.string().uuid().optional(),
+  bookingCode: Joi.string().length(BOOKING_CODE_LENGTH).optional(), // Shown at the venue
   eventId: Joi.string().uuid().required(),
+  tierId: Joi.string().max(64).optional(),
+  tierName: Joi.string().max(50).optional(),
   pricePerSeat: Joi.number().min(0).required(),
+  priceBreakdown: Joi.object().optional(), // Computed by the pricing service
+  promoCode: Joi.string().max(32).optional(), // Redeemed promo code
   takenSeats: Joi.array()
     .items(Joi.alternatives().try(Joi.number(), Joi.string()))
     .min(1)
+    .max(MAX_SEATS_PER_BOOKING)
+    .unique()
     .required(), // Array of seat identifiers (numbers or strings)
   userId: Joi.string().required(),
   name: Joi.string().allow('').optional(),
   email: Joi.string().email().allow('').optional(),
   phoneNumber: Joi.string().allow('').optional(),
   status: Joi.string()
-    .valid('PENDING', 'CONFIRMED', 'REFUNDED')
-    .default('PENDING'),
+    .valid(...Object.values(BookingStatus))
+    .default(BookingStatus.PENDING),
   purchaseDate: Joi.string().isoDate().optional(),
   refundedAt: Joi.string().isoDate().optional().allow(null),
+  refundAmount: Joi.number().min(0).optional(), // Total returned by refunds
+  refundBreakdown: Joi.object().optional(), // Latest refund, by the pricing service
+  refundedSeats: Joi.array()
+    .items(Joi.alternatives().try(Joi.number(), Joi.string()))
+    .optional(), // Seats given back by refunds, no longer in takenSeats
+  cancelledAt: Joi.string().isoDate().optional().allow(null),
+  expiredAt: Joi.string().isoDate().optional().allow(null),
   expiresAt: Joi.string().isoDate().optional(), // For PENDING bookings
+  holdExtensions: Joi.number().integer().min(0).optional(),
+  history: Joi.array().items(historyEntrySchema).optional(),
+  pendingTransferId: Joi.string().uuid().optional(), // Open ticket transfer
+  waitlistEntryId: Joi.string().uuid().optional(), // Set on waitlist offers
+  accessCode: Joi.string().optional(), // Presale or access code used to book
+  invoiceNumber: Joi.string().optional(), // Assigned when a receipt is first issued
+  invoicedAt: Joi.string().isoDate().optional(),
   createdAt: Joi.string().isoDate().optional(),
   updatedAt: Joi.string().isoDate().optional(),
 });
@@ -75,6 +131,18 @@ const calculateExpirationTime = (
   return expirationDate.toISOString();
 };
 
+/**
+ * Generate a new booking code
+ * @returns {string} Random code, e.g. "K7PX2QMA"
+ */
+const generateBookingCode = () => {
+  const bytes = crypto.randomBytes(BOOKING_CODE_LENGTH);
+  return Array.from(
+    bytes,
+    (byte) => BOOKING_CODE_ALPHABET[byte % BOOKING_CODE_ALPHABET.length]
+  ).join('');
+};
+
 /**
  * Validate booking data
  * @param {Object} data - Booking data to validate
@@ -109,8 +177,11 @@ const prepareForCreation = (data) => {
   return {
     ...data,
     id: data.id || uuidv4(),
+    bookingCode: data.bookingCode || generateBookingCode(),
     status: data.status || 'PENDING',
-    expiresAt: isPending ? calculateExpirationTime() : undefined,
+    expiresAt: isPending
+      ? data.expiresAt || calculateExpirationTime()
+      : undefined,
     createdAt: now,
     updatedAt: now,
   };
@@ -150,28 +221,102 @@ const canBeConfirmed = (booking) => {
   return booking.status === 'PENDING' && !isExpired(booking);
 };
 
+/**
+ * Check if booking's seat hold can be extended
+ * @param {Object} booking - Booking object
+ * @returns {boolean} True if booking is pending and has extensions left
+ */
+const canBeExtended = (booking) => {
+  return (
+    canBeConfirmed(booking) &&
+    (booking.holdExtensions || 0) < MAX_HOLD_EXTENSIONS
+  );
+};
+
+/**
+ * Calculate the expiration of an extended seat hold
+ * The extension is added to the current expiration, so a hold (e.g. a
+ * waitlist offer, which runs longer than a booking) is never shortened
+ * @param {Object} booking - Pending booking
+ * @param {number} minutes - Minutes added (default: env.bookingTimeoutMinutes)
+ * @returns {string} ISO date string
+ */
+const calculateExtendedExpirationTime = (
+  booking,
+  minutes = env.bookingTimeoutMinutes
+) => {
+  const expirationDate = new Date(booking.expiresAt);
+  expirationDate.setMinutes(expirationDate.getMinutes() + minutes);
+  return expirationDate.toISOString();
+};
+
 /**
  * Check if booking can be cancelled
+ * Only unpaid bookings are cancelled, paid ones are refunded
  * @param {Object} booking - Booking object
  * @returns {boolean} True if booking can be cancelled
  */
 const canBeCancelled = (booking) => {
-  return booking.status === 'PENDING' || booking.status === 'CONFIRMED';
+  return booking.status === 'PENDING';
+};
+
+/**
+ * Check if booking holds sold seats (confirmed, possibly partially refunded)
+ * @param {Object} booking - Booking object
+ * @returns {boolean} True if the booking's seats are sold on the event
+ */
+const hasSoldSeats = (booking) => {
+  return (
+    booking.status === BookingStatus.CONFIRMED ||
+    booking.status === BookingStatus.PARTIALLY_REFUNDED
+  );
 };
 
 /**
  * Check if booking can be refunded
+ * Whether a customer gets money back, and how much, is decided by the
+ * event's refund policy (pricingService.calculateRefund)
  * @param {Object} booking - Booking object
- * @returns {boolean} True if booking can be refunded (within 24 hours of purchase)
+ * @returns {boolean} True if booking still has sold seats
  */
 const canBeRefunded = (booking) => {
-  if (booking.status !== 'CONFIRMED') return false;
+  return hasSoldSeats(booking) && (booking.takenSeats?.length || 0) > 0;
+};
 
-  const purchaseDate = new Date(booking.purchaseDate || booking.createdAt);
-  const now = new Date();
-  const hoursSincePurchase = (now - purchaseDate) / (1000 * 60 * 60);
+/**
+ * Check if a receipt can be issued for a booking
+ * Any booking that was paid for, refunded or not
+ * @param {Object} booking - Booking object
+ * @returns {boolean} True if the booking was paid
+ */
+const canBeInvoiced = (booking) => {
+  return hasSoldSeats(booking) || booking.status === BookingStatus.REFUNDED;
+};
 
-  return hoursSincePurchase <= 24;
+/**
+ * Get the total amount charged for a booking
+ * Uses the stored price breakdown, bookings made before it existed fall
+ * back to price per seat times seats
+ * @param {Object} booking - Booking object
+ * @returns {number} Total amount
+ */
+const getTotalAmount = (booking) => {
+  if (booking.priceBreakdown) {
+    return booking.priceBreakdown.total;
+  }
+  return (booking.pricePerSeat || 0) * (booking.takenSeats?.length || 0);
+};
+
+/**
+ * Get the amount of a booking kept after refunds
+ * @param {Object} booking - Booking object
+ * @returns {number} Total amount minus everything refunded so far
+ */
+const getNetAmount = (booking) => {
+  const cents =
+    Math.round(getTotalAmount(booking) * 100) -
+    Math.round((booking.refundAmount || 0) * 100);
+  return Math.max(cents, 0) / 100;
 };
 
 /**
@@ -194,10 +339,29 @@ const prepareForConfirmation = (booking) => {
  * @returns {Object} Updated booking data
  */
 const prepareForCancellation = (booking) => {
+  const now = new Date().toISOString();
+
   return {
-    status: 'CANCELLED',
+    status: BookingStatus.CANCELLED,
+    cancelledAt: now,
     expiresAt: null,
-    updatedAt: new Date().toISOString(),
+    updatedAt: now,
+  };
+};
+
+/**
+ * Prepare booking for expiration (pending hold ran out without payment)
+ * The original expiresAt is kept so the record shows when the hold ended
+ * @param {Object} booking - Booking object
+ * @returns {Object} Updated booking data
+ */
+const prepareForExpiration = (booking) => {
+  const now = new Date().toISOString();
+
+  return {
+    status: BookingStatus.EXPIRED,
+    expiredAt: now,
+    updatedAt: now,
   };
 };
 
@@ -214,19 +378,47 @@ const prepareForRefund = (booking) => {
   };
 };
 
+/**
+ * Prepare booking for a refund of some of its seats
+ * refundedAt is the time of the latest refund
+ * @param {Object} booking - Booking object
+ * @returns {Object} Updated booking data
+ */
+const prepareForPartialRefund = (booking) => {
+  const now = new Date().toISOString();
+
+  return {
+    status: BookingStatus.PARTIALLY_REFUNDED,
+    refundedAt: now,
+    updatedAt: now,
+  };
+};
+
 module.exports = {
   tableName,
+  MAX_SEATS_PER_BOOKING,
+  MAX_HOLD_EXTENSIONS,
+  BookingStatus,
   tableSchema,
   validationSchema,
   validate,
   prepareForCreation,
   prepareForUpdate,
   calculateExpirationTime,
+  generateBookingCode,
   isExpired,
   canBeConfirmed,
+  canBeExtended,
+  calculateExtendedExpirationTime,
   canBeCancelled,
+  hasSoldSeats,
   canBeRefunded,
+  canBeInvoiced,
+  getTotalAmount,
+  getNetAmount,
   prepareForConfirmation,
   prepareForCancellation,
+  prepareForExpiration,
   prepareForRefund,
+  prepareForPartialRefund,
 };
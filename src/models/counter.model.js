@@ -0,0 +1,38 @@
+/**
+ * Counter Model
+ * Named counters kept in one table, each item holding its current value:
+ * - invoice numbers: the last gap-free sequence number handed out
+ * - user seats: the seats a user holds or bought on an event, counted in
+ *   the same transaction as each booking so purchase limits are atomic
+ */
+
+const tableName = 'Counters';
+
+const CounterName = {
+  INVOICE: 'invoice',
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'name', KeyType: 'HASH' }],
+  AttributeDefinitions: [{ AttributeName: 'name', AttributeType: 'S' }],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+/**
+ * Get the name of the counter of a user's seats on an event
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID
+ * @returns {string} Counter name
+ */
+const buildUserSeatsName = (eventId, userId) => {
+  return `userSeats#${eventId}#${userId}`;
+};
+
+module.exports = {
+  tableName,
+  tableSchema,
+  CounterName,
+  buildUserSeatsName,
+};
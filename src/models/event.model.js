@@ -32,6 +32,105 @@ const tableSchema = {
   ],
 };
 
+// Ticket tier (VIP, Standard, Student...) with its own price and capacity
+const ticketTierSchema = Joi.object({
+  id: Joi.string()
+    .max(64)
+    .default(() => uuidv4()),
+  name: Joi.string().required().min(1).max(50),
+  description: Joi.string().optional().allow('').max(200),
+  price: Joi.number().min(0).required(),
+  capacity: Joi.number().integer().min(1).required(),
+  section: Joi.string().optional().max(100), // Display label, e.g. "Front Stalls"
+  seatRange: Joi.object({
+    start: Joi.number().integer().min(1).required(),
+    end: Joi.number().integer().min(Joi.ref('start')).required(),
+  }).optional(), // Inclusive range of numeric seats sold in this tier
+  saleStartsAt: Joi.string().isoDate().optional(),
+  saleEndsAt: Joi.string().isoDate().optional(),
+});
+
+// How customers get their money back when they refund a booking
+const RefundPolicyType = {
+  NONE: 'NONE', // No refunds
+  PURCHASE_WINDOW: 'PURCHASE_WINDOW', // Full refund for N hours after purchase
+  FULL: 'FULL', // Full refund until N days before the event
+  TIERED: 'TIERED', // Percentage depending on the days left before the event
+};
+
+// Events without a policy keep the original rule: 24 hours after purchase
+const DEFAULT_REFUND_POLICY = {
+  type: RefundPolicyType.PURCHASE_WINDOW,
+  hoursAfterPurchase: 24,
+  cancellationFee: 0,
+};
+
+const refundPolicySchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(RefundPolicyType))
+    .required(),
+  hoursAfterPurchase: Joi.number().integer().min(1).when('type', {
+    is: RefundPolicyType.PURCHASE_WINDOW,
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  daysBeforeEvent: Joi.number().min(0).when('type', {
+    is: RefundPolicyType.FULL,
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  tiers: Joi.array()
+    .items(
+      Joi.object({
+        daysBeforeEvent: Joi.number().min(0).required(),
+        refundPercent: Joi.number().min(0).max(100).required(),
+      })
+    )
+    .min(1)
+    .unique('daysBeforeEvent')
+    .when('type', {
+      is: RefundPolicyType.TIERED,
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+  cancellationFee: Joi.number().min(0).default(0), // Flat amount kept per refund
+});
+
+// Who can find an event
+const EventVisibility = {
+  PUBLIC: 'PUBLIC', // Listed and searchable
+  UNLISTED: 'UNLISTED', // Only reachable by direct link or ID
+  PRIVATE: 'PRIVATE', // Needs an access code to view or book
+};
+
+// Phase of an event's sale, see getSalePhase
+const SalePhase = {
+  NOT_ON_SALE: 'NOT_ON_SALE', // Presale has not started yet
+  PRESALE: 'PRESALE', // Only bookable with a presale code
+  GENERAL: 'GENERAL', // Open to everyone
+};
+
+// Presale window, endsAt is when the general sale opens
+const presaleSchema = Joi.object({
+  startsAt: Joi.string().isoDate().optional(), // Bookable with a code right away if unset
+  endsAt: Joi.string().isoDate().required(),
+});
+
+// Caps on how many seats one account can take, unset caps do not apply
+const purchaseLimitsSchema = Joi.object({
+  maxSeatsPerBooking: Joi.number().integer().min(1).optional(),
+  maxSeatsPerUser: Joi.number().integer().min(1).optional(), // Pending and sold seats
+});
+
+// Virtual queue for high-demand on-sales: users wait in line and only
+// maxActiveSessions of them can pick seats and book at a time
+const queueSchema = Joi.object({
+  enabled: Joi.boolean().default(false),
+  maxActiveSessions: Joi.number().integer().min(1).default(100),
+  sessionMinutes: Joi.number().integer().min(1).max(60).default(10), // Time an admitted user has to book
+  failOpen: Joi.boolean().default(true), // Let everyone book while Redis is down, or refuse with a 503
+});
+
 // Validation Schema
 const validationSchema = Joi.object({
   id: Joi.string().uuid().optional(),
@@ -40,19 +139,77 @@ const validationSchema = Joi.object({
   datetime: Joi.string().isoDate().required(),
   location: Joi.string().required().min(3).max(300),
   venue: Joi.string().optional().max(200),
+  venueId: Joi.string().uuid().optional(), // Venue whose seat map is used
+  layoutId: Joi.string().max(64).optional(), // Layout of that venue
   categoryIds: Joi.array().items(Joi.string().uuid()).default([]),
   pricePerSeat: Joi.number().min(0).required(),
+  taxRate: Joi.number().min(0).max(1).default(0), // Fraction, 0.1 = 10%
   totalSeats: Joi.number().integer().min(1).required(),
   seatsPerRow: Joi.number().integer().min(1).optional(),
   takenSeats: Joi.array()
     .items(Joi.alternatives().try(Joi.number(), Joi.string()))
     .default([]),
+  ticketTiers: Joi.array().items(ticketTierSchema).unique('id').default([]),
+  tierSales: Joi.object()
+    .pattern(Joi.string(), Joi.number().integer().min(0))
+    .default({}), // Seats reserved or sold per tier ID
+  refundPolicy: refundPolicySchema.optional(),
+  purchaseLimits: purchaseLimitsSchema.optional(),
+  queue: queueSchema.optional(),
+  visibility: Joi.string()
+    .valid(...Object.values(EventVisibility))
+    .default(EventVisibility.PUBLIC),
+  presale: presaleSchema.optional(),
   organizerName: Joi.string().required(),
   imageUrl: Joi.string().uri().optional(),
   status: Joi.string().valid('PUBLISHED', 'DRAFT').default('DRAFT'),
   createdAt: Joi.string().isoDate().optional(),
   updatedAt: Joi.string().isoDate().optional(),
-});
+}).and('venueId', 'layoutId');
+
+/**
+ * Check the ticket tiers of an event against its seats
+ * Tiers cannot sell more seats than the event has, a seat range must fit the
+ * event and hold the tier's capacity, and seat ranges cannot overlap
+ * @param {Object} event - Event data that passed the schema
+ * @returns {Array} Error messages, empty if the tiers are consistent
+ */
+const findTicketTierErrors = (event) => {
+  const errors = [];
+  const tiers = event.ticketTiers || [];
+
+  const totalCapacity = tiers.reduce((sum, tier) => sum + tier.capacity, 0);
+  if (totalCapacity > event.totalSeats) {
+    errors.push(
+      `Ticket tier capacities (${totalCapacity}) exceed totalSeats (${event.totalSeats})`
+    );
+  }
+
+  const rangedTiers = tiers.filter((tier) => tier.seatRange);
+  rangedTiers.forEach((tier, index) => {
+    const { start, end } = tier.seatRange;
+
+    // Seat map events number their seats freely, the map checks the seats
+    if (!hasSeatMap(event) && end > event.totalSeats) {
+      errors.push(
+        `Seat range of tier "${tier.name}" ends after seat ${event.totalSeats}`
+      );
+    }
+    if (tier.capacity > end - start + 1) {
+      errors.push(`Tier "${tier.name}" has more capacity than its seat range`);
+    }
+
+    rangedTiers.slice(index + 1).forEach((other) => {
+      if (start <= other.seatRange.end && other.seatRange.start <= end) {
+        errors.push(
+          `Seat ranges of tiers "${tier.name}" and "${other.name}" overlap`
+        );
+      }
+    });
+  });
+
+  return errors;
+};
 
 /**
  * Validate event data
@@ -67,14 +224,65 @@ const validate = (data, options = {}) => {
     ...options,
   });
 
-  if (error) {
-    const errors = error.details.map((detail) => detail.message);
+  const errors = error
+    ? error.details.map((detail) => detail.message)
+    : findTicketTierErrors(value);
+
+  if (errors.length > 0) {
     throw new Error(`Validation failed: ${errors.join(', ')}`);
   }
 
   return value;
 };
 
+/**
+ * Build the per-tier sales counters for a list of tiers
+ * Keeps the counts of tiers that already exist, new tiers start at 0
+ * @param {Array} ticketTiers - Event ticket tiers
+ * @param {Object} existingSales - Current tierSales map
+ * @returns {Object} tierSales map keyed by tier ID
+ */
+const buildTierSales = (ticketTiers = [], existingSales = {}) => {
+  return ticketTiers.reduce((acc, tier) => {
+    acc[tier.id] = existingSales[tier.id] || 0;
+    return acc;
+  }, {});
+};
+
+/**
+ * Check updated ticket tiers against the seats they already sold
+ * A tier cannot shrink below its sales, and a tier with sales cannot be removed
+ * @param {Array} ticketTiers - Updated ticket tiers
+ * @param {Object} existingSales - Current tierSales map
+ * @param {Array} existingTiers - Current ticket tiers
+ * @returns {Array} Error messages, empty if every sale still fits
+ */
+const findTierSalesErrors = (
+  ticketTiers = [],
+  existingSales = {},
+  existingTiers = []
+) => {
+  const errors = [];
+
+  ticketTiers.forEach((tier) => {
+    const sold = existingSales[tier.id] || 0;
+    if (tier.capacity < sold) {
+      errors.push(
+        `Tier "${tier.name}" already sold ${sold} seats, more than its capacity of ${tier.capacity}`
+      );
+    }
+  });
+
+  existingTiers.forEach((tier) => {
+    const kept = ticketTiers.some(({ id }) => id === tier.id);
+    if (!kept && (existingSales[tier.id] || 0) > 0) {
+      errors.push(`Tier "${tier.name}" has sold seats and cannot be removed`);
+    }
+  });
+
+  return errors;
+};
+
 /**
  * Prepare event data for creation
  * Adds auto-generated fields like id, timestamps
@@ -90,6 +298,8 @@ const prepareForCreation = (data) => {
     status: data.status || 'DRAFT',
     takenSeats: data.takenSeats || [],
     categoryIds: data.categoryIds || [],
+    ticketTiers: data.ticketTiers || [],
+    tierSales: buildTierSales(data.ticketTiers),
     createdAt: now,
     updatedAt: now,
   };
@@ -117,14 +327,60 @@ const calculateAvailableSeats = (event) => {
   return event.totalSeats - (event.takenSeats?.length || 0);
 };
 
+/**
+ * Check if an event uses a venue seat map
+ * Other events number their seats from 1 to totalSeats
+ * @param {Object} event - Event object
+ * @returns {boolean} True if the event has a venue and layout
+ */
+const hasSeatMap = (event) => {
+  return Boolean(event?.venueId && event?.layoutId);
+};
+
+/**
+ * Get the visibility of an event
+ * @param {Object} event - Event object
+ * @returns {string} EventVisibility value, events created before it existed are public
+ */
+const getVisibility = (event) => {
+  return event?.visibility || EventVisibility.PUBLIC;
+};
+
+/**
+ * Check if an event shows up in public listings and search
+ * @param {Object} event - Event object
+ * @returns {boolean} True for public events
+ */
+const isListed = (event) => {
+  return getVisibility(event) === EventVisibility.PUBLIC;
+};
+
+/**
+ * Get the sale phase of an event
+ * @param {Object} event - Event object
+ * @param {Date} now - Reference time
+ * @returns {string} SalePhase value, GENERAL for events without a presale
+ */
+const getSalePhase = (event, now = new Date()) => {
+  const { presale } = event;
+
+  if (!presale || new Date(presale.endsAt) <= now) return SalePhase.GENERAL;
+  if (presale.startsAt && new Date(presale.startsAt) > now) {
+    return SalePhase.NOT_ON_SALE;
+  }
+  return SalePhase.PRESALE;
+};
+
 /**
  * Check if event is bookable
+ * Events in presale are bookable, bookings then need a presale code
  * @param {Object} event - Event object
  * @returns {boolean} True if event can be booked
  */
 const isBookable = (event) => {
   if (event.status !== 'PUBLISHED') return false;
   if (calculateAvailableSeats(event) <= 0) return false;
+  if (getSalePhase(event) === SalePhase.NOT_ON_SALE) return false;
 
   const eventDate = new Date(event.datetime);
   const now = new Date();
@@ -132,6 +388,92 @@ const isBookable = (event) => {
   return eventDate > now;
 };
 
+/**
+ * Find a ticket tier of an event
+ * @param {Object} event - Event object
+ * @param {string} tierId - Tier ID
+ * @returns {Object|undefined} Ticket tier
+ */
+const findTicketTier = (event, tierId) => {
+  return (event.ticketTiers || []).find((tier) => tier.id === tierId);
+};
+
+/**
+ * Check if a ticket tier is inside its sale window
+ * @param {Object} tier - Ticket tier
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the tier can be sold now
+ */
+const isTierOnSale = (tier, now = new Date()) => {
+  if (tier.saleStartsAt && new Date(tier.saleStartsAt) > now) return false;
+  if (tier.saleEndsAt && new Date(tier.saleEndsAt) <= now) return false;
+  return true;
+};
+
+/**
+ * Check if a seat can be sold in a ticket tier
+ * Tiers with a seat range only sell seats inside it, tiers without one sell
+ * any seat that is not in another tier's range
+ * @param {Object} event - Event object
+ * @param {Object} tier - Ticket tier
+ * @param {number|string} seat - Seat identifier
+ * @returns {boolean} True if the seat belongs to the tier
+ */
+const isSeatInTier = (event, tier, seat) => {
+  const seatNumber = Number(seat);
+  const inRange = (range) =>
+    Number.isInteger(seatNumber) &&
+    seatNumber >= range.start &&
+    seatNumber <= range.end;
+
+  if (tier.seatRange) {
+    return inRange(tier.seatRange);
+  }
+
+  return !(event.ticketTiers || []).some(
+    (other) => other.seatRange && inRange(other.seatRange)
+  );
+};
+
+/**
+ * Calculate remaining seats of a ticket tier
+ * @param {Object} event - Event object
+ * @param {Object} tier - Ticket tier
+ * @returns {number} Seats left to sell in the tier
+ */
+const calculateTierAvailableSeats = (event, tier) => {
+  const sold = event.tierSales?.[tier.id] || 0;
+  return Math.max(tier.capacity - sold, 0);
+};
+
+/**
+ * Get the refund policy of an event
+ * @param {Object} event - Event object
+ * @returns {Object} The event's refund policy, or the default one
+ */
+const getRefundPolicy = (event) => {
+  return event?.refundPolicy || DEFAULT_REFUND_POLICY;
+};
+
+/**
+ * Get the purchase limits of an event
+ * @param {Object} event - Event object
+ * @returns {Object} { maxSeatsPerBooking, maxSeatsPerUser }, unset when unlimited
+ */
+const getPurchaseLimits = (event) => {
+  return event?.purchaseLimits || {};
+};
+
+/**
+ * Get the queue settings of an event
+ * @param {Object} event - Event object
+ * @returns {Object|null} { maxActiveSessions, sessionMinutes, failOpen }, or null if
+ * the event is booked without a queue
+ */
+const getQueueSettings = (event) => {
+  return event?.queue?.enabled ? event.queue : null;
+};
+
 /**
  * Get event status based on date
  * @param {Object} event - Event object
@@ -146,12 +488,29 @@ const getTimeStatus = (event) => {
 
 module.exports = {
   tableName,
+  EventVisibility,
+  SalePhase,
+  RefundPolicyType,
+  DEFAULT_REFUND_POLICY,
   tableSchema,
   validationSchema,
   validate,
   prepareForCreation,
   prepareForUpdate,
+  buildTierSales,
+  findTierSalesErrors,
   calculateAvailableSeats,
+  hasSeatMap,
+  findTicketTier,
+  isTierOnSale,
+  isSeatInTier,
+  calculateTierAvailableSeats,
+  getRefundPolicy,
+  getPurchaseLimits,
+  getQueueSettings,
+  getVisibility,
+  isListed,
+  getSalePhase,
   isBookable,
   getTimeStatus,
 };
@@ -0,0 +1,70 @@
+/**
+ * Idempotency Key Model
+ * Records the first request and response seen for a client Idempotency-Key,
+ * so that retried requests can be answered without running them again
+ */
+
+const tableName = 'IdempotencyKeys';
+
+// How long a key is remembered
+const KEY_TTL_HOURS = 24;
+
+// How long a request may hold its key before another request can take it
+// over, in case it died without storing or releasing it
+const IN_PROGRESS_LEASE_SECONDS = 60;
+
+const KeyStatus = {
+  IN_PROGRESS: 'IN_PROGRESS', // First request is still running
+  COMPLETED: 'COMPLETED', // Response stored, replays return it
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+/**
+ * Build the record ID of a key, scoped to the user who sent it
+ * @param {string} userId - Authenticated user ID
+ * @param {string} key - Idempotency-Key header value
+ * @returns {string} Record ID
+ */
+const buildId = (userId, key) => {
+  return `${userId}#${key}`;
+};
+
+/**
+ * Prepare a record for a request that is about to run
+ * @param {string} id - Record ID
+ * @param {string} fingerprint - Hash of the request
+ * @returns {Object} Record ready for DynamoDB
+ */
+const prepareForCreation = (id, fingerprint) => {
+  const now = new Date();
+  const expiresAt = new Date(now);
+  expiresAt.setHours(expiresAt.getHours() + KEY_TTL_HOURS);
+  const leaseExpiresAt = new Date(
+    now.getTime() + IN_PROGRESS_LEASE_SECONDS * 1000
+  );
+
+  return {
+    id,
+    fingerprint,
+    status: KeyStatus.IN_PROGRESS,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    leaseExpiresAt: leaseExpiresAt.toISOString(),
+  };
+};
+
+module.exports = {
+  tableName,
+  tableSchema,
+  KeyStatus,
+  IN_PROGRESS_LEASE_SECONDS,
+  buildId,
+  prepareForCreation,
+};
@@ -7,10 +7,32 @@ const EventModel = require('./event.model');
 const BookingModel = require('./booking.model');
 const UserModel = require('./user.model');
 const CategoryModel = require('./category.model');
+const SeatLockModel = require('./seatLock.model');
+const IdempotencyKeyModel = require('./idempotencyKey.model');
+const PromoCodeModel = require('./promoCode.model');
+const RefundRequestModel = require('./refundRequest.model');
+const TicketTransferModel = require('./ticketTransfer.model');
+const SeatTicketModel = require('./seatTicket.model');
+const CounterModel = require('./counter.model');
+const WaitlistEntryModel = require('./waitlistEntry.model');
+const AccessCodeModel = require('./accessCode.model');
+const VenueModel = require('./venue.model');
+const PaymentReconciliationModel = require('./paymentReconciliation.model');
 
 module.exports = {
   EventModel,
   BookingModel,
   UserModel,
   CategoryModel,
+  SeatLockModel,
+  IdempotencyKeyModel,
+  PromoCodeModel,
+  RefundRequestModel,
+  TicketTransferModel,
+  SeatTicketModel,
+  CounterModel,
+  WaitlistEntryModel,
+  AccessCodeModel,
+  VenueModel,
+  PaymentReconciliationModel,
 };
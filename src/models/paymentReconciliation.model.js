@@ -0,0 +1,69 @@
+/**
+ * Payment Reconciliation Model
+ * Payment operations whose outcome is unknown or that failed after the
+ * booking changed, kept until a background job settles them with the
+ * provider: captures of confirmed bookings, and authorizations that timed out
+ * and may have to be voided.
+ */
+
+const tableName = 'PaymentReconciliations';
+
+const ReconciliationType = {
+  CAPTURE: 'CAPTURE', // Capture the authorization of a confirmed booking
+  VOID_AUTHORIZATION: 'VOID_AUTHORIZATION', // Void a timed out authorization if it went through
+};
+
+// Attempts before a record is left for manual review
+const MAX_ATTEMPTS = 8;
+
+// Delay before the first retry, doubled after every failed attempt
+const RETRY_DELAY_MINUTES = 5;
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+/**
+ * Get when the next attempt is due after a number of failed ones
+ * @param {number} attempts - Failed attempts so far
+ * @param {Date} now - Reference time
+ * @returns {string} ISO date of the next attempt
+ */
+const getNextAttemptAt = (attempts, now = new Date()) => {
+  const delayMinutes = RETRY_DELAY_MINUTES * 2 ** Math.max(attempts - 1, 0);
+  return new Date(now.getTime() + delayMinutes * 60 * 1000).toISOString();
+};
+
+/**
+ * Prepare a record for an operation to settle later
+ * @param {Object} data - { type, ticketId, transactionId, idempotencyKey,
+ * amount, currency }
+ * @returns {Object} Record ready for DynamoDB, first attempt due right away
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+  // One record per operation: the transaction, or the authorize call
+  const reference = data.transactionId || data.idempotencyKey;
+
+  return {
+    ...data,
+    id: `${data.type}#${reference}`,
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+module.exports = {
+  tableName,
+  tableSchema,
+  ReconciliationType,
+  MAX_ATTEMPTS,
+  getNextAttemptAt,
+  prepareForCreation,
+};
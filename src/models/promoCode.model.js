@@ -0,0 +1,199 @@
+const Joi = require('joi');
+
+/**
+ * Promo Code Model
+ * Defines the structure and validation for PromoCodes items in DynamoDB,
+ * and the PromoRedemptions table that counts redemptions per user
+ */
+
+const tableName = 'PromoCodes';
+const redemptionTableName = 'PromoRedemptions';
+
+const DiscountType = {
+  PERCENTAGE: 'PERCENTAGE', // discountValue is a percentage of the subtotal
+  FIXED: 'FIXED', // discountValue is an amount off the subtotal
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'code', KeyType: 'HASH' }],
+  AttributeDefinitions: [{ AttributeName: 'code', AttributeType: 'S' }],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+// One item per (code, user) holding how often the user redeemed the code
+const redemptionTableSchema = {
+  TableName: redemptionTableName,
+  KeySchema: [
+    { AttributeName: 'code', KeyType: 'HASH' },
+    { AttributeName: 'userId', KeyType: 'RANGE' },
+  ],
+  AttributeDefinitions: [
+    { AttributeName: 'code', AttributeType: 'S' },
+    { AttributeName: 'userId', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+// Validation Schema
+const validationSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .min(3)
+    .max(32)
+    .uppercase()
+    .required(),
+  description: Joi.string().optional().allow('').max(200),
+  discountType: Joi.string()
+    .valid(...Object.values(DiscountType))
+    .required(),
+  discountValue: Joi.number()
+    .positive()
+    .when('discountType', {
+      is: DiscountType.PERCENTAGE,
+      then: Joi.number().max(100),
+    })
+    .required(),
+  // Empty scopes mean the code applies to every event
+  eventIds: Joi.array().items(Joi.string().uuid()).default([]),
+  categoryIds: Joi.array().items(Joi.string().uuid()).default([]),
+  maxRedemptions: Joi.number().integer().min(1).optional(),
+  maxRedemptionsPerUser: Joi.number().integer().min(1).optional(),
+  redemptionCount: Joi.number().integer().min(0).default(0),
+  validFrom: Joi.string().isoDate().optional(),
+  validUntil: Joi.string().isoDate().optional(),
+  active: Joi.boolean().default(true),
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Validate promo code data
+ * @param {Object} data - Promo code data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Normalize a code as typed by a user
+ * @param {string} code - Raw code
+ * @returns {string} Upper-cased, trimmed code
+ */
+const normalizeCode = (code) => {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+};
+
+/**
+ * Prepare promo code data for creation
+ * @param {Object} data - Raw promo code data
+ * @returns {Object} Promo code data ready for DynamoDB
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+
+  return {
+    ...data,
+    redemptionCount: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Prepare promo code data for update
+ * @param {Object} data - Update data
+ * @returns {Object} Update data with timestamp
+ */
+const prepareForUpdate = (data) => {
+  return {
+    ...data,
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Check if a promo code can be redeemed at a given time
+ * @param {Object} promoCode - Promo code object
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if active and inside its validity window
+ */
+const isRedeemable = (promoCode, now = new Date()) => {
+  if (!promoCode.active) return false;
+  if (promoCode.validFrom && new Date(promoCode.validFrom) > now) return false;
+  if (promoCode.validUntil && new Date(promoCode.validUntil) <= now) {
+    return false;
+  }
+  if (
+    promoCode.maxRedemptions &&
+    promoCode.redemptionCount >= promoCode.maxRedemptions
+  ) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check if a promo code applies to an event
+ * @param {Object} promoCode - Promo code object
+ * @param {Object} event - Event object
+ * @returns {boolean} True if the event is in the code's scope
+ */
+const appliesToEvent = (promoCode, event) => {
+  const eventIds = promoCode.eventIds || [];
+  const categoryIds = promoCode.categoryIds || [];
+
+  if (eventIds.length === 0 && categoryIds.length === 0) return true;
+  if (eventIds.includes(event.id)) return true;
+
+  return (event.categoryIds || []).some((categoryId) =>
+    categoryIds.includes(categoryId)
+  );
+};
+
+/**
+ * Calculate the discount of a promo code on a subtotal
+ * @param {Object} promoCode - Promo code object
+ * @param {number} subtotal - Ticket subtotal
+ * @returns {number} Discount amount, never more than the subtotal
+ */
+const calculateDiscount = (promoCode, subtotal) => {
+  const discount =
+    promoCode.discountType === DiscountType.PERCENTAGE
+      ? (subtotal * promoCode.discountValue) / 100
+      : promoCode.discountValue;
+
+  return Math.min(Math.round(discount * 100) / 100, subtotal);
+};
+
+module.exports = {
+  tableName,
+  redemptionTableName,
+  tableSchema,
+  redemptionTableSchema,
+  DiscountType,
+  validationSchema,
+  validate,
+  normalizeCode,
+  prepareForCreation,
+  prepareForUpdate,
+  isRedeemable,
+  appliesToEvent,
+  calculateDiscount,
+};
@@ -0,0 +1,143 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Refund Request Model
+ * A customer's request for a refund that needs an admin decision, e.g.
+ * when the event's refund policy no longer allows a self-service refund
+ */
+
+const tableName = 'RefundRequests';
+
+// APPROVED and REJECTED are final
+const RefundRequestStatus = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [
+    { AttributeName: 'id', AttributeType: 'S' },
+    { AttributeName: 'ticketId', AttributeType: 'S' },
+    { AttributeName: 'status', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+  GlobalSecondaryIndexes: [
+    {
+      IndexName: 'TicketIdIndex',
+      KeySchema: [{ AttributeName: 'ticketId', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+    {
+      IndexName: 'StatusIndex',
+      KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+  ],
+};
+
+// Validation Schema
+const validationSchema = Joi.object({
+  id: Joi.string().uuid().optional(),
+  ticketId: Joi.string().uuid().required(),
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required(),
+  email: Joi.string().email().allow('').optional(),
+  reason: Joi.string().trim().min(3).max(1000).required(),
+  seats: Joi.array()
+    .items(Joi.alternatives().try(Joi.number(), Joi.string()))
+    .min(1)
+    .unique()
+    .optional(), // Subset of the booking's seats, all seats when omitted
+  status: Joi.string()
+    .valid(...Object.values(RefundRequestStatus))
+    .default(RefundRequestStatus.PENDING),
+  reviewedBy: Joi.string().optional(),
+  reviewNote: Joi.string().allow('').max(1000).optional(),
+  reviewedAt: Joi.string().isoDate().optional(),
+  refundAmount: Joi.number().min(0).optional(), // Set on approval
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Validate refund request data
+ * @param {Object} data - Refund request data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Prepare refund request data for creation
+ * Adds auto-generated fields like id, status, timestamps
+ * @param {Object} data - Validated refund request data
+ * @returns {Object} Refund request ready for DynamoDB
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+
+  return {
+    ...data,
+    id: data.id || uuidv4(),
+    status: RefundRequestStatus.PENDING,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Prepare a refund request for an admin decision
+ * @param {string} status - APPROVED or REJECTED
+ * @param {string} adminId - Reviewing admin
+ * @param {string} note - Optional note shown to the customer
+ * @returns {Object} Updated refund request data
+ */
+const prepareForReview = (status, adminId, note) => {
+  const now = new Date().toISOString();
+
+  return {
+    status,
+    reviewedBy: adminId,
+    reviewNote: note || '',
+    reviewedAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Check if a refund request still waits for a decision
+ * @param {Object} refundRequest - Refund request item
+ * @returns {boolean} True if pending
+ */
+const isPending = (refundRequest) => {
+  return refundRequest.status === RefundRequestStatus.PENDING;
+};
+
+module.exports = {
+  tableName,
+  RefundRequestStatus,
+  tableSchema,
+  validationSchema,
+  validate,
+  prepareForCreation,
+  prepareForReview,
+  isPending,
+};
@@ -0,0 +1,67 @@
+/**
+ * Seat Lock Model
+ * One item per (event, seat) that a booking currently holds or has bought.
+ * Items are written inside DynamoDB transactions together with the booking,
+ * so a seat can only ever be claimed by a single booking at a time.
+ */
+
+const tableName = 'SeatLocks';
+
+const LockStatus = {
+  PENDING: 'PENDING', // Held by an unpaid booking until expiresAt
+  SOLD: 'SOLD', // Held by a confirmed booking
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [
+    { AttributeName: 'eventId', KeyType: 'HASH' },
+    { AttributeName: 'seatId', KeyType: 'RANGE' },
+  ],
+  AttributeDefinitions: [
+    { AttributeName: 'eventId', AttributeType: 'S' },
+    { AttributeName: 'seatId', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+/**
+ * Build the key of a seat lock item
+ * Seat identifiers can be numbers or strings, the sort key is always a string
+ * @param {string} eventId - Event ID
+ * @param {number|string} seat - Seat identifier
+ * @returns {Object} DynamoDB key
+ */
+const buildKey = (eventId, seat) => {
+  return {
+    eventId,
+    seatId: String(seat),
+  };
+};
+
+/**
+ * Prepare a seat lock item for a pending booking
+ * @param {Object} booking - Booking the seat is reserved for
+ * @param {number|string} seat - Seat identifier
+ * @returns {Object} Seat lock item ready for DynamoDB
+ */
+const prepareForReservation = (booking, seat) => {
+  return {
+    ...buildKey(booking.eventId, seat),
+    seat,
+    ticketId: booking.id,
+    userId: booking.userId,
+    status: LockStatus.PENDING,
+    expiresAt: booking.expiresAt,
+    createdAt: booking.createdAt,
+  };
+};
+
+module.exports = {
+  tableName,
+  tableSchema,
+  LockStatus,
+  buildKey,
+  prepareForReservation,
+};
@@ -0,0 +1,186 @@
+const Joi = require('joi');
+const { v5: uuidv5 } = require('uuid');
+
+/**
+ * Seat Ticket Model
+ * One item per seat of a sold booking, scanned at the door. A ticket is
+ * tied to the booking code it was issued under: when the code changes
+ * (e.g. on a transfer) or the seat is refunded, the ticket is voided and
+ * a new one is issued where needed.
+ */
+
+const tableName = 'SeatTickets';
+
+// Namespace for the deterministic ticket IDs (see buildId)
+const SEAT_TICKET_NAMESPACE = 'f3c1d5e2-7a4b-4c8e-9d21-6b0e5a7f9c34';
+
+// VOID is final
+const SeatTicketStatus = {
+  VALID: 'VALID',
+  VOID: 'VOID',
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [
+    { AttributeName: 'id', AttributeType: 'S' },
+    { AttributeName: 'ticketId', AttributeType: 'S' },
+    { AttributeName: 'eventId', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+  GlobalSecondaryIndexes: [
+    {
+      IndexName: 'TicketIdIndex',
+      KeySchema: [{ AttributeName: 'ticketId', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+    {
+      IndexName: 'EventIdIndex',
+      KeySchema: [{ AttributeName: 'eventId', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+  ],
+};
+
+// Validation Schema
+const validationSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  ticketId: Joi.string().uuid().required(), // Booking the seat belongs to
+  eventId: Joi.string().uuid().required(),
+  seat: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+  tierName: Joi.string().max(50).optional(),
+  bookingCode: Joi.string().allow(null).optional(),
+  status: Joi.string()
+    .valid(...Object.values(SeatTicketStatus))
+    .default(SeatTicketStatus.VALID),
+  issuedAt: Joi.string().isoDate().optional(),
+  voidedAt: Joi.string().isoDate().optional(),
+  checkedInAt: Joi.string().isoDate().optional(), // Set when scanned at the door
+  checkedInBy: Joi.string().optional(), // Staff member who scanned it
+  checkedInDevice: Joi.string().allow(null).optional(), // Scanner that did
+  duplicateScans: Joi.array()
+    .items(
+      Joi.object({
+        at: Joi.string().isoDate().required(),
+        by: Joi.string().allow(null).optional(),
+        deviceId: Joi.string().allow(null).optional(),
+      })
+    )
+    .optional(), // Later scans of a ticket that was already let in
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Validate seat ticket data
+ * @param {Object} data - Seat ticket data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Build the ID of the ticket for a seat of a booking
+ * The same booking, seat and booking code always give the same ID, so
+ * issuing tickets twice cannot create duplicates
+ * @param {Object} booking - Booking item
+ * @param {number|string} seat - Seat identifier
+ * @returns {string} UUID
+ */
+const buildId = (booking, seat) => {
+  return uuidv5(
+    `${booking.id}:${seat}:${booking.bookingCode || ''}`,
+    SEAT_TICKET_NAMESPACE
+  );
+};
+
+/**
+ * Prepare the ticket of a seat for creation
+ * @param {Object} booking - Sold booking
+ * @param {number|string} seat - Seat identifier
+ * @returns {Object} Seat ticket ready for DynamoDB
+ */
+const prepareForCreation = (booking, seat) => {
+  const now = new Date().toISOString();
+
+  return validate({
+    id: buildId(booking, seat),
+    ticketId: booking.id,
+    eventId: booking.eventId,
+    seat,
+    tierName: booking.tierName,
+    bookingCode: booking.bookingCode || null,
+    status: SeatTicketStatus.VALID,
+    issuedAt: now,
+    createdAt: now,
+    updatedAt: now,
+  });
+};
+
+/**
+ * Check if a ticket still belongs to a booking as it is now
+ * @param {Object} seatTicket - Seat ticket item
+ * @param {Object} booking - Current booking
+ * @param {Array} soldSeats - Seats the booking still holds
+ * @returns {boolean} True if the ticket should stay valid
+ */
+const belongsTo = (seatTicket, booking, soldSeats) => {
+  return (
+    seatTicket.id === buildId(booking, seatTicket.seat) &&
+    soldSeats.some((seat) => String(seat) === String(seatTicket.seat))
+  );
+};
+
+/**
+ * Check if a ticket has been scanned at the door
+ * @param {Object} seatTicket - Seat ticket item
+ * @returns {boolean} True if checked in
+ */
+const isCheckedIn = (seatTicket) => {
+  return Boolean(seatTicket.checkedInAt);
+};
+
+/**
+ * Build the claims signed into the ticket's QR code
+ * Short keys keep the QR code small
+ * @param {Object} seatTicket - Seat ticket item
+ * @returns {Object} Token payload
+ */
+const toTokenPayload = (seatTicket) => {
+  return {
+    tid: seatTicket.id,
+    bid: seatTicket.ticketId,
+    eid: seatTicket.eventId,
+    seat: seatTicket.seat,
+    code: seatTicket.bookingCode,
+    iat: Math.floor(new Date(seatTicket.issuedAt).getTime() / 1000),
+  };
+};
+
+module.exports = {
+  tableName,
+  SeatTicketStatus,
+  tableSchema,
+  validationSchema,
+  validate,
+  buildId,
+  prepareForCreation,
+  belongsTo,
+  isCheckedIn,
+  toTokenPayload,
+};
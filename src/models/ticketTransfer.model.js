@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Ticket Transfer Model
+ * Defines the structure and validation for TicketTransfers items in
+ * DynamoDB. A transfer offers a confirmed booking to another registered
+ * user, who accepts it with a one-time token before the deadline.
+ */
+
+const tableName = 'TicketTransfers';
+
+// How long a recipient has to accept (never past the event start)
+const TRANSFER_VALID_HOURS = 72;
+
+// ACCEPTED, REVOKED and EXPIRED are final
+const TransferStatus = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  REVOKED: 'REVOKED',
+  EXPIRED: 'EXPIRED',
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [
+    { AttributeName: 'id', AttributeType: 'S' },
+    { AttributeName: 'ticketId', AttributeType: 'S' },
+    { AttributeName: 'toUserId', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+  GlobalSecondaryIndexes: [
+    {
+      IndexName: 'TicketIdIndex',
+      KeySchema: [{ AttributeName: 'ticketId', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+    {
+      IndexName: 'ToUserIdIndex',
+      KeySchema: [{ AttributeName: 'toUserId', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+  ],
+};
+
+// Validation Schema
+const validationSchema = Joi.object({
+  id: Joi.string().uuid().optional(),
+  ticketId: Joi.string().uuid().required(),
+  eventId: Joi.string().uuid().required(),
+  fromUserId: Joi.string().required(),
+  fromEmail: Joi.string().email().allow('').optional(),
+  toUserId: Joi.string().required(),
+  toEmail: Joi.string().email().required(),
+  toUsername: Joi.string().optional(),
+  message: Joi.string().allow('').max(500).optional(), // Note to the recipient
+  tokenHash: Joi.string().hex().length(64).required(),
+  status: Joi.string()
+    .valid(...Object.values(TransferStatus))
+    .default(TransferStatus.PENDING),
+  expiresAt: Joi.string().isoDate().required(),
+  acceptedAt: Joi.string().isoDate().optional(),
+  revokedAt: Joi.string().isoDate().optional(),
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Validate transfer data
+ * @param {Object} data - Transfer data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Hash an acceptance token, only the hash is stored
+ * @param {string} secret - Secret part of the token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Create the acceptance token of a transfer
+ * The token is "<transferId>.<secret>" so the transfer can be found from it
+ * @param {string} transferId - Transfer ID
+ * @returns {Object} { token, tokenHash }
+ */
+const createToken = (transferId) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { token: `${transferId}.${secret}`, tokenHash: hashToken(secret) };
+};
+
+/**
+ * Split an acceptance token
+ * @param {string} token - Token from the acceptance link
+ * @returns {Object|null} { transferId, secret }, or null if malformed
+ */
+const parseToken = (token) => {
+  const [transferId, secret] = String(token || '').split('.');
+  if (!transferId || !secret) return null;
+  return { transferId, secret };
+};
+
+/**
+ * Check a token secret against the stored hash
+ * @param {Object} transfer - Transfer item
+ * @param {string} secret - Secret part of the token
+ * @returns {boolean} True if the secret matches
+ */
+const verifyToken = (transfer, secret) => {
+  const expected = Buffer.from(transfer.tokenHash, 'hex');
+  const received = Buffer.from(hashToken(secret), 'hex');
+  return crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Calculate the acceptance deadline of a new transfer
+ * @param {string} eventDatetime - Event start
+ * @returns {string} ISO date string
+ */
+const calculateExpirationTime = (eventDatetime) => {
+  const deadline = Date.now() + TRANSFER_VALID_HOURS * 60 * 60 * 1000;
+  const eventStart = new Date(eventDatetime).getTime();
+  return new Date(
+    Number.isNaN(eventStart) ? deadline : Math.min(deadline, eventStart)
+  ).toISOString();
+};
+
+/**
+ * Prepare transfer data for creation
+ * Adds auto-generated fields like status, timestamps
+ * @param {Object} data - Validated transfer data
+ * @returns {Object} Transfer ready for DynamoDB
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+
+  return {
+    ...data,
+    id: data.id || uuidv4(),
+    status: TransferStatus.PENDING,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Check if a transfer can still be accepted or revoked
+ * @param {Object} transfer - Transfer item
+ * @returns {boolean} True if pending and before its deadline
+ */
+const isOpen = (transfer) => {
+  return (
+    transfer.status === TransferStatus.PENDING &&
+    new Date(transfer.expiresAt) > new Date()
+  );
+};
+
+/**
+ * Remove fields that must not leave the server
+ * @param {Object} transfer - Transfer item
+ * @returns {Object} Transfer without its token hash
+ */
+const toPublic = (transfer) => {
+  const { tokenHash, ...publicTransfer } = transfer;
+  return publicTransfer;
+};
+
+module.exports = {
+  tableName,
+  TRANSFER_VALID_HOURS,
+  TransferStatus,
+  tableSchema,
+  validationSchema,
+  validate,
+  createToken,
+  parseToken,
+  verifyToken,
+  calculateExpirationTime,
+  prepareForCreation,
+  isOpen,
+  toPublic,
+};
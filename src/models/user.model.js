@@ -7,6 +7,17 @@ const Joi = require('joi');
 
 const tableName = 'Users';
 
+const UserRole = {
+  USER: 'user',
+  STAFF: 'staff', // Venue staff who scan tickets
+  ADMIN: 'admin',
+};
+
+// Roles that also carry the permissions of other roles
+const INHERITED_ROLES = {
+  [UserRole.ADMIN]: [UserRole.STAFF],
+};
+
 // DynamoDB Table Schema (for table creation)
 const tableSchema = {
   TableName: tableName,
@@ -40,7 +51,9 @@ const validationSchema = Joi.object({
   phoneNumber: Joi.string()
     .pattern(/^\+?[1-9]\d{1,14}$/)
     .optional(),
-  role: Joi.string().valid('user', 'admin').default('user'),
+  role: Joi.string()
+    .valid(...Object.values(UserRole))
+    .default(UserRole.USER),
   ticketIds: Joi.array().items(Joi.string().uuid()).default([]),
   createdAt: Joi.string().isoDate().optional(),
   updatedAt: Joi.string().isoDate().optional(),
@@ -116,6 +129,18 @@ const isAdmin = (user) => {
   return user.role === 'admin';
 };
 
+/**
+ * Check if user has a role, directly or through a role that includes it
+ * @param {Object} user - User object
+ * @param {string} role - UserRole value
+ * @returns {boolean} True if the user has the role
+ */
+const hasRole = (user, role) => {
+  return (
+    user.role === role || (INHERITED_ROLES[user.role] || []).includes(role)
+  );
+};
+
 /**
  * Check if user is organizer
  * @param {Object} user - User object
@@ -127,6 +152,7 @@ const isOrganizer = (user) => {
 
 module.exports = {
   tableName,
+  UserRole,
   tableSchema,
   validationSchema,
   validate,
@@ -134,5 +160,6 @@ module.exports = {
   prepareForUpdate,
   getFullName,
   isAdmin,
+  hasRole,
   isOrganizer,
 };
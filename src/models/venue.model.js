@@ -0,0 +1,224 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Venue Model
+ * Venues with reusable seat maps. A venue has one or more layouts (concert,
+ * theatre...), each split into sections of rows of seats. Seats are booked
+ * by their number, which is unique within a layout, and shown by their label.
+ * Events reference a venue and one of its layouts.
+ */
+
+const tableName = 'Venues';
+
+const SeatAttribute = {
+  WHEELCHAIR: 'WHEELCHAIR', // Space for a wheelchair
+  COMPANION: 'COMPANION', // Next to a wheelchair space, for a companion
+  RESTRICTED_VIEW: 'RESTRICTED_VIEW', // Part of the stage is hidden
+};
+
+// A venue and all its layouts are stored in one DynamoDB item (400 KB max)
+const MAX_VENUE_SEATS = 3000;
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+  BillingMode: 'PAY_PER_REQUEST',
+};
+
+const seatSchema = Joi.object({
+  number: Joi.number().integer().min(1).required(), // Identifier used in bookings
+  label: Joi.string().required().min(1).max(20), // Shown to customers, e.g. "12"
+  x: Joi.number().optional(), // Position on the drawn map
+  y: Joi.number().optional(),
+  attributes: Joi.array()
+    .items(Joi.string().valid(...Object.values(SeatAttribute)))
+    .unique()
+    .default([]),
+});
+
+// Seats are listed from one end of the row to the other, so neighbours in the
+// list sit next to each other
+const rowSchema = Joi.object({
+  label: Joi.string().required().min(1).max(20),
+  seats: Joi.array().items(seatSchema).min(1).required(),
+});
+
+// Rows are listed from the front of the section to the back
+const sectionSchema = Joi.object({
+  id: Joi.string()
+    .max(64)
+    .default(() => uuidv4()),
+  name: Joi.string().required().min(1).max(100),
+  rows: Joi.array().items(rowSchema).min(1).required(),
+});
+
+// Sections are listed from the stage outwards, best available seats are
+// picked from the first sections first
+const layoutSchema = Joi.object({
+  id: Joi.string()
+    .max(64)
+    .default(() => uuidv4()),
+  name: Joi.string().required().min(1).max(100),
+  sections: Joi.array().items(sectionSchema).min(1).unique('id').required(),
+});
+
+// Validation Schema
+const validationSchema = Joi.object({
+  id: Joi.string().uuid().optional(),
+  name: Joi.string().required().min(2).max(200),
+  address: Joi.string().optional().max(300),
+  city: Joi.string().optional().max(100),
+  description: Joi.string().optional().allow('').max(2000),
+  layouts: Joi.array().items(layoutSchema).unique('id').default([]),
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Get every seat of a layout with its place in the map
+ * @param {Object} layout - Venue layout
+ * @returns {Array} Seats with sectionId, sectionName and rowLabel, in map order
+ */
+const getLayoutSeats = (layout) => {
+  return layout.sections.flatMap((section) =>
+    section.rows.flatMap((row) =>
+      row.seats.map((seat) => ({
+        ...seat,
+        sectionId: section.id,
+        sectionName: section.name,
+        rowLabel: row.label,
+      }))
+    )
+  );
+};
+
+/**
+ * Validate venue data
+ * Besides the schema, seat numbers must be unique within each layout
+ * @param {Object} data - Venue data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  const errors = error ? error.details.map((detail) => detail.message) : [];
+
+  if (!error) {
+    let venueSeats = 0;
+
+    value.layouts.forEach((layout) => {
+      const numbers = getLayoutSeats(layout).map((seat) => seat.number);
+      const duplicates = numbers.filter(
+        (number, index) => numbers.indexOf(number) !== index
+      );
+      if (duplicates.length > 0) {
+        errors.push(
+          `Layout "${layout.name}" has duplicate seat numbers: ${[
+            ...new Set(duplicates),
+          ].join(', ')}`
+        );
+      }
+      venueSeats += numbers.length;
+    });
+
+    if (venueSeats > MAX_VENUE_SEATS) {
+      errors.push(`A venue can have at most ${MAX_VENUE_SEATS} seats`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Prepare venue data for creation
+ * Adds auto-generated fields like id, timestamps
+ * @param {Object} data - Raw venue data
+ * @returns {Object} Venue data ready for DynamoDB
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+
+  return {
+    ...data,
+    id: data.id || uuidv4(),
+    layouts: data.layouts || [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Prepare venue data for update
+ * @param {Object} data - Update data
+ * @returns {Object} Update data with timestamp
+ */
+const prepareForUpdate = (data) => {
+  return {
+    ...data,
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Find a layout of a venue
+ * @param {Object} venue - Venue object
+ * @param {string} layoutId - Layout ID
+ * @returns {Object|undefined} Layout
+ */
+const findLayout = (venue, layoutId) => {
+  return (venue?.layouts || []).find((layout) => layout.id === layoutId);
+};
+
+/**
+ * List the seats that are not on a layout
+ * Seats may be sent as numbers or strings
+ * @param {Object} layout - Venue layout
+ * @param {Array} seats - Seat identifiers
+ * @returns {Array} Seats missing from the layout
+ */
+const findUnknownSeats = (layout, seats) => {
+  const numbers = new Set(
+    getLayoutSeats(layout).map((seat) => String(seat.number))
+  );
+  return seats.filter((seat) => !numbers.has(String(seat)));
+};
+
+/**
+ * Check if a seat is kept for wheelchair users and their companions
+ * @param {Object} seat - Layout seat
+ * @returns {boolean} True for wheelchair and companion seats
+ */
+const isAccessibleSeat = (seat) => {
+  return (seat.attributes || []).some(
+    (attribute) =>
+      attribute === SeatAttribute.WHEELCHAIR ||
+      attribute === SeatAttribute.COMPANION
+  );
+};
+
+module.exports = {
+  tableName,
+  SeatAttribute,
+  MAX_VENUE_SEATS,
+  tableSchema,
+  validationSchema,
+  validate,
+  prepareForCreation,
+  prepareForUpdate,
+  getLayoutSeats,
+  findLayout,
+  findUnknownSeats,
+  isAccessibleSeat,
+};
@@ -0,0 +1,157 @@
+const Joi = require('joi');
+const { v5: uuidv5 } = require('uuid');
+
+/**
+ * Waitlist Entry Model
+ * A user waiting for seats of a sold-out event. When seats come back the
+ * first entries in line get an offer: a pending booking that holds the
+ * seats until the offer runs out. A user has at most one entry per event,
+ * joining again after it was closed puts them at the end of the line.
+ */
+
+const tableName = 'WaitlistEntries';
+
+// Largest party a single entry can wait for
+const MAX_SEATS_PER_ENTRY = 10;
+
+// Namespace for the deterministic entry IDs (see buildId)
+const WAITLIST_NAMESPACE = '8d0a4f5e-2b7c-4e91-a6d3-5f1c9b7e2a40';
+
+// CLAIMED, DECLINED, EXPIRED and LEFT are final
+const WaitlistStatus = {
+  WAITING: 'WAITING', // In line
+  OFFERED: 'OFFERED', // Seats are held for the user until offer.expiresAt
+  CLAIMED: 'CLAIMED', // The offer was paid for
+  DECLINED: 'DECLINED', // The user cancelled the offer
+  EXPIRED: 'EXPIRED', // The offer ran out and moved to the next in line
+  LEFT: 'LEFT', // The user left the line
+};
+
+// DynamoDB Table Schema (for table creation)
+const tableSchema = {
+  TableName: tableName,
+  KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+  AttributeDefinitions: [
+    { AttributeName: 'id', AttributeType: 'S' },
+    { AttributeName: 'eventId', AttributeType: 'S' },
+    { AttributeName: 'joinedAt', AttributeType: 'S' },
+    { AttributeName: 'userId', AttributeType: 'S' },
+  ],
+  BillingMode: 'PAY_PER_REQUEST',
+  GlobalSecondaryIndexes: [
+    {
+      // Entries of an event in the order they joined
+      IndexName: 'EventIdIndex',
+      KeySchema: [
+        { AttributeName: 'eventId', KeyType: 'HASH' },
+        { AttributeName: 'joinedAt', KeyType: 'RANGE' },
+      ],
+      Projection: { ProjectionType: 'ALL' },
+    },
+    {
+      IndexName: 'UserIdIndex',
+      KeySchema: [{ AttributeName: 'userId', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'ALL' },
+    },
+  ],
+};
+
+// Validation Schema
+const validationSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  eventId: Joi.string().uuid().required(),
+  userId: Joi.string().required(),
+  tierId: Joi.string().optional(), // Only offer seats of this tier
+  seatCount: Joi.number().integer().min(1).max(MAX_SEATS_PER_ENTRY).required(),
+  name: Joi.string().allow('').optional(),
+  email: Joi.string().email().allow('').optional(),
+  phoneNumber: Joi.string().allow('').optional(),
+  status: Joi.string()
+    .valid(...Object.values(WaitlistStatus))
+    .default(WaitlistStatus.WAITING),
+  joinedAt: Joi.string().isoDate().required(),
+  offer: Joi.object({
+    ticketId: Joi.string().uuid().required(), // Pending booking of the offer
+    seats: Joi.array()
+      .items(Joi.alternatives().try(Joi.number(), Joi.string()))
+      .required(),
+    offeredAt: Joi.string().isoDate().required(),
+    expiresAt: Joi.string().isoDate().required(),
+  }).optional(),
+  closedAt: Joi.string().isoDate().optional(), // Set with any final status
+  createdAt: Joi.string().isoDate().optional(),
+  updatedAt: Joi.string().isoDate().optional(),
+});
+
+/**
+ * Validate waitlist entry data
+ * @param {Object} data - Entry data to validate
+ * @param {Object} options - Validation options
+ * @returns {Object} Validated and sanitized data
+ */
+const validate = (data, options = {}) => {
+  const { error, value } = validationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    ...options,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => detail.message);
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Build the ID of a user's entry on an event's waitlist
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID
+ * @returns {string} UUID
+ */
+const buildId = (eventId, userId) => {
+  return uuidv5(`${eventId}:${userId}`, WAITLIST_NAMESPACE);
+};
+
+/**
+ * Prepare a new entry at the end of the line
+ * @param {Object} data - { eventId, userId, tierId, seatCount, name, email, phoneNumber }
+ * @returns {Object} Entry ready for DynamoDB
+ */
+const prepareForCreation = (data) => {
+  const now = new Date().toISOString();
+
+  return validate({
+    ...data,
+    id: buildId(data.eventId, data.userId),
+    status: WaitlistStatus.WAITING,
+    joinedAt: now,
+    createdAt: now,
+    updatedAt: now,
+  });
+};
+
+/**
+ * Check if an entry is still in line or holding an offer
+ * @param {Object} entry - Waitlist entry
+ * @returns {boolean} True if the entry is not closed
+ */
+const isActive = (entry) => {
+  return (
+    entry.status === WaitlistStatus.WAITING ||
+    entry.status === WaitlistStatus.OFFERED
+  );
+};
+
+module.exports = {
+  tableName,
+  MAX_SEATS_PER_ENTRY,
+  WaitlistStatus,
+  tableSchema,
+  validationSchema,
+  validate,
+  buildId,
+  prepareForCreation,
+  isActive,
+};
@@ -3,6 +3,14 @@ const router = express.Router();
 const multer = require('multer');
 const eventService = require('../services/event.service');
 const categoryService = require('../services/category.service');
+const promoCodeService = require('../services/promoCode.service');
+const accessCodeService = require('../services/accessCode.service');
+const venueService = require('../services/venue.service');
+const refundRequestService = require('../services/refundRequest.service');
+const paymentService = require('../services/payment.service');
+const bookingService = require('../services/booking.service');
+const bookingStateMachine = require('../services/bookingStateMachine.service');
+const { RefundRequestModel } = require('../models');
 const { authenticate, authorize } = require('../middleware/auth.middleware');
 
 // Configure multer for memory storage (files will be uploaded to S3)
@@ -71,10 +79,57 @@ router.post(
         }
       }
 
+      if (typeof eventData.ticketTiers === 'string') {
+        try {
+          eventData.ticketTiers = JSON.parse(eventData.ticketTiers);
+        } catch {
+          // Never fall back to no tiers, that would drop the event's tiers
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed: ticketTiers must be valid JSON',
+          });
+        }
+      }
+
+      if (typeof eventData.refundPolicy === 'string') {
+        try {
+          eventData.refundPolicy = JSON.parse(eventData.refundPolicy);
+        } catch {
+          delete eventData.refundPolicy;
+        }
+      }
+
+      if (typeof eventData.purchaseLimits === 'string') {
+        try {
+          eventData.purchaseLimits = JSON.parse(eventData.purchaseLimits);
+        } catch {
+          delete eventData.purchaseLimits;
+        }
+      }
+
+      if (typeof eventData.queue === 'string') {
+        try {
+          eventData.queue = JSON.parse(eventData.queue);
+        } catch {
+          delete eventData.queue;
+        }
+      }
+
+      if (typeof eventData.presale === 'string') {
+        try {
+          eventData.presale = JSON.parse(eventData.presale);
+        } catch {
+          delete eventData.presale;
+        }
+      }
+
       // Parse numeric fields
       if (eventData.pricePerSeat) {
         eventData.pricePerSeat = parseFloat(eventData.pricePerSeat);
       }
+      if (eventData.taxRate) {
+        eventData.taxRate = parseFloat(eventData.taxRate);
+      }
       if (eventData.totalSeats) {
         eventData.totalSeats = parseInt(eventData.totalSeats);
       }
@@ -146,10 +201,57 @@ router.put(
         }
       }
 
+      if (typeof updateData.ticketTiers === 'string') {
+        try {
+          updateData.ticketTiers = JSON.parse(updateData.ticketTiers);
+        } catch {
+          // Never fall back to no tiers, that would drop the event's tiers
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed: ticketTiers must be valid JSON',
+          });
+        }
+      }
+
+      if (typeof updateData.refundPolicy === 'string') {
+        try {
+          updateData.refundPolicy = JSON.parse(updateData.refundPolicy);
+        } catch {
+          delete updateData.refundPolicy;
+        }
+      }
+
+      if (typeof updateData.purchaseLimits === 'string') {
+        try {
+          updateData.purchaseLimits = JSON.parse(updateData.purchaseLimits);
+        } catch {
+          delete updateData.purchaseLimits;
+        }
+      }
+
+      if (typeof updateData.queue === 'string') {
+        try {
+          updateData.queue = JSON.parse(updateData.queue);
+        } catch {
+          delete updateData.queue;
+        }
+      }
+
+      if (typeof updateData.presale === 'string') {
+        try {
+          updateData.presale = JSON.parse(updateData.presale);
+        } catch {
+          delete updateData.presale;
+        }
+      }
+
       // Parse numeric fields
       if (updateData.pricePerSeat) {
         updateData.pricePerSeat = parseFloat(updateData.pricePerSeat);
       }
+      if (updateData.taxRate) {
+        updateData.taxRate = parseFloat(updateData.taxRate);
+      }
       if (updateData.totalSeats) {
         updateData.totalSeats = parseInt(updateData.totalSeats);
       }
@@ -175,7 +277,8 @@ router.put(
       const result = await eventService.updateEvent(id, updateData);
 
       if (!result.success) {
-        return res.status(404).json(result);
+        const status = result.message === 'Event not found' ? 404 : 400;
+        return res.status(status).json(result);
       }
 
       res.json(result);
@@ -413,4 +516,518 @@ router.delete(
   }
 );
 
+/**
+ * GET /api/v1/admin/promo-codes
+ * List all promo codes with their redemption counts
+ * Admin only
+ */
+router.get(
+  '/promo-codes',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await promoCodeService.getAllPromoCodes();
+      res.json(result);
+    } catch (error) {
+      console.error('Error in GET /admin/promo-codes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve promo codes',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/promo-codes
+ * Create a new promo code
+ * Admin only
+ */
+router.post(
+  '/promo-codes',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await promoCodeService.createPromoCode(req.body);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error in POST /admin/promo-codes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create promo code',
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/admin/promo-codes/:code
+ * Update a promo code (discount, scope, limits, validity or active flag)
+ * Admin only
+ */
+router.put(
+  '/promo-codes/:code',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await promoCodeService.updatePromoCode(
+        req.params.code,
+        req.body
+      );
+
+      if (!result.success) {
+        const status = result.message === 'Promo code not found' ? 404 : 400;
+        return res.status(status).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error in PUT /admin/promo-codes/:code:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update promo code',
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/admin/promo-codes/:code
+ * Delete a promo code
+ * Admin only
+ */
+router.delete(
+  '/promo-codes/:code',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await promoCodeService.deletePromoCode(req.params.code);
+
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error in DELETE /admin/promo-codes/:code:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to delete promo code',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/events/:id/access-codes
+ * List the presale and access codes of an event
+ * Admin only
+ */
+router.get(
+  '/events/:id/access-codes',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await accessCodeService.getEventAccessCodes(req.params.id);
+      res.json(result);
+    } catch (error) {
+      console.error('Error in GET /admin/events/:id/access-codes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve access codes',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/events/:id/access-codes
+ * Create a presale or access code for an event
+ * Admin only
+ */
+router.post(
+  '/events/:id/access-codes',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await accessCodeService.createAccessCode(
+        req.params.id,
+        req.body
+      );
+
+      if (!result.success) {
+        const status = result.message === 'Event not found' ? 404 : 400;
+        return res.status(status).json(result);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error in POST /admin/events/:id/access-codes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create access code',
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/admin/events/:id/access-codes/:code
+ * Update an access code (type, validity or active flag)
+ * Admin only
+ */
+router.put(
+  '/events/:id/access-codes/:code',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await accessCodeService.updateAccessCode(
+        req.params.id,
+        req.params.code,
+        req.body
+      );
+
+      if (!result.success) {
+        const status = result.message === 'Access code not found' ? 404 : 400;
+        return res.status(status).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error(
+        'Error in PUT /admin/events/:id/access-codes/:code:',
+        error
+      );
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update access code',
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/admin/events/:id/access-codes/:code
+ * Delete an access code
+ * Admin only
+ */
+router.delete(
+  '/events/:id/access-codes/:code',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await accessCodeService.deleteAccessCode(
+        req.params.id,
+        req.params.code
+      );
+
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error(
+        'Error in DELETE /admin/events/:id/access-codes/:code:',
+        error
+      );
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to delete access code',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/venues
+ * List all venues with their seat map layouts
+ * Admin only
+ */
+router.get('/venues', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await venueService.getAllVenues();
+    res.json(result);
+  } catch (error) {
+    console.error('Error in GET /admin/venues:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retrieve venues',
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/venues/:id
+ * Get a venue with its seat map layouts
+ * Admin only
+ */
+router.get(
+  '/venues/:id',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await venueService.getVenueById(req.params.id);
+
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error in GET /admin/venues/:id:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve venue',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/admin/venues
+ * Create a venue with its seat map layouts (sections, rows and seats)
+ * Admin only
+ */
+router.post('/venues', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await venueService.createVenue(req.body);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error in POST /admin/venues:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create venue',
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/admin/venues/:id
+ * Update a venue; layouts used by events must keep their seat numbers
+ * Admin only
+ */
+router.put(
+  '/venues/:id',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await venueService.updateVenue(req.params.id, req.body);
+
+      if (!result.success) {
+        const status = result.message === 'Venue not found' ? 404 : 400;
+        return res.status(status).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error in PUT /admin/venues/:id:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update venue',
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/admin/venues/:id
+ * Delete a venue that no event uses
+ * Admin only
+ */
+router.delete(
+  '/venues/:id',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const result = await venueService.deleteVenue(req.params.id);
+
+      if (!result.success) {
+        const status = result.message === 'Venue not found' ? 404 : 409;
+        return res.status(status).json(result);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error in DELETE /admin/venues/:id:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to delete venue',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/refund-requests
+ * List refund requests, newest first
+ * Query params: status (PENDING, APPROVED or REJECTED)
+ * Admin only
+ */
+router.get(
+  '/refund-requests',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (
+        status &&
+        !Object.values(RefundRequestModel.RefundRequestStatus).includes(status)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid refund request status',
+        });
+      }
+
+      const result = await refundRequestService.getRefundRequests({ status });
+      res.json(result);
+    } catch (error) {
+      console.error('Error in GET /admin/refund-requests:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve refund requests',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/refund-requests/:id
+ * Get a refund request with its booking
+ * Admin only
+ */
+router.get(
+  '/refund-requests/:id',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const refundRequest = await refundRequestService.getRefundRequestById(
+        req.params.id
+      );
+
+      if (!refundRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Refund request not found',
+        });
+      }
+
+      const booking = await bookingService.getBookingById(
+        refundRequest.ticketId
+      );
+
+      res.json({
+        success: true,
+        data: { ...refundRequest, booking },
+      });
+    } catch (error) {
+      console.error('Error in GET /admin/refund-requests/:id:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve refund request',
+      });
+    }
+  }
+);
+
+// Approve or reject a refund request as the signed-in admin
+const reviewRefundRequest = (status) => async (req, res) => {
+  try {
+    const result = await refundRequestService.reviewRefundRequest(
+      req.params.id,
+      status,
+      { id: req.user.cognitoId, email: req.userProfile?.email },
+      req.body?.note
+    );
+
+    if (!result.success) {
+      const httpStatus =
+        result.message === 'Refund request not found' ? 404 : 409;
+      return res.status(httpStatus).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.code === bookingStateMachine.INVALID_TRANSITION) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === bookingService.BOOKING_REJECTED) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        data: error.details,
+      });
+    }
+
+    if (error.code === paymentService.PAYMENT_FAILED) {
+      return res.status(502).json({
+        success: false,
+        message: error.message,
+        data: { failure: error.failure, ...error.details },
+      });
+    }
+
+    console.error('Error reviewing refund request:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to review refund request',
+    });
+  }
+};
+
+/**
+ * POST /api/v1/admin/refund-requests/:id/approve
+ * Approve a pending refund request and refund the booking in full
+ * Body: { note } (optional, shown to the customer)
+ * Admin only
+ */
+router.post(
+  '/refund-requests/:id/approve',
+  authenticate,
+  authorize('admin'),
+  reviewRefundRequest(RefundRequestModel.RefundRequestStatus.APPROVED)
+);
+
+/**
+ * POST /api/v1/admin/refund-requests/:id/reject
+ * Reject a pending refund request
+ * Body: { note } (optional, shown to the customer)
+ * Admin only
+ */
+router.post(
+  '/refund-requests/:id/reject',
+  authenticate,
+  authorize('admin'),
+  reviewRefundRequest(RefundRequestModel.RefundRequestStatus.REJECTED)
+);
+
 module.exports = router;
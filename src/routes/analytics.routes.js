@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth.middleware');
 const authService = require('../services/auth.service');
+const { BookingModel } = require('../models');
 
 /**
  * GET /api/v1/analytics
@@ -54,21 +55,46 @@ router.get('/', authenticate, async (req, res) => {
     const tickets = ticketsResult.Items || [];
 
     // Calculate statistics
-    const confirmedTickets = tickets.filter((t) => t.status === 'CONFIRMED');
+    // Partially refunded bookings still hold sold seats
+    const confirmedTickets = tickets.filter((t) =>
+      BookingModel.hasSoldSeats(t)
+    );
     const pendingTickets = tickets.filter((t) => t.status === 'PENDING');
+    const cancelledTickets = tickets.filter((t) => t.status === 'CANCELLED');
+    const expiredTickets = tickets.filter((t) => t.status === 'EXPIRED');
 
     const totalTicketsSold = confirmedTickets.length;
     const totalRevenue = confirmedTickets.reduce((sum, ticket) => {
-      const ticketRevenue =
-        ticket.pricePerSeat * (ticket.takenSeats?.length || 0);
-      return sum + ticketRevenue;
+      return sum + BookingModel.getNetAmount(ticket);
     }, 0);
+    // Split revenue using the stored price breakdowns
+    const revenueBreakdown = confirmedTickets.reduce(
+      (acc, ticket) => {
+        const breakdown = ticket.priceBreakdown;
+        acc.ticketSales += breakdown
+          ? breakdown.subtotal
+          : BookingModel.getTotalAmount(ticket);
+        acc.discounts += breakdown?.discount || 0;
+        acc.serviceFees += breakdown?.serviceFee || 0;
+        acc.taxes += breakdown?.tax || 0;
+        acc.refunds += ticket.refundAmount || 0;
+        return acc;
+      },
+      { ticketSales: 0, discounts: 0, serviceFees: 0, taxes: 0, refunds: 0 }
+    );
     const pendingBookings = pendingTickets.length;
+    const cancelledBookings = cancelledTickets.length;
+    const expiredBookings = expiredTickets.length;
+    // Share of finished checkouts that ran out without being paid
+    const finishedCheckouts = tickets.length - pendingBookings;
+    const abandonedCheckoutRate =
+      finishedCheckouts > 0 ? expiredBookings / finishedCheckouts : 0;
     const averageOrderValue =
       totalTicketsSold > 0 ? totalRevenue / totalTicketsSold : 0;
 
     // Get recent activity (last 10 bookings/transactions)
-    // Sort by the most recent action (created, confirmed, or refunded)
+    // Sort by the most recent action (created, confirmed, cancelled,
+    // expired or refunded)
     const recentTickets = tickets
       .map((ticket) => {
         // Determine the most recent timestamp for this ticket
@@ -76,9 +102,11 @@ router.get('/', authenticate, async (req, res) => {
           new Date(ticket.createdAt || 0).getTime(),
           new Date(ticket.updatedAt || 0).getTime(),
         ];
-        if (ticket.refundedAt) {
-          timestamps.push(new Date(ticket.refundedAt).getTime());
-        }
+        [ticket.refundedAt, ticket.cancelledAt, ticket.expiredAt]
+          .filter(Boolean)
+          .forEach((timestamp) => {
+            timestamps.push(new Date(timestamp).getTime());
+          });
         return {
           ...ticket,
           mostRecentTimestamp: Math.max(...timestamps),
@@ -88,9 +116,7 @@ router.get('/', authenticate, async (req, res) => {
       .slice(0, 10);
 
     const recentActivity = recentTickets.map((ticket) => {
-      const ticketValue = (
-        ticket.pricePerSeat * (ticket.takenSeats?.length || 0)
-      ).toFixed(2);
+      const ticketValue = BookingModel.getTotalAmount(ticket).toFixed(2);
 
       // Determine activity type and description based on status
       if (ticket.status === 'REFUNDED') {
@@ -101,6 +127,30 @@ router.get('/', authenticate, async (req, res) => {
           } seat(s) - $${ticketValue}`,
           timestamp: ticket.refundedAt || ticket.updatedAt || ticket.createdAt,
         };
+      } else if (ticket.status === 'CANCELLED') {
+        return {
+          type: 'Booking Cancelled',
+          description: `${ticket.name || 'User'} cancelled ${
+            ticket.takenSeats?.length || 0
+          } seat(s) - $${ticketValue}`,
+          timestamp: ticket.cancelledAt || ticket.updatedAt,
+        };
+      } else if (ticket.status === 'EXPIRED') {
+        return {
+          type: 'Booking Expired',
+          description: `Checkout for ${
+            ticket.takenSeats?.length || 0
+          } seat(s) expired unpaid - $${ticketValue}`,
+          timestamp: ticket.expiredAt || ticket.updatedAt,
+        };
+      } else if (ticket.status === 'PARTIALLY_REFUNDED') {
+        return {
+          type: 'Seats Refunded',
+          description: `${ticket.name || 'User'} refunded ${
+            ticket.refundBreakdown?.seats?.length || 0
+          } seat(s) - $${(ticket.refundBreakdown?.refundAmount || 0).toFixed(2)}`,
+          timestamp: ticket.refundedAt || ticket.updatedAt,
+        };
       } else if (ticket.status === 'CONFIRMED') {
         return {
           type: 'Ticket Purchased',
@@ -128,7 +178,11 @@ router.get('/', authenticate, async (req, res) => {
         totalEvents,
         totalTicketsSold,
         totalRevenue,
+        revenueBreakdown,
         pendingBookings,
+        cancelledBookings,
+        expiredBookings,
+        abandonedCheckoutRate,
         averageOrderValue,
         recentActivity,
       },
@@ -1,89 +1,701 @@
 const express = require('express');
 const router = express.Router();
 const bookingService = require('../services/booking.service');
+const paymentService = require('../services/payment.service');
+const refundRequestService = require('../services/refundRequest.service');
+const seatTicketService = require('../services/seatTicket.service');
+const ticketTokenService = require('../services/ticketToken.service');
+const pdfService = require('../services/pdf.service');
+const walletService = require('../services/wallet.service');
+const bookingStateMachine = require('../services/bookingStateMachine.service');
 const { authenticate } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { requireQueueAdmission } = require('../middleware/queue.middleware');
+const { BookingModel } = require('../models');
 
-// Get booked seats for an event
-router.get('/events/:eventId/seats', async (req, res) => {
+// Transition context for a change made by the signed-in customer
+const customerContext = (req, reason) => ({
+  actor: {
+    type: bookingStateMachine.ActorType.USER,
+    id: req.user.cognitoId,
+  },
+  reason,
+});
+
+// HTTP status for a failed payment: declined cards are the client's problem,
+// an unresponsive or failing provider is a gateway error
+const getPaymentErrorStatus = (error) => {
+  switch (error.failure) {
+    case paymentService.PaymentFailure.DECLINED:
+      return 402;
+    case paymentService.PaymentFailure.TIMEOUT:
+      return 504;
+    default:
+      return 502;
+  }
+};
+
+// Load a sold booking of the signed-in customer for a wallet pass, or send
+// the error response and return null
+// Query params: seat (optional, defaults to all seats)
+const getWalletBooking = async (req, res) => {
+  const booking = await bookingService.getBookingById(req.params.ticketId);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found',
+    });
+    return null;
+  }
+
+  // Check if user owns this booking
+  if (booking.userId !== req.user.cognitoId) {
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized access to booking',
+    });
+    return null;
+  }
+
+  if (!BookingModel.hasSoldSeats(booking)) {
+    res.status(400).json({
+      success: false,
+      message: 'Wallet passes are only available for confirmed bookings',
+    });
+    return null;
+  }
+
+  const { seat } = req.query;
+  if (
+    seat !== undefined &&
+    !booking.takenSeats.some((taken) => String(taken) === String(seat))
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `Seat ${seat} is not part of this booking`,
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// Get seat states for an event (sold seats and held seats with expiry)
+// Events in queue mode need the X-Queue-Token of an admitted session
+router.get(
+  '/events/:eventId/seats',
+  requireQueueAdmission,
+  async (req, res) => {
+    try {
+      const { eventId } = req.params;
+      const seatStates = await bookingService.getSeatStates(eventId);
+
+      if (!seatStates) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...seatStates,
+          bookedSeats: seatStates.seats.map((seatState) => seatState.seat),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching booked seats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch booked seats',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get the venue seat map of an event with the live state of every seat
+// Events in queue mode need the X-Queue-Token of an admitted session
+router.get(
+  '/events/:eventId/seat-map',
+  requireQueueAdmission,
+  async (req, res) => {
+    try {
+      const seatMap = await bookingService.getSeatMap(req.params.eventId);
+
+      if (!seatMap) {
+        return res.status(404).json({
+          success: false,
+          message: 'Seat map not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: seatMap,
+      });
+    } catch (error) {
+      console.error('Error fetching seat map:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch seat map',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Create a booking (requires auth)
+// Body: { eventId, tierId, seats, name, email, phoneNumber, accessCode }
+// Events in queue mode need the X-Queue-Token of the user's admitted session
+router.post(
+  '/bookings',
+  authenticate,
+  requireQueueAdmission,
+  idempotent,
+  async (req, res) => {
+    try {
+      // Prices are computed by the service, any client pricePerSeat is ignored
+      const { eventId, tierId, seats, name, email, phoneNumber, accessCode } =
+        req.body;
+      const userId = req.user.cognitoId; // From authenticated user
+
+      if (!eventId || !seats || !Array.isArray(seats) || seats.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event ID and seats are required',
+        });
+      }
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required',
+        });
+      }
+
+      const bookingData = {
+        eventId,
+        userId,
+        tierId,
+        seats,
+        name,
+        email,
+        phoneNumber,
+        accessCode,
+      };
+
+      // Seats are checked and reserved atomically by the service
+      const booking = await bookingService.createBooking(bookingData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Booking created successfully',
+        data: booking,
+      });
+    } catch (error) {
+      if (error.code === bookingService.SEAT_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { conflictingSeats: error.conflictingSeats },
+        });
+      }
+
+      if (error.code === bookingService.TRANSACTION_BUSY) {
+        return res.status(503).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.code === bookingService.BOOKING_REJECTED) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: error.details,
+        });
+      }
+
+      console.error('Error creating booking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create booking',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Hold the best available seats of an event (requires auth)
+// Picks the block closest to the front and centre, or the best seats apart
+// when no block is free. Returns a pending booking holding the seats.
+// Query params: quantity, tier
+// Body: { name, email, phoneNumber, accessCode }
+// Events in queue mode need the X-Queue-Token of the user's admitted session
+router.post(
+  '/events/:eventId/best-available',
+  authenticate,
+  requireQueueAdmission,
+  idempotent,
+  async (req, res) => {
+    try {
+      const quantity = Number(req.query.quantity);
+      const { name, email, phoneNumber, accessCode } = req.body || {};
+
+      if (
+        !Number.isInteger(quantity) ||
+        quantity < 1 ||
+        quantity > BookingModel.MAX_SEATS_PER_BOOKING
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `quantity must be between 1 and ${BookingModel.MAX_SEATS_PER_BOOKING}`,
+        });
+      }
+
+      const result = await bookingService.createBestAvailableBooking({
+        eventId: req.params.eventId,
+        userId: req.user.cognitoId,
+        tierId: req.query.tier,
+        quantity,
+        name,
+        email,
+        phoneNumber,
+        accessCode,
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found',
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.contiguous
+          ? 'Seats held successfully'
+          : 'No seats together were left, the best seats apart are held',
+        data: result,
+      });
+    } catch (error) {
+      if (error.code === bookingService.SEAT_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: 'The best seats were taken meanwhile, please try again',
+          data: { conflictingSeats: error.conflictingSeats },
+        });
+      }
+
+      if (error.code === bookingService.TRANSACTION_BUSY) {
+        return res.status(503).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.code === bookingService.BOOKING_REJECTED) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: error.details,
+        });
+      }
+
+      console.error('Error holding best available seats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to hold best available seats',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get booking by ID (requires auth)
+router.get('/bookings/:ticketId', authenticate, async (req, res) => {
   try {
-    const { eventId } = req.params;
-    const bookedSeats = await bookingService.getBookedSeats(eventId);
+    const { ticketId } = req.params;
+    const booking = await bookingService.getBookingById(ticketId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    // Check if user owns this booking
+    if (booking.userId !== req.user.cognitoId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized access to booking',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: booking,
+    });
+  } catch (error) {
+    console.error('Error fetching booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking',
+      error: error.message,
+    });
+  }
+});
+
+// Confirm booking with payment (requires auth)
+router.post(
+  '/bookings/:ticketId/confirm',
+  authenticate,
+  idempotent,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const { cardNumber, expiryDate, cvv, cardholderName } = req.body;
+
+      // Validate payment fields
+      if (!cardNumber || !expiryDate || !cvv || !cardholderName) {
+        return res.status(400).json({
+          success: false,
+          message: 'All payment fields are required',
+        });
+      }
+
+      // Get booking first
+      const booking = await bookingService.getBookingById(ticketId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      // Check if booking is expired
+      if (new Date(booking.expiresAt) < new Date()) {
+        // Mark the booking as expired and free its seats
+        await bookingService.expireBookingById(ticketId);
+        return res.status(410).json({
+          success: false,
+          message: 'Booking has expired',
+        });
+      }
+
+      // Card details go to the payment provider and are not stored
+      const confirmedBooking = await bookingService.confirmBooking(
+        ticketId,
+        {
+          cardNumber: String(cardNumber),
+          expiryDate,
+          cvv,
+          cardholderName,
+        },
+        customerContext(req, 'Paid by card')
+      );
+
+      res.json({
+        success: true,
+        message: 'Booking confirmed successfully',
+        data: confirmedBooking,
+      });
+    } catch (error) {
+      if (error.code === bookingService.SEAT_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { conflictingSeats: error.conflictingSeats },
+        });
+      }
+
+      if (error.code === bookingService.TRANSACTION_BUSY) {
+        return res.status(503).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.code === paymentService.PAYMENT_FAILED) {
+        return res.status(getPaymentErrorStatus(error)).json({
+          success: false,
+          message: error.message,
+          data: { failure: error.failure, ...error.details },
+        });
+      }
+
+      if (error.code === bookingStateMachine.INVALID_TRANSITION) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Error confirming booking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm booking',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Extend the seat hold of a pending booking (requires auth)
+router.post(
+  '/bookings/:ticketId/extend-hold',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+
+      // Get booking first
+      const booking = await bookingService.getBookingById(ticketId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      const extendedBooking = await bookingService.extendBookingHold(ticketId);
+
+      res.json({
+        success: true,
+        message: 'Booking hold extended successfully',
+        data: extendedBooking,
+      });
+    } catch (error) {
+      console.error('Error extending booking hold:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to extend booking hold',
+      });
+    }
+  }
+);
+
+// Apply a promo code to a pending booking (requires auth)
+router.post(
+  '/bookings/:ticketId/promo-code',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promo code is required',
+        });
+      }
+
+      // Get booking first
+      const booking = await bookingService.getBookingById(ticketId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      const updatedBooking = await bookingService.applyPromoCode(
+        ticketId,
+        code
+      );
+
+      res.json({
+        success: true,
+        message: 'Promo code applied successfully',
+        data: updatedBooking,
+      });
+    } catch (error) {
+      console.error('Error applying promo code:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to apply promo code',
+      });
+    }
+  }
+);
+
+// Update customer info (requires auth)
+router.put(
+  '/bookings/:ticketId/customer-info',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const { name, email, phoneNumber } = req.body;
+
+      if (!name || !email || !phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'All customer fields are required',
+        });
+      }
+
+      // Get booking first
+      const booking = await bookingService.getBookingById(ticketId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      const updatedBooking = await bookingService.updateCustomerInfo(ticketId, {
+        name,
+        email,
+        phoneNumber,
+      });
+
+      res.json({
+        success: true,
+        message: 'Customer info updated successfully',
+        data: updatedBooking,
+      });
+    } catch (error) {
+      console.error('Error updating customer info:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update customer info',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get the status history of a booking (requires auth)
+router.get('/bookings/:ticketId/history', authenticate, async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const booking = await bookingService.getBookingById(ticketId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    // Check if user owns this booking
+    if (booking.userId !== req.user.cognitoId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized access to booking',
+      });
+    }
+
+    const history = await bookingService.getBookingHistory(ticketId);
 
     res.json({
       success: true,
-      data: { bookedSeats },
+      data: history,
     });
   } catch (error) {
-    console.error('Error fetching booked seats:', error);
+    console.error('Error fetching booking history:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch booked seats',
+      message: 'Failed to fetch booking history',
       error: error.message,
     });
   }
 });
 
-// Create a booking (requires auth)
-router.post('/bookings', authenticate, async (req, res) => {
+// Get one ticket per seat with the signed token to show as a QR code
+// (requires auth)
+router.get('/bookings/:ticketId/tickets', authenticate, async (req, res) => {
   try {
-    const { eventId, seats, pricePerSeat, name, email, phoneNumber } = req.body;
-    const userId = req.user.cognitoId; // From authenticated user
+    const { ticketId } = req.params;
+    const booking = await bookingService.getBookingById(ticketId);
 
-    if (!eventId || !seats || !Array.isArray(seats) || seats.length === 0) {
-      return res.status(400).json({
+    if (!booking) {
+      return res.status(404).json({
         success: false,
-        message: 'Event ID and seats are required',
+        message: 'Booking not found',
       });
     }
 
-    if (!userId) {
-      return res.status(401).json({
+    // Check if user owns this booking
+    if (booking.userId !== req.user.cognitoId) {
+      return res.status(403).json({
         success: false,
-        message: 'User authentication required',
+        message: 'Unauthorized access to booking',
       });
     }
 
-    // Check if seats are already booked
-    const bookedSeats = await bookingService.getBookedSeats(eventId);
-    const conflictingSeats = seats.filter((seat) => bookedSeats.includes(seat));
-
-    if (conflictingSeats.length > 0) {
-      return res.status(409).json({
+    if (!BookingModel.hasSoldSeats(booking)) {
+      return res.status(400).json({
         success: false,
-        message: 'Some seats are already booked',
-        data: { conflictingSeats },
+        message: 'Tickets are only available for confirmed bookings',
       });
     }
 
-    const bookingData = {
-      eventId,
-      userId,
-      seats,
-      pricePerSeat,
-      name,
-      email,
-      phoneNumber,
-    };
+    const tickets = await seatTicketService.getBookingTickets(booking);
 
-    const booking = await bookingService.createBooking(bookingData);
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Booking created successfully',
-      data: booking,
+      data: {
+        bookingCode: booking.bookingCode,
+        holderName: booking.name,
+        tickets,
+      },
     });
   } catch (error) {
-    console.error('Error creating booking:', error);
+    console.error('Error fetching tickets:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create booking',
+      message: 'Failed to fetch tickets',
       error: error.message,
     });
   }
 });
 
-// Get booking by ID (requires auth)
-router.get('/bookings/:ticketId', authenticate, async (req, res) => {
+// Download the tickets of a booking as a PDF, one QR code per seat
+// (requires auth)
+router.get('/bookings/:ticketId/pdf', authenticate, async (req, res) => {
   try {
     const { ticketId } = req.params;
     const booking = await bookingService.getBookingById(ticketId);
@@ -103,35 +715,36 @@ router.get('/bookings/:ticketId', authenticate, async (req, res) => {
       });
     }
 
-    res.json({
-      success: true,
-      data: booking,
+    if (!BookingModel.hasSoldSeats(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tickets are only available for confirmed bookings',
+      });
+    }
+
+    const pdf = await pdfService.getTicketPdf(booking);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="tickets-${booking.bookingCode || booking.id}.pdf"`,
     });
+    res.send(pdf);
   } catch (error) {
-    console.error('Error fetching booking:', error);
+    console.error('Error generating ticket PDF:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch booking',
+      message: 'Failed to generate ticket PDF',
       error: error.message,
     });
   }
 });
 
-// Confirm booking with payment (requires auth)
-router.post('/bookings/:ticketId/confirm', authenticate, async (req, res) => {
+// Download the receipt of a paid booking as a PDF. The invoice number is
+// assigned on the first download and stays the same afterwards
+// (requires auth)
+router.get('/bookings/:ticketId/receipt', authenticate, async (req, res) => {
   try {
     const { ticketId } = req.params;
-    const { cardNumber, expiryDate, cvv, cardholderName } = req.body;
-
-    // Validate payment fields
-    if (!cardNumber || !expiryDate || !cvv || !cardholderName) {
-      return res.status(400).json({
-        success: false,
-        message: 'All payment fields are required',
-      });
-    }
-
-    // Get booking first
     const booking = await bookingService.getBookingById(ticketId);
 
     if (!booking) {
@@ -149,60 +762,128 @@ router.post('/bookings/:ticketId/confirm', authenticate, async (req, res) => {
       });
     }
 
-    // Check if booking is expired
-    if (new Date(booking.expiresAt) < new Date()) {
-      // Delete expired booking
-      await bookingService.cancelBooking(ticketId);
-      return res.status(410).json({
+    if (!BookingModel.canBeInvoiced(booking)) {
+      return res.status(400).json({
         success: false,
-        message: 'Booking has expired',
+        message: 'Receipts are only available for paid bookings',
       });
     }
 
-    // Store last 4 digits only for security
-    const paymentInfo = {
-      cardLastFour: cardNumber.slice(-4),
-      cardholderName,
-      paymentDate: new Date().toISOString(),
-    };
-
-    const confirmedBooking = await bookingService.confirmBooking(
-      ticketId,
-      paymentInfo
-    );
+    const { invoiceNumber, pdf } = await pdfService.getReceiptPdf(booking);
 
-    res.json({
-      success: true,
-      message: 'Booking confirmed successfully',
-      data: confirmedBooking,
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${invoiceNumber}.pdf"`,
     });
+    res.send(pdf);
   } catch (error) {
-    console.error('Error confirming booking:', error);
+    console.error('Error generating receipt:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to confirm booking',
+      message: 'Failed to generate receipt',
       error: error.message,
     });
   }
 });
 
-// Update customer info (requires auth)
-router.put(
-  '/bookings/:ticketId/customer-info',
+// Download an Apple Wallet pass per seat: a .pkpass for one seat, or a
+// .pkpasses bundle for several (requires auth)
+router.get(
+  '/bookings/:ticketId/wallet/apple',
   authenticate,
   async (req, res) => {
     try {
-      const { ticketId } = req.params;
-      const { name, email, phoneNumber } = req.body;
+      const booking = await getWalletBooking(req, res);
+      if (!booking) return;
 
-      if (!name || !email || !phoneNumber) {
-        return res.status(400).json({
+      const { data, contentType, filename } =
+        await walletService.getApplePasses(booking, req.query.seat);
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      });
+      res.send(data);
+    } catch (error) {
+      if (error.code === walletService.WALLET_UNAVAILABLE) {
+        return res.status(503).json({
           success: false,
-          message: 'All customer fields are required',
+          message: error.message,
         });
       }
 
-      // Get booking first
+      console.error('Error building Apple Wallet pass:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build Apple Wallet pass',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get the "Add to Google Wallet" link with a pass per seat (requires auth)
+router.get(
+  '/bookings/:ticketId/wallet/google',
+  authenticate,
+  async (req, res) => {
+    try {
+      const booking = await getWalletBooking(req, res);
+      if (!booking) return;
+
+      const link = await walletService.getGoogleSaveLink(
+        booking,
+        req.query.seat
+      );
+
+      res.json({
+        success: true,
+        data: link,
+      });
+    } catch (error) {
+      if (error.code === walletService.WALLET_UNAVAILABLE) {
+        return res.status(503).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Error building Google Wallet pass:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build Google Wallet pass',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Public key that verifies ticket QR codes, for scanners working offline
+router.get('/tickets/public-key', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ticketTokenService.getPublicKey(),
+    });
+  } catch (error) {
+    console.error('Error loading ticket signing key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load ticket signing key',
+      error: error.message,
+    });
+  }
+});
+
+// Get the refund the customer would receive now under the event's refund
+// policy (requires auth)
+// Query params: seats (comma separated, defaults to all seats left)
+router.get(
+  '/bookings/:ticketId/refund-quote',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
       const booking = await bookingService.getBookingById(ticketId);
 
       if (!booking) {
@@ -220,29 +901,39 @@ router.put(
         });
       }
 
-      const updatedBooking = await bookingService.updateCustomerInfo(ticketId, {
-        name,
-        email,
-        phoneNumber,
-      });
+      const seats = req.query.seats
+        ? req.query.seats.split(',').map((seat) => seat.trim())
+        : undefined;
+      const quote = await bookingService.getRefundQuote(
+        ticketId,
+        customerContext(req),
+        seats
+      );
 
       res.json({
         success: true,
-        message: 'Customer info updated successfully',
-        data: updatedBooking,
+        data: quote,
       });
     } catch (error) {
-      console.error('Error updating customer info:', error);
+      if (error.code === bookingService.BOOKING_REJECTED) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: error.details,
+        });
+      }
+
+      console.error('Error fetching refund quote:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update customer info',
+        message: 'Failed to fetch refund quote',
         error: error.message,
       });
     }
   }
 );
 
-// Cancel booking (requires auth)
+// Cancel an unpaid booking, paid ones are refunded (requires auth)
 router.delete('/bookings/:ticketId', authenticate, async (req, res) => {
   try {
     const { ticketId } = req.params;
@@ -265,13 +956,23 @@ router.delete('/bookings/:ticketId', authenticate, async (req, res) => {
       });
     }
 
-    await bookingService.cancelBooking(ticketId);
+    await bookingService.cancelBooking(
+      ticketId,
+      customerContext(req, req.body?.reason || 'Cancelled by customer')
+    );
 
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
     });
   } catch (error) {
+    if (error.code === bookingStateMachine.INVALID_TRANSITION) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Error cancelling booking:', error);
     res.status(500).json({
       success: false,
@@ -282,49 +983,188 @@ router.delete('/bookings/:ticketId', authenticate, async (req, res) => {
 });
 
 // Refund booking (requires auth)
-router.post('/bookings/:ticketId/refund', authenticate, async (req, res) => {
-  try {
-    const { ticketId } = req.params;
+router.post(
+  '/bookings/:ticketId/refund',
+  authenticate,
+  idempotent,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
 
-    // Get booking first
-    const booking = await bookingService.getBookingById(ticketId);
+      // Get booking first
+      const booking = await bookingService.getBookingById(ticketId);
 
-    if (!booking) {
-      return res.status(404).json({
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      // Optional subset of the booking's seats, all seats when omitted
+      const { seats } = req.body || {};
+      if (seats !== undefined && !Array.isArray(seats)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Seats must be an array',
+        });
+      }
+
+      const result = await bookingService.refundBooking(
+        ticketId,
+        customerContext(
+          req,
+          req.body?.reason || 'Refund requested by customer'
+        ),
+        seats
+      );
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.data,
+      });
+    } catch (error) {
+      if (error.code === paymentService.PAYMENT_FAILED) {
+        return res.status(getPaymentErrorStatus(error)).json({
+          success: false,
+          message: error.message,
+          data: { failure: error.failure, ...error.details },
+        });
+      }
+
+      if (error.code === bookingService.BOOKING_REJECTED) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: error.details,
+        });
+      }
+
+      console.error('Error refunding booking:', error);
+      res.status(400).json({
         success: false,
-        message: 'Booking not found',
+        message: error.message || 'Failed to refund booking',
       });
     }
+  }
+);
 
-    // Check if user owns this booking
-    if (booking.userId !== req.user.cognitoId) {
-      return res.status(403).json({
+// Ask an admin for a refund, e.g. when the refund policy no longer allows a
+// self-service refund (requires auth)
+// Body: { reason, seats } - seats defaults to all seats of the booking
+router.post(
+  '/bookings/:ticketId/refund-requests',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const { reason, seats } = req.body || {};
+
+      if (seats !== undefined && !Array.isArray(seats)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Seats must be an array',
+        });
+      }
+
+      const booking = await bookingService.getBookingById(ticketId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      const result = await refundRequestService.createRefundRequest(booking, {
+        reason,
+        seats,
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error creating refund request:', error);
+      res.status(500).json({
         success: false,
-        message: 'Unauthorized access to booking',
+        message: 'Failed to submit refund request',
+        error: error.message,
       });
     }
+  }
+);
 
-    const result = await bookingService.refundBooking(ticketId);
+// Get the refund requests of a booking (requires auth)
+router.get(
+  '/bookings/:ticketId/refund-requests',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const booking = await bookingService.getBookingById(ticketId);
 
-    res.json({
-      success: true,
-      message: 'Booking refunded successfully',
-      data: result.data,
-    });
-  } catch (error) {
-    console.error('Error refunding booking:', error);
-    res.status(400).json({
-      success: false,
-      message: error.message || 'Failed to refund booking',
-    });
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found',
+        });
+      }
+
+      // Check if user owns this booking
+      if (booking.userId !== req.user.cognitoId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access to booking',
+        });
+      }
+
+      const refundRequests =
+        await refundRequestService.getBookingRefundRequests(ticketId);
+
+      res.json({
+        success: true,
+        data: refundRequests,
+      });
+    } catch (error) {
+      console.error('Error fetching refund requests:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch refund requests',
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get user's bookings (requires auth)
+// Query params: status (comma separated, e.g. CANCELLED,EXPIRED)
 router.get('/my-bookings', authenticate, async (req, res) => {
   try {
     const userId = req.user.cognitoId;
-    const bookings = await bookingService.getUserBookings(userId);
+    const statuses = req.query.status
+      ? req.query.status.split(',').map((status) => status.trim())
+      : undefined;
+    const bookings = await bookingService.getUserBookings(userId, statuses);
 
     res.json({
       success: true,
@@ -347,7 +1187,7 @@ router.post('/bookings/cleanup', async (req, res) => {
 
     res.json({
       success: true,
-      message: `Cleaned up ${result.deleted} expired bookings`,
+      message: `Cleaned up ${result.expired} expired bookings`,
       data: result,
     });
   } catch (error) {
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const checkInService = require('../services/checkIn.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const { CheckInRejection } = checkInService;
+
+// HTTP status for a refused ticket: unreadable tokens are bad requests,
+// tickets that exist but may not enter conflict with their current state
+const getRejectionStatus = (error) => {
+  switch (error.reason) {
+    case CheckInRejection.INVALID_TOKEN:
+      return 400;
+    case CheckInRejection.NOT_FOUND:
+      return 404;
+    default:
+      return 409;
+  }
+};
+
+/**
+ * POST /api/v1/checkin
+ * Check in a scanned ticket
+ * Body: { token, eventId, deviceId } - eventId is the event being admitted
+ * to, deviceId optionally names the scanner
+ * Staff only
+ */
+router.post('/', authenticate, authorize('staff'), async (req, res) => {
+  try {
+    const { token, eventId, deviceId } = req.body || {};
+
+    if (!token || !eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket token and event ID are required',
+      });
+    }
+
+    const ticket = await checkInService.checkIn(
+      token,
+      eventId,
+      req.user.cognitoId,
+      deviceId
+    );
+
+    res.json({
+      success: true,
+      message: 'Ticket checked in',
+      data: ticket,
+    });
+  } catch (error) {
+    if (error.code === checkInService.CHECKIN_REJECTED) {
+      return res.status(getRejectionStatus(error)).json({
+        success: false,
+        message: error.message,
+        data: { reason: error.reason, ticket: error.details || null },
+      });
+    }
+
+    console.error('Error checking in ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in ticket',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/checkin/events/:eventId/manifest
+ * Get the signed list of tickets that may enter, for scanning offline
+ * Staff only
+ */
+router.get(
+  '/events/:eventId/manifest',
+  authenticate,
+  authorize('staff'),
+  async (req, res) => {
+    try {
+      const data = await checkInService.getManifest(req.params.eventId);
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      console.error('Error building check-in manifest:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build check-in manifest',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/checkin/events/:eventId/sync
+ * Push the scans a scanner made offline and get a reconciliation report
+ * Body: { deviceId, scans: [{ token, scannedAt }] }
+ * Staff only
+ */
+router.post(
+  '/events/:eventId/sync',
+  authenticate,
+  authorize('staff'),
+  async (req, res) => {
+    try {
+      const { deviceId, scans } = req.body || {};
+
+      if (!deviceId || typeof deviceId !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Device ID is required',
+        });
+      }
+
+      if (
+        !Array.isArray(scans) ||
+        scans.some((scan) => !scan || typeof scan.token !== 'string')
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scans must be an array of { token, scannedAt }',
+        });
+      }
+
+      if (scans.length > checkInService.MAX_SYNC_SCANS) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${checkInService.MAX_SYNC_SCANS} scans can be synced at once`,
+        });
+      }
+
+      const report = await checkInService.syncScans(
+        req.params.eventId,
+        { deviceId, scans },
+        req.user.cognitoId
+      );
+
+      res.json({
+        success: true,
+        message: 'Scans synced',
+        data: report,
+      });
+    } catch (error) {
+      console.error('Error syncing scans:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync scans',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/checkin/events/:eventId/stats
+ * Get check-in counts of an event, overall and per ticket tier
+ * Staff only
+ */
+router.get(
+  '/events/:eventId/stats',
+  authenticate,
+  authorize('staff'),
+  async (req, res) => {
+    try {
+      const stats = await checkInService.getCheckInStats(req.params.eventId);
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      console.error('Error fetching check-in stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch check-in stats',
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
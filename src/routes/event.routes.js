@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const eventService = require('../services/event.service');
+const accessCodeService = require('../services/accessCode.service');
+const { EventModel } = require('../models');
 
 /**
  * GET /api/v1/events/search
@@ -131,6 +133,8 @@ router.get('/this-month', async (req, res) => {
 /**
  * GET /api/v1/events/:id
  * Get event details by ID
+ * Private events are only shown with one of their access codes
+ * Query params: accessCode
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -149,6 +153,17 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json(result);
     }
 
+    if (
+      EventModel.getVisibility(result.data) ===
+        EventModel.EventVisibility.PRIVATE &&
+      !(await accessCodeService.findUsableCode(id, req.query.accessCode))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found',
+      });
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Error in get event by ID:', error);
@@ -8,13 +8,23 @@ const bookingRoutes = require('./booking.routes');
 const analyticsRoutes = require('./analytics.routes');
 const categoryRoutes = require('./category.routes');
 const adminRoutes = require('./admin.routes');
+const paymentRoutes = require('./payment.routes');
+const transferRoutes = require('./transfer.routes');
+const checkInRoutes = require('./checkin.routes');
+const waitlistRoutes = require('./waitlist.routes');
+const queueRoutes = require('./queue.routes');
 
 router.use('/hello', helloRoutes);
 router.use('/auth', authRoutes);
 router.use('/events', eventRoutes);
 router.use('/', bookingRoutes);
+router.use('/', transferRoutes);
+router.use('/', waitlistRoutes);
+router.use('/', queueRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/admin', adminRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/checkin', checkInRoutes);
 
 module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const bookingService = require('../services/booking.service');
+const paymentService = require('../services/payment.service');
+const idempotencyService = require('../services/idempotency.service');
+const { IdempotencyKeyModel } = require('../models');
+
+// Processed webhook events are remembered under this owner in the
+// IdempotencyKeys table, so a redelivered event is not applied twice
+const WEBHOOK_KEY_OWNER = 'payment-webhook';
+
+/**
+ * POST /api/v1/payments/webhook
+ * Payment provider notifications (payment succeeded, failed or refunded)
+ * Authenticated by the Payment-Signature header instead of a user token
+ */
+router.post('/webhook', async (req, res) => {
+  if (
+    !paymentService.verifyWebhookSignature(
+      req.rawBody,
+      req.get('Payment-Signature')
+    )
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  const paymentEvent = paymentService.parseWebhookEvent(req.body);
+  if (!paymentEvent) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook payload',
+    });
+  }
+
+  const keyId = IdempotencyKeyModel.buildId(WEBHOOK_KEY_OWNER, paymentEvent.id);
+
+  try {
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(req.rawBody)
+      .digest('hex');
+    const { claimed, record } = await idempotencyService.claimKey(
+      keyId,
+      fingerprint
+    );
+
+    if (!claimed) {
+      // Still being processed: a non-2xx answer makes the provider retry
+      if (record?.status !== IdempotencyKeyModel.KeyStatus.COMPLETED) {
+        return res.status(409).json({
+          success: false,
+          message: 'Webhook event is already being processed',
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Webhook event already processed',
+        data: record.responseBody?.data,
+      });
+    }
+
+    const outcome = await bookingService.applyPaymentEvent(paymentEvent);
+    const body = {
+      success: true,
+      message: 'Webhook event processed',
+      data: { eventId: paymentEvent.id, type: paymentEvent.type, ...outcome },
+    };
+
+    await idempotencyService.completeKey(keyId, 200, body);
+    res.json(body);
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+
+    // Forget the event so the provider's retry is processed again
+    await idempotencyService
+      .releaseKey(keyId)
+      .catch((releaseError) =>
+        console.error('Failed to release webhook event:', releaseError)
+      );
+
+    // Seats still contested after the retries, the provider tries again later
+    if (error.code === bookingService.TRANSACTION_BUSY) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook event',
+    });
+  }
+});
+
+module.exports = router;
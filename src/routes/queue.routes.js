@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const eventService = require('../services/event.service');
+const queueService = require('../services/queue.service');
+const { EventModel } = require('../models');
+const { authenticate } = require('../middleware/auth.middleware');
+const { QUEUE_TOKEN_HEADER } = require('../middleware/queue.middleware');
+
+const QUEUE_UNAVAILABLE_MESSAGE = 'The queue is not available right now';
+
+// Load an event and check it is in queue mode
+const getQueuedEvent = async (req, res) => {
+  const result = await eventService.getEventById(req.params.eventId);
+
+  if (!result.success) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+    return null;
+  }
+
+  if (!EventModel.getQueueSettings(result.data)) {
+    res.status(400).json({
+      success: false,
+      message: 'This event is booked without a queue',
+    });
+    return null;
+  }
+
+  return result.data;
+};
+
+// Join the queue of an event (requires auth)
+// Returns the queue token to send as X-Queue-Token once admitted
+router.post('/events/:eventId/queue', authenticate, async (req, res) => {
+  try {
+    const event = await getQueuedEvent(req, res);
+    if (!event) return;
+
+    const status = await queueService.joinQueue(event, req.user.cognitoId);
+
+    if (!status) {
+      return res.status(503).json({
+        success: false,
+        message: QUEUE_UNAVAILABLE_MESSAGE,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'You joined the queue',
+      data: status,
+    });
+  } catch (error) {
+    console.error('Error joining queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join queue',
+      error: error.message,
+    });
+  }
+});
+
+// Poll the signed-in user's place in the queue (requires auth)
+// Header: X-Queue-Token
+router.get('/events/:eventId/queue', authenticate, async (req, res) => {
+  try {
+    const token = req.get(QUEUE_TOKEN_HEADER);
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: `${QUEUE_TOKEN_HEADER} header is required`,
+      });
+    }
+
+    const event = await getQueuedEvent(req, res);
+    if (!event) return;
+
+    const status = await queueService.getQueueStatus(
+      event,
+      token,
+      req.user.cognitoId
+    );
+
+    if (status === null) {
+      return res.status(503).json({
+        success: false,
+        message: QUEUE_UNAVAILABLE_MESSAGE,
+      });
+    }
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue token not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('Error fetching queue status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queue status',
+      error: error.message,
+    });
+  }
+});
+
+// Leave the queue, or end an admitted session early (requires auth)
+router.delete('/events/:eventId/queue', authenticate, async (req, res) => {
+  try {
+    const event = await getQueuedEvent(req, res);
+    if (!event) return;
+
+    const left = await queueService.leaveQueue(event, req.user.cognitoId);
+
+    if (left === null) {
+      return res.status(503).json({
+        success: false,
+        message: QUEUE_UNAVAILABLE_MESSAGE,
+      });
+    }
+
+    if (!left) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not in the queue for this event',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You left the queue',
+    });
+  } catch (error) {
+    console.error('Error leaving queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave queue',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
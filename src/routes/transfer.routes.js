@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const bookingService = require('../services/booking.service');
+const ticketTransferService = require('../services/ticketTransfer.service');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const { TransferFailure } = ticketTransferService;
+
+// HTTP status for a refused transfer operation
+const getTransferErrorStatus = (error) => {
+  switch (error.failure) {
+    case TransferFailure.NOT_FOUND:
+      return 404;
+    case TransferFailure.FORBIDDEN:
+      return 403;
+    case TransferFailure.CONFLICT:
+      return 409;
+    case TransferFailure.EXPIRED:
+      return 410;
+    default:
+      return 400;
+  }
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.code === ticketTransferService.TRANSFER_FAILED) {
+    return res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+// Load a booking and check the signed-in user owns it
+const getOwnedBooking = async (req, res) => {
+  const booking = await bookingService.getBookingById(req.params.ticketId);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found',
+    });
+    return null;
+  }
+
+  if (booking.userId !== req.user.cognitoId) {
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized access to booking',
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// Transfer a booking to another registered user (requires auth)
+// Body: { recipient, message } - recipient is an email address or username
+router.post('/bookings/:ticketId/transfers', authenticate, async (req, res) => {
+  try {
+    const { recipient, message } = req.body || {};
+
+    if (!recipient || typeof recipient !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient email or username is required',
+      });
+    }
+
+    const booking = await getOwnedBooking(req, res);
+    if (!booking) return;
+
+    const data = await ticketTransferService.startTransfer(
+      booking,
+      { recipient, message },
+      { email: req.user.email }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer offered to the recipient',
+      data,
+    });
+  } catch (error) {
+    console.error('Error starting transfer:', error);
+    sendError(res, error, 'Failed to start transfer');
+  }
+});
+
+// Get the transfers of a booking (requires auth)
+router.get('/bookings/:ticketId/transfers', authenticate, async (req, res) => {
+  try {
+    const booking = await getOwnedBooking(req, res);
+    if (!booking) return;
+
+    const transfers = await ticketTransferService.getBookingTransfers(
+      booking.id
+    );
+
+    res.json({
+      success: true,
+      data: transfers,
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    sendError(res, error, 'Failed to fetch transfers');
+  }
+});
+
+// Get the open transfers offered to the signed-in user (requires auth)
+router.get('/transfers/incoming', authenticate, async (req, res) => {
+  try {
+    const transfers = await ticketTransferService.getIncomingTransfers(
+      req.user.cognitoId
+    );
+
+    res.json({
+      success: true,
+      data: transfers,
+    });
+  } catch (error) {
+    console.error('Error fetching incoming transfers:', error);
+    sendError(res, error, 'Failed to fetch transfers');
+  }
+});
+
+// Accept a transfer with the token from the acceptance link (requires auth)
+// Body: { token }
+router.post('/transfers/accept', authenticate, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer token is required',
+      });
+    }
+
+    const booking = await ticketTransferService.acceptTransfer(
+      token,
+      req.user.cognitoId
+    );
+
+    res.json({
+      success: true,
+      message: 'Transfer accepted, the tickets are now yours',
+      data: booking,
+    });
+  } catch (error) {
+    console.error('Error accepting transfer:', error);
+    sendError(res, error, 'Failed to accept transfer');
+  }
+});
+
+// Revoke a transfer that has not been accepted yet (requires auth)
+router.delete('/transfers/:transferId', authenticate, async (req, res) => {
+  try {
+    const transfer = await ticketTransferService.revokeTransfer(
+      req.params.transferId,
+      req.user.cognitoId
+    );
+
+    res.json({
+      success: true,
+      message: 'Transfer revoked',
+      data: transfer,
+    });
+  } catch (error) {
+    console.error('Error revoking transfer:', error);
+    sendError(res, error, 'Failed to revoke transfer');
+  }
+});
+
+module.exports = router;
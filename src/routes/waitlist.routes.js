@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const bookingService = require('../services/booking.service');
+const bookingStateMachine = require('../services/bookingStateMachine.service');
+const waitlistService = require('../services/waitlist.service');
+const { WaitlistEntryModel } = require('../models');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const { WaitlistFailure } = waitlistService;
+
+// HTTP status for a refused waitlist operation
+const getWaitlistErrorStatus = (error) => {
+  switch (error.failure) {
+    case WaitlistFailure.NOT_FOUND:
+      return 404;
+    case WaitlistFailure.CONFLICT:
+      return 409;
+    default:
+      return 400;
+  }
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.code === waitlistService.WAITLIST_FAILED) {
+    return res.status(getWaitlistErrorStatus(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+// Join the waitlist of a sold-out event (requires auth)
+// Body: { seatCount, tierId, name, phoneNumber, accessCode }
+router.post('/events/:eventId/waitlist', authenticate, async (req, res) => {
+  try {
+    const {
+      seatCount = 1,
+      tierId,
+      name,
+      phoneNumber,
+      accessCode,
+    } = req.body || {};
+
+    if (
+      !Number.isInteger(seatCount) ||
+      seatCount < 1 ||
+      seatCount > WaitlistEntryModel.MAX_SEATS_PER_ENTRY
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `seatCount must be between 1 and ${WaitlistEntryModel.MAX_SEATS_PER_ENTRY}`,
+      });
+    }
+
+    const entry = await waitlistService.joinWaitlist(
+      req.params.eventId,
+      {
+        userId: req.user.cognitoId,
+        name: name || req.user.name,
+        email: req.user.email,
+        phoneNumber: phoneNumber || req.user.phoneNumber,
+      },
+      { seatCount, tierId, accessCode }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'You joined the waitlist',
+      data: entry,
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    sendError(res, error, 'Failed to join waitlist');
+  }
+});
+
+// Get the signed-in user's place on an event's waitlist (requires auth)
+router.get('/events/:eventId/waitlist', authenticate, async (req, res) => {
+  try {
+    const entry = await waitlistService.getUserEntry(
+      req.params.eventId,
+      req.user.cognitoId
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this event',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist entry:', error);
+    sendError(res, error, 'Failed to fetch waitlist entry');
+  }
+});
+
+// Leave an event's waitlist (requires auth)
+// A pending offer is declined, its seats go to the next in line
+router.delete('/events/:eventId/waitlist', authenticate, async (req, res) => {
+  try {
+    const entry = await waitlistService.getEntry(
+      req.params.eventId,
+      req.user.cognitoId
+    );
+
+    if (entry?.status === WaitlistEntryModel.WaitlistStatus.OFFERED) {
+      await bookingService.cancelBooking(entry.offer.ticketId, {
+        actor: {
+          type: bookingStateMachine.ActorType.USER,
+          id: req.user.cognitoId,
+        },
+        reason: 'Left the waitlist',
+      });
+    } else {
+      await waitlistService.leaveWaitlist(
+        req.params.eventId,
+        req.user.cognitoId
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'You left the waitlist',
+    });
+  } catch (error) {
+    if (error.code === bookingStateMachine.INVALID_TRANSITION) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Error leaving waitlist:', error);
+    sendError(res, error, 'Failed to leave waitlist');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { AccessCodeModel, EventModel } = require('../models');
+
+const { AccessCodeType } = AccessCodeModel;
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Get an access code of an event
+ */
+const getAccessCode = async (eventId, code) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new GetCommand({
+      TableName: AccessCodeModel.tableName,
+      Key: { eventId, code: AccessCodeModel.normalizeCode(code) },
+    })
+  );
+
+  return result.Item;
+};
+
+/**
+ * Get an access code of an event if it can be used right now
+ * @returns {Promise<Object|null>} Access code, or null if unknown or unusable
+ */
+const findUsableCode = async (eventId, code) => {
+  if (!code) return null;
+
+  const accessCode = await getAccessCode(eventId, code);
+  return accessCode && AccessCodeModel.isUsable(accessCode) ? accessCode : null;
+};
+
+/**
+ * Check whether a code lets its holder book an event right now
+ * Private events need any usable code of the event, events in presale a
+ * presale code
+ * @param {Object} event - Event item
+ * @param {string} code - Code sent by the client, if any
+ * @returns {Promise<Object>} { allowed, accessCode } or { allowed, message, details }
+ */
+const checkBookingAccess = async (event, code) => {
+  const isPrivate =
+    EventModel.getVisibility(event) === EventModel.EventVisibility.PRIVATE;
+  const inPresale =
+    EventModel.getSalePhase(event) === EventModel.SalePhase.PRESALE;
+
+  if (!isPrivate && !inPresale) {
+    return { allowed: true, accessCode: null };
+  }
+
+  const accessCode = await findUsableCode(event.id, code);
+
+  if (inPresale && accessCode?.type !== AccessCodeType.PRESALE) {
+    return {
+      allowed: false,
+      message: 'A presale code is required before the general sale opens',
+      details: { generalSaleStartsAt: event.presale.endsAt },
+    };
+  }
+
+  if (!accessCode) {
+    return {
+      allowed: false,
+      message: 'An access code is required to book this event',
+    };
+  }
+
+  return { allowed: true, accessCode };
+};
+
+/**
+ * Get the access codes of an event
+ */
+const getEventAccessCodes = async (eventId) => {
+  try {
+    const db = initDynamoDB();
+    const accessCodes = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await db.send(
+        new QueryCommand({
+          TableName: AccessCodeModel.tableName,
+          KeyConditionExpression: 'eventId = :eventId',
+          ExpressionAttributeValues: { ':eventId': eventId },
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      accessCodes.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    // Newest first
+    accessCodes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      success: true,
+      data: accessCodes,
+      count: accessCodes.length,
+    };
+  } catch (error) {
+    console.error('Error getting access codes:', error);
+    throw new Error('Failed to retrieve access codes');
+  }
+};
+
+/**
+ * Create an access code for an event
+ */
+const createAccessCode = async (eventId, accessCodeData) => {
+  try {
+    const db = initDynamoDB();
+
+    const eventResult = await db.send(
+      new GetCommand({
+        TableName: EventModel.tableName,
+        Key: { id: eventId },
+      })
+    );
+    if (!eventResult.Item) {
+      return {
+        success: false,
+        message: 'Event not found',
+      };
+    }
+
+    const validatedData = AccessCodeModel.validate({
+      ...accessCodeData,
+      eventId,
+    });
+    const accessCode = AccessCodeModel.prepareForCreation(validatedData);
+
+    await db.send(
+      new PutCommand({
+        TableName: AccessCodeModel.tableName,
+        Item: accessCode,
+        ConditionExpression: 'attribute_not_exists(code)',
+      })
+    );
+
+    return {
+      success: true,
+      data: accessCode,
+      message: 'Access code created successfully',
+    };
+  } catch (error) {
+    console.error('Error creating access code:', error);
+    return {
+      success: false,
+      message:
+        error.name === 'ConditionalCheckFailedException'
+          ? 'Access code already exists for this event'
+          : error.message || 'Failed to create access code',
+    };
+  }
+};
+
+/**
+ * Update an access code (type, description, validity or active flag)
+ */
+const updateAccessCode = async (eventId, code, updateData) => {
+  try {
+    const db = initDynamoDB();
+
+    const existingAccessCode = await getAccessCode(eventId, code);
+    if (!existingAccessCode) {
+      return {
+        success: false,
+        message: 'Access code not found',
+      };
+    }
+
+    const validatedData = AccessCodeModel.validate({
+      ...existingAccessCode,
+      ...updateData,
+      eventId: existingAccessCode.eventId, // Ensure the key doesn't change
+      code: existingAccessCode.code,
+      createdAt: existingAccessCode.createdAt,
+    });
+    const updatedAccessCode = AccessCodeModel.prepareForUpdate(validatedData);
+
+    await db.send(
+      new PutCommand({
+        TableName: AccessCodeModel.tableName,
+        Item: updatedAccessCode,
+      })
+    );
+
+    return {
+      success: true,
+      data: updatedAccessCode,
+      message: 'Access code updated successfully',
+    };
+  } catch (error) {
+    console.error('Error updating access code:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to update access code',
+    };
+  }
+};
+
+/**
+ * Delete an access code
+ */
+const deleteAccessCode = async (eventId, code) => {
+  try {
+    const db = initDynamoDB();
+
+    const existingAccessCode = await getAccessCode(eventId, code);
+    if (!existingAccessCode) {
+      return {
+        success: false,
+        message: 'Access code not found',
+      };
+    }
+
+    await db.send(
+      new DeleteCommand({
+        TableName: AccessCodeModel.tableName,
+        Key: { eventId, code: existingAccessCode.code },
+      })
+    );
+
+    return {
+      success: true,
+      message: 'Access code deleted successfully',
+    };
+  } catch (error) {
+    console.error('Error deleting access code:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to delete access code',
+    };
+  }
+};
+
+module.exports = {
+  initDynamoDB,
+  getAccessCode,
+  findUsableCode,
+  checkBookingAccess,
+  getEventAccessCodes,
+  createAccessCode,
+  updateAccessCode,
+  deleteAccessCode,
+};
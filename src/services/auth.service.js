@@ -421,12 +421,15 @@ const getUserGroupsFromToken = (idToken) => {
 };
 
 /**
- * Determine role from Cognito groups (admin takes precedence)
+ * Determine role from Cognito groups (admin takes precedence over staff)
  */
 const determineRoleFromGroups = (groups) => {
   if (groups.includes('admin')) {
     return 'admin';
   }
+  if (groups.includes('staff')) {
+    return 'staff';
+  }
   return 'user';
 };
 
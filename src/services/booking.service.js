@@ -2,16 +2,39 @@ const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const {
   DynamoDBDocumentClient,
   GetCommand,
-  PutCommand,
   UpdateCommand,
   DeleteCommand,
   QueryCommand,
-  ScanCommand,
+  TransactWriteCommand,
 } = require('@aws-sdk/lib-dynamodb');
 const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const { v4: uuidv4 } = require('uuid');
 const env = require('../config/env');
-const { BookingModel, EventModel } = require('../models');
+const {
+  BookingModel,
+  EventModel,
+  SeatLockModel,
+  PromoCodeModel,
+  WaitlistEntryModel,
+  VenueModel,
+  PaymentReconciliationModel,
+  CounterModel,
+} = require('../models');
 const notificationService = require('./notification.service');
+const seatHoldService = require('./seatHold.service');
+const pricingService = require('./pricing.service');
+const promoCodeService = require('./promoCode.service');
+const paymentService = require('./payment.service');
+const bookingStateMachine = require('./bookingStateMachine.service');
+const seatTicketService = require('./seatTicket.service');
+const waitlistService = require('./waitlist.service');
+const accessCodeService = require('./accessCode.service');
+const seatSelectionService = require('./seatSelection.service');
+const venueService = require('./venue.service');
+const paymentReconciliationService = require('./paymentReconciliation.service');
+
+const { PaymentStatus } = paymentService;
+const { ActorType, BookingTransition, TransitionEffect } = bookingStateMachine;
 
 let dynamoDb = null;
 
@@ -25,166 +48,1718 @@ const initDynamoDB = () => {
       }),
     };
 
-    if (env.aws.dynamodbEndpoint) {
-      clientConfig.endpoint = env.aws.dynamodbEndpoint;
-    }
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+// Error code used when seats are claimed by another booking
+const SEAT_CONFLICT = 'SEAT_CONFLICT';
+
+// Error code used when other writes keep cancelling the seat transaction
+const TRANSACTION_BUSY = 'TRANSACTION_BUSY';
+
+// Error code used when a booking request breaks an event rule
+const BOOKING_REJECTED = 'BOOKING_REJECTED';
+
+// States reported for booked seats, any other seat is free
+const SeatState = {
+  FREE: 'free',
+  HELD: 'held',
+  SOLD: 'sold',
+};
+
+// Number of optimistic retries when releasing seats from an event
+const MAX_RELEASE_ATTEMPTS = 5;
+
+// Attempts at a transaction that only conflicted with concurrent writes
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// Delay before the second attempt, doubled for each further one
+const TRANSACTION_RETRY_DELAY_MS = 50;
+
+// Number of picks a best-available booking makes when its seats get taken
+const MAX_BEST_AVAILABLE_ATTEMPTS = 3;
+
+// How a waitlist offer ends, by the transition of its booking
+const WAITLIST_OFFER_OUTCOMES = {
+  [BookingTransition.CONFIRM]: WaitlistEntryModel.WaitlistStatus.CLAIMED,
+  [BookingTransition.CANCEL]: WaitlistEntryModel.WaitlistStatus.DECLINED,
+  [BookingTransition.EXPIRE]: WaitlistEntryModel.WaitlistStatus.EXPIRED,
+};
+
+/**
+ * Build a seat conflict error listing the contested seats
+ * @param {Array} conflictingSeats - Seats that are held or sold elsewhere
+ * @returns {Error} Error with code SEAT_CONFLICT
+ */
+const createSeatConflictError = (conflictingSeats) => {
+  const error = new Error('Some seats are already booked');
+  error.code = SEAT_CONFLICT;
+  error.conflictingSeats = conflictingSeats;
+  return error;
+};
+
+/**
+ * Build the error for a seat transaction that stayed contested
+ * @returns {Error} Error with code TRANSACTION_BUSY
+ */
+const createTransactionBusyError = () => {
+  const error = new Error('These seats are in high demand, please try again');
+  error.code = TRANSACTION_BUSY;
+  return error;
+};
+
+/**
+ * Build an error for a booking request that breaks an event rule
+ * @param {string} message - Reason shown to the client
+ * @param {Object} details - Extra data returned with the error
+ * @returns {Error} Error with code BOOKING_REJECTED
+ */
+const createBookingRejectedError = (message, details) => {
+  const error = new Error(message);
+  error.code = BOOKING_REJECTED;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Resolve the ticket tier and price of the requested seats
+ * Events without tiers sell every seat at the event's pricePerSeat
+ * @param {Object} event - Event item
+ * @param {string} tierId - Requested tier ID
+ * @param {Array} seats - Requested seat identifiers
+ * @returns {Object} { tier, pricePerSeat }
+ */
+const resolveTicketTier = (event, tierId, seats) => {
+  const tiers = event.ticketTiers || [];
+
+  if (tiers.length === 0) {
+    if (tierId) {
+      throw createBookingRejectedError('This event has no ticket tiers');
+    }
+    return { tier: null, pricePerSeat: event.pricePerSeat };
+  }
+
+  if (!tierId) {
+    throw createBookingRejectedError(
+      'A ticket tier is required for this event',
+      { ticketTiers: tiers.map(({ id, name }) => ({ id, name })) }
+    );
+  }
+
+  const tier = EventModel.findTicketTier(event, tierId);
+  if (!tier) {
+    throw createBookingRejectedError('Ticket tier not found');
+  }
+
+  if (!EventModel.isTierOnSale(tier)) {
+    throw createBookingRejectedError(`${tier.name} tickets are not on sale`, {
+      saleStartsAt: tier.saleStartsAt,
+      saleEndsAt: tier.saleEndsAt,
+    });
+  }
+
+  const seatsOutsideTier = seats.filter(
+    (seat) => !EventModel.isSeatInTier(event, tier, seat)
+  );
+  if (seatsOutsideTier.length > 0) {
+    throw createBookingRejectedError(
+      `Some seats are not part of the ${tier.name} tier`,
+      { seatsOutsideTier }
+    );
+  }
+
+  const availableSeats = EventModel.calculateTierAvailableSeats(event, tier);
+  if (seats.length > availableSeats) {
+    throw createBookingRejectedError(`Not enough ${tier.name} seats left`, {
+      availableSeats,
+    });
+  }
+
+  return { tier, pricePerSeat: tier.price };
+};
+
+/**
+ * Check that the requested seats exist on the event's seat map
+ * Events without a seat map accept any seat identifier
+ * @param {Object} event - Event item
+ * @param {Array} seats - Requested seat identifiers
+ * @returns {Promise<Object|null>} Layout of the event, if it has a seat map
+ */
+const checkSeatsOnMap = async (event, seats) => {
+  if (!EventModel.hasSeatMap(event)) return null;
+
+  const layout = await venueService.getEventLayout(event);
+  if (!layout) {
+    throw createBookingRejectedError('The seat map of this event is missing');
+  }
+
+  const unknownSeats = VenueModel.findUnknownSeats(layout, seats);
+  if (unknownSeats.length > 0) {
+    throw createBookingRejectedError('Some seats are not on the seat map', {
+      unknownSeats,
+    });
+  }
+
+  return layout;
+};
+
+/**
+ * Count the seats a user holds or bought on an event
+ * Expired pending bookings that were not cleaned up yet hold nothing; they
+ * are expired on the way so they stop counting on the user's seats counter
+ * @param {string} userId - User ID
+ * @param {string} eventId - Event ID
+ * @returns {Promise<number>} Seats of the user's pending and sold bookings
+ */
+const countUserEventSeats = async (userId, eventId) => {
+  const db = initDynamoDB();
+  const bookings = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await db.send(
+      new QueryCommand({
+        TableName: BookingModel.tableName,
+        IndexName: 'UserIdIndex',
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression:
+          'eventId = :eventId AND #status IN (:pending, :confirmed, :partiallyRefunded)',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ':eventId': eventId,
+          ':pending': BookingModel.BookingStatus.PENDING,
+          ':confirmed': BookingModel.BookingStatus.CONFIRMED,
+          ':partiallyRefunded': BookingModel.BookingStatus.PARTIALLY_REFUNDED,
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+
+    bookings.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  await Promise.all(
+    bookings
+      .filter(BookingModel.isExpired)
+      .map((booking) =>
+        expireBooking(db, booking).catch((error) =>
+          console.error(
+            `[BookingService] Failed to expire booking ${booking.id}:`,
+            error
+          )
+        )
+      )
+  );
+
+  return bookings
+    .filter((booking) => !BookingModel.isExpired(booking))
+    .reduce((total, booking) => total + (booking.takenSeats?.length || 0), 0);
+};
+
+/**
+ * Reject a booking that takes more seats than the event allows one account
+ * The per-user count is read from the user index to tell the customer how
+ * many seats are left. Bookings sent at the same instant are stopped by the
+ * user seats counter written with the booking (buildUserSeatsUpdate).
+ * @param {Object} event - Event item
+ * @param {number} bookedSeats - Seats the user already has on the event
+ * @param {number} seatCount - Seats requested
+ */
+const checkPurchaseLimits = (event, bookedSeats, seatCount) => {
+  const { maxSeatsPerBooking, maxSeatsPerUser } =
+    EventModel.getPurchaseLimits(event);
+  if (!maxSeatsPerBooking && !maxSeatsPerUser) return;
+
+  const userAllowance = maxSeatsPerUser
+    ? Math.max(maxSeatsPerUser - bookedSeats, 0)
+    : Infinity;
+  const remainingSeats = Math.min(
+    maxSeatsPerBooking || Infinity,
+    userAllowance
+  );
+
+  if (seatCount <= remainingSeats) return;
+
+  let message;
+  if (remainingSeats === 0) {
+    message = `You have reached the limit of ${maxSeatsPerUser} seats for this event`;
+  } else if (remainingSeats === userAllowance) {
+    message = `You can book ${remainingSeats} more seats for this event`;
+  } else {
+    message = `You can book at most ${maxSeatsPerBooking} seats at a time for this event`;
+  }
+
+  throw createBookingRejectedError(message, {
+    maxSeatsPerBooking,
+    maxSeatsPerUser,
+    bookedSeats,
+    remainingSeats,
+  });
+};
+
+/**
+ * Build the transaction item counting a booking's seats on the user seats
+ * counter of its event, failing when the user would go over the event's
+ * maxSeatsPerUser. A missing counter, e.g. for bookings made before the
+ * counters existed, starts from the seats found on the user index.
+ * @param {Object} booking - Booking being created
+ * @param {Object} event - Event item
+ * @param {number} bookedSeats - Seats the user already has on the event
+ * @returns {Object} TransactWriteItems Update item
+ */
+const buildUserSeatsUpdate = (booking, event, bookedSeats) => {
+  const { maxSeatsPerUser } = EventModel.getPurchaseLimits(event);
+  const seatCount = booking.takenSeats.length;
+
+  return {
+    Update: {
+      TableName: CounterModel.tableName,
+      Key: {
+        name: CounterModel.buildUserSeatsName(booking.eventId, booking.userId),
+      },
+      UpdateExpression:
+        'SET #value = if_not_exists(#value, :bookedSeats) + :seatCount',
+      // The seed was already checked against the limit
+      ...(maxSeatsPerUser && {
+        ConditionExpression:
+          'attribute_not_exists(#value) OR #value <= :userLimit',
+      }),
+      ExpressionAttributeNames: { '#value': 'value' },
+      ExpressionAttributeValues: {
+        ':bookedSeats': bookedSeats,
+        ':seatCount': seatCount,
+        ...(maxSeatsPerUser && { ':userLimit': maxSeatsPerUser - seatCount }),
+      },
+    },
+  };
+};
+
+/**
+ * Get the indexes of transaction items cancelled for the given reason
+ * @param {Error} error - Error thrown by TransactWriteCommand
+ * @param {string} code - Cancellation reason to look for
+ * @returns {number[]|null} Failed indexes, or null if not a cancelled transaction
+ */
+const getFailedTransactionItems = (error, code = 'ConditionalCheckFailed') => {
+  if (error.name !== 'TransactionCanceledException') {
+    return null;
+  }
+
+  return (error.CancellationReasons || []).reduce((acc, reason, index) => {
+    if (reason && reason.Code === code) {
+      acc.push(index);
+    }
+    return acc;
+  }, []);
+};
+
+/**
+ * Check whether a transaction was cancelled only because other transactions
+ * were writing the same items at the same moment
+ * @param {Error} error - Error thrown by TransactWriteCommand
+ * @returns {boolean} True if retrying the transaction may succeed
+ */
+const isTransactionConflict = (error) => {
+  const contestedItems = getFailedTransactionItems(
+    error,
+    'TransactionConflict'
+  );
+  if (!contestedItems || contestedItems.length === 0) {
+    return false;
+  }
+
+  return error.CancellationReasons.every(
+    (reason) =>
+      !reason || reason.Code === 'None' || reason.Code === 'TransactionConflict'
+  );
+};
+
+/**
+ * Run a transaction, retrying with backoff while it only conflicts with
+ * concurrent writes. A failed condition is final and thrown right away.
+ * @param {Object} db - DynamoDB document client
+ * @param {Array} transactItems - Items of the transaction
+ * @returns {Promise<Object>} Transaction result
+ */
+const sendTransaction = async (db, transactItems) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await db.send(
+        new TransactWriteCommand({ TransactItems: transactItems })
+      );
+    } catch (error) {
+      if (
+        attempt >= MAX_TRANSACTION_ATTEMPTS ||
+        !isTransactionConflict(error)
+      ) {
+        throw error;
+      }
+
+      // Jittered, so the competing requests do not collide again
+      const delay = TRANSACTION_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      await new Promise((resolve) =>
+        setTimeout(resolve, delay / 2 + Math.random() * delay)
+      );
+    }
+  }
+};
+
+/**
+ * Build a condition that none of the seats are in the event's takenSeats
+ * @param {Array} seats - Seat identifiers
+ * @returns {Object} ConditionExpression and its attribute values
+ */
+const buildSeatsAvailableCondition = (seats) => {
+  const expressionAttributeValues = {};
+  const seatConditions = seats.map((seat, index) => {
+    expressionAttributeValues[`:seat${index}`] = seat;
+    return `NOT contains(takenSeats, :seat${index})`;
+  });
+
+  return {
+    ConditionExpression: ['attribute_exists(id)', ...seatConditions].join(
+      ' AND '
+    ),
+    ExpressionAttributeValues: expressionAttributeValues,
+  };
+};
+
+/**
+ * Find which of the given seats are already in the event's takenSeats
+ * @param {Object} db - DynamoDB document client
+ * @param {string} eventId - Event ID
+ * @param {Array} seats - Seat identifiers
+ * @returns {Promise<Array|null>} Seats already sold, or null if no event
+ */
+const findSeatsTakenOnEvent = async (db, eventId, seats) => {
+  const result = await db.send(
+    new GetCommand({
+      TableName: EventModel.tableName,
+      Key: { id: eventId },
+    })
+  );
+
+  if (!result.Item) {
+    return null;
+  }
+
+  const takenSeats = result.Item.takenSeats || [];
+  return seats.filter((seat) => takenSeats.includes(seat));
+};
+
+/**
+ * Release a booking's seats
+ * Removes the seats from the event's takenSeats (if requested) using
+ * optimistic locking on updatedAt, takes them off the user's seat count,
+ * returns them to the tier capacity, then drops the Redis holds and seat
+ * locks still owned by the booking
+ * @param {Object} db - DynamoDB document client
+ * @param {Object} booking - Booking whose seats are released
+ * @param {boolean} releaseFromEvent - Whether the seats were sold on the event
+ * @returns {Promise<Object|null>} Latest event item, if it was read
+ */
+const releaseSeats = async (db, booking, releaseFromEvent) => {
+  let event = null;
+
+  if (releaseFromEvent) {
+    for (let attempt = 0; attempt < MAX_RELEASE_ATTEMPTS; attempt++) {
+      const eventResult = await db.send(
+        new GetCommand({
+          TableName: EventModel.tableName,
+          Key: { id: booking.eventId },
+        })
+      );
+
+      event = eventResult.Item || null;
+      if (!event) break;
+
+      const updatedTakenSeats = (event.takenSeats || []).filter(
+        (seat) => !booking.takenSeats.includes(seat)
+      );
+
+      // Update event's takenSeats array with model timestamp
+      const updateData = EventModel.prepareForUpdate({
+        takenSeats: updatedTakenSeats,
+      });
+
+      const expressionAttributeValues = {
+        ':seats': updatedTakenSeats,
+        ':updatedAt': updateData.updatedAt,
+      };
+      if (event.updatedAt) {
+        expressionAttributeValues[':previousUpdatedAt'] = event.updatedAt;
+      }
+
+      try {
+        await db.send(
+          new UpdateCommand({
+            TableName: EventModel.tableName,
+            Key: { id: booking.eventId },
+            UpdateExpression: 'SET takenSeats = :seats, updatedAt = :updatedAt',
+            // Fail if the event changed since we read it, then retry
+            ConditionExpression: event.updatedAt
+              ? 'updatedAt = :previousUpdatedAt'
+              : 'attribute_not_exists(updatedAt)',
+            ExpressionAttributeValues: expressionAttributeValues,
+          })
+        );
+        event = { ...event, ...updateData };
+        break;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        if (attempt === MAX_RELEASE_ATTEMPTS - 1) {
+          throw new Error('Failed to release seats, please try again');
+        }
+      }
+    }
+  }
+
+  // Take the seats off the user's count for the purchase limits
+  await db
+    .send(
+      new UpdateCommand({
+        TableName: CounterModel.tableName,
+        Key: {
+          name: CounterModel.buildUserSeatsName(
+            booking.eventId,
+            booking.userId
+          ),
+        },
+        UpdateExpression: 'ADD #value :release',
+        ConditionExpression: '#value >= :seatCount',
+        ExpressionAttributeNames: { '#value': 'value' },
+        ExpressionAttributeValues: {
+          ':release': -booking.takenSeats.length,
+          ':seatCount': booking.takenSeats.length,
+        },
+      })
+    )
+    .catch((error) => {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    });
+
+  // Give the seats back to the tier capacity
+  if (booking.tierId) {
+    await db
+      .send(
+        new UpdateCommand({
+          TableName: EventModel.tableName,
+          Key: { id: booking.eventId },
+          UpdateExpression:
+            'SET tierSales.#tier = tierSales.#tier - :seatCount, updatedAt = :updatedAt',
+          ConditionExpression: 'tierSales.#tier >= :seatCount',
+          ExpressionAttributeNames: {
+            '#tier': booking.tierId,
+          },
+          ExpressionAttributeValues: {
+            ':seatCount': booking.takenSeats.length,
+            ':updatedAt': new Date().toISOString(),
+          },
+        })
+      )
+      .catch((error) => {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      });
+  }
+
+  await seatHoldService.releaseHolds(
+    booking.eventId,
+    booking.takenSeats || [],
+    booking.id
+  );
+
+  // Only delete locks that still belong to this booking
+  await Promise.all(
+    (booking.takenSeats || []).map((seat) =>
+      db
+        .send(
+          new DeleteCommand({
+            TableName: SeatLockModel.tableName,
+            Key: SeatLockModel.buildKey(booking.eventId, seat),
+            ConditionExpression: 'ticketId = :ticketId',
+            ExpressionAttributeValues: {
+              ':ticketId': booking.id,
+            },
+          })
+        )
+        .catch((error) => {
+          if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+        })
+    )
+  );
+
+  return event;
+};
+
+// Create a booking (ticket with PENDING status)
+// Private and presale events need bookingData.accessCode
+// Waitlist offers pass their own id, expiresAt and waitlistEntryId
+const createBooking = async (bookingData) => {
+  const db = initDynamoDB();
+
+  try {
+    const eventResult = await db.send(
+      new GetCommand({
+        TableName: EventModel.tableName,
+        Key: { id: bookingData.eventId },
+      })
+    );
+    const event = eventResult.Item;
+
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    if (!EventModel.isBookable(event)) {
+      throw createBookingRejectedError('Event is not available for booking');
+    }
+
+    // Private events and presales need a code. Waitlist offers were let in
+    // when the user joined the line.
+    let accessCode;
+    if (!bookingData.waitlistEntryId) {
+      const access = await accessCodeService.checkBookingAccess(
+        event,
+        bookingData.accessCode
+      );
+      if (!access.allowed) {
+        throw createBookingRejectedError(access.message, access.details);
+      }
+      accessCode = access.accessCode?.code;
+    }
+
+    // Price comes from the event or its ticket tier, never from the client
+    const { tier, pricePerSeat } = resolveTicketTier(
+      event,
+      bookingData.tierId,
+      bookingData.seats || []
+    );
+
+    await checkSeatsOnMap(event, bookingData.seats || []);
+
+    const bookedSeats = await countUserEventSeats(bookingData.userId, event.id);
+    checkPurchaseLimits(event, bookedSeats, bookingData.seats?.length || 0);
+
+    // Prepare booking data with validation
+    const bookingToCreate = {
+      id: bookingData.id,
+      eventId: bookingData.eventId,
+      tierId: tier?.id,
+      tierName: tier?.name,
+      pricePerSeat,
+      priceBreakdown: pricingService.calculatePrice({
+        pricePerSeat,
+        seatCount: bookingData.seats?.length || 0,
+        taxRate: event.taxRate || 0,
+        tierName: tier?.name,
+      }),
+      takenSeats: bookingData.seats, // Array of seat identifiers
+      userId: bookingData.userId,
+      name: bookingData.name || '',
+      email: bookingData.email || '',
+      phoneNumber: bookingData.phoneNumber || '',
+      status: 'PENDING',
+      purchaseDate: new Date().toISOString(),
+      expiresAt: bookingData.expiresAt,
+      waitlistEntryId: bookingData.waitlistEntryId,
+      accessCode,
+      history: [
+        bookingStateMachine.createHistoryEntry(
+          null,
+          'PENDING',
+          bookingData.waitlistEntryId
+            ? {
+                actor: bookingStateMachine.SYSTEM_ACTOR,
+                reason: 'Offered from the waitlist',
+              }
+            : {
+                actor: { type: ActorType.USER, id: bookingData.userId },
+                reason: 'Booking created',
+              }
+        ),
+      ],
+    };
+
+    // Validate using model
+    const validatedBooking = BookingModel.validate(bookingToCreate);
+
+    // Prepare for creation (adds id, bookingCode, timestamps, expiration)
+    const booking = BookingModel.prepareForCreation(validatedBooking);
+
+    // Take the Redis holds first so contested seats are turned away without
+    // a DynamoDB transaction. Skipped when Redis is unavailable.
+    const heldSeats = await seatHoldService.holdSeats(
+      booking.eventId,
+      booking.takenSeats,
+      booking.id,
+      booking.expiresAt
+    );
+    if (heldSeats && heldSeats.length > 0) {
+      throw createSeatConflictError(heldSeats);
+    }
+
+    const now = new Date().toISOString();
+    const seatsCondition = buildSeatsAvailableCondition(booking.takenSeats);
+
+    // Write the booking, one lock per seat and the user's seat count in a
+    // single transaction. A lock can be taken over only once its pending
+    // hold has expired.
+    const transactItems = [
+      {
+        Put: {
+          TableName: BookingModel.tableName,
+          Item: booking,
+          ConditionExpression: 'attribute_not_exists(id)',
+        },
+      },
+      tier
+        ? {
+            // Count the seats against the tier capacity in the same step
+            Update: {
+              TableName: EventModel.tableName,
+              Key: { id: booking.eventId },
+              UpdateExpression:
+                'SET tierSales.#tier = tierSales.#tier + :seatCount, updatedAt = :now',
+              ConditionExpression: `${seatsCondition.ConditionExpression} AND tierSales.#tier <= :tierLimit`,
+              ExpressionAttributeNames: {
+                '#tier': tier.id,
+              },
+              ExpressionAttributeValues: {
+                ...seatsCondition.ExpressionAttributeValues,
+                ':seatCount': booking.takenSeats.length,
+                ':tierLimit': tier.capacity - booking.takenSeats.length,
+                ':now': now,
+              },
+            },
+          }
+        : {
+            ConditionCheck: {
+              TableName: EventModel.tableName,
+              Key: { id: booking.eventId },
+              ...seatsCondition,
+            },
+          },
+      ...booking.takenSeats.map((seat) => ({
+        Put: {
+          TableName: SeatLockModel.tableName,
+          Item: SeatLockModel.prepareForReservation(booking, seat),
+          ConditionExpression:
+            'attribute_not_exists(seatId) OR (#status = :pending AND expiresAt < :now)',
+          ExpressionAttributeNames: {
+            '#status': 'status',
+          },
+          ExpressionAttributeValues: {
+            ':pending': SeatLockModel.LockStatus.PENDING,
+            ':now': now,
+          },
+        },
+      })),
+      buildUserSeatsUpdate(booking, event, bookedSeats),
+    ];
+    const userSeatsIndex = transactItems.length - 1;
+
+    try {
+      await sendTransaction(db, transactItems);
+    } catch (error) {
+      await seatHoldService.releaseHolds(
+        booking.eventId,
+        booking.takenSeats,
+        booking.id
+      );
+
+      const failedItems = getFailedTransactionItems(error);
+      if (!failedItems) {
+        throw error;
+      }
+
+      let soldSeats = [];
+      if (failedItems.includes(1)) {
+        soldSeats = await findSeatsTakenOnEvent(
+          db,
+          booking.eventId,
+          booking.takenSeats
+        );
+        if (!soldSeats) {
+          throw new Error('Event not found');
+        }
+      }
+
+      // Items from index 2 up to the user seats counter are the seat locks.
+      // A lock still being written by another booking after the retries is
+      // taken as well.
+      const contestedItems = getFailedTransactionItems(
+        error,
+        'TransactionConflict'
+      );
+      const lockedSeats = [...failedItems, ...contestedItems]
+        .filter((index) => index >= 2 && index < userSeatsIndex)
+        .map((index) => booking.takenSeats[index - 2]);
+
+      // Seats were free, so another booking of the user took its allowance
+      if (
+        failedItems.includes(userSeatsIndex) &&
+        soldSeats.length === 0 &&
+        lockedSeats.length === 0
+      ) {
+        const { maxSeatsPerUser } = EventModel.getPurchaseLimits(event);
+        throw createBookingRejectedError(
+          `You have reached the limit of ${maxSeatsPerUser} seats for this event`,
+          { maxSeatsPerUser }
+        );
+      }
+
+      // Seats were free, so the tier ran out of capacity meanwhile
+      if (
+        tier &&
+        failedItems.includes(1) &&
+        soldSeats.length === 0 &&
+        lockedSeats.length === 0
+      ) {
+        throw createBookingRejectedError(`Not enough ${tier.name} seats left`);
+      }
+
+      // No seat is taken, the event itself kept changing underneath
+      if (soldSeats.length === 0 && lockedSeats.length === 0) {
+        throw createTransactionBusyError();
+      }
+
+      throw createSeatConflictError([
+        ...new Set([...soldSeats, ...lockedSeats]),
+      ]);
+    }
+
+    return booking;
+  } catch (error) {
+    console.error('Booking creation error:', error);
+    if (error.message.includes('Validation failed')) {
+      throw new Error(`Invalid booking data: ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+// Get booking by ID
+const getBookingById = async (ticketId) => {
+  const db = initDynamoDB();
+
+  const params = {
+    TableName: BookingModel.tableName,
+    Key: { id: ticketId },
+  };
+
+  const result = await db.send(new GetCommand(params));
+  return result.Item;
+};
+
+// Void an authorization that will not be captured, logging failures
+const voidPayment = async (transactionId) => {
+  try {
+    await paymentService.void({
+      transactionId,
+      idempotencyKey: `void-${transactionId}`,
+    });
+  } catch (error) {
+    console.error(
+      `[BookingService] Failed to void authorization ${transactionId}:`,
+      error
+    );
+  }
+};
+
+// Confirm a pending booking with its payment. The ticket, the seats on the
+// event and the seat locks change in one transaction, so either all of it
+// happens or none of it. Shared by confirmBooking and payment webhooks.
+// The transition's side effects are left to the caller.
+const sellBookingSeats = async (db, booking, paymentInfo, context) => {
+  const ticketId = booking.id;
+
+  bookingStateMachine.assertCanTransition(
+    booking,
+    BookingTransition.CONFIRM,
+    context
+  );
+
+  // The CONFIRM transition of the ticket, with its payment
+  const confirmation = bookingStateMachine.buildTransitionUpdate(
+    booking,
+    BookingTransition.CONFIRM,
+    context,
+    { paymentInfo }
+  );
+  const confirmationData = confirmation.changes;
+  const seatsCondition = buildSeatsAvailableCondition(booking.takenSeats);
+
+  const transactItems = [
+    { Update: confirmation.params },
+    {
+      Update: {
+        TableName: EventModel.tableName,
+        Key: { id: booking.eventId },
+        UpdateExpression:
+          'SET takenSeats = list_append(if_not_exists(takenSeats, :emptyList), :seats), updatedAt = :updatedAt',
+        ConditionExpression: seatsCondition.ConditionExpression,
+        ExpressionAttributeValues: {
+          ...seatsCondition.ExpressionAttributeValues,
+          ':seats': booking.takenSeats,
+          ':emptyList': [],
+          ':updatedAt': confirmationData.updatedAt,
+        },
+      },
+    },
+    ...booking.takenSeats.map((seat) => ({
+      Update: {
+        TableName: SeatLockModel.tableName,
+        Key: SeatLockModel.buildKey(booking.eventId, seat),
+        UpdateExpression: 'SET #status = :sold REMOVE expiresAt',
+        ConditionExpression: 'ticketId = :ticketId',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':sold': SeatLockModel.LockStatus.SOLD,
+          ':ticketId': ticketId,
+        },
+      },
+    })),
+  ];
+
+  try {
+    await sendTransaction(db, transactItems);
+  } catch (error) {
+    const failedItems = getFailedTransactionItems(error);
+    if (!failedItems) {
+      throw error;
+    }
+
+    if (failedItems.includes(0)) {
+      throw bookingStateMachine.createInvalidTransitionError(
+        bookingStateMachine.getTransition(BookingTransition.CONFIRM)
+          .rejectMessage
+      );
+    }
+
+    // Items from index 2 onwards are the seat locks
+    const lockedSeats = failedItems
+      .filter((index) => index >= 2)
+      .map((index) => booking.takenSeats[index - 2]);
+    const soldSeats = failedItems.includes(1)
+      ? (await findSeatsTakenOnEvent(
+          db,
+          booking.eventId,
+          booking.takenSeats
+        )) || []
+      : [];
+
+    // Nothing was lost, other writes kept cancelling the transaction
+    if (soldSeats.length === 0 && lockedSeats.length === 0) {
+      throw createTransactionBusyError();
+    }
+
+    throw createSeatConflictError([...new Set([...soldSeats, ...lockedSeats])]);
+  }
+
+  return { ...booking, ...confirmationData };
+};
+
+// Record that the payment of a confirmed booking has been captured
+const markPaymentCaptured = async (db, ticketId, transactionId) => {
+  await db.send(
+    new UpdateCommand({
+      TableName: BookingModel.tableName,
+      Key: { id: ticketId },
+      UpdateExpression:
+        'SET paymentInfo.#status = :captured, paymentInfo.capturedAt = :capturedAt',
+      ConditionExpression: 'paymentInfo.transactionId = :transactionId',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':captured': PaymentStatus.CAPTURED,
+        ':capturedAt': new Date().toISOString(),
+        ':transactionId': transactionId,
+      },
+    })
+  );
+};
+
+// Capture an authorization and record it on the booking
+const capturePayment = async (db, ticketId, transactionId, amount) => {
+  await paymentService.capture({
+    transactionId,
+    amount,
+    idempotencyKey: `capture-${transactionId}`,
+  });
+  await markPaymentCaptured(db, ticketId, transactionId);
+};
+
+// Record a payment operation for reconcilePayments to settle. Failing to
+// record it must not hide the original outcome from the caller.
+const schedulePaymentReconciliation = async (data) => {
+  try {
+    await paymentReconciliationService.scheduleReconciliation(data);
+  } catch (error) {
+    console.error(
+      `[BookingService] Failed to schedule ${data.type} reconciliation of ${data.ticketId}, settle it manually:`,
+      error
+    );
+  }
+};
+
+// Remember why a payment attempt failed. This moves the booking's updatedAt
+// on, so the next attempt (with another card) gets a new authorize key
+// instead of the provider replaying this answer.
+const recordPaymentError = async (db, booking, error) => {
+  const now = new Date().toISOString();
+
+  try {
+    await db.send(
+      new UpdateCommand({
+        TableName: BookingModel.tableName,
+        Key: { id: booking.id },
+        UpdateExpression:
+          'SET lastPaymentError = :paymentError, updatedAt = :now',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':paymentError': {
+            reason: error.details?.declineCode || error.failure || error.code,
+            failedAt: now,
+          },
+          ':now': now,
+          ':pending': 'PENDING',
+        },
+      })
+    );
+  } catch (updateError) {
+    console.error(
+      `[BookingService] Failed to record the payment error of ${booking.id}:`,
+      updateError
+    );
+  }
+};
+
+// Settle one reconciliation record with the provider.
+// Returns true once nothing is left to do.
+const settleReconciliation = async (db, record) => {
+  const { ReconciliationType } = PaymentReconciliationModel;
+
+  if (record.type === ReconciliationType.CAPTURE) {
+    await capturePayment(
+      db,
+      record.ticketId,
+      record.transactionId,
+      record.amount
+    );
+    return true;
+  }
+
+  if (record.type === ReconciliationType.VOID_AUTHORIZATION) {
+    const authorization = await paymentService.findAuthorization({
+      idempotencyKey: record.idempotencyKey,
+    });
+    if (!authorization.transactionId) {
+      // The provider may still be processing it, look again later
+      return false;
+    }
+    // A retry with the same key confirmed the booking with it after all
+    const booking = await getBookingById(record.ticketId);
+    if (booking?.paymentInfo?.transactionId === authorization.transactionId) {
+      return true;
+    }
+    if (authorization.status === PaymentStatus.AUTHORIZED) {
+      await paymentService.void({
+        transactionId: authorization.transactionId,
+        idempotencyKey: `void-${authorization.transactionId}`,
+      });
+    }
+    return true;
+  }
+
+  throw new Error(`Unknown reconciliation type ${record.type}`);
+};
+
+// Retry the payment operations that could not be settled when they
+// happened (see PaymentReconciliationModel). Run by the cleanup job.
+const reconcilePayments = async () => {
+  const db = initDynamoDB();
+  const records = await paymentReconciliationService.getDueReconciliations();
+  let settled = 0;
+
+  for (const record of records) {
+    let reason;
+    try {
+      if (await settleReconciliation(db, record)) {
+        await paymentReconciliationService.completeReconciliation(record.id);
+        settled++;
+        continue;
+      }
+      reason = 'Authorization not found at the provider';
+
+      // Never found after every attempt: nothing was authorized
+      if (record.attempts + 1 >= PaymentReconciliationModel.MAX_ATTEMPTS) {
+        await paymentReconciliationService.completeReconciliation(record.id);
+        settled++;
+        continue;
+      }
+    } catch (error) {
+      reason = error.message;
+    }
+
+    const attempts = await paymentReconciliationService.recordFailedAttempt(
+      record,
+      reason
+    );
+    if (attempts >= PaymentReconciliationModel.MAX_ATTEMPTS) {
+      console.error(
+        `[BookingService] Gave up on ${record.id} for booking ${record.ticketId} after ${attempts} attempts, it needs manual review: ${reason}`
+      );
+    }
+  }
+
+  return { settled, pending: records.length - settled };
+};
+
+// Issue or void seat tickets, fetching the tickets retries a failed sync
+const syncSeatTickets = async (booking) => {
+  try {
+    await seatTicketService.syncSeatTickets(booking);
+  } catch (error) {
+    console.error(`Failed to sync seat tickets of ${booking.id}:`, error);
+  }
+};
+
+// Send booking confirmation email notification (async, non-blocking)
+const sendConfirmationNotification = async (db, booking) => {
+  try {
+    // Fetch event details for the notification
+    const eventResult = await db.send(
+      new GetCommand({
+        TableName: EventModel.tableName,
+        Key: { id: booking.eventId },
+      })
+    );
+    const event = eventResult.Item;
+
+    // Send notification to SQS (fire and forget)
+    notificationService
+      .sendBookingConfirmation(booking, event, booking.email)
+      .catch((err) =>
+        console.error(
+          '[BookingService] Failed to queue confirmation notification:',
+          err
+        )
+      );
+  } catch (notificationError) {
+    // Log but don't fail the booking confirmation
+    console.error(
+      '[BookingService] Error preparing confirmation notification:',
+      notificationError
+    );
+  }
+};
+
+// Send refund notification email (async, non-blocking)
+const sendRefundNotification = (booking, event) => {
+  try {
+    // Send notification to SQS (fire and forget)
+    notificationService
+      .sendRefundNotification(booking, event, booking.email)
+      .catch((err) =>
+        console.error(
+          '[BookingService] Failed to queue refund notification:',
+          err
+        )
+      );
+  } catch (notificationError) {
+    // Log but don't fail the refund
+    console.error(
+      '[BookingService] Error preparing refund notification:',
+      notificationError
+    );
+  }
+};
+
+/**
+ * Pick the seats to offer a waitlist entry out of the free ones
+ * Tiered events only offer seats of one tier that is on sale and has room
+ * for the whole party, the entry's tier if it asked for one
+ * @param {Object} event - Event item
+ * @param {Object} entry - Waiting entry
+ * @param {Array} seats - Free seats, in the order they should be offered
+ * @returns {Object|null} { tierId, seats }, or null if nothing fits
+ */
+const pickOfferSeats = (event, entry, seats) => {
+  const tiers = event.ticketTiers || [];
+
+  if (tiers.length === 0) {
+    if (entry.tierId || seats.length < entry.seatCount) return null;
+    return { tierId: undefined, seats: seats.slice(0, entry.seatCount) };
+  }
+
+  const candidateTiers = entry.tierId
+    ? tiers.filter((tier) => tier.id === entry.tierId)
+    : tiers;
+
+  for (const tier of candidateTiers) {
+    if (!EventModel.isTierOnSale(tier)) continue;
+    if (EventModel.calculateTierAvailableSeats(event, tier) < entry.seatCount) {
+      continue;
+    }
+
+    const tierSeats = seats.filter((seat) =>
+      EventModel.isSeatInTier(event, tier, seat)
+    );
+    if (tierSeats.length >= entry.seatCount) {
+      return { tierId: tier.id, seats: tierSeats.slice(0, entry.seatCount) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Offer released seats to the first fitting entries of the event's waitlist
+ * Each offer is a pending booking that holds the seats until
+ * env.waitlist.offerMinutes have passed; entries that do not fit what is
+ * left keep their place for the next release
+ * @param {Object} db - DynamoDB document client
+ * @param {string} eventId - Event ID
+ * @param {Array} seats - Seats that just came back
+ * @returns {Promise<Array>} Bookings created for the offers
+ */
+const offerSeatsToWaitlist = async (db, eventId, seats) => {
+  const entries = await waitlistService.getWaitingEntries(eventId);
+  if (entries.length === 0 || seats.length === 0) return [];
+
+  const offers = [];
+
+  for (const entry of entries) {
+    const eventResult = await db.send(
+      new GetCommand({
+        TableName: EventModel.tableName,
+        Key: { id: eventId },
+      })
+    );
+    const event = eventResult.Item;
+    if (!event || !EventModel.isBookable(event)) break;
+
+    // Seats sold again in the meantime are no longer free
+    const freeSeats = seats.filter(
+      (seat) => !(event.takenSeats || []).includes(seat)
+    );
+    const picked = pickOfferSeats(event, entry, freeSeats);
+    if (!picked) continue;
+
+    const reserved = await waitlistService.reserveOffer(entry, {
+      ticketId: uuidv4(),
+      seats: picked.seats,
+      expiresAt: BookingModel.calculateExpirationTime(
+        env.waitlist.offerMinutes
+      ),
+    });
+    if (!reserved) continue;
+
+    let booking;
+    try {
+      booking = await createBooking({
+        id: reserved.offer.ticketId,
+        eventId,
+        userId: entry.userId,
+        tierId: picked.tierId,
+        seats: picked.seats,
+        name: entry.name,
+        email: entry.email,
+        phoneNumber: entry.phoneNumber,
+        expiresAt: reserved.offer.expiresAt,
+        waitlistEntryId: entry.id,
+      });
+    } catch (error) {
+      await waitlistService.withdrawOffer(reserved);
 
-    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
-      clientConfig.credentials = {
-        accessKeyId: env.aws.awsAccessKeyId,
-        secretAccessKey: env.aws.awsSecretAccessKey,
-      };
+      if (error.code === SEAT_CONFLICT) {
+        // Someone else holds these seats now, try the rest with this entry
+        seats = seats.filter((seat) => !error.conflictingSeats.includes(seat));
+        continue;
+      }
+      if (error.code === BOOKING_REJECTED) continue;
+      throw error;
     }
 
-    const client = new DynamoDBClient(clientConfig);
-    dynamoDb = DynamoDBDocumentClient.from(client);
+    seats = seats.filter((seat) => !picked.seats.includes(seat));
+    offers.push(booking);
+
+    notificationService
+      .sendWaitlistOffer(
+        booking,
+        event,
+        env.clientUrl ? `${env.clientUrl}/bookings/${booking.id}` : null
+      )
+      .catch((err) =>
+        console.error(
+          '[BookingService] Failed to queue waitlist offer notification:',
+          err
+        )
+      );
+
+    if (seats.length === 0) break;
   }
-  return dynamoDb;
+
+  return offers;
 };
 
-// Create a booking (ticket with PENDING status)
-const createBooking = async (bookingData) => {
-  const db = initDynamoDB();
+// Offer released seats to the waitlist without failing the transition that
+// released them
+const offerReleasedSeats = async (db, eventId, seats) => {
+  try {
+    await offerSeatsToWaitlist(db, eventId, seats);
+  } catch (error) {
+    console.error(
+      `Failed to offer seats of ${eventId} to the waitlist:`,
+      error
+    );
+  }
+};
 
+// Close the waitlist entry of an offer, the booking's transition stands even
+// if this fails
+const settleWaitlistOffer = async (booking, status) => {
   try {
-    // Prepare booking data with validation
-    const bookingToCreate = {
-      eventId: bookingData.eventId,
-      pricePerSeat: bookingData.pricePerSeat || 0,
-      takenSeats: bookingData.seats, // Array of seat identifiers
-      userId: bookingData.userId,
-      name: bookingData.name || '',
-      email: bookingData.email || '',
-      phoneNumber: bookingData.phoneNumber || '',
-      status: 'PENDING',
-      purchaseDate: new Date().toISOString(),
-    };
+    await waitlistService.settleOffer(booking, status);
+  } catch (error) {
+    console.error(`Failed to settle waitlist offer ${booking.id}:`, error);
+  }
+};
 
-    // Validate using model
-    const validatedBooking = BookingModel.validate(bookingToCreate);
+// Run the side effects the state machine lists for a stored transition
+// booking is the booking as it was before, updatedBooking as it is now
+const runTransitionEffects = async (db, name, booking, updatedBooking) => {
+  const { effects } = bookingStateMachine.getTransition(name);
+  let event;
+
+  for (const effect of effects) {
+    switch (effect) {
+      case TransitionEffect.RELEASE_HOLDS:
+        // Seats are sold now, the short-lived holds are no longer needed
+        await seatHoldService.releaseHolds(
+          booking.eventId,
+          booking.takenSeats,
+          booking.id
+        );
+        break;
+      case TransitionEffect.RELEASE_SEATS:
+        // Only sold seats are on the event, pending ones just hold locks
+        event = await releaseSeats(
+          db,
+          booking,
+          BookingModel.hasSoldSeats(booking)
+        );
+        break;
+      case TransitionEffect.RELEASE_REFUNDED_SEATS:
+        event = await releaseSeats(
+          db,
+          { ...booking, takenSeats: updatedBooking.refundBreakdown.seats },
+          true
+        );
+        break;
+      case TransitionEffect.RELEASE_PROMO_CODE:
+        await releasePromoRedemption(booking);
+        break;
+      case TransitionEffect.SYNC_SEAT_TICKETS:
+        await syncSeatTickets(updatedBooking);
+        break;
+      case TransitionEffect.NOTIFY_CONFIRMATION:
+        await sendConfirmationNotification(db, updatedBooking);
+        break;
+      case TransitionEffect.NOTIFY_REFUND:
+        sendRefundNotification(updatedBooking, event);
+        break;
+      case TransitionEffect.SETTLE_WAITLIST_OFFER:
+        if (booking.waitlistEntryId) {
+          await settleWaitlistOffer(booking, WAITLIST_OFFER_OUTCOMES[name]);
+        }
+        break;
+      case TransitionEffect.OFFER_TO_WAITLIST:
+        await offerReleasedSeats(
+          db,
+          booking.eventId,
+          name === BookingTransition.PARTIAL_REFUND
+            ? updatedBooking.refundBreakdown.seats
+            : booking.takenSeats
+        );
+        break;
+      default:
+        throw new Error(`Unknown transition effect: ${effect}`);
+    }
+  }
+};
 
-    // Prepare for creation (adds id, bookingCode, timestamps, expiration)
-    const booking = BookingModel.prepareForCreation(validatedBooking);
+// Apply a transition that only changes the ticket, then run its effects
+const runTransition = async (db, booking, name, context, extraFields) => {
+  bookingStateMachine.assertCanTransition(booking, name, context);
 
-    const params = {
-      TableName: BookingModel.tableName,
-      Item: booking,
-    };
+  const { params, changes } = bookingStateMachine.buildTransitionUpdate(
+    booking,
+    name,
+    context,
+    extraFields
+  );
 
-    await db.send(new PutCommand(params));
-    return booking;
+  try {
+    await db.send(new UpdateCommand(params));
   } catch (error) {
-    console.error('Booking creation error:', error);
-    if (error.message.includes('Validation failed')) {
-      throw new Error(`Invalid booking data: ${error.message}`);
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw bookingStateMachine.createInvalidTransitionError(
+        'Booking was changed in the meantime, please try again'
+      );
     }
     throw error;
   }
+
+  const updatedBooking = { ...booking, ...changes };
+  await runTransitionEffects(db, name, booking, updatedBooking);
+
+  return updatedBooking;
 };
 
-// Get booking by ID
-const getBookingById = async (ticketId) => {
+// Charge the booking through the payment provider and confirm it
+const confirmBooking = async (ticketId, paymentMethod, context = {}) => {
   const db = initDynamoDB();
 
-  const params = {
-    TableName: BookingModel.tableName,
-    Key: { id: ticketId },
+  // Get the booking first to validate and get event info
+  const booking = await getBookingById(ticketId);
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  // Check the transition before any money is reserved
+  bookingStateMachine.assertCanTransition(
+    booking,
+    BookingTransition.CONFIRM,
+    context
+  );
+
+  const amount = BookingModel.getTotalAmount(booking);
+  const currency = booking.priceBreakdown?.currency || env.pricing.currency;
+
+  // Reserve the funds first; nothing is charged until the seats are sold.
+  // The key only changes with the booking, so the provider answers a retry
+  // after a timeout with the same authorization. If it never answers the
+  // authorization may still go through, so it is looked up and voided later.
+  const authorizeKey = `authorize-${ticketId}-${booking.updatedAt}`;
+  let authorization;
+  try {
+    authorization = await paymentService.authorize({
+      amount,
+      currency,
+      paymentMethod,
+      reference: ticketId,
+      idempotencyKey: authorizeKey,
+    });
+  } catch (error) {
+    if (error.failure === paymentService.PaymentFailure.TIMEOUT) {
+      await schedulePaymentReconciliation({
+        type: PaymentReconciliationModel.ReconciliationType.VOID_AUTHORIZATION,
+        ticketId,
+        idempotencyKey: authorizeKey,
+        amount,
+        currency,
+      });
+    } else if (error.code === paymentService.PAYMENT_FAILED) {
+      await recordPaymentError(db, booking, error);
+    }
+    throw error;
+  }
+
+  // Only the last 4 digits of the card are ever stored
+  const paymentInfo = {
+    provider: authorization.provider,
+    transactionId: authorization.transactionId,
+    status: PaymentStatus.AUTHORIZED,
+    amount,
+    currency,
+    cardLastFour: String(paymentMethod.cardNumber).slice(-4),
+    cardholderName: paymentMethod.cardholderName,
+    paymentDate: new Date().toISOString(),
   };
 
-  const result = await db.send(new GetCommand(params));
-  return result.Item;
+  try {
+    await sellBookingSeats(db, booking, paymentInfo, context);
+  } catch (error) {
+    // The booking was not confirmed, release the reserved funds
+    await voidPayment(authorization.transactionId);
+    // The booking can still be paid, but not with the void authorization
+    if (error.code === TRANSACTION_BUSY) {
+      await recordPaymentError(db, booking, error);
+    }
+    throw error;
+  }
+
+  // Seats are sold, collect the funds. A failed capture leaves the booking
+  // confirmed with an AUTHORIZED payment, reconcilePayments retries it.
+  try {
+    await capturePayment(db, ticketId, authorization.transactionId, amount);
+  } catch (error) {
+    console.error(
+      `[BookingService] Failed to capture payment of ${ticketId}:`,
+      error
+    );
+    await schedulePaymentReconciliation({
+      type: PaymentReconciliationModel.ReconciliationType.CAPTURE,
+      ticketId,
+      transactionId: authorization.transactionId,
+      amount,
+      currency,
+    });
+  }
+
+  const confirmedBooking = await getBookingById(ticketId);
+  await runTransitionEffects(
+    db,
+    BookingTransition.CONFIRM,
+    booking,
+    confirmedBooking
+  );
+
+  return confirmedBooking;
 };
 
-// Update booking payment info and confirm
-const confirmBooking = async (ticketId, paymentInfo) => {
+// Extend the seat hold of a pending booking
+const extendBookingHold = async (ticketId) => {
   const db = initDynamoDB();
 
-  // Get the booking first to validate and get event info
   const booking = await getBookingById(ticketId);
   if (!booking) {
     throw new Error('Booking not found');
   }
 
-  // Check if booking can be confirmed using model helper
-  if (!BookingModel.canBeConfirmed(booking)) {
+  if (!BookingModel.canBeExtended(booking)) {
     throw new Error(
-      'Booking cannot be confirmed (either not pending or expired)'
+      'Booking hold cannot be extended (expired, not pending or no extensions left)'
     );
   }
 
-  // Prepare confirmation data using model
-  const confirmationData = BookingModel.prepareForConfirmation(booking);
+  const now = new Date().toISOString();
+  const expiresAt = BookingModel.calculateExtendedExpirationTime(booking);
 
-  // Update ticket status to CONFIRMED
-  const ticketParams = {
-    TableName: BookingModel.tableName,
-    Key: { id: ticketId },
-    UpdateExpression:
-      'SET #status = :status, updatedAt = :updatedAt, paymentInfo = :paymentInfo, purchaseDate = :purchaseDate, expiresAt = :expiresAt',
-    ExpressionAttributeNames: {
-      '#status': 'status',
-    },
-    ExpressionAttributeValues: {
-      ':status': confirmationData.status,
-      ':updatedAt': confirmationData.updatedAt,
-      ':purchaseDate': confirmationData.purchaseDate,
-      ':expiresAt': null,
-      ':paymentInfo': paymentInfo,
+  // Move the expiration of the ticket, all its seat locks and the waitlist
+  // offer it was created for together
+  const transactItems = [
+    {
+      Update: {
+        TableName: BookingModel.tableName,
+        Key: { id: ticketId },
+        UpdateExpression:
+          'SET expiresAt = :expiresAt, updatedAt = :now, holdExtensions = if_not_exists(holdExtensions, :zero) + :one',
+        ConditionExpression:
+          '#status = :pending AND expiresAt = :currentExpiresAt AND expiresAt > :now AND (attribute_not_exists(holdExtensions) OR holdExtensions < :maxExtensions)',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':expiresAt': expiresAt,
+          ':currentExpiresAt': booking.expiresAt,
+          ':now': now,
+          ':zero': 0,
+          ':one': 1,
+          ':pending': 'PENDING',
+          ':maxExtensions': BookingModel.MAX_HOLD_EXTENSIONS,
+        },
+      },
     },
-    ReturnValues: 'ALL_NEW',
-  };
+    ...booking.takenSeats.map((seat) => ({
+      Update: {
+        TableName: SeatLockModel.tableName,
+        Key: SeatLockModel.buildKey(booking.eventId, seat),
+        UpdateExpression: 'SET expiresAt = :expiresAt',
+        ConditionExpression: 'ticketId = :ticketId',
+        ExpressionAttributeValues: {
+          ':expiresAt': expiresAt,
+          ':ticketId': ticketId,
+        },
+      },
+    })),
+  ];
+
+  if (booking.waitlistEntryId) {
+    transactItems.push({
+      Update: {
+        TableName: WaitlistEntryModel.tableName,
+        Key: { id: booking.waitlistEntryId },
+        UpdateExpression: 'SET offer.expiresAt = :expiresAt, updatedAt = :now',
+        ConditionExpression:
+          '#status = :offered AND offer.ticketId = :ticketId',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':expiresAt': expiresAt,
+          ':now': now,
+          ':offered': WaitlistEntryModel.WaitlistStatus.OFFERED,
+          ':ticketId': ticketId,
+        },
+      },
+    });
+  }
 
-  // Update event's takenSeats array
-  const eventParams = {
-    TableName: EventModel.tableName,
-    Key: { id: booking.eventId },
-    UpdateExpression:
-      'SET takenSeats = list_append(if_not_exists(takenSeats, :emptyList), :seats), updatedAt = :updatedAt',
-    ExpressionAttributeValues: {
-      ':seats': booking.takenSeats,
-      ':emptyList': [],
-      ':updatedAt': confirmationData.updatedAt,
+  try {
+    await db.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (error) {
+    const failedItems = getFailedTransactionItems(error);
+    if (failedItems && failedItems.length > 0) {
+      throw new Error('Booking hold cannot be extended');
+    }
+    throw error;
+  }
+
+  await seatHoldService.extendHolds(
+    booking.eventId,
+    booking.takenSeats,
+    ticketId,
+    expiresAt
+  );
+
+  return getBookingById(ticketId);
+};
+
+// Apply a promo code to a pending booking and reprice it
+const applyPromoCode = async (ticketId, code) => {
+  const db = initDynamoDB();
+
+  const booking = await getBookingById(ticketId);
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  if (!BookingModel.canBeConfirmed(booking)) {
+    throw new Error('Promo codes can only be applied to pending bookings');
+  }
+
+  if (booking.promoCode) {
+    throw new Error('A promo code has already been applied to this booking');
+  }
+
+  const promoCode = await promoCodeService.getPromoCode(code);
+  if (!promoCode || !PromoCodeModel.isRedeemable(promoCode)) {
+    throw new Error('Promo code is invalid or has expired');
+  }
+
+  const eventResult = await db.send(
+    new GetCommand({
+      TableName: EventModel.tableName,
+      Key: { id: booking.eventId },
+    })
+  );
+  const event = eventResult.Item;
+
+  if (!event || !PromoCodeModel.appliesToEvent(promoCode, event)) {
+    throw new Error('Promo code does not apply to this event');
+  }
+
+  const current = booking.priceBreakdown;
+  const priceBreakdown = pricingService.calculatePrice({
+    pricePerSeat: booking.pricePerSeat,
+    seatCount: booking.takenSeats.length,
+    taxRate: current ? current.taxRate : event.taxRate || 0,
+    tierName: booking.tierName,
+    discount: {
+      code: promoCode.code,
+      amount: PromoCodeModel.calculateDiscount(
+        promoCode,
+        current
+          ? current.subtotal
+          : booking.pricePerSeat * booking.takenSeats.length
+      ),
     },
-  };
+  });
 
-  // Execute both updates
-  await Promise.all([
-    db.send(new UpdateCommand(ticketParams)),
-    db.send(new UpdateCommand(eventParams)),
-  ]);
+  const now = new Date().toISOString();
 
-  const result = await db.send(new UpdateCommand(ticketParams));
-  const confirmedBooking = result.Attributes;
+  // Count the redemption and reprice the booking in one transaction, so
+  // concurrent redemptions can never exceed the code's limits
+  const transactItems = [
+    ...promoCodeService.buildRedemptionItems(promoCode, booking.userId),
+    {
+      Update: {
+        TableName: BookingModel.tableName,
+        Key: { id: ticketId },
+        UpdateExpression:
+          'SET priceBreakdown = :priceBreakdown, promoCode = :code, updatedAt = :now',
+        ConditionExpression:
+          '#status = :pending AND expiresAt > :now AND attribute_not_exists(promoCode)',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':priceBreakdown': priceBreakdown,
+          ':code': promoCode.code,
+          ':now': now,
+          ':pending': 'PENDING',
+        },
+      },
+    },
+  ];
 
-  // Send booking confirmation email notification (async, non-blocking)
   try {
-    // Fetch event details for the notification
-    const eventResult = await db.send(
-      new GetCommand({
-        TableName: EventModel.tableName,
-        Key: { id: booking.eventId },
-      })
-    );
-    const event = eventResult.Item;
+    await db.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (error) {
+    const failedItems = getFailedTransactionItems(error);
+    if (failedItems && failedItems.length > 0) {
+      if (failedItems.includes(0)) {
+        throw new Error('Promo code is invalid or has expired');
+      }
+      if (failedItems.includes(1)) {
+        throw new Error('You have already used this promo code');
+      }
+      throw new Error('Promo code cannot be applied to this booking');
+    }
+    throw error;
+  }
 
-    // Send notification to SQS (fire and forget)
-    notificationService
-      .sendBookingConfirmation(confirmedBooking, event, booking.email)
-      .catch((err) =>
-        console.error(
-          '[BookingService] Failed to queue confirmation notification:',
-          err
-        )
-      );
-  } catch (notificationError) {
-    // Log but don't fail the booking confirmation
+  return getBookingById(ticketId);
+};
+
+// Give back the promo code redemption of a booking that was never paid
+const releasePromoRedemption = async (booking) => {
+  if (!booking.promoCode || booking.status !== 'PENDING') {
+    return;
+  }
+
+  try {
+    await promoCodeService.releaseRedemption(booking.promoCode, booking.userId);
+  } catch (error) {
     console.error(
-      '[BookingService] Error preparing confirmation notification:',
-      notificationError
+      `Failed to release promo code ${booking.promoCode} of ${booking.id}:`,
+      error
     );
   }
-
-  return confirmedBooking;
 };
 
 // Update customer info on ticket
@@ -219,8 +1794,8 @@ const updateCustomerInfo = async (ticketId, customerInfo) => {
   return result.Attributes;
 };
 
-// Cancel booking (delete ticket and release seats from event)
-const cancelBooking = async (ticketId) => {
+// Cancel booking (keep it as a CANCELLED record and release its seats)
+const cancelBooking = async (ticketId, context = {}) => {
   const db = initDynamoDB();
 
   // Get the booking first to get event and seats info
@@ -229,135 +1804,331 @@ const cancelBooking = async (ticketId) => {
     throw new Error('Booking not found');
   }
 
-  // Check if booking can be cancelled using model helper
-  if (!BookingModel.canBeCancelled(booking)) {
-    throw new Error('Booking cannot be cancelled');
+  await runTransition(db, booking, BookingTransition.CANCEL, context);
+
+  return { success: true, message: 'Booking cancelled' };
+};
+
+// Expire a pending booking whose hold ran out and free its seat locks.
+// Returns false if the booking was confirmed or closed in the meantime.
+const expireBooking = async (db, booking) => {
+  try {
+    await runTransition(db, booking, BookingTransition.EXPIRE, {
+      actor: bookingStateMachine.SYSTEM_ACTOR,
+      reason: 'Seat hold expired',
+    });
+    return true;
+  } catch (error) {
+    if (error.code === bookingStateMachine.INVALID_TRANSITION) {
+      return false;
+    }
+    throw error;
   }
+};
 
-  // Only remove seats from event if booking was CONFIRMED
-  if (booking.status === 'CONFIRMED') {
-    // Get current event data
-    const eventResult = await db.send(
-      new GetCommand({
-        TableName: EventModel.tableName,
-        Key: { id: booking.eventId },
-      })
-    );
+// Expire a single pending booking by ID, if its hold has run out
+const expireBookingById = async (ticketId) => {
+  const booking = await getBookingById(ticketId);
 
-    if (eventResult.Item) {
-      const event = eventResult.Item;
-      const updatedTakenSeats = (event.takenSeats || []).filter(
-        (seat) => !booking.takenSeats.includes(seat)
-      );
+  if (!booking) {
+    return false;
+  }
 
-      // Update event's takenSeats array with model timestamp
-      const updateData = EventModel.prepareForUpdate({
-        takenSeats: updatedTakenSeats,
-      });
+  return expireBooking(initDynamoDB(), booking);
+};
 
-      await db.send(
-        new UpdateCommand({
-          TableName: EventModel.tableName,
-          Key: { id: booking.eventId },
-          UpdateExpression: 'SET takenSeats = :seats, updatedAt = :updatedAt',
-          ExpressionAttributeValues: {
-            ':seats': updatedTakenSeats,
-            ':updatedAt': updateData.updatedAt,
-          },
-        })
-      );
-    }
+// Get the status history of a booking
+const getBookingHistory = async (ticketId) => {
+  const booking = await getBookingById(ticketId);
+
+  if (!booking) {
+    return null;
   }
 
-  // Delete the ticket
-  const params = {
-    TableName: BookingModel.tableName,
-    Key: { id: ticketId },
+  return {
+    ticketId: booking.id,
+    status: booking.status,
+    history: booking.history || [],
   };
+};
 
-  await db.send(new DeleteCommand(params));
-  return { success: true, message: 'Booking cancelled' };
+// Get the active pending seat locks of an event from DynamoDB
+const getPendingSeatLocks = async (db, eventId) => {
+  const locks = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await db.send(
+      new QueryCommand({
+        TableName: SeatLockModel.tableName,
+        KeyConditionExpression: 'eventId = :eventId',
+        FilterExpression: '#status = :pending AND expiresAt > :now',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':eventId': eventId,
+          ':pending': SeatLockModel.LockStatus.PENDING,
+          ':now': new Date().toISOString(),
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+
+    locks.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return locks;
 };
 
-// Get booked seats for an event (from event's takenSeats array)
-const getBookedSeats = async (eventId) => {
+// Get the state of every booked seat of an event (held or sold).
+// Seats that are not listed are free.
+const getSeatStates = async (eventId) => {
   const db = initDynamoDB();
 
-  const params = {
-    TableName: EventModel.tableName,
-    Key: { id: eventId },
+  const result = await db.send(
+    new GetCommand({
+      TableName: EventModel.tableName,
+      Key: { id: eventId },
+    })
+  );
+
+  if (!result.Item) {
+    return null;
+  }
+
+  const event = result.Item;
+
+  // Pending holds come from Redis and from the seat locks. Holds taken while
+  // Redis was down only exist as locks, so both are always merged.
+  const [redisHolds, locks] = await Promise.all([
+    seatHoldService.getEventHolds(eventId),
+    getPendingSeatLocks(db, eventId),
+  ]);
+  const holds = [
+    ...(redisHolds || []),
+    ...locks.map((lock) => ({
+      seat: lock.seat,
+      ticketId: lock.ticketId,
+      expiresAt: lock.expiresAt,
+    })),
+  ];
+
+  // Seats may be stored as numbers or strings
+  const soldSeats = event.takenSeats || [];
+  const listedSeats = new Set(soldSeats.map(String));
+  const seats = soldSeats.map((seat) => ({
+    seat,
+    state: SeatState.SOLD,
+    holdExpiresAt: null,
+  }));
+
+  holds.forEach((hold) => {
+    if (listedSeats.has(String(hold.seat))) return;
+    listedSeats.add(String(hold.seat));
+    seats.push({
+      seat: hold.seat,
+      state: SeatState.HELD,
+      holdExpiresAt: hold.expiresAt,
+    });
+  });
+
+  const heldCount = seats.length - soldSeats.length;
+
+  return {
+    eventId,
+    totalSeats: event.totalSeats,
+    seatsPerRow: event.seatsPerRow,
+    venueId: event.venueId,
+    layoutId: event.layoutId,
+    seats,
+    summary: {
+      free: Math.max(event.totalSeats - seats.length, 0),
+      held: heldCount,
+      sold: soldSeats.length,
+    },
+    serverTime: new Date().toISOString(),
   };
+};
 
-  const result = await db.send(new GetCommand(params));
+// Get booked seats for an event (sold and currently held)
+const getBookedSeats = async (eventId) => {
+  const seatStates = await getSeatStates(eventId);
 
-  if (!result.Item) {
+  if (!seatStates) {
     return [];
   }
 
-  // Also get pending bookings to include temporarily reserved seats
-  const ticketsParams = {
-    TableName: BookingModel.tableName,
-    FilterExpression: 'eventId = :eventId AND #status = :pending',
-    ExpressionAttributeNames: {
-      '#status': 'status',
+  return seatStates.seats.map((seatState) => seatState.seat);
+};
+
+// Get the seat map of an event with the live state of every seat (free,
+// held or sold). Returns null if the event does not exist or has no seat map.
+const getSeatMap = async (eventId) => {
+  const seatStates = await getSeatStates(eventId);
+  if (!seatStates || !seatStates.venueId) {
+    return null;
+  }
+
+  const venue = await venueService.getVenue(seatStates.venueId);
+  const layout = VenueModel.findLayout(venue, seatStates.layoutId);
+  if (!layout) {
+    return null;
+  }
+
+  const statesBySeat = new Map(
+    seatStates.seats.map((seatState) => [String(seatState.seat), seatState])
+  );
+
+  return {
+    eventId,
+    venue: {
+      id: venue.id,
+      name: venue.name,
+      address: venue.address,
+      city: venue.city,
     },
-    ExpressionAttributeValues: {
-      ':eventId': eventId,
-      ':pending': 'PENDING',
+    layout: {
+      id: layout.id,
+      name: layout.name,
+      sections: layout.sections.map((section) => ({
+        ...section,
+        rows: section.rows.map((row) => ({
+          ...row,
+          seats: row.seats.map((seat) => {
+            const seatState = statesBySeat.get(String(seat.number));
+            return {
+              ...seat,
+              state: seatState?.state || SeatState.FREE,
+              holdExpiresAt: seatState?.holdExpiresAt || null,
+            };
+          }),
+        })),
+      })),
     },
+    summary: seatStates.summary,
+    serverTime: seatStates.serverTime,
   };
+};
 
-  const ticketsResult = await db.send(new ScanCommand(ticketsParams));
+// Hold the best available seats of an event in a new pending booking.
+// bookingData is the same as for createBooking, with quantity instead of
+// seats. When another booking takes the picked seats first, the next best
+// seats are tried. Returns { booking, contiguous }, or null if the event
+// does not exist.
+const createBestAvailableBooking = async (bookingData) => {
+  const db = initDynamoDB();
 
-  // Combine confirmed seats (from event) with pending seats (from tickets)
-  const confirmedSeats = result.Item.takenSeats || [];
-  const pendingSeats = ticketsResult.Items.reduce((acc, ticket) => {
-    return acc.concat(ticket.takenSeats || []);
-  }, []);
+  const eventResult = await db.send(
+    new GetCommand({
+      TableName: EventModel.tableName,
+      Key: { id: bookingData.eventId },
+    })
+  );
+  const event = eventResult.Item;
+  const seatStates = await getSeatStates(bookingData.eventId);
+
+  if (!event || !seatStates) {
+    return null;
+  }
+
+  if (!EventModel.isBookable(event)) {
+    throw createBookingRejectedError('Event is not available for booking');
+  }
+
+  // Only the tier's seats can be picked, createBooking checks it again
+  const { tier } = resolveTicketTier(event, bookingData.tierId, []);
+  const layout = await checkSeatsOnMap(event, []);
+  const unavailableSeats = seatStates.seats.map((seatState) => seatState.seat);
+
+  for (let attempt = 1; ; attempt++) {
+    const selection = seatSelectionService.findBestAvailableSeats({
+      event,
+      layout,
+      tier,
+      quantity: bookingData.quantity,
+      unavailableSeats,
+    });
+
+    if (!selection) {
+      throw createBookingRejectedError(
+        tier ? `Not enough ${tier.name} seats left` : 'Not enough seats left',
+        { requestedSeats: bookingData.quantity }
+      );
+    }
 
-  return [...new Set([...confirmedSeats, ...pendingSeats])]; // Remove duplicates
+    try {
+      const booking = await createBooking({
+        ...bookingData,
+        seats: selection.seats,
+      });
+      return { booking, contiguous: selection.contiguous };
+    } catch (error) {
+      if (
+        error.code !== SEAT_CONFLICT ||
+        attempt >= MAX_BEST_AVAILABLE_ATTEMPTS
+      ) {
+        throw error;
+      }
+      unavailableSeats.push(...error.conflictingSeats);
+    }
+  }
 };
 
-// Clean up expired bookings
+// Clean up expired bookings (mark them EXPIRED and release their seats)
 const cleanupExpiredBookings = async () => {
   const db = initDynamoDB();
   const now = new Date().toISOString();
+  const pendingBookings = [];
+  let lastEvaluatedKey;
 
-  const params = {
-    TableName: BookingModel.tableName,
-    FilterExpression: '#status = :pending AND expiresAt < :now',
-    ExpressionAttributeNames: {
-      '#status': 'status',
-    },
-    ExpressionAttributeValues: {
-      ':pending': 'PENDING',
-      ':now': now,
-    },
-  };
+  // Only pending bookings are read, the kept records are never scanned
+  do {
+    const result = await db.send(
+      new QueryCommand({
+        TableName: BookingModel.tableName,
+        IndexName: 'StatusIndex',
+        KeyConditionExpression: '#status = :pending',
+        FilterExpression: 'expiresAt < :now',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':pending': BookingModel.BookingStatus.PENDING,
+          ':now': now,
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
 
-  const result = await db.send(new ScanCommand(params));
+    pendingBookings.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
 
   // Filter using model helper method for extra safety
-  const expiredBookings = result.Items.filter((booking) =>
+  const expiredBookings = pendingBookings.filter((booking) =>
     BookingModel.isExpired(booking)
   );
 
-  // Delete expired bookings
-  const deletePromises = expiredBookings.map((ticket) =>
-    db.send(
-      new DeleteCommand({
-        TableName: BookingModel.tableName,
-        Key: { id: ticket.id },
-      })
-    )
+  const results = await Promise.all(
+    expiredBookings.map((ticket) => expireBooking(db, ticket))
   );
 
-  await Promise.all(deletePromises);
-  return { deleted: expiredBookings.length };
+  return { expired: results.filter(Boolean).length };
 };
 
+// Statuses listed for a user unless others are asked for explicitly.
+// Cancelled and expired checkouts are kept as records but hidden.
+const DEFAULT_LISTED_STATUSES = [
+  BookingModel.BookingStatus.PENDING,
+  BookingModel.BookingStatus.CONFIRMED,
+  BookingModel.BookingStatus.PARTIALLY_REFUNDED,
+  BookingModel.BookingStatus.REFUNDED,
+];
+
 // Get user's bookings with event details
-const getUserBookings = async (userId) => {
+const getUserBookings = async (userId, statuses = DEFAULT_LISTED_STATUSES) => {
   const db = initDynamoDB();
 
   // Use UserIdIndex for better performance
@@ -371,7 +2142,9 @@ const getUserBookings = async (userId) => {
   };
 
   const result = await db.send(new QueryCommand(params));
-  const tickets = result.Items || [];
+  const tickets = (result.Items || []).filter((ticket) =>
+    statuses.includes(ticket.status)
+  );
 
   // Fetch event details for each ticket
   const ticketsWithEvents = await Promise.all(
@@ -407,8 +2180,142 @@ const getUserBookings = async (userId) => {
   });
 };
 
-// Refund a booking
-const refundBooking = async (ticketId) => {
+// Refund (or void, if never captured) the payment for the seats of a
+// refund breakdown. Returns the updated paymentInfo, or null for bookings
+// paid before the payment provider was introduced.
+const returnPayment = async (booking, refundBreakdown) => {
+  const paymentInfo = booking.paymentInfo;
+
+  if (!paymentInfo || !paymentInfo.transactionId) {
+    return null;
+  }
+
+  const isPartial = refundBreakdown.seats.length < booking.takenSeats.length;
+
+  if (paymentInfo.status === PaymentStatus.AUTHORIZED) {
+    // An authorization can only be released as a whole
+    if (isPartial) {
+      throw bookingStateMachine.createInvalidTransitionError(
+        'Seats can be refunded separately once the payment has been captured'
+      );
+    }
+
+    // Nothing was collected, so there is no fee to keep either
+    await paymentService.void({
+      transactionId: paymentInfo.transactionId,
+      idempotencyKey: `void-${paymentInfo.transactionId}`,
+    });
+    return { ...paymentInfo, status: PaymentStatus.VOIDED };
+  }
+
+  if (refundBreakdown.refundAmount === 0) {
+    return paymentInfo;
+  }
+
+  // One key per set of seats: a retry repeats the same refund, refunding
+  // other seats later is a new one
+  const refund = await paymentService.refund({
+    transactionId: paymentInfo.transactionId,
+    amount: refundBreakdown.refundAmount,
+    idempotencyKey: isPartial
+      ? `refund-${booking.id}-${refundBreakdown.seats.join('-')}`
+      : `refund-${booking.id}`,
+  });
+
+  return {
+    ...paymentInfo,
+    status: isPartial
+      ? PaymentStatus.PARTIALLY_REFUNDED
+      : PaymentStatus.REFUNDED,
+    refundId: refund.refundId,
+    refundIds: [...(paymentInfo.refundIds || []), refund.refundId],
+    refundedAmount: refundBreakdown.totalRefunded,
+  };
+};
+
+// Pick the booking's own seat identifiers for the seats asked to refund,
+// all seats left when none are given
+const resolveRefundSeats = (booking, seats) => {
+  const takenSeats = booking.takenSeats || [];
+
+  if (!seats || seats.length === 0) {
+    return takenSeats;
+  }
+
+  const requested = seats.map(String);
+  const unknown = requested.filter(
+    (seat) => !takenSeats.some((taken) => String(taken) === seat)
+  );
+
+  if (unknown.length > 0) {
+    throw createBookingRejectedError('Seats are not held by this booking', {
+      seats: unknown,
+    });
+  }
+
+  return takenSeats.filter((seat) => requested.includes(String(seat)));
+};
+
+// Work out how much of a booking is refunded. Customers get what the
+// event's refund policy allows, admins refund the full amount paid.
+const calculateBookingRefund = async (db, booking, context = {}, seats) => {
+  if (context.actor?.type !== ActorType.USER) {
+    return pricingService.calculateFullRefund(booking, seats);
+  }
+
+  const eventResult = await db.send(
+    new GetCommand({
+      TableName: EventModel.tableName,
+      Key: { id: booking.eventId },
+    })
+  );
+
+  return pricingService.calculateRefund(booking, eventResult.Item, seats);
+};
+
+// Attributes stored on a booking by a (partial) refund
+const buildRefundFields = (booking, refundBreakdown, paymentInfo) => {
+  const remainingSeats = booking.takenSeats.filter(
+    (seat) => !refundBreakdown.seats.includes(seat)
+  );
+
+  return {
+    // A full refund keeps its seats on the record, like other final states
+    ...(remainingSeats.length > 0 && { takenSeats: remainingSeats }),
+    refundedSeats: [...(booking.refundedSeats || []), ...refundBreakdown.seats],
+    refundAmount: refundBreakdown.totalRefunded,
+    refundBreakdown,
+    ...(paymentInfo && { paymentInfo }),
+  };
+};
+
+// Get the refund a customer would receive for a booking right now
+const getRefundQuote = async (ticketId, context = {}, seats) => {
+  const booking = await getBookingById(ticketId);
+
+  if (!booking) {
+    return null;
+  }
+
+  const refundBreakdown = await calculateBookingRefund(
+    initDynamoDB(),
+    booking,
+    context,
+    resolveRefundSeats(booking, seats)
+  );
+
+  return {
+    ticketId: booking.id,
+    status: booking.status,
+    ...refundBreakdown,
+    refundable:
+      refundBreakdown.refundable && BookingModel.canBeRefunded(booking),
+  };
+};
+
+// Refund a booking, or only some of its seats. Refunding every seat left
+// makes the booking REFUNDED, fewer seats make it PARTIALLY_REFUNDED.
+const refundBooking = async (ticketId, context = {}, seats) => {
   const db = initDynamoDB();
 
   // Get the booking first
@@ -418,104 +2325,358 @@ const refundBooking = async (ticketId) => {
     throw new Error('Booking not found');
   }
 
-  // Check if booking can be refunded using model helper
-  if (!BookingModel.canBeRefunded(booking)) {
-    throw new Error(
-      'Booking cannot be refunded. Refunds are only available within 24 hours of purchase for confirmed bookings.'
-    );
+  const refundSeats = resolveRefundSeats(booking, seats);
+  const transition =
+    refundSeats.length < (booking.takenSeats?.length || 0)
+      ? BookingTransition.PARTIAL_REFUND
+      : BookingTransition.REFUND;
+
+  const refundBreakdown = await calculateBookingRefund(
+    db,
+    booking,
+    context,
+    refundSeats
+  );
+  const refundContext = { ...context, refundBreakdown };
+
+  // Check the transition (and refund policy) before any money moves
+  bookingStateMachine.assertCanTransition(booking, transition, refundContext);
+
+  // Return the money first. The provider call is idempotent per set of
+  // seats, so a retry after a failed status update never refunds twice.
+  const paymentInfo = await returnPayment(booking, refundBreakdown);
+
+  const refundedBooking = await runTransition(
+    db,
+    booking,
+    transition,
+    refundContext,
+    buildRefundFields(booking, refundBreakdown, paymentInfo)
+  );
+
+  return {
+    success: true,
+    message:
+      transition === BookingTransition.PARTIAL_REFUND
+        ? 'Seats refunded successfully'
+        : 'Booking refunded successfully',
+    data: refundedBooking,
+  };
+};
+
+// Outcome of a payment event sent by the provider
+const PaymentEventResult = {
+  CONFIRMED: 'confirmed',
+  CAPTURED: 'captured',
+  REFUNDED: 'refunded',
+  RECORDED: 'recorded',
+  IGNORED: 'ignored',
+};
+
+// Refund a payment the booking does not need (a second charge, a payment
+// for the wrong amount or after the booking ended) and keep a trace of it on
+// the booking. Refunds are keyed by transaction, so a replayed event neither
+// refunds nor records the payment twice.
+const refundExtraPayment = async (db, booking, payment, reason) => {
+  if (
+    booking.extraPayments?.some(
+      (extraPayment) => extraPayment.transactionId === payment.transactionId
+    )
+  ) {
+    return PaymentEventResult.IGNORED;
   }
 
-  // Prepare refund data
-  const refundData = BookingModel.prepareForRefund(booking);
+  console.warn(
+    `[BookingService] Refunding payment ${payment.transactionId} of booking ${booking.id}: ${reason}`
+  );
+  const refund = await paymentService.refund({
+    transactionId: payment.transactionId,
+    amount: payment.amount,
+    idempotencyKey: `refund-${payment.transactionId}`,
+  });
 
-  // Update booking status
+  const now = new Date().toISOString();
   await db.send(
     new UpdateCommand({
       TableName: BookingModel.tableName,
-      Key: { id: ticketId },
+      Key: { id: booking.id },
       UpdateExpression:
-        'SET #status = :status, refundedAt = :refundedAt, updatedAt = :updatedAt',
-      ExpressionAttributeNames: {
-        '#status': 'status',
-      },
+        'SET extraPayments = list_append(if_not_exists(extraPayments, :none), :payment), updatedAt = :now',
       ExpressionAttributeValues: {
-        ':status': refundData.status,
-        ':refundedAt': refundData.refundedAt,
-        ':updatedAt': refundData.updatedAt,
+        ':none': [],
+        ':payment': [
+          {
+            provider: payment.provider,
+            transactionId: payment.transactionId,
+            amount: payment.amount ?? null,
+            currency: payment.currency || null,
+            reason,
+            refundId: refund.refundId,
+            refundedAt: now,
+          },
+        ],
+        ':now': now,
       },
     })
   );
 
-  // Release seats from event
-  const eventResult = await db.send(
-    new GetCommand({
-      TableName: EventModel.tableName,
-      Key: { id: booking.eventId },
-    })
-  );
+  return PaymentEventResult.REFUNDED;
+};
 
-  if (eventResult.Item) {
-    const event = eventResult.Item;
-    const updatedTakenSeats = (event.takenSeats || []).filter(
-      (seat) => !booking.takenSeats.includes(seat)
+// A payment succeeded at the provider: confirm the pending booking, or mark
+// the payment of an already confirmed booking as captured. Any other payment
+// (a second charge, one for the wrong amount or for a booking that can no
+// longer be confirmed) is refunded.
+const handlePaymentSucceeded = async (db, booking, payment, context) => {
+  if (booking.paymentInfo?.transactionId === payment.transactionId) {
+    if (
+      booking.status === 'CONFIRMED' &&
+      booking.paymentInfo.status === PaymentStatus.AUTHORIZED
+    ) {
+      await markPaymentCaptured(db, booking.id, payment.transactionId);
+      return PaymentEventResult.CAPTURED;
+    }
+    return PaymentEventResult.IGNORED;
+  }
+
+  // Expired and cancelled bookings are kept, money that arrives after they
+  // ended is refunded like any other payment the booking does not need
+  if (booking.status !== 'PENDING') {
+    return refundExtraPayment(
+      db,
+      booking,
+      payment,
+      booking.paymentInfo
+        ? 'Booking already paid'
+        : `Booking is ${booking.status.toLowerCase()}`
+    );
+  }
+
+  if (!pricingService.isPaymentForTotal(booking, payment)) {
+    return refundExtraPayment(
+      db,
+      booking,
+      payment,
+      'Amount or currency does not match the booking total'
     );
+  }
 
-    // Update event's takenSeats array
-    const updateData = EventModel.prepareForUpdate({
-      takenSeats: updatedTakenSeats,
-    });
+  const now = new Date().toISOString();
+  const paymentInfo = {
+    provider: payment.provider,
+    transactionId: payment.transactionId,
+    status: PaymentStatus.CAPTURED,
+    amount: payment.amount,
+    currency: payment.currency || booking.priceBreakdown?.currency,
+    paymentDate: now,
+    capturedAt: now,
+  };
+
+  try {
+    await sellBookingSeats(db, booking, paymentInfo, context);
+  } catch (error) {
+    if (
+      error.code !== SEAT_CONFLICT &&
+      error.code !== bookingStateMachine.INVALID_TRANSITION
+    ) {
+      throw error;
+    }
+
+    // Confirmed with this very payment in the meantime
+    const currentBooking = (await getBookingById(booking.id)) || booking;
+    if (currentBooking.paymentInfo?.transactionId === payment.transactionId) {
+      return PaymentEventResult.IGNORED;
+    }
 
+    return refundExtraPayment(
+      db,
+      currentBooking,
+      payment,
+      'Booking can no longer be confirmed'
+    );
+  }
+
+  const confirmedBooking = await getBookingById(booking.id);
+  await runTransitionEffects(
+    db,
+    BookingTransition.CONFIRM,
+    booking,
+    confirmedBooking
+  );
+
+  return PaymentEventResult.CONFIRMED;
+};
+
+// A payment failed at the provider: keep the booking pending so the
+// customer can retry before it expires, and remember why it failed
+const handlePaymentFailed = async (db, booking, payment) => {
+  if (booking.status !== 'PENDING') {
+    return PaymentEventResult.IGNORED;
+  }
+
+  try {
     await db.send(
       new UpdateCommand({
-        TableName: EventModel.tableName,
-        Key: { id: booking.eventId },
-        UpdateExpression: 'SET takenSeats = :seats, updatedAt = :updatedAt',
+        TableName: BookingModel.tableName,
+        Key: { id: booking.id },
+        UpdateExpression:
+          'SET lastPaymentError = :paymentError, updatedAt = :now',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
         ExpressionAttributeValues: {
-          ':seats': updatedTakenSeats,
-          ':updatedAt': updateData.updatedAt,
+          ':paymentError': {
+            transactionId: payment.transactionId,
+            reason: payment.reason || 'unknown',
+            failedAt: new Date().toISOString(),
+          },
+          ':now': new Date().toISOString(),
+          ':pending': 'PENDING',
         },
       })
     );
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return PaymentEventResult.IGNORED;
+    }
+    throw error;
+  }
+
+  return PaymentEventResult.RECORDED;
+};
+
+// The provider refunded a payment (e.g. from its dashboard or a dispute):
+// refund the booking without calling the provider again
+const handlePaymentRefunded = async (db, booking, payment, context) => {
+  if (
+    !BookingModel.canBeRefunded(booking) ||
+    (booking.paymentInfo?.transactionId &&
+      booking.paymentInfo.transactionId !== payment.transactionId) ||
+    // Notice of a partial refund made through the API
+    (payment.refundId &&
+      booking.paymentInfo?.refundIds?.includes(payment.refundId))
+  ) {
+    return PaymentEventResult.IGNORED;
   }
 
-  const refundedBooking = { ...booking, ...refundData };
+  const refundBreakdown = pricingService.calculateFullRefund(
+    booking,
+    booking.takenSeats,
+    payment.amount ?? undefined
+  );
+  const paymentInfo = booking.paymentInfo && {
+    ...booking.paymentInfo,
+    status: PaymentStatus.REFUNDED,
+    refundId: payment.refundId,
+    refundIds: [
+      ...(booking.paymentInfo.refundIds || []),
+      ...(payment.refundId ? [payment.refundId] : []),
+    ],
+    refundedAmount: refundBreakdown.totalRefunded,
+  };
 
-  // Send refund notification email (async, non-blocking)
   try {
-    const event = eventResult?.Item || null;
-    // Send notification to SQS (fire and forget)
-    notificationService
-      .sendRefundNotification(refundedBooking, event, booking.email)
-      .catch((err) =>
-        console.error(
-          '[BookingService] Failed to queue refund notification:',
-          err
-        )
-      );
-  } catch (notificationError) {
-    // Log but don't fail the refund
-    console.error(
-      '[BookingService] Error preparing refund notification:',
-      notificationError
+    await runTransition(
+      db,
+      booking,
+      BookingTransition.REFUND,
+      context,
+      buildRefundFields(booking, refundBreakdown, paymentInfo)
     );
+  } catch (error) {
+    // Refunded or cancelled through the API in the meantime
+    if (error.code === bookingStateMachine.INVALID_TRANSITION) {
+      return PaymentEventResult.IGNORED;
+    }
+    throw error;
   }
 
-  return {
-    success: true,
-    message: 'Booking refunded successfully',
-    data: refundedBooking,
-  };
+  return PaymentEventResult.REFUNDED;
+};
+
+const paymentEventHandlers = {
+  [paymentService.PaymentEventType.SUCCEEDED]: handlePaymentSucceeded,
+  [paymentService.PaymentEventType.FAILED]: handlePaymentFailed,
+  [paymentService.PaymentEventType.REFUNDED]: handlePaymentRefunded,
+};
+
+/**
+ * Apply a verified payment event from the provider to its booking
+ * @param {Object} paymentEvent - { type, ticketId, transactionId, amount, currency, refundId, reason, provider }
+ * @returns {Promise<Object>} { ticketId, result } with a PaymentEventResult
+ */
+const applyPaymentEvent = async (paymentEvent) => {
+  const db = initDynamoDB();
+  const handler = paymentEventHandlers[paymentEvent.type];
+
+  if (!handler) {
+    return {
+      ticketId: paymentEvent.ticketId,
+      result: PaymentEventResult.IGNORED,
+    };
+  }
+
+  const booking = paymentEvent.ticketId
+    ? await getBookingById(paymentEvent.ticketId)
+    : null;
+  if (!booking) {
+    console.warn(
+      `[BookingService] Payment event ${paymentEvent.type} for unknown booking ${paymentEvent.ticketId}`
+    );
+
+    // Bookings are never deleted, so the reference was not one of ours
+    if (paymentEvent.type === paymentService.PaymentEventType.SUCCEEDED) {
+      await paymentService.refund({
+        transactionId: paymentEvent.transactionId,
+        amount: paymentEvent.amount,
+        idempotencyKey: `refund-${paymentEvent.transactionId}`,
+      });
+      return {
+        ticketId: paymentEvent.ticketId,
+        result: PaymentEventResult.REFUNDED,
+      };
+    }
+
+    return {
+      ticketId: paymentEvent.ticketId,
+      result: PaymentEventResult.IGNORED,
+    };
+  }
+
+  const result = await handler(db, booking, paymentEvent, {
+    actor: { type: ActorType.PAYMENT_PROVIDER, id: paymentEvent.provider },
+    reason: `Payment webhook ${paymentEvent.type} (${paymentEvent.id})`,
+  });
+  return { ticketId: booking.id, result };
 };
 
 module.exports = {
+  SEAT_CONFLICT,
+  TRANSACTION_BUSY,
+  BOOKING_REJECTED,
+  SeatState,
+  PaymentEventResult,
   initDynamoDB,
   createBooking,
   getBookingById,
   confirmBooking,
+  extendBookingHold,
+  applyPromoCode,
   updateCustomerInfo,
   cancelBooking,
+  expireBookingById,
+  getBookingHistory,
+  getSeatStates,
   getBookedSeats,
+  getSeatMap,
+  createBestAvailableBooking,
   cleanupExpiredBookings,
+  reconcilePayments,
   getUserBookings,
+  resolveRefundSeats,
+  countUserEventSeats,
+  getRefundQuote,
   refundBooking,
+  applyPaymentEvent,
 };
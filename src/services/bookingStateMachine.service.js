@@ -0,0 +1,305 @@
+const { BookingModel } = require('../models');
+
+/**
+ * Booking State Machine
+ * The only place that decides how a booking may change status. Each
+ * transition lists the statuses it starts from, a guard, the fields it
+ * writes and the side effects booking.service runs once it is stored.
+ * Every transition appends an entry to the booking's history.
+ *
+ *   PENDING ──CONFIRM──> CONFIRMED ──REFUND──> REFUNDED
+ *      │
+ *      ├──CANCEL──> CANCELLED
+ *      └──EXPIRE──> EXPIRED
+ *
+ * Paid bookings are never cancelled: they go through REFUND, so the event's
+ * refund policy applies and the payment is returned.
+ *
+ *   CONFIRMED, PARTIALLY_REFUNDED ──PARTIAL_REFUND──> PARTIALLY_REFUNDED
+ *   PARTIALLY_REFUNDED ──REFUND──> REFUNDED
+ *
+ * Conditions may use :transitionAt (time of the transition) and
+ * :previousUpdatedAt (updatedAt of the booking as it was read).
+ */
+
+const { BookingStatus } = BookingModel;
+
+const INVALID_TRANSITION = 'INVALID_TRANSITION';
+
+const BookingTransition = {
+  CONFIRM: 'CONFIRM',
+  CANCEL: 'CANCEL',
+  EXPIRE: 'EXPIRE',
+  REFUND: 'REFUND',
+  PARTIAL_REFUND: 'PARTIAL_REFUND',
+};
+
+// Who caused a transition
+const ActorType = {
+  USER: 'USER',
+  ADMIN: 'ADMIN',
+  SYSTEM: 'SYSTEM',
+  PAYMENT_PROVIDER: 'PAYMENT_PROVIDER',
+};
+
+// Side effects run by booking.service after a transition is stored
+const TransitionEffect = {
+  RELEASE_HOLDS: 'RELEASE_HOLDS', // Drop the Redis holds of sold seats
+  RELEASE_SEATS: 'RELEASE_SEATS', // Free the seats, locks and holds
+  RELEASE_REFUNDED_SEATS: 'RELEASE_REFUNDED_SEATS', // Free only refunded seats
+  RELEASE_PROMO_CODE: 'RELEASE_PROMO_CODE', // Give back an unpaid redemption
+  SYNC_SEAT_TICKETS: 'SYNC_SEAT_TICKETS', // Issue or void per-seat tickets
+  SETTLE_WAITLIST_OFFER: 'SETTLE_WAITLIST_OFFER', // Close the offer's entry
+  OFFER_TO_WAITLIST: 'OFFER_TO_WAITLIST', // Offer released seats to the line
+  NOTIFY_CONFIRMATION: 'NOTIFY_CONFIRMATION',
+  NOTIFY_REFUND: 'NOTIFY_REFUND',
+};
+
+const SYSTEM_ACTOR = { type: ActorType.SYSTEM, id: 'system' };
+
+const getRefundRejectMessage = (booking, { refundBreakdown }) =>
+  BookingModel.canBeRefunded(booking) && refundBreakdown?.reason
+    ? `Booking cannot be refunded. ${refundBreakdown.reason}.`
+    : 'Booking cannot be refunded. Only confirmed bookings can be refunded.';
+
+const transitions = {
+  [BookingTransition.CONFIRM]: {
+    from: [BookingStatus.PENDING],
+    to: BookingStatus.CONFIRMED,
+    guard: (booking) => BookingModel.canBeConfirmed(booking),
+    // Checked again when writing, the hold may run out in the meantime
+    condition: 'expiresAt > :transitionAt',
+    prepare: BookingModel.prepareForConfirmation,
+    effects: [
+      TransitionEffect.RELEASE_HOLDS,
+      TransitionEffect.SYNC_SEAT_TICKETS,
+      TransitionEffect.SETTLE_WAITLIST_OFFER,
+      TransitionEffect.NOTIFY_CONFIRMATION,
+    ],
+    rejectMessage:
+      'Booking cannot be confirmed (either not pending or expired)',
+  },
+  [BookingTransition.CANCEL]: {
+    from: [BookingStatus.PENDING],
+    to: BookingStatus.CANCELLED,
+    guard: (booking) => BookingModel.canBeCancelled(booking),
+    prepare: BookingModel.prepareForCancellation,
+    effects: [
+      TransitionEffect.RELEASE_SEATS,
+      TransitionEffect.RELEASE_PROMO_CODE,
+      TransitionEffect.SETTLE_WAITLIST_OFFER,
+      TransitionEffect.OFFER_TO_WAITLIST,
+    ],
+    rejectMessage: (booking) =>
+      BookingModel.hasSoldSeats(booking)
+        ? 'Booking cannot be cancelled once paid, request a refund instead'
+        : 'Booking cannot be cancelled',
+  },
+  [BookingTransition.EXPIRE]: {
+    from: [BookingStatus.PENDING],
+    to: BookingStatus.EXPIRED,
+    guard: (booking) => BookingModel.isExpired(booking),
+    condition: 'expiresAt < :transitionAt',
+    prepare: BookingModel.prepareForExpiration,
+    effects: [
+      TransitionEffect.RELEASE_SEATS,
+      TransitionEffect.RELEASE_PROMO_CODE,
+      TransitionEffect.SETTLE_WAITLIST_OFFER,
+      TransitionEffect.OFFER_TO_WAITLIST,
+    ],
+    rejectMessage: 'Booking has not expired',
+  },
+  [BookingTransition.REFUND]: {
+    from: [BookingStatus.CONFIRMED, BookingStatus.PARTIALLY_REFUNDED],
+    to: BookingStatus.REFUNDED,
+    // Customers are bound by the event's refund policy (the refundBreakdown
+    // computed by the pricing service); refunds made by an admin or at the
+    // payment provider are always applied
+    guard: (booking, { actor, refundBreakdown }) =>
+      BookingModel.canBeRefunded(booking) &&
+      (actor.type !== ActorType.USER || Boolean(refundBreakdown?.refundable)),
+    // The refunded amount depends on earlier refunds, so none may slip in
+    condition: 'updatedAt = :previousUpdatedAt',
+    prepare: BookingModel.prepareForRefund,
+    effects: [
+      TransitionEffect.RELEASE_SEATS,
+      TransitionEffect.SYNC_SEAT_TICKETS,
+      TransitionEffect.NOTIFY_REFUND,
+      TransitionEffect.OFFER_TO_WAITLIST,
+    ],
+    rejectMessage: (booking, context) =>
+      getRefundRejectMessage(booking, context),
+  },
+  [BookingTransition.PARTIAL_REFUND]: {
+    from: [BookingStatus.CONFIRMED, BookingStatus.PARTIALLY_REFUNDED],
+    to: BookingStatus.PARTIALLY_REFUNDED,
+    // Same rules as REFUND, for some but not all of the seats left
+    guard: (booking, context) =>
+      transitions[BookingTransition.REFUND].guard(booking, context) &&
+      context.refundBreakdown?.seats?.length > 0 &&
+      context.refundBreakdown.seats.length < booking.takenSeats.length,
+    condition: 'updatedAt = :previousUpdatedAt',
+    prepare: BookingModel.prepareForPartialRefund,
+    effects: [
+      TransitionEffect.RELEASE_REFUNDED_SEATS,
+      TransitionEffect.SYNC_SEAT_TICKETS,
+      TransitionEffect.NOTIFY_REFUND,
+      TransitionEffect.OFFER_TO_WAITLIST,
+    ],
+    rejectMessage: (booking, context) =>
+      getRefundRejectMessage(booking, context),
+  },
+};
+
+/**
+ * Build an error for a transition that is not allowed
+ * @param {string} message - Reason shown to the client
+ * @returns {Error} Error with code INVALID_TRANSITION
+ */
+const createInvalidTransitionError = (message) => {
+  const error = new Error(message);
+  error.code = INVALID_TRANSITION;
+  return error;
+};
+
+const getTransition = (name) => {
+  const transition = transitions[name];
+  if (!transition) {
+    throw new Error(`Unknown booking transition: ${name}`);
+  }
+  return transition;
+};
+
+/**
+ * Build a history entry
+ * @param {string|null} from - Previous status (null on creation)
+ * @param {string} to - New status
+ * @param {Object} context - { actor, reason }
+ * @param {string} at - ISO timestamp
+ * @returns {Object} History entry
+ */
+const createHistoryEntry = (from, to, context = {}, at) => {
+  const actor = context.actor || SYSTEM_ACTOR;
+
+  return {
+    at: at || new Date().toISOString(),
+    actor: { type: actor.type, id: actor.id },
+    from,
+    to,
+    reason: context.reason || null,
+  };
+};
+
+/**
+ * Check if a transition is allowed for a booking
+ * @param {Object} booking - Booking item
+ * @param {string} name - BookingTransition value
+ * @param {Object} context - { actor, reason } plus data the guard needs
+ * @returns {boolean} True if the transition may run
+ */
+const canTransition = (booking, name, context = {}) => {
+  const transition = getTransition(name);
+
+  return (
+    transition.from.includes(booking.status) &&
+    transition.guard(booking, { actor: SYSTEM_ACTOR, ...context })
+  );
+};
+
+/**
+ * Throw if a transition is not allowed for a booking
+ */
+const assertCanTransition = (booking, name, context = {}) => {
+  if (!canTransition(booking, name, context)) {
+    const { rejectMessage } = getTransition(name);
+    throw createInvalidTransitionError(
+      typeof rejectMessage === 'function'
+        ? rejectMessage(booking, context)
+        : rejectMessage
+    );
+  }
+};
+
+/**
+ * Build the DynamoDB update that stores a transition
+ * The update only succeeds if the booking is still in the status it was
+ * read with, and appends the history entry in the same write.
+ * @param {Object} booking - Booking item
+ * @param {string} name - BookingTransition value
+ * @param {Object} context - { actor, reason }
+ * @param {Object} extraFields - Additional attributes to set (e.g. paymentInfo)
+ * @returns {Object} { params, changes } with Update params and the new values
+ */
+const buildTransitionUpdate = (
+  booking,
+  name,
+  context = {},
+  extraFields = {}
+) => {
+  const transition = getTransition(name);
+  const prepared = transition.prepare(booking);
+  const transitionAt = prepared.updatedAt || new Date().toISOString();
+  const historyEntry = createHistoryEntry(
+    booking.status,
+    transition.to,
+    context,
+    transitionAt
+  );
+
+  const changes = { ...prepared, ...extraFields, status: transition.to };
+  const fields = Object.keys(changes).filter((field) => field !== 'status');
+
+  const conditions = ['#status = :fromStatus'];
+  if (transition.condition) {
+    conditions.push(transition.condition);
+  }
+
+  return {
+    params: {
+      TableName: BookingModel.tableName,
+      Key: { id: booking.id },
+      UpdateExpression: `SET #status = :status, ${fields
+        .map((field) => `${field} = :${field}`)
+        .join(
+          ', '
+        )}, history = list_append(if_not_exists(history, :emptyList), :historyEntry)`,
+      ConditionExpression: conditions.join(' AND '),
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':status': transition.to,
+        ':fromStatus': booking.status,
+        ':emptyList': [],
+        ':historyEntry': [historyEntry],
+        ...(transition.condition?.includes(':transitionAt') && {
+          ':transitionAt': transitionAt,
+        }),
+        ...(transition.condition?.includes(':previousUpdatedAt') && {
+          ':previousUpdatedAt': booking.updatedAt,
+        }),
+        ...Object.fromEntries(
+          fields.map((field) => [`:${field}`, changes[field]])
+        ),
+      },
+    },
+    changes: {
+      ...changes,
+      history: [...(booking.history || []), historyEntry],
+    },
+  };
+};
+
+module.exports = {
+  INVALID_TRANSITION,
+  BookingTransition,
+  ActorType,
+  TransitionEffect,
+  SYSTEM_ACTOR,
+  createInvalidTransitionError,
+  getTransition,
+  createHistoryEntry,
+  canTransition,
+  assertCanTransition,
+  buildTransitionUpdate,
+};
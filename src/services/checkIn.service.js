@@ -0,0 +1,611 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  UpdateCommand,
+  QueryCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { BookingModel, SeatTicketModel } = require('../models');
+const ticketTokenService = require('./ticketToken.service');
+const seatTicketService = require('./seatTicket.service');
+
+/**
+ * Check-in Service
+ * Validates the ticket tokens scanned at the door and records who let
+ * each seat in. A ticket is admitted once; every refusal carries a
+ * CheckInRejection reason the scanner can show.
+ *
+ * Scanners without a connection work from a signed manifest of the
+ * event's valid tickets and push their scans later (syncScans). When a
+ * ticket was let in more than once, the earliest scan counts and the
+ * others are kept on the ticket as duplicateScans.
+ */
+
+const { BookingStatus } = BookingModel;
+const { SeatTicketStatus } = SeatTicketModel;
+
+const CHECKIN_REJECTED = 'CHECKIN_REJECTED';
+
+const CheckInRejection = {
+  INVALID_TOKEN: 'INVALID_TOKEN', // Not signed by us or unreadable
+  WRONG_EVENT: 'WRONG_EVENT',
+  NOT_FOUND: 'NOT_FOUND',
+  REFUNDED: 'REFUNDED',
+  CANCELLED: 'CANCELLED',
+  REISSUED: 'REISSUED', // Replaced by a newer ticket, e.g. after a transfer
+  ALREADY_CHECKED_IN: 'ALREADY_CHECKED_IN',
+};
+
+// Outcome of one scan pushed by an offline scanner
+const ScanResult = {
+  ACCEPTED: 'ACCEPTED', // First admission of the ticket
+  DUPLICATE: 'DUPLICATE', // The ticket had already been let in earlier
+  REJECTED: 'REJECTED', // The ticket should not have been let in
+};
+
+// Scans accepted in one sync request
+const MAX_SYNC_SCANS = 500;
+
+// Scanner clocks may run this far ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Build the error thrown when a ticket is not admitted
+ * @param {string} reason - CheckInRejection value
+ * @param {string} message - Reason shown to the staff member
+ * @param {Object} details - Extra data returned with the error
+ * @returns {Error} Error with code CHECKIN_REJECTED
+ */
+const createRejectedError = (reason, message, details) => {
+  const error = new Error(message);
+  error.code = CHECKIN_REJECTED;
+  error.reason = reason;
+  error.details = details;
+  return error;
+};
+
+// What the staff member sees about an admitted or refused ticket
+const describeTicket = (seatTicket, booking) => ({
+  id: seatTicket.id,
+  ticketId: seatTicket.ticketId,
+  eventId: seatTicket.eventId,
+  seat: seatTicket.seat,
+  tierName: seatTicket.tierName,
+  holderName: booking?.name,
+  checkedInAt: seatTicket.checkedInAt || null,
+  checkedInBy: seatTicket.checkedInBy || null,
+  checkedInDevice: seatTicket.checkedInDevice || null,
+});
+
+// Seats can be numbers or strings
+const includesSeat = (seats, seat) =>
+  (seats || []).some((item) => String(item) === String(seat));
+
+/**
+ * Find why a ticket may not enter at all, if anything
+ * Whether it was already let in is checked separately
+ * @param {Object} seatTicket - Seat ticket item
+ * @param {Object} booking - Booking of the ticket
+ * @returns {Array|null} [reason, message], or null if it can be admitted
+ */
+const getRejection = (seatTicket, booking) => {
+  if (!booking) {
+    return [CheckInRejection.NOT_FOUND, 'Booking not found'];
+  }
+
+  const seatSold =
+    BookingModel.hasSoldSeats(booking) &&
+    includesSeat(booking.takenSeats, seatTicket.seat);
+
+  if (!seatSold) {
+    return booking.status === BookingStatus.REFUNDED ||
+      includesSeat(booking.refundedSeats, seatTicket.seat)
+      ? [CheckInRejection.REFUNDED, 'Ticket has been refunded']
+      : [CheckInRejection.CANCELLED, 'Booking is not confirmed'];
+  }
+  if (
+    seatTicket.status === SeatTicketStatus.VOID ||
+    seatTicket.id !== SeatTicketModel.buildId(booking, seatTicket.seat)
+  ) {
+    return [
+      CheckInRejection.REISSUED,
+      'Ticket has been replaced by a newer one',
+    ];
+  }
+  return null;
+};
+
+const getSeatTicket = async (db, id) => {
+  const result = await db.send(
+    new GetCommand({ TableName: SeatTicketModel.tableName, Key: { id } })
+  );
+  return result.Item;
+};
+
+const getBooking = async (db, id) => {
+  const result = await db.send(
+    new GetCommand({ TableName: BookingModel.tableName, Key: { id } })
+  );
+  return result.Item;
+};
+
+const withCheckIn = (seatTicket, admission) => ({
+  ...seatTicket,
+  checkedInAt: admission.at,
+  checkedInBy: admission.by,
+  checkedInDevice: admission.deviceId,
+});
+
+/**
+ * Store a check-in, unless the ticket was already let in at that time or
+ * earlier. A later check-in is replaced, since the earliest scan counts.
+ * @param {Object} db - DynamoDB document client
+ * @param {Object} seatTicket - Seat ticket item
+ * @param {Object} admission - { at, by, deviceId }
+ * @returns {Object} The ticket as it was before
+ */
+const recordCheckIn = async (db, seatTicket, admission) => {
+  const result = await db.send(
+    new UpdateCommand({
+      TableName: SeatTicketModel.tableName,
+      Key: { id: seatTicket.id },
+      UpdateExpression:
+        'SET checkedInAt = :at, checkedInBy = :by, checkedInDevice = :deviceId, updatedAt = :now',
+      ConditionExpression:
+        '#status = :valid AND (attribute_not_exists(checkedInAt) OR checkedInAt > :at)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':valid': SeatTicketStatus.VALID,
+        ':at': admission.at,
+        ':by': admission.by,
+        ':deviceId': admission.deviceId,
+        ':now': new Date().toISOString(),
+      },
+      ReturnValues: 'ALL_OLD',
+    })
+  );
+
+  return result.Attributes;
+};
+
+// Keep the scans of a ticket that came after its admission
+const recordDuplicateScans = async (db, seatTicketId, scans) => {
+  if (scans.length === 0) return;
+
+  await db.send(
+    new UpdateCommand({
+      TableName: SeatTicketModel.tableName,
+      Key: { id: seatTicketId },
+      UpdateExpression:
+        'SET duplicateScans = list_append(if_not_exists(duplicateScans, :emptyList), :scans), updatedAt = :now',
+      ExpressionAttributeValues: {
+        ':emptyList': [],
+        ':scans': scans,
+        ':now': new Date().toISOString(),
+      },
+    })
+  );
+};
+
+/**
+ * Check in the ticket behind a scanned token
+ * @param {string} token - Token read from the QR code
+ * @param {string} eventId - Event the staff member is admitting to
+ * @param {string} staffId - Staff member scanning the ticket
+ * @param {string} deviceId - Scanner used, if it identifies itself
+ * @returns {Object} Admitted ticket
+ */
+const checkIn = async (token, eventId, staffId, deviceId) => {
+  const db = initDynamoDB();
+
+  const payload = ticketTokenService.verify(token);
+  if (!payload?.tid) {
+    throw createRejectedError(
+      CheckInRejection.INVALID_TOKEN,
+      'Ticket is not valid'
+    );
+  }
+  if (payload.eid !== eventId) {
+    throw createRejectedError(
+      CheckInRejection.WRONG_EVENT,
+      'Ticket is for another event',
+      { eventId: payload.eid }
+    );
+  }
+
+  const seatTicket = await getSeatTicket(db, payload.tid);
+  if (!seatTicket) {
+    throw createRejectedError(CheckInRejection.NOT_FOUND, 'Ticket not found');
+  }
+
+  const booking = await getBooking(db, seatTicket.ticketId);
+
+  const rejection = getRejection(seatTicket, booking);
+  if (rejection) {
+    throw createRejectedError(
+      rejection[0],
+      rejection[1],
+      describeTicket(seatTicket, booking)
+    );
+  }
+  if (SeatTicketModel.isCheckedIn(seatTicket)) {
+    throw createRejectedError(
+      CheckInRejection.ALREADY_CHECKED_IN,
+      'Ticket has already been checked in',
+      describeTicket(seatTicket, booking)
+    );
+  }
+
+  const admission = {
+    at: new Date().toISOString(),
+    by: staffId,
+    deviceId: deviceId || null,
+  };
+  try {
+    await recordCheckIn(db, seatTicket, admission);
+    return describeTicket(withCheckIn(seatTicket, admission), booking);
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+
+    // Scanned at another entrance or voided in the meantime
+    const latest = await getSeatTicket(db, seatTicket.id);
+    const [reason, message] = getRejection(latest, booking) || [
+      CheckInRejection.ALREADY_CHECKED_IN,
+      'Ticket has already been checked in',
+    ];
+    throw createRejectedError(reason, message, describeTicket(latest, booking));
+  }
+};
+
+// Query every item of an event through a table's EventIdIndex
+const queryByEvent = async (tableName, eventId) => {
+  const db = initDynamoDB();
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const response = await db.send(
+      new QueryCommand({
+        TableName: tableName,
+        IndexName: 'EventIdIndex',
+        KeyConditionExpression: 'eventId = :eventId',
+        ExpressionAttributeValues: { ':eventId': eventId },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+
+    items.push(...(response.Items || []));
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+/**
+ * Get all tickets of an event, including voided ones
+ */
+const getEventSeatTickets = async (eventId) => {
+  return queryByEvent(SeatTicketModel.tableName, eventId);
+};
+
+/**
+ * Build the manifest an offline scanner admits from
+ * Lists every ticket that may enter the event now, with its token and
+ * check-in, and is signed like a ticket token so the scanner can check it
+ * came from us. Bookings whose tickets are out of date are synced first.
+ * @param {string} eventId - Event ID
+ * @returns {Object} { manifest, signedManifest }
+ */
+const getManifest = async (eventId) => {
+  const [seatTickets, bookings] = await Promise.all([
+    getEventSeatTickets(eventId),
+    queryByEvent(BookingModel.tableName, eventId),
+  ]);
+
+  const ticketsByBooking = new Map();
+  for (const seatTicket of seatTickets) {
+    if (seatTicket.status !== SeatTicketStatus.VALID) continue;
+    const bookingTickets = ticketsByBooking.get(seatTicket.ticketId) || [];
+    bookingTickets.push(seatTicket);
+    ticketsByBooking.set(seatTicket.ticketId, bookingTickets);
+  }
+
+  const tickets = [];
+  for (const booking of bookings.filter(BookingModel.hasSoldSeats)) {
+    const validTickets = ticketsByBooking.get(booking.id) || [];
+    let bookingTickets = validTickets.filter((seatTicket) =>
+      SeatTicketModel.belongsTo(seatTicket, booking, booking.takenSeats)
+    );
+    // Seats without a ticket, or tickets left valid under an old booking
+    // code (a transfer whose sync failed)
+    if (
+      bookingTickets.length !== booking.takenSeats.length ||
+      bookingTickets.length !== validTickets.length
+    ) {
+      bookingTickets = await seatTicketService.syncSeatTickets(booking);
+    }
+
+    tickets.push(
+      ...bookingTickets.map((seatTicket) => ({
+        ...describeTicket(seatTicket, booking),
+        token: seatTicketService.withToken(seatTicket).token,
+      }))
+    );
+  }
+
+  const manifest = {
+    eventId,
+    generatedAt: new Date().toISOString(),
+    count: tickets.length,
+    tickets,
+  };
+
+  return {
+    manifest,
+    signedManifest: ticketTokenService.sign(manifest),
+  };
+};
+
+// When a scan happened, clamped so a wrong scanner clock cannot place it
+// in the future
+const getScanTime = (scannedAt, now) => {
+  const time = new Date(scannedAt).getTime();
+  if (Number.isNaN(time)) return now.toISOString();
+  return new Date(
+    Math.min(time, now.getTime() + MAX_CLOCK_SKEW_MS)
+  ).toISOString();
+};
+
+/**
+ * Merge the scans an offline scanner made into the check-ins
+ * Per ticket the earliest scan is the admission, every other scan (from
+ * this or any other scanner) is flagged as a duplicate. Pushing the same
+ * batch again changes nothing.
+ * @param {string} eventId - Event the scans were made at
+ * @param {Object} batch - { deviceId, scans: [{ token, scannedAt }] }
+ * @param {string} staffId - Staff member who pushes the scans
+ * @returns {Object} Reconciliation report
+ */
+const syncScans = async (eventId, { deviceId, scans }, staffId) => {
+  const db = initDynamoDB();
+  const now = new Date();
+  const results = new Array(scans.length);
+  const scansByTicket = new Map();
+
+  scans.forEach((scan, index) => {
+    const payload = ticketTokenService.verify(scan.token);
+    const entry = {
+      index,
+      admission: {
+        at: getScanTime(scan.scannedAt, now),
+        by: staffId,
+        deviceId,
+      },
+    };
+
+    if (!payload?.tid) {
+      results[index] = {
+        index,
+        status: ScanResult.REJECTED,
+        reason: CheckInRejection.INVALID_TOKEN,
+      };
+    } else if (payload.eid !== eventId) {
+      results[index] = {
+        index,
+        ticketId: payload.tid,
+        status: ScanResult.REJECTED,
+        reason: CheckInRejection.WRONG_EVENT,
+      };
+    } else {
+      const ticketScans = scansByTicket.get(payload.tid) || [];
+      ticketScans.push(entry);
+      scansByTicket.set(payload.tid, ticketScans);
+    }
+  });
+
+  const bookings = new Map();
+  for (const [seatTicketId, ticketScans] of scansByTicket) {
+    ticketScans.sort((a, b) => a.admission.at.localeCompare(b.admission.at));
+
+    const report = (entry, status, extra) => {
+      results[entry.index] = {
+        index: entry.index,
+        ticketId: seatTicketId,
+        scannedAt: entry.admission.at,
+        status,
+        ...extra,
+      };
+    };
+
+    let seatTicket = await getSeatTicket(db, seatTicketId);
+    if (!seatTicket) {
+      ticketScans.forEach((entry) =>
+        report(entry, ScanResult.REJECTED, {
+          reason: CheckInRejection.NOT_FOUND,
+        })
+      );
+      continue;
+    }
+
+    if (!bookings.has(seatTicket.ticketId)) {
+      bookings.set(
+        seatTicket.ticketId,
+        await getBooking(db, seatTicket.ticketId)
+      );
+    }
+    const booking = bookings.get(seatTicket.ticketId);
+
+    const [first] = ticketScans;
+    const rejection = getRejection(seatTicket, booking);
+    let replacedCheckIn = null;
+
+    if (!rejection) {
+      try {
+        const previous = await recordCheckIn(db, seatTicket, first.admission);
+        seatTicket = withCheckIn(previous, first.admission);
+        // An earlier offline scan replaces a later check-in
+        if (previous.checkedInAt) {
+          replacedCheckIn = {
+            at: previous.checkedInAt,
+            by: previous.checkedInBy,
+            deviceId: previous.checkedInDevice || null,
+          };
+          ticketScans.push({ admission: replacedCheckIn });
+        }
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        seatTicket = await getSeatTicket(db, seatTicketId);
+      }
+    }
+
+    // Voided while the scans were merged
+    const reason = rejection || getRejection(seatTicket, booking);
+    if (reason) {
+      ticketScans.forEach((entry) =>
+        report(entry, ScanResult.REJECTED, { reason: reason[0] })
+      );
+      continue;
+    }
+
+    const firstCheckIn = {
+      at: seatTicket.checkedInAt,
+      by: seatTicket.checkedInBy,
+      deviceId: seatTicket.checkedInDevice || null,
+    };
+    const isAdmission = ({ admission }) =>
+      admission.at === firstCheckIn.at &&
+      admission.deviceId === firstCheckIn.deviceId;
+    const isRecorded = ({ admission }) =>
+      (seatTicket.duplicateScans || []).some(
+        (scan) =>
+          scan.at === admission.at && scan.deviceId === admission.deviceId
+      );
+
+    const duplicates = ticketScans.filter((entry) => !isAdmission(entry));
+    await recordDuplicateScans(
+      db,
+      seatTicketId,
+      duplicates
+        .filter((entry) => !isRecorded(entry))
+        .map(({ admission }) => admission)
+    );
+
+    ticketScans
+      .filter((entry) => entry.index !== undefined)
+      .forEach((entry) =>
+        isAdmission(entry)
+          ? report(entry, ScanResult.ACCEPTED, {
+              seat: seatTicket.seat,
+              ...(replacedCheckIn && { replacedCheckIn }),
+            })
+          : report(entry, ScanResult.DUPLICATE, {
+              seat: seatTicket.seat,
+              firstCheckIn,
+            })
+      );
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+
+  return {
+    eventId,
+    deviceId,
+    syncedAt: now.toISOString(),
+    received: scans.length,
+    accepted: count(ScanResult.ACCEPTED),
+    duplicates: count(ScanResult.DUPLICATE),
+    rejected: count(ScanResult.REJECTED),
+    results,
+  };
+};
+
+/**
+ * Count checked-in tickets of an event, overall and per ticket tier
+ * @param {string} eventId - Event ID
+ * @returns {Object} { eventId, total, checkedIn, remaining, byTier, ... }
+ */
+const getCheckInStats = async (eventId) => {
+  const seatTickets = (await getEventSeatTickets(eventId)).filter(
+    (seatTicket) => seatTicket.status === SeatTicketStatus.VALID
+  );
+
+  const byTier = {};
+  let checkedIn = 0;
+  let duplicateScans = 0;
+  let lastCheckInAt = null;
+
+  for (const seatTicket of seatTickets) {
+    const tierName = seatTicket.tierName || 'General Admission';
+    byTier[tierName] = byTier[tierName] || { total: 0, checkedIn: 0 };
+    byTier[tierName].total++;
+
+    duplicateScans += seatTicket.duplicateScans?.length || 0;
+
+    if (SeatTicketModel.isCheckedIn(seatTicket)) {
+      checkedIn++;
+      byTier[tierName].checkedIn++;
+      if (!lastCheckInAt || seatTicket.checkedInAt > lastCheckInAt) {
+        lastCheckInAt = seatTicket.checkedInAt;
+      }
+    }
+  }
+
+  return {
+    eventId,
+    total: seatTickets.length,
+    checkedIn,
+    remaining: seatTickets.length - checkedIn,
+    duplicateScans,
+    lastCheckInAt,
+    byTier,
+  };
+};
+
+module.exports = {
+  CHECKIN_REJECTED,
+  CheckInRejection,
+  ScanResult,
+  MAX_SYNC_SCANS,
+  initDynamoDB,
+  checkIn,
+  getEventSeatTickets,
+  getManifest,
+  syncScans,
+  getCheckInStats,
+};
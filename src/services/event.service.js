@@ -9,8 +9,9 @@ const {
   DeleteCommand,
 } = require('@aws-sdk/lib-dynamodb');
 const { NodeHttpHandler } = require('@smithy/node-http-handler');
-const { EventModel } = require('../models');
+const { EventModel, VenueModel } = require('../models');
 const s3Service = require('./s3.service');
+const venueService = require('./venue.service');
 const { cache } = require('../config/redis');
 
 let dynamoDb;
@@ -73,6 +74,14 @@ const enrichEvent = (event) => {
     timeStatus: EventModel.getTimeStatus(event), // upcoming or past
     availableSeats: EventModel.calculateAvailableSeats(event),
     isBookable: EventModel.isBookable(event),
+    ticketTiers: (event.ticketTiers || []).map((tier) => ({
+      ...tier,
+      availableSeats: EventModel.calculateTierAvailableSeats(event, tier),
+      onSale: EventModel.isTierOnSale(tier),
+    })),
+    refundPolicy: EventModel.getRefundPolicy(event),
+    visibility: EventModel.getVisibility(event),
+    salePhase: EventModel.getSalePhase(event),
     // status field from DB remains as is (PUBLISHED or DRAFT)
   };
 };
@@ -191,7 +200,9 @@ const getAllEvents = async (filters = {}) => {
 
     const response = await dynamoDb.send(command);
 
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter((event) => includeUnpublished || EventModel.isListed(event))
+      .map(enrichEvent);
 
     // Filter by category if specified (check if categoryId is in categoryIds array)
     if (categoryId) {
@@ -251,7 +262,9 @@ const getEventsByCategory = async (categoryId, includeUnpublished = false) => {
 
     const response = await dynamoDb.send(command);
 
-    const events = (response.Items || []).map(enrichEvent);
+    const events = (response.Items || [])
+      .filter((event) => includeUnpublished || EventModel.isListed(event))
+      .map(enrichEvent);
 
     return {
       success: true,
@@ -296,7 +309,9 @@ const getUpcomingEvents = async (limit = 20, includeUnpublished = false) => {
 
     const response = await dynamoDb.send(command);
 
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter((event) => includeUnpublished || EventModel.isListed(event))
+      .map(enrichEvent);
 
     // Sort by datetime ascending (earliest first)
     events.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
@@ -381,7 +396,9 @@ const searchEvents = async (params = {}) => {
     });
 
     const response = await dynamoDb.send(command);
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter(EventModel.isListed)
+      .map(enrichEvent);
 
     // Filter only upcoming events
     const now = new Date();
@@ -492,7 +509,9 @@ const getTrendingEvents = async (limit = 10) => {
     });
 
     const response = await dynamoDb.send(command);
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter(EventModel.isListed)
+      .map(enrichEvent);
 
     // Sort by booking percentage (most booked first)
     events.sort((a, b) => {
@@ -554,7 +573,9 @@ const getThisWeekEvents = async (limit = 20) => {
     });
 
     const response = await dynamoDb.send(command);
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter(EventModel.isListed)
+      .map(enrichEvent);
 
     // Sort by datetime
     events.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
@@ -607,7 +628,9 @@ const getThisMonthEvents = async (limit = 20) => {
     });
 
     const response = await dynamoDb.send(command);
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter(EventModel.isListed)
+      .map(enrichEvent);
 
     // Sort by datetime
     events.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
@@ -652,7 +675,9 @@ const getFeaturedEvents = async (limit = 5) => {
     });
 
     const response = await dynamoDb.send(command);
-    let events = (response.Items || []).map(enrichEvent);
+    let events = (response.Items || [])
+      .filter(EventModel.isListed)
+      .map(enrichEvent);
 
     // Filter events that have images
     events = events.filter((event) => event.imageUrl);
@@ -674,6 +699,44 @@ const getFeaturedEvents = async (limit = 5) => {
   }
 };
 
+/**
+ * Take the seat count of an event from its venue seat map
+ * Seats already sold must still be on the layout
+ * @param {Object} eventData - Event data, with or without a seat map
+ * @returns {Promise<Object>} Event data with totalSeats set from the layout
+ */
+const applySeatMap = async (eventData) => {
+  if (!eventData.venueId || !eventData.layoutId) {
+    return eventData;
+  }
+
+  const venue = await venueService.getVenue(eventData.venueId);
+  if (!venue) {
+    throw new Error('Venue not found');
+  }
+
+  const layout = VenueModel.findLayout(venue, eventData.layoutId);
+  if (!layout) {
+    throw new Error('Seat map layout not found');
+  }
+
+  const missingSeats = VenueModel.findUnknownSeats(
+    layout,
+    eventData.takenSeats || []
+  );
+  if (missingSeats.length > 0) {
+    throw new Error(
+      `Sold seats are not on the seat map: ${missingSeats.join(', ')}`
+    );
+  }
+
+  return {
+    ...eventData,
+    totalSeats: VenueModel.getLayoutSeats(layout).length,
+    venue: eventData.venue || venue.name,
+  };
+};
+
 /**
  * Create a new event
  * @param {Object} eventData - Event data
@@ -681,8 +744,8 @@ const getFeaturedEvents = async (limit = 5) => {
  */
 const createEvent = async (eventData) => {
   try {
-    // Validate event data
-    const validatedData = EventModel.validate(eventData);
+    // Validate event data, seat map events take their seat count from it
+    const validatedData = EventModel.validate(await applySeatMap(eventData));
 
     // Prepare for creation (adds id, timestamps)
     const event = EventModel.prepareForCreation(validatedData);
@@ -720,9 +783,17 @@ const createEvent = async (eventData) => {
  */
 const updateEvent = async (eventId, updateData) => {
   try {
-    // First, get the existing event
-    const existingResult = await getEventById(eventId);
-    if (!existingResult.success) {
+    // First, get the existing event straight from DynamoDB (not the cache),
+    // bookings keep changing its seat and tier counters
+    const existingResult = await dynamoDb.send(
+      new GetCommand({
+        TableName: EventModel.tableName,
+        Key: {
+          id: eventId,
+        },
+      })
+    );
+    if (!existingResult.Item) {
       return {
         success: false,
         message: 'Event not found',
@@ -730,7 +801,7 @@ const updateEvent = async (eventId, updateData) => {
     }
 
     // Merge existing data with updates
-    const existingEvent = existingResult.data;
+    const existingEvent = existingResult.Item;
     const mergedData = {
       ...existingEvent,
       ...updateData,
@@ -739,18 +810,50 @@ const updateEvent = async (eventId, updateData) => {
       createdAt: existingEvent.createdAt, // Preserve created timestamp
     };
 
-    // Validate merged data
-    const validatedData = EventModel.validate(mergedData);
+    // Validate merged data, seat map events take their seat count from it
+    const validatedData = EventModel.validate(await applySeatMap(mergedData));
+
+    // Tiers must still hold the seats they already sold
+    const salesErrors = EventModel.findTierSalesErrors(
+      validatedData.ticketTiers,
+      existingEvent.tierSales,
+      existingEvent.ticketTiers
+    );
+    if (salesErrors.length > 0) {
+      throw new Error(`Validation failed: ${salesErrors.join(', ')}`);
+    }
+
+    // Keep sales counts of existing tiers (tiers get their IDs in validation)
+    validatedData.tierSales = EventModel.buildTierSales(
+      validatedData.ticketTiers,
+      existingEvent.tierSales
+    );
 
     // Prepare for update (adds updatedAt)
     const updatedEvent = EventModel.prepareForUpdate(validatedData);
 
+    // Only overwrite the event if no booking changed it since it was read
     const command = new PutCommand({
       TableName: EventModel.tableName,
       Item: updatedEvent,
+      ConditionExpression: existingEvent.updatedAt
+        ? 'updatedAt = :previousUpdatedAt'
+        : 'attribute_not_exists(updatedAt)',
+      ExpressionAttributeValues: existingEvent.updatedAt
+        ? {
+            ':previousUpdatedAt': existingEvent.updatedAt,
+          }
+        : undefined,
     });
 
-    await dynamoDb.send(command);
+    try {
+      await dynamoDb.send(command);
+    } catch (putError) {
+      if (putError.name === 'ConditionalCheckFailedException') {
+        throw new Error('Event was modified by a booking, please try again');
+      }
+      throw putError;
+    }
 
     // Invalidate cache for this event and all events lists
     await cache.del(`event:${eventId}`);
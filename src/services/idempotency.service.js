@@ -0,0 +1,136 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { IdempotencyKeyModel } = require('../models');
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Claim an idempotency key for a new request
+ * The claim succeeds only if the key is unused, its record has expired, or
+ * the request holding it is past its in-progress lease
+ * @param {string} id - Record ID
+ * @param {string} fingerprint - Hash of the request
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, record }
+ */
+const claimKey = async (id, fingerprint) => {
+  const db = initDynamoDB();
+  const record = IdempotencyKeyModel.prepareForCreation(id, fingerprint);
+
+  try {
+    await db.send(
+      new PutCommand({
+        TableName: IdempotencyKeyModel.tableName,
+        Item: record,
+        ConditionExpression:
+          'attribute_not_exists(id) OR expiresAt < :now OR (#status = :inProgress AND leaseExpiresAt < :now)',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':now': record.createdAt,
+          ':inProgress': IdempotencyKeyModel.KeyStatus.IN_PROGRESS,
+        },
+      })
+    );
+    return { claimed: true };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  const result = await db.send(
+    new GetCommand({
+      TableName: IdempotencyKeyModel.tableName,
+      Key: { id },
+      ConsistentRead: true,
+    })
+  );
+
+  return { claimed: false, record: result.Item };
+};
+
+/**
+ * Store the response of the request that claimed the key
+ * @param {string} id - Record ID
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - JSON response body
+ */
+const completeKey = async (id, statusCode, body) => {
+  const db = initDynamoDB();
+
+  await db.send(
+    new UpdateCommand({
+      TableName: IdempotencyKeyModel.tableName,
+      Key: { id },
+      UpdateExpression:
+        'SET #status = :status, statusCode = :statusCode, responseBody = :body, completedAt = :completedAt',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':status': IdempotencyKeyModel.KeyStatus.COMPLETED,
+        ':statusCode': statusCode,
+        ':body': body === undefined ? null : body,
+        ':completedAt': new Date().toISOString(),
+      },
+    })
+  );
+};
+
+/**
+ * Forget a key so the request can be retried (e.g. after a server error)
+ * @param {string} id - Record ID
+ */
+const releaseKey = async (id) => {
+  const db = initDynamoDB();
+
+  await db.send(
+    new DeleteCommand({
+      TableName: IdempotencyKeyModel.tableName,
+      Key: { id },
+    })
+  );
+};
+
+module.exports = {
+  initDynamoDB,
+  claimKey,
+  completeKey,
+  releaseKey,
+};
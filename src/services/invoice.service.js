@@ -0,0 +1,166 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  TransactWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { BookingModel, CounterModel } = require('../models');
+
+/**
+ * Invoice Service
+ * Gives each paid booking a sequential invoice number the first time its
+ * receipt is issued. The counter and the booking are written in one
+ * transaction, so no number is skipped or handed out twice.
+ */
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+const INVOICE_PREFIX = 'INV-';
+const INVOICE_NUMBER_DIGITS = 6;
+
+// Number of optimistic retries when another receipt takes the same number
+const MAX_INVOICE_ATTEMPTS = 5;
+
+/**
+ * Format a sequence number as an invoice number, e.g. INV-000042
+ * @param {number} sequence - Sequence number
+ * @returns {string} Invoice number
+ */
+const formatInvoiceNumber = (sequence) => {
+  return `${INVOICE_PREFIX}${String(sequence).padStart(
+    INVOICE_NUMBER_DIGITS,
+    '0'
+  )}`;
+};
+
+/**
+ * Get the invoice number of a booking, assigning the next one if it has none
+ * @param {Object} booking - Paid booking
+ * @returns {Promise<Object>} Booking with invoiceNumber and invoicedAt
+ */
+const assignInvoiceNumber = async (booking) => {
+  if (booking.invoiceNumber) {
+    return booking;
+  }
+
+  if (!BookingModel.canBeInvoiced(booking)) {
+    throw new Error('Receipts are only available for paid bookings');
+  }
+
+  const db = initDynamoDB();
+
+  for (let attempt = 0; attempt < MAX_INVOICE_ATTEMPTS; attempt++) {
+    const counterResult = await db.send(
+      new GetCommand({
+        TableName: CounterModel.tableName,
+        Key: { name: CounterModel.CounterName.INVOICE },
+        ConsistentRead: true,
+      })
+    );
+
+    const current = counterResult.Item ? counterResult.Item.value : 0;
+    const invoiceNumber = formatInvoiceNumber(current + 1);
+    const now = new Date().toISOString();
+
+    const counterValues = { ':next': current + 1 };
+    if (current) {
+      counterValues[':current'] = current;
+    }
+
+    try {
+      await db.send(
+        new TransactWriteCommand({
+          TransactItems: [
+            {
+              Update: {
+                TableName: CounterModel.tableName,
+                Key: { name: CounterModel.CounterName.INVOICE },
+                UpdateExpression: 'SET #value = :next',
+                // Fail if another receipt took a number since we read it
+                ConditionExpression: current
+                  ? '#value = :current'
+                  : 'attribute_not_exists(#value)',
+                ExpressionAttributeNames: { '#value': 'value' },
+                ExpressionAttributeValues: counterValues,
+              },
+            },
+            {
+              Update: {
+                TableName: BookingModel.tableName,
+                Key: { id: booking.id },
+                UpdateExpression:
+                  'SET invoiceNumber = :invoiceNumber, invoicedAt = :now, updatedAt = :now',
+                ConditionExpression:
+                  'attribute_exists(id) AND attribute_not_exists(invoiceNumber)',
+                ExpressionAttributeValues: {
+                  ':invoiceNumber': invoiceNumber,
+                  ':now': now,
+                },
+              },
+            },
+          ],
+        })
+      );
+
+      return { ...booking, invoiceNumber, invoicedAt: now, updatedAt: now };
+    } catch (error) {
+      if (error.name !== 'TransactionCanceledException') {
+        throw error;
+      }
+
+      // A concurrent request already numbered this booking, use its number
+      const bookingReason = (error.CancellationReasons || [])[1];
+      if (bookingReason && bookingReason.Code === 'ConditionalCheckFailed') {
+        const bookingResult = await db.send(
+          new GetCommand({
+            TableName: BookingModel.tableName,
+            Key: { id: booking.id },
+            ConsistentRead: true,
+          })
+        );
+
+        if (bookingResult.Item && bookingResult.Item.invoiceNumber) {
+          return bookingResult.Item;
+        }
+        throw new Error('Booking not found');
+      }
+    }
+  }
+
+  throw new Error('Failed to assign an invoice number, please try again');
+};
+
+module.exports = {
+  initDynamoDB,
+  formatInvoiceNumber,
+  assignInvoiceNumber,
+};
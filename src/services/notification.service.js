@@ -1,6 +1,7 @@
 const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
 const { NodeHttpHandler } = require('@smithy/node-http-handler');
 const env = require('../config/env');
+const { BookingModel } = require('../models');
 
 let sqsClient = null;
 
@@ -36,6 +37,20 @@ const initSQS = () => {
 const NotificationType = {
   BOOKING_CONFIRMED: 'BOOKING_CONFIRMED',
   REFUND_ACCEPTED: 'REFUND_ACCEPTED',
+  REFUND_REQUEST_SUBMITTED: 'REFUND_REQUEST_SUBMITTED',
+  REFUND_REQUEST_REVIEWED: 'REFUND_REQUEST_REVIEWED',
+  TRANSFER_OFFERED: 'TRANSFER_OFFERED',
+  TRANSFER_ACCEPTED: 'TRANSFER_ACCEPTED',
+  TRANSFER_REVOKED: 'TRANSFER_REVOKED',
+  WAITLIST_OFFER: 'WAITLIST_OFFER',
+};
+
+// Who a notification is addressed to
+const RecipientRole = {
+  CUSTOMER: 'customer',
+  ADMIN: 'admin',
+  TRANSFER_SENDER: 'transfer_sender',
+  TRANSFER_RECIPIENT: 'transfer_recipient',
 };
 
 /**
@@ -45,8 +60,23 @@ const NotificationType = {
  * @param {Object} params.booking - Booking data
  * @param {Object} params.event - Event data
  * @param {string} params.userEmail - User's email address
+ * @param {Object} params.refundRequest - Refund request, for its notifications
+ * @param {Object} params.transfer - Ticket transfer, for its notifications
+ * @param {string} params.acceptUrl - Link to accept a transfer
+ * @param {Object} params.waitlistOffer - { expiresAt, claimUrl }, for waitlist offers
+ * @param {Object} params.recipient - { email, name, role }, defaults to the customer
  */
-const sendNotification = async ({ type, booking, event, userEmail }) => {
+const sendNotification = async ({
+  type,
+  booking,
+  event,
+  userEmail,
+  refundRequest,
+  transfer,
+  acceptUrl,
+  waitlistOffer,
+  recipient,
+}) => {
   // Skip if SQS queue URL is not configured
   if (!env.aws.sqsQueueUrl) {
     console.log(
@@ -66,15 +96,22 @@ const sendNotification = async ({ type, booking, event, userEmail }) => {
         bookingCode: booking.bookingCode,
         eventId: booking.eventId,
         seats: booking.takenSeats,
-        totalAmount:
-          (booking.pricePerSeat || 0) * (booking.takenSeats?.length || 0),
+        totalAmount: BookingModel.getTotalAmount(booking),
         pricePerSeat: booking.pricePerSeat,
+        priceBreakdown: booking.priceBreakdown || null,
+        tierName: booking.tierName,
         customerName: booking.name,
         customerEmail: booking.email || userEmail,
         customerPhone: booking.phoneNumber,
         status: booking.status,
         purchaseDate: booking.purchaseDate,
         refundedAt: booking.refundedAt,
+        // Latest refund: its amount and seats
+        refundAmount:
+          booking.refundBreakdown?.refundAmount ?? booking.refundAmount ?? null,
+        refundedSeats: booking.refundBreakdown?.seats || null,
+        totalRefunded: booking.refundAmount ?? null,
+        refundBreakdown: booking.refundBreakdown || null,
       },
       event: event
         ? {
@@ -86,9 +123,42 @@ const sendNotification = async ({ type, booking, event, userEmail }) => {
             venue: event.venue,
           }
         : null,
-      recipient: {
+      ...(refundRequest && {
+        refundRequest: {
+          id: refundRequest.id,
+          status: refundRequest.status,
+          reason: refundRequest.reason,
+          seats: refundRequest.seats || null,
+          reviewNote: refundRequest.reviewNote || null,
+          refundAmount: refundRequest.refundAmount ?? null,
+          createdAt: refundRequest.createdAt,
+          reviewedAt: refundRequest.reviewedAt || null,
+        },
+      }),
+      ...(transfer && {
+        transfer: {
+          id: transfer.id,
+          status: transfer.status,
+          fromEmail: transfer.fromEmail || null,
+          toEmail: transfer.toEmail,
+          toUsername: transfer.toUsername || null,
+          message: transfer.message || null,
+          expiresAt: transfer.expiresAt,
+          acceptedAt: transfer.acceptedAt || null,
+          revokedAt: transfer.revokedAt || null,
+          acceptUrl: acceptUrl || null,
+        },
+      }),
+      ...(waitlistOffer && {
+        waitlistOffer: {
+          expiresAt: waitlistOffer.expiresAt,
+          claimUrl: waitlistOffer.claimUrl || null,
+        },
+      }),
+      recipient: recipient || {
         email: booking.email || userEmail,
         name: booking.name,
+        role: RecipientRole.CUSTOMER,
       },
     },
   };
@@ -152,9 +222,92 @@ const sendRefundNotification = async (booking, event, userEmail) => {
   });
 };
 
+/**
+ * Send refund request notifications to the customer and to an admin
+ * @param {string} type - REFUND_REQUEST_SUBMITTED or REFUND_REQUEST_REVIEWED
+ * @param {Object} refundRequest - Refund request
+ * @param {Object} booking - Booking data
+ * @param {Object} event - Event data
+ * @param {string} adminEmail - Admin to notify, skipped when not set
+ */
+const sendRefundRequestNotifications = async (
+  type,
+  refundRequest,
+  booking,
+  event,
+  adminEmail
+) => {
+  const recipients = [
+    {
+      email: booking.email || refundRequest.email,
+      name: booking.name,
+      role: RecipientRole.CUSTOMER,
+    },
+    adminEmail && { email: adminEmail, role: RecipientRole.ADMIN },
+  ].filter((recipient) => recipient?.email);
+
+  return Promise.all(
+    recipients.map((recipient) =>
+      sendNotification({ type, booking, event, refundRequest, recipient })
+    )
+  );
+};
+
+/**
+ * Send ticket transfer notifications
+ * @param {string} type - TRANSFER_OFFERED, TRANSFER_ACCEPTED or TRANSFER_REVOKED
+ * @param {Object} transfer - Ticket transfer
+ * @param {Object} booking - Booking data
+ * @param {Object} event - Event data
+ * @param {Array} recipients - [{ email, name, role }]
+ * @param {string} acceptUrl - Link to accept the transfer (TRANSFER_OFFERED)
+ */
+const sendTransferNotifications = async (
+  type,
+  transfer,
+  booking,
+  event,
+  recipients,
+  acceptUrl
+) => {
+  return Promise.all(
+    recipients
+      .filter((recipient) => recipient.email)
+      .map((recipient) =>
+        sendNotification({
+          type,
+          booking,
+          event,
+          transfer,
+          acceptUrl,
+          recipient,
+        })
+      )
+  );
+};
+
+/**
+ * Send a waitlist offer notification
+ * @param {Object} booking - Pending booking holding the offered seats
+ * @param {Object} event - Event data
+ * @param {string} claimUrl - Link to pay for the offer
+ */
+const sendWaitlistOffer = async (booking, event, claimUrl) => {
+  return sendNotification({
+    type: NotificationType.WAITLIST_OFFER,
+    booking,
+    event,
+    waitlistOffer: { expiresAt: booking.expiresAt, claimUrl },
+  });
+};
+
 module.exports = {
   NotificationType,
+  RecipientRole,
   sendNotification,
   sendBookingConfirmation,
   sendRefundNotification,
+  sendRefundRequestNotifications,
+  sendTransferNotifications,
+  sendWaitlistOffer,
 };
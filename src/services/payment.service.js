@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const mockProvider = require('./paymentProviders/mock.provider');
+
+/**
+ * Payment Service
+ * Single entry point for moving money. Bookings never talk to a payment
+ * provider directly; they call authorize, capture, refund and void here and
+ * the configured provider (PAYMENT_PROVIDER) does the work.
+ *
+ * A provider is a module exporting:
+ *   name                                               - provider identifier
+ *   authorize({ amount, currency, paymentMethod, reference, idempotencyKey })
+ *     -> { transactionId, status, amount, currency }
+ *   capture({ transactionId, amount, idempotencyKey }) -> { transactionId, status }
+ *   refund({ transactionId, amount, idempotencyKey })  -> { refundId, status, amount }
+ *   void({ transactionId, idempotencyKey })            -> { transactionId, status }
+ *   parseWebhookEvent(payload)
+ *     -> { id, type, ticketId, transactionId, amount, currency, refundId, reason }
+ * Declined payments are thrown as errors with `declined: true`.
+ */
+
+const PAYMENT_FAILED = 'PAYMENT_FAILED';
+
+const PaymentFailure = {
+  DECLINED: 'DECLINED',
+  TIMEOUT: 'TIMEOUT',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+};
+
+// Status of the payment stored on a booking (paymentInfo.status)
+const PaymentStatus = {
+  AUTHORIZED: 'AUTHORIZED',
+  CAPTURED: 'CAPTURED',
+  VOIDED: 'VOIDED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+};
+
+// Asynchronous payment events, as normalized by the provider
+const PaymentEventType = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded',
+};
+
+// Webhooks signed longer ago than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Build the error thrown for every failed payment operation
+ * @param {string} failure - PaymentFailure value
+ * @param {string} message - Reason shown to the client
+ * @param {Object} details - Extra data (provider, decline code)
+ * @returns {Error} Error with code PAYMENT_FAILED
+ */
+const createPaymentError = (failure, message, details = {}) => {
+  const error = new Error(message);
+  error.code = PAYMENT_FAILED;
+  error.failure = failure;
+  error.details = details;
+  return error;
+};
+
+const getProvider = () => {
+  const provider = providers[env.payments.provider];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${env.payments.provider}`);
+  }
+  return provider;
+};
+
+/**
+ * Call a provider operation, giving up after the configured timeout
+ */
+const callProvider = async (operation, params) => {
+  const provider = getProvider();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          createPaymentError(
+            PaymentFailure.TIMEOUT,
+            'Payment provider did not respond in time',
+            { provider: provider.name, operation }
+          )
+        ),
+      env.payments.timeoutMs
+    );
+  });
+
+  try {
+    const result = await Promise.race([provider[operation](params), timeout]);
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    if (error.code === PAYMENT_FAILED) {
+      throw error;
+    }
+
+    console.error(`[PaymentService] ${operation} failed:`, error.message);
+
+    if (error.declined) {
+      throw createPaymentError(PaymentFailure.DECLINED, error.message, {
+        provider: provider.name,
+        declineCode: error.declineCode,
+      });
+    }
+
+    throw createPaymentError(
+      PaymentFailure.PROVIDER_ERROR,
+      `Payment ${operation} failed`,
+      { provider: provider.name, operation }
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Reserve funds for a payment
+ * @param {Object} params - { amount, currency, paymentMethod, reference, idempotencyKey }
+ */
+const authorize = (params) => callProvider('authorize', params);
+
+/**
+ * Collect previously authorized funds
+ * @param {Object} params - { transactionId, amount, idempotencyKey }
+ */
+const capture = (params) => callProvider('capture', params);
+
+/**
+ * Return captured funds, fully or partially
+ * @param {Object} params - { transactionId, amount, idempotencyKey }
+ */
+const refund = (params) => callProvider('refund', params);
+
+/**
+ * Release an authorization that will not be captured
+ * @param {Object} params - { transactionId, idempotencyKey }
+ */
+const voidAuthorization = (params) => callProvider('void', params);
+
+/**
+ * Find an authorization by the idempotency key it was requested with
+ * @param {Object} params - { idempotencyKey }
+ * @returns {Promise<Object>} Transaction, without transactionId if the
+ * provider has none for the key
+ */
+const findAuthorization = (params) => callProvider('lookup', params);
+
+/**
+ * Sign a webhook payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Payment-Signature header value (t=<timestamp>,v1=<hmac>)
+ */
+const signWebhookPayload = (payload, timestamp) => {
+  const hmac = crypto
+    .createHmac('sha256', env.payments.webhookSecret)
+    .update(`${timestamp}.`)
+    .update(payload)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${hmac}`;
+};
+
+/**
+ * Verify the Payment-Signature header of a webhook
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signatureHeader - Payment-Signature header value
+ * @returns {boolean} True if signed with the webhook secret recently
+ */
+const verifyWebhookSignature = (payload, signatureHeader) => {
+  if (!env.payments.webhookSecret) {
+    console.warn('[PaymentService] PAYMENT_WEBHOOK_SECRET is not configured');
+    return false;
+  }
+
+  if (!payload || !signatureHeader) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    signatureHeader.split(',').map((part) => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (
+    !timestamp ||
+    !parts.v1 ||
+    Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(payload, timestamp));
+  const received = Buffer.from(`t=${timestamp},v1=${parts.v1}`);
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Turn a provider webhook payload into a payment event
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object|null} Normalized event, or null if the payload is invalid
+ */
+const parseWebhookEvent = (payload) => {
+  const provider = getProvider();
+  const event = provider.parseWebhookEvent(payload);
+
+  return event && { ...event, provider: provider.name };
+};
+
+module.exports = {
+  PAYMENT_FAILED,
+  PaymentFailure,
+  PaymentStatus,
+  PaymentEventType,
+  authorize,
+  capture,
+  refund,
+  void: voidAuthorization,
+  findAuthorization,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+};
@@ -0,0 +1,219 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Mock Payment Provider
+ * Deterministic provider for local development and testing. No money moves;
+ * the outcome of a payment depends only on the card number used.
+ *
+ * Test cards:
+ *   4242424242424242  succeeds
+ *   4000000000000002  declined (card_declined)
+ *   4000000000009995  declined (insufficient_funds)
+ *   4000000000000119  never answers, the call times out
+ * Any other card number passing the Luhn check succeeds.
+ *
+ * Webhooks use the shape
+ *   { id, type: 'payment.succeeded' | 'payment.failed' | 'payment.refunded',
+ *     data: { transactionId, reference, amount, currency, refundId, reason } }
+ * where reference is the ticket ID passed to authorize.
+ */
+
+const name = 'mock';
+
+const TestCards = {
+  SUCCESS: '4242424242424242',
+  DECLINED: '4000000000000002',
+  INSUFFICIENT_FUNDS: '4000000000009995',
+  TIMEOUT: '4000000000000119',
+};
+
+const WEBHOOK_EVENT_TYPES = [
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refunded',
+];
+
+const DECLINE_REASONS = {
+  [TestCards.DECLINED]: 'card_declined',
+  [TestCards.INSUFFICIENT_FUNDS]: 'insufficient_funds',
+};
+
+// Transactions and idempotent results only live as long as the process
+const transactions = new Map();
+const idempotentResults = new Map();
+
+const isLuhnValid = (cardNumber) => {
+  let sum = 0;
+  cardNumber
+    .split('')
+    .reverse()
+    .forEach((char, index) => {
+      let digit = parseInt(char, 10);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+  return sum % 10 === 0;
+};
+
+const createDeclinedError = (reason) => {
+  const error = new Error(`Payment declined: ${reason}`);
+  error.declineCode = reason;
+  error.declined = true;
+  return error;
+};
+
+/**
+ * Run an operation once per idempotency key and replay its result
+ */
+const once = async (idempotencyKey, operation) => {
+  if (idempotencyKey && idempotentResults.has(idempotencyKey)) {
+    return idempotentResults.get(idempotencyKey);
+  }
+
+  const result = await operation();
+
+  if (idempotencyKey) {
+    idempotentResults.set(idempotencyKey, result);
+  }
+  return result;
+};
+
+const getTransaction = (transactionId) => {
+  const transaction = transactions.get(transactionId);
+  if (!transaction) {
+    throw new Error(`Unknown transaction ${transactionId}`);
+  }
+  return transaction;
+};
+
+const authorize = async ({
+  amount,
+  currency,
+  paymentMethod,
+  idempotencyKey,
+}) => {
+  return once(idempotencyKey, async () => {
+    const cardNumber = String(paymentMethod.cardNumber || '').replace(
+      /\D/g,
+      ''
+    );
+
+    if (cardNumber === TestCards.TIMEOUT) {
+      // Never settles, the payment service gives up after its timeout
+      return new Promise(() => {});
+    }
+
+    if (DECLINE_REASONS[cardNumber]) {
+      throw createDeclinedError(DECLINE_REASONS[cardNumber]);
+    }
+
+    if (cardNumber.length < 12 || !isLuhnValid(cardNumber)) {
+      throw createDeclinedError('invalid_card_number');
+    }
+
+    const transaction = {
+      transactionId: `mock_auth_${uuidv4()}`,
+      status: 'AUTHORIZED',
+      amount,
+      currency,
+      refundedAmount: 0,
+    };
+    transactions.set(transaction.transactionId, transaction);
+
+    return { ...transaction };
+  });
+};
+
+const capture = async ({ transactionId, amount, idempotencyKey }) => {
+  return once(idempotencyKey, async () => {
+    const transaction = getTransaction(transactionId);
+    if (transaction.status !== 'AUTHORIZED') {
+      throw new Error(`Cannot capture a ${transaction.status} transaction`);
+    }
+
+    transaction.status = 'CAPTURED';
+    transaction.amount = amount ?? transaction.amount;
+
+    return { ...transaction };
+  });
+};
+
+const refund = async ({ transactionId, amount, idempotencyKey }) => {
+  return once(idempotencyKey, async () => {
+    const transaction = getTransaction(transactionId);
+    const refundAmount = amount ?? transaction.amount;
+
+    if (transaction.status !== 'CAPTURED') {
+      throw new Error(`Cannot refund a ${transaction.status} transaction`);
+    }
+    if (transaction.refundedAmount + refundAmount > transaction.amount) {
+      throw new Error('Refund exceeds the captured amount');
+    }
+
+    transaction.refundedAmount += refundAmount;
+
+    return {
+      refundId: `mock_refund_${uuidv4()}`,
+      transactionId,
+      status: 'REFUNDED',
+      amount: refundAmount,
+      currency: transaction.currency,
+    };
+  });
+};
+
+const voidAuthorization = async ({ transactionId, idempotencyKey }) => {
+  return once(idempotencyKey, async () => {
+    const transaction = getTransaction(transactionId);
+    if (transaction.status !== 'AUTHORIZED') {
+      throw new Error(`Cannot void a ${transaction.status} transaction`);
+    }
+
+    transaction.status = 'VOIDED';
+
+    return { ...transaction };
+  });
+};
+
+// Finds an authorization by the idempotency key it was made with, so one
+// whose answer never arrived can still be voided
+const lookup = async ({ idempotencyKey }) => {
+  const result = idempotentResults.get(idempotencyKey);
+  if (!result) return null;
+
+  return { ...getTransaction(result.transactionId) };
+};
+
+const parseWebhookEvent = (payload) => {
+  const data = payload?.data;
+
+  if (!payload?.id || !payload.type || !data?.transactionId) {
+    return null;
+  }
+
+  return {
+    id: payload.id,
+    // Unknown types are passed on and ignored by the booking service
+    type: WEBHOOK_EVENT_TYPES.includes(payload.type) ? payload.type : 'unknown',
+    ticketId: data.reference,
+    transactionId: data.transactionId,
+    amount: data.amount,
+    currency: data.currency,
+    refundId: data.refundId,
+    reason: data.reason,
+  };
+};
+
+module.exports = {
+  name,
+  TestCards,
+  authorize,
+  capture,
+  refund,
+  void: voidAuthorization,
+  lookup,
+  parseWebhookEvent,
+};
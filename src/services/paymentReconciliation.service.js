@@ -0,0 +1,154 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  ScanCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { PaymentReconciliationModel } = require('../models');
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Record a payment operation to settle later
+ * Scheduling the same operation twice keeps a single record
+ * @param {Object} data - { type, ticketId, transactionId, idempotencyKey,
+ * amount, currency }
+ * @returns {Promise<Object>} Stored record
+ */
+const scheduleReconciliation = async (data) => {
+  const db = initDynamoDB();
+  const record = PaymentReconciliationModel.prepareForCreation(data);
+
+  try {
+    await db.send(
+      new PutCommand({
+        TableName: PaymentReconciliationModel.tableName,
+        Item: record,
+        ConditionExpression: 'attribute_not_exists(id)',
+      })
+    );
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  return record;
+};
+
+/**
+ * Get the records whose next attempt is due
+ * Records out of attempts are left for manual review and skipped
+ * @returns {Promise<Array>} Due records
+ */
+const getDueReconciliations = async () => {
+  const db = initDynamoDB();
+  const records = [];
+  let lastEvaluatedKey;
+
+  // The table only holds unsettled operations, so it stays small
+  do {
+    const result = await db.send(
+      new ScanCommand({
+        TableName: PaymentReconciliationModel.tableName,
+        FilterExpression: 'nextAttemptAt <= :now AND attempts < :maxAttempts',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':maxAttempts': PaymentReconciliationModel.MAX_ATTEMPTS,
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+
+    records.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return records;
+};
+
+/**
+ * Count a failed attempt and schedule the next one
+ * @param {Object} record - Reconciliation record
+ * @param {string} reason - Why the attempt failed
+ * @returns {Promise<number>} Failed attempts so far
+ */
+const recordFailedAttempt = async (record, reason) => {
+  const db = initDynamoDB();
+  const attempts = record.attempts + 1;
+  const now = new Date();
+
+  await db.send(
+    new UpdateCommand({
+      TableName: PaymentReconciliationModel.tableName,
+      Key: { id: record.id },
+      UpdateExpression:
+        'SET attempts = :attempts, nextAttemptAt = :nextAttemptAt, lastError = :reason, updatedAt = :now',
+      ExpressionAttributeValues: {
+        ':attempts': attempts,
+        ':nextAttemptAt': PaymentReconciliationModel.getNextAttemptAt(
+          attempts,
+          now
+        ),
+        ':reason': reason,
+        ':now': now.toISOString(),
+      },
+    })
+  );
+
+  return attempts;
+};
+
+/**
+ * Forget a settled operation
+ * @param {string} id - Record ID
+ */
+const completeReconciliation = async (id) => {
+  const db = initDynamoDB();
+
+  await db.send(
+    new DeleteCommand({
+      TableName: PaymentReconciliationModel.tableName,
+      Key: { id },
+    })
+  );
+};
+
+module.exports = {
+  initDynamoDB,
+  scheduleReconciliation,
+  getDueReconciliations,
+  recordFailedAttempt,
+  completeReconciliation,
+};
@@ -0,0 +1,318 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { BookingModel } = require('../models');
+const eventService = require('./event.service');
+const seatTicketService = require('./seatTicket.service');
+const invoiceService = require('./invoice.service');
+
+/**
+ * PDF Service
+ * Renders the printable documents of a booking: the ticket PDF, with one
+ * page and QR code per seat, and the receipt, numbered by the invoice
+ * service the first time it is issued.
+ */
+
+const PAGE_MARGIN = 50;
+const QR_CODE_SIZE = 220;
+
+const formatCurrency = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount || 0);
+};
+
+const formatDate = (date) => {
+  return date
+    ? new Date(date).toLocaleString('en-US', {
+        dateStyle: 'full',
+        timeStyle: 'short',
+      })
+    : 'N/A';
+};
+
+const getEvent = async (eventId) => {
+  const result = await eventService.getEventById(eventId);
+  if (!result.success) {
+    throw new Error('Event not found');
+  }
+  return result.data;
+};
+
+/**
+ * Collect the pages written to a document into a single buffer
+ * @param {PDFDocument} doc - Document being written
+ * @returns {Promise<Buffer>} Resolves once doc.end() has been called
+ */
+const toBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+};
+
+const writeHeading = (doc, text) => {
+  doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text);
+  doc.font('Helvetica').fontSize(11).moveDown(0.3);
+};
+
+const writeField = (doc, label, value) => {
+  doc
+    .font('Helvetica-Bold')
+    .text(`${label}: `, { continued: true })
+    .font('Helvetica')
+    .text(value === undefined || value === null ? 'N/A' : String(value));
+};
+
+/**
+ * Write a row with a description on the left and an amount on the right
+ */
+const writeAmountRow = (doc, description, amount, options = {}) => {
+  const y = doc.y;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(description, PAGE_MARGIN, y, { width: width - 120 });
+  const nextY = doc.y;
+  doc.text(amount, PAGE_MARGIN, y, { width, align: 'right' });
+  doc.font('Helvetica');
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(nextY, doc.y);
+};
+
+/**
+ * Get the itemised lines of a booking's price
+ * Bookings made before price breakdowns existed only have a price per seat
+ */
+const getLineItems = (booking) => {
+  if (booking.priceBreakdown) {
+    return booking.priceBreakdown.lineItems;
+  }
+
+  const seatCount =
+    (booking.takenSeats?.length || 0) + (booking.refundedSeats?.length || 0);
+  return [
+    {
+      type: 'seats',
+      description: `${seatCount} x ${formatCurrency(booking.pricePerSeat)}`,
+      amount: (booking.pricePerSeat || 0) * seatCount,
+    },
+  ];
+};
+
+const writePriceBreakdown = (doc, booking) => {
+  const currency = booking.priceBreakdown?.currency;
+
+  getLineItems(booking).forEach((item) => {
+    writeAmountRow(
+      doc,
+      item.description,
+      formatCurrency(item.amount, currency)
+    );
+  });
+  writeAmountRow(
+    doc,
+    'Total',
+    formatCurrency(BookingModel.getTotalAmount(booking), currency),
+    { bold: true }
+  );
+};
+
+const writeEventDetails = (doc, event) => {
+  writeField(doc, 'Event', event.title);
+  writeField(doc, 'Date', formatDate(event.datetime));
+  writeField(
+    doc,
+    'Venue',
+    [event.venue, event.location].filter(Boolean).join(', ')
+  );
+  writeField(doc, 'Organizer', event.organizerName);
+};
+
+/**
+ * Render the ticket PDF of a booking
+ * The first page summarises the booking, then each seat gets a page with
+ * the QR code scanned at the door
+ * @param {Object} booking - Sold booking
+ * @param {Object} event - Event of the booking
+ * @param {Array} tickets - Seat tickets with their signed tokens
+ * @returns {Promise<Buffer>} PDF document
+ */
+const generateTicketPdf = async (booking, event, tickets) => {
+  const qrCodes = await Promise.all(
+    tickets.map((ticket) =>
+      QRCode.toBuffer(ticket.token, {
+        errorCorrectionLevel: 'M',
+        margin: 1,
+        width: QR_CODE_SIZE * 2,
+      })
+    )
+  );
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `Tickets - ${event.title}` },
+  });
+  const buffer = toBuffer(doc);
+
+  doc.font('Helvetica-Bold').fontSize(20).text(event.title);
+  doc.font('Helvetica').fontSize(11).moveDown(0.5);
+  writeEventDetails(doc, event);
+
+  writeHeading(doc, 'Booking');
+  writeField(doc, 'Booking Code', booking.bookingCode);
+  writeField(doc, 'Ticket Holder', booking.name);
+  if (booking.tierName) {
+    writeField(doc, 'Ticket Type', booking.tierName);
+  }
+  writeField(doc, 'Seats', booking.takenSeats.join(', '));
+
+  writeHeading(doc, 'Price');
+  writePriceBreakdown(doc, booking);
+
+  tickets.forEach((ticket, index) => {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(18).text(event.title);
+    doc.font('Helvetica').fontSize(11).moveDown(0.5);
+    writeField(doc, 'Date', formatDate(event.datetime));
+    writeField(
+      doc,
+      'Venue',
+      [event.venue, event.location].filter(Boolean).join(', ')
+    );
+    writeField(doc, 'Seat', ticket.seat);
+    if (ticket.tierName) {
+      writeField(doc, 'Ticket Type', ticket.tierName);
+    }
+    writeField(doc, 'Ticket Holder', booking.name);
+    writeField(doc, 'Booking Code', booking.bookingCode);
+
+    doc.moveDown();
+    doc.image(qrCodes[index], (doc.page.width - QR_CODE_SIZE) / 2, doc.y, {
+      width: QR_CODE_SIZE,
+    });
+    doc.y += QR_CODE_SIZE + 10;
+    doc
+      .fontSize(9)
+      .text(
+        `Ticket ${index + 1} of ${tickets.length}. Each QR code admits one person once.`,
+        PAGE_MARGIN,
+        doc.y,
+        { align: 'center' }
+      );
+  });
+
+  doc.end();
+  return buffer;
+};
+
+/**
+ * Render the receipt of a paid booking
+ * @param {Object} booking - Booking with its invoice number
+ * @param {Object} event - Event of the booking
+ * @returns {Promise<Buffer>} PDF document
+ */
+const generateReceiptPdf = async (booking, event) => {
+  const currency = booking.priceBreakdown?.currency;
+  const payment = booking.paymentInfo || {};
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `Receipt ${booking.invoiceNumber}` },
+  });
+  const buffer = toBuffer(doc);
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Receipt');
+  doc.font('Helvetica').fontSize(11).moveDown(0.5);
+  writeField(doc, 'Invoice Number', booking.invoiceNumber);
+  writeField(doc, 'Invoice Date', formatDate(booking.invoicedAt));
+  writeField(doc, 'Booking Code', booking.bookingCode);
+
+  writeHeading(doc, 'Billed To');
+  doc.text(booking.name || 'N/A');
+  if (booking.email) {
+    doc.text(booking.email);
+  }
+
+  writeHeading(doc, 'Event');
+  writeEventDetails(doc, event);
+
+  writeHeading(doc, 'Items');
+  writePriceBreakdown(doc, booking);
+
+  writeHeading(doc, 'Payment');
+  writeField(
+    doc,
+    'Paid On',
+    formatDate(payment.paymentDate || booking.purchaseDate)
+  );
+  if (payment.cardLastFour) {
+    writeField(doc, 'Card', `**** **** **** ${payment.cardLastFour}`);
+  }
+  if (payment.transactionId) {
+    writeField(doc, 'Transaction', payment.transactionId);
+  }
+
+  if (booking.refundAmount) {
+    writeHeading(doc, 'Refunds');
+    if (booking.refundedSeats?.length) {
+      writeField(doc, 'Refunded Seats', booking.refundedSeats.join(', '));
+    }
+    writeAmountRow(
+      doc,
+      'Refunded',
+      `-${formatCurrency(booking.refundAmount, currency)}`
+    );
+    writeAmountRow(
+      doc,
+      'Net Paid',
+      formatCurrency(BookingModel.getNetAmount(booking), currency),
+      { bold: true }
+    );
+  }
+
+  doc.end();
+  return buffer;
+};
+
+/**
+ * Get the ticket PDF of a sold booking
+ * @param {Object} booking - Booking item
+ * @returns {Promise<Buffer>} PDF document
+ */
+const getTicketPdf = async (booking) => {
+  const [event, tickets] = await Promise.all([
+    getEvent(booking.eventId),
+    seatTicketService.getBookingTickets(booking),
+  ]);
+
+  return generateTicketPdf(booking, event, tickets);
+};
+
+/**
+ * Get the receipt of a paid booking, numbering it on first issue
+ * @param {Object} booking - Booking item
+ * @returns {Promise<{invoiceNumber: string, pdf: Buffer}>} Receipt
+ */
+const getReceiptPdf = async (booking) => {
+  const [invoiced, event] = await Promise.all([
+    invoiceService.assignInvoiceNumber(booking),
+    getEvent(booking.eventId),
+  ]);
+
+  return {
+    invoiceNumber: invoiced.invoiceNumber,
+    pdf: await generateReceiptPdf(invoiced, event),
+  };
+};
+
+module.exports = {
+  generateTicketPdf,
+  generateReceiptPdf,
+  getTicketPdf,
+  getReceiptPdf,
+};
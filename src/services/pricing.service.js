@@ -0,0 +1,288 @@
+const env = require('../config/env');
+const { BookingModel, EventModel } = require('../models');
+
+/**
+ * Pricing Service
+ * Computes the itemised price of a booking on the server. The breakdown is
+ * stored on the booking and reused by the routes, analytics and the email
+ * notifications, so the amounts are only ever calculated here.
+ */
+
+const LineItemType = {
+  TICKETS: 'TICKETS',
+  DISCOUNT: 'DISCOUNT',
+  SERVICE_FEE: 'SERVICE_FEE',
+  TAX: 'TAX',
+};
+
+// All arithmetic is done in cents to avoid floating point drift
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+const fromCents = (cents) => cents / 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const { RefundPolicyType } = EventModel;
+
+/**
+ * Calculate the price breakdown of a booking
+ * @param {Object} params - Pricing parameters
+ * @param {number} params.pricePerSeat - Ticket price per seat
+ * @param {number} params.seatCount - Number of seats
+ * @param {number} params.taxRate - Event tax rate as a fraction (0.1 = 10%)
+ * @param {string} params.tierName - Ticket tier name, for the line item label
+ * @param {Object} params.discount - Optional { code, amount } off the subtotal
+ * @returns {Object} Price breakdown with line items and totals
+ */
+const calculatePrice = ({
+  pricePerSeat,
+  seatCount,
+  taxRate = 0,
+  tierName,
+  discount,
+}) => {
+  const { serviceFeePercent, serviceFeePerSeat, currency } = env.pricing;
+
+  const subtotalCents = toCents(pricePerSeat) * seatCount;
+  // Fees and tax are charged on the discounted subtotal
+  const discountCents = Math.min(toCents(discount?.amount), subtotalCents);
+  const discountedCents = subtotalCents - discountCents;
+  const serviceFeeCents =
+    Math.round((discountedCents * serviceFeePercent) / 100) +
+    toCents(serviceFeePerSeat) * seatCount;
+  const taxCents = Math.round((discountedCents + serviceFeeCents) * taxRate);
+  const totalCents = discountedCents + serviceFeeCents + taxCents;
+
+  const ticketLabel = tierName ? `${tierName} ticket` : 'Ticket';
+
+  const lineItems = [
+    {
+      type: LineItemType.TICKETS,
+      description: `${seatCount} x ${ticketLabel} @ ${fromCents(
+        toCents(pricePerSeat)
+      ).toFixed(2)}`,
+      amount: fromCents(subtotalCents),
+    },
+  ];
+
+  if (discountCents > 0) {
+    lineItems.push({
+      type: LineItemType.DISCOUNT,
+      description: `Promo code ${discount.code}`,
+      amount: -fromCents(discountCents),
+    });
+  }
+
+  if (serviceFeeCents > 0) {
+    lineItems.push({
+      type: LineItemType.SERVICE_FEE,
+      description: 'Service fee',
+      amount: fromCents(serviceFeeCents),
+    });
+  }
+
+  if (taxCents > 0) {
+    lineItems.push({
+      type: LineItemType.TAX,
+      description: `Tax (${+(taxRate * 100).toFixed(2)}%)`,
+      amount: fromCents(taxCents),
+    });
+  }
+
+  return {
+    currency,
+    pricePerSeat: fromCents(toCents(pricePerSeat)),
+    seatCount,
+    subtotal: fromCents(subtotalCents),
+    ...(discountCents > 0 && {
+      discount: fromCents(discountCents),
+      promoCode: discount.code,
+    }),
+    serviceFee: fromCents(serviceFeeCents),
+    taxRate,
+    tax: fromCents(taxCents),
+    total: fromCents(totalCents),
+    lineItems,
+  };
+};
+
+/**
+ * Work out which percentage of the paid amount a refund policy returns
+ * @returns {Object} { refundPercent, reason } - reason is set when nothing is returned
+ */
+const getRefundPercent = (policy, booking, event, now) => {
+  const daysBeforeEvent = (new Date(event?.datetime) - now) / DAY_MS;
+
+  if (daysBeforeEvent < 0) {
+    return { refundPercent: 0, reason: 'The event has already taken place' };
+  }
+
+  switch (policy.type) {
+    case RefundPolicyType.NONE:
+      return { refundPercent: 0, reason: 'This event does not offer refunds' };
+
+    case RefundPolicyType.PURCHASE_WINDOW: {
+      const purchaseDate = new Date(booking.purchaseDate || booking.createdAt);
+      return (now - purchaseDate) / HOUR_MS <= policy.hoursAfterPurchase
+        ? { refundPercent: 100 }
+        : {
+            refundPercent: 0,
+            reason: `Refunds are only available within ${policy.hoursAfterPurchase} hours of purchase`,
+          };
+    }
+
+    case RefundPolicyType.FULL:
+      return daysBeforeEvent >= policy.daysBeforeEvent
+        ? { refundPercent: 100 }
+        : {
+            refundPercent: 0,
+            reason: `Refunds are only available until ${policy.daysBeforeEvent} days before the event`,
+          };
+
+    case RefundPolicyType.TIERED: {
+      // The tier with the longest notice the customer still meets applies
+      const tier = [...policy.tiers]
+        .sort((a, b) => b.daysBeforeEvent - a.daysBeforeEvent)
+        .find((candidate) => daysBeforeEvent >= candidate.daysBeforeEvent);
+
+      return tier && tier.refundPercent > 0
+        ? { refundPercent: tier.refundPercent }
+        : {
+            refundPercent: 0,
+            reason: 'The refund deadline for this event has passed',
+          };
+    }
+
+    default:
+      return { refundPercent: 0, reason: 'Unknown refund policy' };
+  }
+};
+
+/**
+ * Get the paid share of the given seats, in cents
+ * Every seat of the booking carries an equal share of the total. Shares are
+ * rounded cumulatively, so refunding the last seats returns exactly what is
+ * left of the total.
+ */
+const getSeatsPaidCents = (booking, seats) => {
+  const totalCents = toCents(BookingModel.getTotalAmount(booking));
+  const refundedCount = booking.refundedSeats?.length || 0;
+  const seatCount = (booking.takenSeats?.length || 0) + refundedCount;
+
+  if (seatCount === 0) {
+    return 0;
+  }
+
+  const shareOf = (count) => Math.round((totalCents * count) / seatCount);
+  return shareOf(refundedCount + seats.length) - shareOf(refundedCount);
+};
+
+// Fields shared by every refund breakdown
+const buildRefundBreakdown = (booking, seats, paidCents, refundCents) => ({
+  currency: booking.priceBreakdown?.currency || env.pricing.currency,
+  seats,
+  paidAmount: fromCents(paidCents),
+  refundAmount: fromCents(refundCents),
+  // Everything returned on the booking including this refund
+  totalRefunded: fromCents(toCents(booking.refundAmount) + refundCents),
+});
+
+/**
+ * Calculate what a customer gets back when refunding seats of a booking
+ * Applies the event's refund policy to the amount paid for the seats, then
+ * deducts the policy's cancellation fee
+ * @param {Object} booking - Confirmed booking
+ * @param {Object} event - Event of the booking
+ * @param {Array} seats - Seats to refund (default: all seats left)
+ * @param {Date} now - Reference time
+ * @returns {Object} Refund breakdown; refundable is false with a reason when
+ *   the policy returns nothing
+ */
+const calculateRefund = (
+  booking,
+  event,
+  seats = booking.takenSeats,
+  now = new Date()
+) => {
+  const policy = EventModel.getRefundPolicy(event);
+  const paidCents = getSeatsPaidCents(booking, seats);
+  const { refundPercent, reason } = getRefundPercent(
+    policy,
+    booking,
+    event,
+    now
+  );
+
+  const grossCents = Math.round((paidCents * refundPercent) / 100);
+  const feeCents = Math.min(toCents(policy.cancellationFee), grossCents);
+  const refundCents = grossCents - feeCents;
+
+  // Free bookings can still be refunded to release their seats
+  const refundable = refundPercent > 0 && (refundCents > 0 || paidCents === 0);
+
+  return {
+    refundable,
+    ...(!refundable && {
+      reason: reason || 'The cancellation fee exceeds the refundable amount',
+    }),
+    policyType: policy.type,
+    refundPercent,
+    cancellationFee: fromCents(feeCents),
+    ...buildRefundBreakdown(
+      booking,
+      seats,
+      paidCents,
+      refundable ? refundCents : 0
+    ),
+  };
+};
+
+/**
+ * Refund breakdown returning the whole amount paid for the seats, for
+ * refunds made by an admin or at the payment provider, which the event's
+ * policy does not limit
+ * @param {Object} booking - Confirmed booking
+ * @param {Array} seats - Seats to refund (default: all seats left)
+ * @param {number} amount - Amount actually refunded, if known
+ * @returns {Object} Refund breakdown
+ */
+const calculateFullRefund = (booking, seats = booking.takenSeats, amount) => {
+  const paidCents = getSeatsPaidCents(booking, seats);
+  const refundCents = amount === undefined ? paidCents : toCents(amount);
+
+  return {
+    refundable: true,
+    policyType: null,
+    refundPercent:
+      paidCents > 0 ? +((refundCents / paidCents) * 100).toFixed(2) : 100,
+    cancellationFee: 0,
+    ...buildRefundBreakdown(booking, seats, paidCents, refundCents),
+  };
+};
+
+/**
+ * Check that a payment covers exactly the total of a booking
+ * @param {Object} booking - Booking the payment is for
+ * @param {Object} payment - { amount, currency } reported by the provider
+ * @returns {boolean} False when the amount is missing or differs from the
+ *   total, or the currency is not the booking's
+ */
+const isPaymentForTotal = (booking, { amount, currency }) => {
+  const bookingCurrency =
+    booking.priceBreakdown?.currency || env.pricing.currency;
+
+  return (
+    typeof amount === 'number' &&
+    toCents(amount) === toCents(BookingModel.getTotalAmount(booking)) &&
+    (!currency || currency.toUpperCase() === bookingCurrency.toUpperCase())
+  );
+};
+
+module.exports = {
+  LineItemType,
+  calculatePrice,
+  calculateRefund,
+  calculateFullRefund,
+  isPaymentForTotal,
+};
@@ -0,0 +1,312 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  ScanCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { PromoCodeModel } = require('../models');
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Get promo code by code
+ */
+const getPromoCode = async (code) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new GetCommand({
+      TableName: PromoCodeModel.tableName,
+      Key: { code: PromoCodeModel.normalizeCode(code) },
+    })
+  );
+
+  return result.Item;
+};
+
+/**
+ * Get all promo codes
+ */
+const getAllPromoCodes = async () => {
+  try {
+    const db = initDynamoDB();
+
+    const response = await db.send(
+      new ScanCommand({
+        TableName: PromoCodeModel.tableName,
+      })
+    );
+
+    const promoCodes = response.Items || [];
+
+    // Newest first
+    promoCodes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      success: true,
+      data: promoCodes,
+      count: promoCodes.length,
+    };
+  } catch (error) {
+    console.error('Error getting promo codes:', error);
+    throw new Error('Failed to retrieve promo codes');
+  }
+};
+
+/**
+ * Create a new promo code
+ */
+const createPromoCode = async (promoCodeData) => {
+  try {
+    const db = initDynamoDB();
+
+    // Validate promo code data
+    const validatedData = PromoCodeModel.validate(promoCodeData);
+
+    // Prepare for creation (adds counters, timestamps)
+    const promoCode = PromoCodeModel.prepareForCreation(validatedData);
+
+    await db.send(
+      new PutCommand({
+        TableName: PromoCodeModel.tableName,
+        Item: promoCode,
+        ConditionExpression: 'attribute_not_exists(code)',
+      })
+    );
+
+    return {
+      success: true,
+      data: promoCode,
+      message: 'Promo code created successfully',
+    };
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    return {
+      success: false,
+      message:
+        error.name === 'ConditionalCheckFailedException'
+          ? 'Promo code already exists'
+          : error.message || 'Failed to create promo code',
+    };
+  }
+};
+
+/**
+ * Update an existing promo code
+ * The redemption count is kept, it only changes through redemptions
+ */
+const updatePromoCode = async (code, updateData) => {
+  try {
+    const db = initDynamoDB();
+
+    const existingPromoCode = await getPromoCode(code);
+    if (!existingPromoCode) {
+      return {
+        success: false,
+        message: 'Promo code not found',
+      };
+    }
+
+    // Merge existing data with updates
+    const mergedData = {
+      ...existingPromoCode,
+      ...updateData,
+      code: existingPromoCode.code, // Ensure code doesn't change
+      redemptionCount: existingPromoCode.redemptionCount,
+      createdAt: existingPromoCode.createdAt,
+    };
+
+    const validatedData = PromoCodeModel.validate(mergedData);
+    const updatedPromoCode = PromoCodeModel.prepareForUpdate(validatedData);
+
+    // Don't overwrite redemptions made since the code was read
+    await db.send(
+      new PutCommand({
+        TableName: PromoCodeModel.tableName,
+        Item: updatedPromoCode,
+        ConditionExpression: 'redemptionCount = :redemptionCount',
+        ExpressionAttributeValues: {
+          ':redemptionCount': existingPromoCode.redemptionCount,
+        },
+      })
+    );
+
+    return {
+      success: true,
+      data: updatedPromoCode,
+      message: 'Promo code updated successfully',
+    };
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    return {
+      success: false,
+      message:
+        error.name === 'ConditionalCheckFailedException'
+          ? 'Promo code was redeemed while updating, please try again'
+          : error.message || 'Failed to update promo code',
+    };
+  }
+};
+
+/**
+ * Delete a promo code
+ */
+const deletePromoCode = async (code) => {
+  try {
+    const db = initDynamoDB();
+
+    const existingPromoCode = await getPromoCode(code);
+    if (!existingPromoCode) {
+      return {
+        success: false,
+        message: 'Promo code not found',
+      };
+    }
+
+    await db.send(
+      new DeleteCommand({
+        TableName: PromoCodeModel.tableName,
+        Key: { code: existingPromoCode.code },
+      })
+    );
+
+    return {
+      success: true,
+      message: 'Promo code deleted successfully',
+    };
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to delete promo code',
+    };
+  }
+};
+
+/**
+ * Build the transaction items that count one redemption of a code
+ * The conditions enforce the global and per-user limits atomically
+ * @param {Object} promoCode - Promo code item
+ * @param {string} userId - Redeeming user
+ * @returns {Array} TransactWriteItems entries (code first, then user)
+ */
+const buildRedemptionItems = (promoCode, userId) => {
+  const now = new Date().toISOString();
+
+  const codeItem = {
+    Update: {
+      TableName: PromoCodeModel.tableName,
+      Key: { code: promoCode.code },
+      UpdateExpression: 'SET redemptionCount = redemptionCount + :one',
+      ConditionExpression: promoCode.maxRedemptions
+        ? 'active = :true AND redemptionCount < :maxRedemptions'
+        : 'active = :true',
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':true': true,
+        ...(promoCode.maxRedemptions && {
+          ':maxRedemptions': promoCode.maxRedemptions,
+        }),
+      },
+    },
+  };
+
+  const userItem = {
+    Update: {
+      TableName: PromoCodeModel.redemptionTableName,
+      Key: { code: promoCode.code, userId },
+      UpdateExpression:
+        'SET redemptions = if_not_exists(redemptions, :zero) + :one, updatedAt = :now',
+      ...(promoCode.maxRedemptionsPerUser && {
+        ConditionExpression:
+          'attribute_not_exists(redemptions) OR redemptions < :maxPerUser',
+      }),
+      ExpressionAttributeValues: {
+        ':zero': 0,
+        ':one': 1,
+        ':now': now,
+        ...(promoCode.maxRedemptionsPerUser && {
+          ':maxPerUser': promoCode.maxRedemptionsPerUser,
+        }),
+      },
+    },
+  };
+
+  return [codeItem, userItem];
+};
+
+/**
+ * Give back a redemption, e.g. when a discounted booking is never paid
+ * @param {string} code - Promo code
+ * @param {string} userId - User who redeemed it
+ */
+const releaseRedemption = async (code, userId) => {
+  const db = initDynamoDB();
+
+  const decrement = (params) =>
+    db.send(new UpdateCommand(params)).catch((error) => {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    });
+
+  await Promise.all([
+    decrement({
+      TableName: PromoCodeModel.tableName,
+      Key: { code },
+      UpdateExpression: 'SET redemptionCount = redemptionCount - :one',
+      ConditionExpression: 'redemptionCount >= :one',
+      ExpressionAttributeValues: { ':one': 1 },
+    }),
+    decrement({
+      TableName: PromoCodeModel.redemptionTableName,
+      Key: { code, userId },
+      UpdateExpression: 'SET redemptions = redemptions - :one',
+      ConditionExpression: 'redemptions >= :one',
+      ExpressionAttributeValues: { ':one': 1 },
+    }),
+  ]);
+};
+
+module.exports = {
+  initDynamoDB,
+  getPromoCode,
+  getAllPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  buildRedemptionItems,
+  releaseRedemption,
+};
@@ -0,0 +1,281 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../config/redis');
+const { EventModel } = require('../models');
+
+/**
+ * Queue Service
+ * Virtual waiting room for events with queue mode on, kept in Redis.
+ * Each event has two sorted sets of queue tokens: the line, scored by
+ * arrival, and the admitted sessions, scored by the time they run out.
+ * Whenever the queue is read, expired sessions are dropped and the front of
+ * the line is admitted into the free slots, so no background job is needed.
+ * Two hashes map tokens to users and back, a user holds one token per event.
+ *
+ * Every function returns null when Redis is not available, so callers can
+ * let bookings through (the DynamoDB seat locks still prevent overselling).
+ */
+
+const QueueStatus = {
+  WAITING: 'WAITING', // In line
+  ADMITTED: 'ADMITTED', // Can pick seats and book until expiresAt
+  EXPIRED: 'EXPIRED', // The session ran out or the user left
+};
+
+// Queue keys are kept until a day after the event
+const KEY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Drop expired sessions and admit the front of the line into free slots.
+// KEYS: line, admitted. ARGV: now (ms), maxActiveSessions, session (ms).
+// Returns the number of users admitted.
+const ADMIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now)
+local free = tonumber(ARGV[2]) - redis.call('ZCARD', KEYS[2])
+if free <= 0 then
+  return 0
+end
+local admitted = redis.call('ZRANGE', KEYS[1], 0, free - 1)
+for i = 1, #admitted do
+  redis.call('ZREM', KEYS[1], admitted[i])
+  redis.call('ZADD', KEYS[2], now + tonumber(ARGV[3]), admitted[i])
+end
+return #admitted
+`;
+
+// Put a user at the end of the line, unless they are in line or admitted.
+// KEYS: line, admitted, tokens, users, sequence.
+// ARGV: userId, new token, now (ms), keys expire at (ms).
+// Returns the user's token.
+const JOIN_SCRIPT = `
+local existing = redis.call('HGET', KEYS[4], ARGV[1])
+if existing then
+  if redis.call('ZSCORE', KEYS[1], existing) then
+    return existing
+  end
+  local sessionEnd = redis.call('ZSCORE', KEYS[2], existing)
+  if sessionEnd and tonumber(sessionEnd) > tonumber(ARGV[3]) then
+    return existing
+  end
+  redis.call('HDEL', KEYS[3], existing)
+end
+local sequence = redis.call('INCR', KEYS[5])
+redis.call('ZADD', KEYS[1], sequence, ARGV[2])
+redis.call('HSET', KEYS[3], ARGV[2], ARGV[1])
+redis.call('HSET', KEYS[4], ARGV[1], ARGV[2])
+for i = 1, #KEYS do
+  redis.call('PEXPIREAT', KEYS[i], ARGV[4])
+end
+return ARGV[2]
+`;
+
+const getKeys = (eventId) => ({
+  line: `queue:${eventId}:line`,
+  admitted: `queue:${eventId}:admitted`,
+  tokens: `queue:${eventId}:tokens`,
+  users: `queue:${eventId}:users`,
+  sequence: `queue:${eventId}:sequence`,
+});
+
+/**
+ * Get the Redis client if it is connected and ready
+ */
+const getReadyClient = () => {
+  const client = getRedisClient();
+  if (!client || client.status !== 'ready') {
+    return null;
+  }
+  return client;
+};
+
+/**
+ * Admit the front of the line into the free session slots
+ */
+const admitNext = async (client, event) => {
+  const { maxActiveSessions, sessionMinutes } =
+    EventModel.getQueueSettings(event);
+  const keys = getKeys(event.id);
+
+  return client.eval(
+    ADMIT_SCRIPT,
+    2,
+    keys.line,
+    keys.admitted,
+    Date.now(),
+    maxActiveSessions,
+    sessionMinutes * 60 * 1000
+  );
+};
+
+/**
+ * Read where a token stands, after admitting whoever's turn it is
+ * @returns {Promise<Object|null>} Queue status, or null if the token is not
+ * the user's
+ */
+const readStatus = async (client, event, token, userId) => {
+  const keys = getKeys(event.id);
+  await admitNext(client, event);
+
+  const [[, owner], [, rank], [, sessionEnd]] = await client
+    .pipeline()
+    .hget(keys.tokens, token)
+    .zrank(keys.line, token)
+    .zscore(keys.admitted, token)
+    .exec();
+
+  if (!owner || owner !== userId) return null;
+
+  if (sessionEnd !== null && Number(sessionEnd) > Date.now()) {
+    return {
+      token,
+      status: QueueStatus.ADMITTED,
+      expiresAt: new Date(Number(sessionEnd)).toISOString(),
+    };
+  }
+
+  if (rank !== null) {
+    const { maxActiveSessions, sessionMinutes } =
+      EventModel.getQueueSettings(event);
+    const position = rank + 1;
+
+    return {
+      token,
+      status: QueueStatus.WAITING,
+      position,
+      // Upper bound: every session ahead is assumed to run its full length
+      estimatedWaitSeconds:
+        Math.ceil(position / maxActiveSessions) * sessionMinutes * 60,
+    };
+  }
+
+  return { token, status: QueueStatus.EXPIRED };
+};
+
+/**
+ * Join the queue of an event
+ * Joining again returns the same token while the user is in line or
+ * admitted, once their session is over they go to the end of the line
+ * @param {Object} event - Event with queue mode on
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { token, status, position,
+ * estimatedWaitSeconds, expiresAt }, or null if Redis is unavailable
+ */
+const joinQueue = async (event, userId) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    const keys = getKeys(event.id);
+    const token = await client.eval(
+      JOIN_SCRIPT,
+      5,
+      keys.line,
+      keys.admitted,
+      keys.tokens,
+      keys.users,
+      keys.sequence,
+      userId,
+      uuidv4(),
+      Date.now(),
+      new Date(event.datetime).getTime() + KEY_RETENTION_MS
+    );
+
+    return await readStatus(client, event, token, userId);
+  } catch (error) {
+    console.error('[QueueService] Failed to join queue:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Get a user's place in the queue
+ * @param {Object} event - Event with queue mode on
+ * @param {string} token - Queue token
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|false|null>} Queue status, false if the token is
+ * not the user's, or null if Redis is unavailable
+ */
+const getQueueStatus = async (event, token, userId) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    return (await readStatus(client, event, token, userId)) || false;
+  } catch (error) {
+    console.error('[QueueService] Failed to read queue:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Check that a token holds an admitted session
+ * @param {Object} event - Event with queue mode on
+ * @param {string} [token] - Queue token, if the request sent one
+ * @param {string} [userId] - User the token must belong to, when known
+ * @returns {Promise<boolean|null>} Whether the session is active, or null if
+ * Redis is unavailable
+ */
+const isAdmitted = async (event, token, userId) => {
+  const client = getReadyClient();
+  if (!client) return null;
+  if (!token) return false;
+
+  try {
+    const keys = getKeys(event.id);
+    const [[, owner], [, sessionEnd]] = await client
+      .pipeline()
+      .hget(keys.tokens, token)
+      .zscore(keys.admitted, token)
+      .exec();
+
+    return (
+      Boolean(owner) &&
+      (!userId || owner === userId) &&
+      sessionEnd !== null &&
+      Number(sessionEnd) > Date.now()
+    );
+  } catch (error) {
+    console.error('[QueueService] Failed to check admission:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Leave the line or end an admitted session, freeing the slot for the next
+ * user in line
+ * @param {Object} event - Event with queue mode on
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean|null>} False if the user was not in the queue,
+ * or null if Redis is unavailable
+ */
+const leaveQueue = async (event, userId) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    const keys = getKeys(event.id);
+    const token = await client.hget(keys.users, userId);
+    if (!token) return false;
+
+    const [[, inLine], [, wasAdmitted]] = await client
+      .pipeline()
+      .zrem(keys.line, token)
+      .zrem(keys.admitted, token)
+      .hdel(keys.users, userId)
+      .hdel(keys.tokens, token)
+      .exec();
+
+    await admitNext(client, event);
+    return inLine + wasAdmitted > 0;
+  } catch (error) {
+    console.error('[QueueService] Failed to leave queue:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  QueueStatus,
+  joinQueue,
+  getQueueStatus,
+  isAdmitted,
+  leaveQueue,
+};
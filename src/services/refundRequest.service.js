@@ -0,0 +1,386 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  QueryCommand,
+  ScanCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { BookingModel, EventModel, RefundRequestModel } = require('../models');
+const bookingService = require('./booking.service');
+const notificationService = require('./notification.service');
+const bookingStateMachine = require('./bookingStateMachine.service');
+
+const { RefundRequestStatus } = RefundRequestModel;
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+// Newest first
+const sortByCreatedAt = (refundRequests) =>
+  refundRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+// Send refund request notifications (async, non-blocking)
+const notify = async (type, refundRequest, booking, adminEmail) => {
+  try {
+    const db = initDynamoDB();
+    const eventResult = await db.send(
+      new GetCommand({
+        TableName: EventModel.tableName,
+        Key: { id: booking.eventId },
+      })
+    );
+
+    notificationService
+      .sendRefundRequestNotifications(
+        type,
+        refundRequest,
+        booking,
+        eventResult.Item,
+        adminEmail
+      )
+      .catch((err) =>
+        console.error(
+          '[RefundRequestService] Failed to queue notifications:',
+          err
+        )
+      );
+  } catch (notificationError) {
+    // Log but don't fail the request
+    console.error(
+      '[RefundRequestService] Error preparing notifications:',
+      notificationError
+    );
+  }
+};
+
+/**
+ * Get refund request by ID
+ */
+const getRefundRequestById = async (id) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new GetCommand({
+      TableName: RefundRequestModel.tableName,
+      Key: { id },
+    })
+  );
+
+  return result.Item;
+};
+
+/**
+ * Get the refund requests of a booking, newest first
+ */
+const getBookingRefundRequests = async (ticketId) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new QueryCommand({
+      TableName: RefundRequestModel.tableName,
+      IndexName: 'TicketIdIndex',
+      KeyConditionExpression: 'ticketId = :ticketId',
+      ExpressionAttributeValues: {
+        ':ticketId': ticketId,
+      },
+    })
+  );
+
+  return sortByCreatedAt(result.Items || []);
+};
+
+/**
+ * Get all refund requests, optionally only those with a status
+ */
+const getRefundRequests = async ({ status } = {}) => {
+  try {
+    const db = initDynamoDB();
+    const refundRequests = [];
+    let lastEvaluatedKey;
+
+    do {
+      const response = await db.send(
+        status
+          ? new QueryCommand({
+              TableName: RefundRequestModel.tableName,
+              IndexName: 'StatusIndex',
+              KeyConditionExpression: '#status = :status',
+              ExpressionAttributeNames: { '#status': 'status' },
+              ExpressionAttributeValues: { ':status': status },
+              ExclusiveStartKey: lastEvaluatedKey,
+            })
+          : new ScanCommand({
+              TableName: RefundRequestModel.tableName,
+              ExclusiveStartKey: lastEvaluatedKey,
+            })
+      );
+
+      refundRequests.push(...(response.Items || []));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return {
+      success: true,
+      data: sortByCreatedAt(refundRequests),
+      count: refundRequests.length,
+    };
+  } catch (error) {
+    console.error('Error getting refund requests:', error);
+    throw new Error('Failed to retrieve refund requests');
+  }
+};
+
+/**
+ * Submit a refund request for a booking
+ * A booking can only have one pending request at a time
+ * @param {Object} booking - Booking owned by the requesting customer
+ * @param {Object} data - { reason, seats }
+ */
+const createRefundRequest = async (booking, { reason, seats }) => {
+  try {
+    const db = initDynamoDB();
+
+    if (!BookingModel.canBeRefunded(booking)) {
+      return {
+        success: false,
+        message: 'Only confirmed bookings can be refunded',
+      };
+    }
+
+    const pendingRequest = (await getBookingRefundRequests(booking.id)).find(
+      RefundRequestModel.isPending
+    );
+    if (pendingRequest) {
+      return {
+        success: false,
+        message: 'A refund request for this booking is already pending',
+        data: pendingRequest,
+      };
+    }
+
+    const validatedData = RefundRequestModel.validate({
+      ticketId: booking.id,
+      eventId: booking.eventId,
+      userId: booking.userId,
+      email: booking.email,
+      reason,
+      ...(seats?.length > 0 && {
+        seats: bookingService.resolveRefundSeats(booking, seats),
+      }),
+    });
+
+    const refundRequest = RefundRequestModel.prepareForCreation(validatedData);
+
+    await db.send(
+      new PutCommand({
+        TableName: RefundRequestModel.tableName,
+        Item: refundRequest,
+        ConditionExpression: 'attribute_not_exists(id)',
+      })
+    );
+
+    await notify(
+      notificationService.NotificationType.REFUND_REQUEST_SUBMITTED,
+      refundRequest,
+      booking,
+      env.notifications.adminEmail
+    );
+
+    return {
+      success: true,
+      data: refundRequest,
+      message: 'Refund request submitted successfully',
+    };
+  } catch (error) {
+    console.error('Error creating refund request:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to submit refund request',
+      ...(error.details && { data: error.details }),
+    };
+  }
+};
+
+// Store a decision, only if nobody decided in the meantime
+const recordDecision = async (db, refundRequest, review) => {
+  const fields = Object.keys(review);
+
+  const result = await db.send(
+    new UpdateCommand({
+      TableName: RefundRequestModel.tableName,
+      Key: { id: refundRequest.id },
+      UpdateExpression: `SET ${fields
+        .map((field) => `#${field} = :${field}`)
+        .join(', ')}`,
+      ConditionExpression: '#status = :pending',
+      ExpressionAttributeNames: Object.fromEntries(
+        fields.map((field) => [`#${field}`, field])
+      ),
+      ExpressionAttributeValues: {
+        ':pending': RefundRequestStatus.PENDING,
+        ...Object.fromEntries(
+          fields.map((field) => [`:${field}`, review[field]])
+        ),
+      },
+      ReturnValues: 'ALL_NEW',
+    })
+  );
+
+  return result.Attributes;
+};
+
+/**
+ * Approve or reject a pending refund request
+ * Approval refunds the booking (or the requested seats) in full through
+ * bookingService.refundBooking. If the refund fails the request is put
+ * back to PENDING and the error is thrown.
+ * @param {string} id - Refund request ID
+ * @param {string} status - APPROVED or REJECTED
+ * @param {Object} admin - { id, email } of the reviewing admin
+ * @param {string} note - Optional note shown to the customer
+ */
+const reviewRefundRequest = async (id, status, admin, note) => {
+  const db = initDynamoDB();
+
+  const refundRequest = await getRefundRequestById(id);
+  if (!refundRequest) {
+    return { success: false, message: 'Refund request not found' };
+  }
+
+  const alreadyReviewed = {
+    success: false,
+    message: `Refund request has already been ${refundRequest.status.toLowerCase()}`,
+  };
+  if (!RefundRequestModel.isPending(refundRequest)) {
+    return alreadyReviewed;
+  }
+
+  let reviewedRequest;
+  try {
+    reviewedRequest = await recordDecision(
+      db,
+      refundRequest,
+      RefundRequestModel.prepareForReview(status, admin.id, note)
+    );
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return {
+        ...alreadyReviewed,
+        message: 'Refund request was reviewed in the meantime',
+      };
+    }
+    throw error;
+  }
+
+  let booking;
+  if (status === RefundRequestStatus.APPROVED) {
+    try {
+      const result = await bookingService.refundBooking(
+        refundRequest.ticketId,
+        {
+          actor: { type: bookingStateMachine.ActorType.ADMIN, id: admin.id },
+          reason: `Refund request approved: ${note || refundRequest.reason}`,
+        },
+        refundRequest.seats
+      );
+      booking = result.data;
+    } catch (error) {
+      // Leave the request open so it can be retried or rejected
+      await db
+        .send(
+          new UpdateCommand({
+            TableName: RefundRequestModel.tableName,
+            Key: { id },
+            UpdateExpression:
+              'SET #status = :pending, updatedAt = :now REMOVE reviewedBy, reviewNote, reviewedAt',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+              ':pending': RefundRequestStatus.PENDING,
+              ':now': new Date().toISOString(),
+            },
+          })
+        )
+        .catch((resetError) =>
+          console.error(
+            '[RefundRequestService] Failed to reopen refund request:',
+            resetError
+          )
+        );
+      throw error;
+    }
+
+    reviewedRequest = {
+      ...reviewedRequest,
+      refundAmount: booking.refundBreakdown?.refundAmount ?? 0,
+    };
+    await db.send(
+      new UpdateCommand({
+        TableName: RefundRequestModel.tableName,
+        Key: { id },
+        UpdateExpression: 'SET refundAmount = :refundAmount',
+        ExpressionAttributeValues: {
+          ':refundAmount': reviewedRequest.refundAmount,
+        },
+      })
+    );
+  } else {
+    booking = await bookingService.getBookingById(refundRequest.ticketId);
+  }
+
+  if (booking) {
+    await notify(
+      notificationService.NotificationType.REFUND_REQUEST_REVIEWED,
+      reviewedRequest,
+      booking,
+      admin.email || env.notifications.adminEmail
+    );
+  }
+
+  return {
+    success: true,
+    data: reviewedRequest,
+    message:
+      status === RefundRequestStatus.APPROVED
+        ? 'Refund request approved and booking refunded'
+        : 'Refund request rejected',
+  };
+};
+
+module.exports = {
+  initDynamoDB,
+  getRefundRequestById,
+  getBookingRefundRequests,
+  getRefundRequests,
+  createRefundRequest,
+  reviewRefundRequest,
+};
@@ -0,0 +1,254 @@
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * Seat Hold Service
+ * Short-lived per-seat holds for pending bookings, kept in Redis.
+ * Each held seat is a key holding the ticket ID with a TTL that matches the
+ * booking's expiresAt. A per-event set indexes the held seats so an event's
+ * holds can be listed without scanning keys.
+ *
+ * Every function returns null when Redis is not available, so callers can
+ * fall back to the DynamoDB seat locks.
+ */
+
+// Hold every seat, or none of them if any is held by another ticket.
+// KEYS: hold keys..., index key. ARGV: ticketId, ttl (ms), seat members...
+// Returns the 1-based positions of the conflicting seats.
+const HOLD_SCRIPT = `
+local indexKey = KEYS[#KEYS]
+local conflicts = {}
+for i = 1, #KEYS - 1 do
+  local owner = redis.call('GET', KEYS[i])
+  if owner and owner ~= ARGV[1] then
+    table.insert(conflicts, i)
+  end
+end
+if #conflicts > 0 then
+  return conflicts
+end
+for i = 1, #KEYS - 1 do
+  redis.call('SET', KEYS[i], ARGV[1], 'PX', ARGV[2])
+  redis.call('SADD', indexKey, ARGV[i + 2])
+end
+return conflicts
+`;
+
+// Reset the TTL of the seats still held by the ticket.
+// KEYS: hold keys... ARGV: ticketId, ttl (ms). Returns the number extended.
+const EXTEND_SCRIPT = `
+local extended = 0
+for i = 1, #KEYS do
+  if redis.call('GET', KEYS[i]) == ARGV[1] then
+    redis.call('PEXPIRE', KEYS[i], ARGV[2])
+    extended = extended + 1
+  end
+end
+return extended
+`;
+
+// Drop the seats still held by the ticket.
+// KEYS: hold keys..., index key. ARGV: ticketId, seat members...
+// Returns the number released.
+const RELEASE_SCRIPT = `
+local indexKey = KEYS[#KEYS]
+local released = 0
+for i = 1, #KEYS - 1 do
+  if redis.call('GET', KEYS[i]) == ARGV[1] then
+    redis.call('DEL', KEYS[i])
+    redis.call('SREM', indexKey, ARGV[i + 1])
+    released = released + 1
+  end
+end
+return released
+`;
+
+// Drop index members whose hold key has expired.
+// KEYS: hold keys..., index key. ARGV: seat members...
+const PRUNE_SCRIPT = `
+local indexKey = KEYS[#KEYS]
+for i = 1, #KEYS - 1 do
+  if redis.call('EXISTS', KEYS[i]) == 0 then
+    redis.call('SREM', indexKey, ARGV[i])
+  end
+end
+return 0
+`;
+
+const getHoldKey = (eventId, seat) => `seathold:${eventId}:${seat}`;
+
+const getIndexKey = (eventId) => `seatholds:${eventId}`;
+
+// Index members are JSON so numeric and string seat identifiers survive
+const toMember = (seat) => JSON.stringify(seat);
+
+/**
+ * Get the Redis client if it is connected and ready
+ */
+const getReadyClient = () => {
+  const client = getRedisClient();
+  if (!client || client.status !== 'ready') {
+    return null;
+  }
+  return client;
+};
+
+/**
+ * Milliseconds left until an ISO date (at least 1)
+ */
+const getTtlMs = (expiresAt) => {
+  return Math.max(new Date(expiresAt).getTime() - Date.now(), 1);
+};
+
+/**
+ * Hold seats for a pending booking
+ * @param {string} eventId - Event ID
+ * @param {Array} seats - Seat identifiers
+ * @param {string} ticketId - Booking holding the seats
+ * @param {string} expiresAt - ISO date the hold expires
+ * @returns {Promise<Array|null>} Seats held by other bookings (empty on success), or null if Redis is unavailable
+ */
+const holdSeats = async (eventId, seats, ticketId, expiresAt) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    const keys = seats.map((seat) => getHoldKey(eventId, seat));
+    const conflicts = await client.eval(
+      HOLD_SCRIPT,
+      keys.length + 1,
+      ...keys,
+      getIndexKey(eventId),
+      ticketId,
+      getTtlMs(expiresAt),
+      ...seats.map(toMember)
+    );
+
+    return conflicts.map((position) => seats[position - 1]);
+  } catch (error) {
+    console.error('[SeatHoldService] Failed to hold seats:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Extend the holds of a pending booking
+ * @param {string} eventId - Event ID
+ * @param {Array} seats - Seat identifiers
+ * @param {string} ticketId - Booking holding the seats
+ * @param {string} expiresAt - New ISO date the hold expires
+ * @returns {Promise<number|null>} Number of holds extended, or null if Redis is unavailable
+ */
+const extendHolds = async (eventId, seats, ticketId, expiresAt) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    const keys = seats.map((seat) => getHoldKey(eventId, seat));
+    return await client.eval(
+      EXTEND_SCRIPT,
+      keys.length,
+      ...keys,
+      ticketId,
+      getTtlMs(expiresAt)
+    );
+  } catch (error) {
+    console.error('[SeatHoldService] Failed to extend holds:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Release the holds of a booking
+ * @param {string} eventId - Event ID
+ * @param {Array} seats - Seat identifiers
+ * @param {string} ticketId - Booking holding the seats
+ * @returns {Promise<number|null>} Number of holds released, or null if Redis is unavailable
+ */
+const releaseHolds = async (eventId, seats, ticketId) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    const keys = seats.map((seat) => getHoldKey(eventId, seat));
+    return await client.eval(
+      RELEASE_SCRIPT,
+      keys.length + 1,
+      ...keys,
+      getIndexKey(eventId),
+      ticketId,
+      ...seats.map(toMember)
+    );
+  } catch (error) {
+    console.error('[SeatHoldService] Failed to release holds:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Get the active holds of an event
+ * Expired seats are pruned from the event index as a side effect
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array|null>} Holds ({ seat, ticketId, expiresAt }), or null if Redis is unavailable
+ */
+const getEventHolds = async (eventId) => {
+  const client = getReadyClient();
+  if (!client) return null;
+
+  try {
+    const indexKey = getIndexKey(eventId);
+    const members = await client.smembers(indexKey);
+    if (members.length === 0) return [];
+
+    const pipeline = client.pipeline();
+    members.forEach((member) => {
+      const key = getHoldKey(eventId, JSON.parse(member));
+      pipeline.get(key);
+      pipeline.pttl(key);
+    });
+    const results = await pipeline.exec();
+
+    const now = Date.now();
+    const holds = [];
+    const expiredMembers = [];
+
+    members.forEach((member, index) => {
+      const [, ticketId] = results[index * 2];
+      const [, ttl] = results[index * 2 + 1];
+
+      if (!ticketId || ttl < 0) {
+        expiredMembers.push(member);
+        return;
+      }
+
+      holds.push({
+        seat: JSON.parse(member),
+        ticketId,
+        expiresAt: new Date(now + ttl).toISOString(),
+      });
+    });
+
+    if (expiredMembers.length > 0) {
+      await client.eval(
+        PRUNE_SCRIPT,
+        expiredMembers.length + 1,
+        ...expiredMembers.map((member) =>
+          getHoldKey(eventId, JSON.parse(member))
+        ),
+        indexKey,
+        ...expiredMembers
+      );
+    }
+
+    return holds;
+  } catch (error) {
+    console.error('[SeatHoldService] Failed to read holds:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  holdSeats,
+  extendHolds,
+  releaseHolds,
+  getEventHolds,
+};
@@ -0,0 +1,193 @@
+const { EventModel, VenueModel } = require('../models');
+
+/**
+ * Seat Selection Service
+ * Picks the best free seats of an event for "best available" bookings.
+ * Events on a venue seat map use the rows of their layout, the rows of each
+ * section counting after those of the sections before it. Other events
+ * number their seats from 1 to totalSeats and fill the rows front to back,
+ * seatsPerRow at a time (one single row when seatsPerRow is not set).
+ * A seat is better the closer it is to the front and to the middle of its
+ * row; being at the very end of a row costs as much as one row further back,
+ * and so does a restricted view. Wheelchair and companion seats are never
+ * picked, they are left for the customers who choose them.
+ */
+
+/**
+ * Describe the position of a seat in an event without a seat map
+ * @param {number} seat - Seat number
+ * @param {number} seatsPerRow - Seats in a full row
+ * @returns {Object} { row, column }, both starting at 0
+ */
+const getSeatPosition = (seat, seatsPerRow) => ({
+  row: Math.floor((seat - 1) / seatsPerRow),
+  column: (seat - 1) % seatsPerRow,
+});
+
+/**
+ * Split the seats of an event into rows
+ * @param {Object} event - Event item
+ * @param {Object|null} layout - Seat map layout of the event
+ * @returns {Array} Rows ({ index, length, seats: [{ seat, column, restricted }] })
+ */
+const getEventRows = (event, layout) => {
+  if (layout) {
+    let rowsBefore = 0;
+
+    return layout.sections.flatMap((section) => {
+      const sectionRows = section.rows.map((row, index) => ({
+        index: rowsBefore + index,
+        length: row.seats.length,
+        seats: row.seats
+          .map((seat, column) => ({
+            seat: seat.number,
+            column,
+            restricted: (seat.attributes || []).includes(
+              VenueModel.SeatAttribute.RESTRICTED_VIEW
+            ),
+            accessible: VenueModel.isAccessibleSeat(seat),
+          }))
+          .filter((seat) => !seat.accessible),
+      }));
+
+      rowsBefore += section.rows.length;
+      return sectionRows;
+    });
+  }
+
+  const seatsPerRow = event.seatsPerRow || event.totalSeats;
+  const rows = [];
+
+  for (let seat = 1; seat <= event.totalSeats; seat++) {
+    const { row, column } = getSeatPosition(seat, seatsPerRow);
+    rows[row] = rows[row] || { index: row, length: seatsPerRow, seats: [] };
+    rows[row].seats.push({ seat, column, restricted: false });
+  }
+
+  return rows;
+};
+
+/**
+ * Score a run of seats in one row, lower is better
+ * @param {Object} row - Row of the seats
+ * @param {Array} seats - Neighbouring seats of the row
+ * @returns {number} Score
+ */
+const scoreSeats = (row, seats) => {
+  const middle = (row.length - 1) / 2;
+  const centre = (seats[0].column + seats[seats.length - 1].column) / 2;
+  const offCentre = middle > 0 ? Math.abs(centre - middle) / middle : 0;
+  const restricted =
+    seats.filter((seat) => seat.restricted).length / seats.length;
+
+  return row.index + offCentre + restricted;
+};
+
+/**
+ * Keep the free seats of each row that can be sold in a tier
+ * @returns {Array} Rows with their free seats only
+ */
+const getFreeRows = (rows, event, tier, unavailableSeats) => {
+  // Seats may be stored as numbers or strings
+  const taken = new Set(unavailableSeats.map(String));
+
+  return rows.map((row) => ({
+    ...row,
+    seats: row.seats.filter(
+      ({ seat }) =>
+        !taken.has(String(seat)) &&
+        (!tier || EventModel.isSeatInTier(event, tier, seat))
+    ),
+  }));
+};
+
+/**
+ * Find the best contiguous block of free seats
+ * @returns {Array|null} Seat numbers, or null if no row has room
+ */
+const findBestBlock = (rows, quantity) => {
+  let best = null;
+
+  rows.forEach((row) => {
+    for (let start = 0; start + quantity <= row.seats.length; start++) {
+      const block = row.seats.slice(start, start + quantity);
+      // Free seats keep the row order, so the run has no gap when the ends
+      // line up
+      if (block[quantity - 1].column - block[0].column !== quantity - 1) {
+        continue;
+      }
+
+      const score = scoreSeats(row, block);
+      if (!best || score < best.score) {
+        best = { score, seats: block.map(({ seat }) => seat) };
+      }
+    }
+  });
+
+  return best && best.seats;
+};
+
+/**
+ * Pick the best individual free seats when no block is long enough
+ * @returns {Array} Seat numbers, in seat order
+ */
+const findBestSplitSeats = (rows, quantity) => {
+  return rows
+    .flatMap((row) =>
+      row.seats.map((seat) => ({
+        seat: seat.seat,
+        score: scoreSeats(row, [seat]),
+      }))
+    )
+    .sort((a, b) => a.score - b.score || a.seat - b.seat)
+    .slice(0, quantity)
+    .map(({ seat }) => seat)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Find the best available seats of an event
+ * A contiguous block in one row is preferred; if no row has one, the best
+ * seats are picked one by one and the group is split
+ * @param {Object} params - Selection parameters
+ * @param {Object} params.event - Event item
+ * @param {Object} params.layout - Seat map layout, null for events without one
+ * @param {Object} params.tier - Ticket tier to pick from, null for any seat
+ * @param {number} params.quantity - Number of seats wanted
+ * @param {Array} params.unavailableSeats - Sold and held seats
+ * @returns {Object|null} { seats, contiguous }, or null if too few seats are free
+ */
+const findBestAvailableSeats = ({
+  event,
+  layout = null,
+  tier = null,
+  quantity,
+  unavailableSeats = [],
+}) => {
+  const rows = getFreeRows(
+    getEventRows(event, layout),
+    event,
+    tier,
+    unavailableSeats
+  );
+  const freeCount = rows.reduce((count, row) => count + row.seats.length, 0);
+
+  if (freeCount < quantity) {
+    return null;
+  }
+
+  const block = findBestBlock(rows, quantity);
+  if (block) {
+    return { seats: block, contiguous: true };
+  }
+
+  return {
+    seats: findBestSplitSeats(rows, quantity),
+    contiguous: false,
+  };
+};
+
+module.exports = {
+  getSeatPosition,
+  findBestAvailableSeats,
+};
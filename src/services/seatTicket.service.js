@@ -0,0 +1,185 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  UpdateCommand,
+  QueryCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { BookingModel, SeatTicketModel } = require('../models');
+const ticketTokenService = require('./ticketToken.service');
+
+/**
+ * Seat Ticket Service
+ * Keeps one ticket per sold seat of a booking and signs the QR tokens
+ * printed on them. syncSeatTickets is called whenever the sold seats or the
+ * booking code of a booking change, and again when tickets are fetched, so
+ * tickets of bookings sold before a failed sync are still issued.
+ */
+
+const { SeatTicketStatus } = SeatTicketModel;
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+// A concurrent sync already wrote the same change
+const ignoreConditionFailure = (error) => {
+  if (error.name !== 'ConditionalCheckFailedException') {
+    throw error;
+  }
+};
+
+/**
+ * Get all tickets of a booking, including voided ones
+ */
+const getBookingSeatTickets = async (ticketId) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new QueryCommand({
+      TableName: SeatTicketModel.tableName,
+      IndexName: 'TicketIdIndex',
+      KeyConditionExpression: 'ticketId = :ticketId',
+      ExpressionAttributeValues: { ':ticketId': ticketId },
+    })
+  );
+
+  return result.Items || [];
+};
+
+/**
+ * Issue and void tickets so that exactly the sold seats of a booking have a
+ * valid ticket under its current booking code
+ * @param {Object} booking - Booking as it is now
+ * @returns {Array} Valid tickets, in the order of the booking's seats
+ */
+const syncSeatTickets = async (booking) => {
+  const db = initDynamoDB();
+  const soldSeats = BookingModel.hasSoldSeats(booking)
+    ? booking.takenSeats
+    : [];
+
+  const existing = await getBookingSeatTickets(booking.id);
+  const valid = existing.filter(
+    (seatTicket) => seatTicket.status === SeatTicketStatus.VALID
+  );
+  const kept = valid.filter((seatTicket) =>
+    SeatTicketModel.belongsTo(seatTicket, booking, soldSeats)
+  );
+  const stale = valid.filter((seatTicket) => !kept.includes(seatTicket));
+
+  // A seat that was already let in stays checked in on its new ticket
+  const checkIns = new Map(
+    existing
+      .filter(SeatTicketModel.isCheckedIn)
+      .map(({ seat, checkedInAt, checkedInBy }) => [
+        String(seat),
+        { checkedInAt, checkedInBy },
+      ])
+  );
+
+  const existingIds = new Set(existing.map((seatTicket) => seatTicket.id));
+  const issued = soldSeats
+    .filter((seat) => !existingIds.has(SeatTicketModel.buildId(booking, seat)))
+    .map((seat) => ({
+      ...SeatTicketModel.prepareForCreation(booking, seat),
+      ...checkIns.get(String(seat)),
+    }));
+
+  const now = new Date().toISOString();
+  await Promise.all([
+    ...stale.map((seatTicket) =>
+      db
+        .send(
+          new UpdateCommand({
+            TableName: SeatTicketModel.tableName,
+            Key: { id: seatTicket.id },
+            UpdateExpression:
+              'SET #status = :void, voidedAt = :now, updatedAt = :now',
+            ConditionExpression: '#status = :valid',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+              ':void': SeatTicketStatus.VOID,
+              ':valid': SeatTicketStatus.VALID,
+              ':now': now,
+            },
+          })
+        )
+        .catch(ignoreConditionFailure)
+    ),
+    ...issued.map((seatTicket) =>
+      db
+        .send(
+          new PutCommand({
+            TableName: SeatTicketModel.tableName,
+            Item: seatTicket,
+            ConditionExpression: 'attribute_not_exists(id)',
+          })
+        )
+        .catch(ignoreConditionFailure)
+    ),
+  ]);
+
+  const seatOrder = soldSeats.map(String);
+  return [...kept, ...issued].sort(
+    (a, b) =>
+      seatOrder.indexOf(String(a.seat)) - seatOrder.indexOf(String(b.seat))
+  );
+};
+
+/**
+ * Add the signed QR token to a ticket
+ * @param {Object} seatTicket - Seat ticket item
+ * @returns {Object} Ticket with its token
+ */
+const withToken = (seatTicket) => {
+  return {
+    ...seatTicket,
+    token: ticketTokenService.sign(SeatTicketModel.toTokenPayload(seatTicket)),
+  };
+};
+
+/**
+ * Get the valid tickets of a sold booking with their QR tokens
+ * @param {Object} booking - Booking item
+ * @returns {Array} Tickets with tokens
+ */
+const getBookingTickets = async (booking) => {
+  const seatTickets = await syncSeatTickets(booking);
+  return seatTickets.map(withToken);
+};
+
+module.exports = {
+  initDynamoDB,
+  getBookingSeatTickets,
+  syncSeatTickets,
+  withToken,
+  getBookingTickets,
+};
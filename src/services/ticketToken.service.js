@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+
+/**
+ * Ticket Token Service
+ * Signs the tokens printed as QR codes on seat tickets. Tokens are signed
+ * with an Ed25519 private key, so scanners only need the public key to
+ * check them, without calling the API.
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(signature), where
+ * the signature covers the first part as it appears in the token.
+ */
+
+const TOKEN_ALGORITHM = 'Ed25519';
+
+let keys = null;
+
+// Keys from TICKET_SIGNING_KEY (PKCS#8 PEM). Without one, development uses
+// a key that only lives as long as the process.
+const loadKeys = () => {
+  if (!keys) {
+    let privateKey;
+
+    if (env.tickets.signingKey) {
+      privateKey = crypto.createPrivateKey(
+        env.tickets.signingKey.replace(/\\n/g, '\n')
+      );
+    } else if (env.nodeEnv === 'production') {
+      throw new Error('TICKET_SIGNING_KEY is not defined');
+    } else {
+      console.warn(
+        '[TicketTokenService] TICKET_SIGNING_KEY not set, signing tickets with a temporary key'
+      );
+      privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('TICKET_SIGNING_KEY must be an Ed25519 private key');
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    keys = {
+      privateKey,
+      publicKey,
+      // Lets scanners pick the right key once keys are rotated
+      keyId: crypto
+        .createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('hex')
+        .slice(0, 16),
+    };
+  }
+  return keys;
+};
+
+/**
+ * Sign a ticket token
+ * @param {Object} payload - Claims to sign (see SeatTicketModel.toTokenPayload)
+ * @returns {string} Token
+ */
+const sign = (payload) => {
+  const { privateKey, keyId } = loadKeys();
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ ...payload, kid: keyId })
+  ).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(encodedPayload), privateKey);
+
+  return `${encodedPayload}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a ticket token
+ * @param {string} token - Token read from a QR code
+ * @returns {Object|null} Payload, or null if the token is malformed or forged
+ */
+const verify = (token) => {
+  const { publicKey } = loadKeys();
+  const [encodedPayload, encodedSignature, extra] = String(token || '').split(
+    '.'
+  );
+  if (!encodedPayload || !encodedSignature || extra !== undefined) {
+    return null;
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(encodedPayload),
+    publicKey,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) return null;
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the public key scanners use to verify tokens offline
+ * @returns {Object} { algorithm, keyId, publicKey } with the key as SPKI PEM
+ */
+const getPublicKey = () => {
+  const { publicKey, keyId } = loadKeys();
+
+  return {
+    algorithm: TOKEN_ALGORITHM,
+    keyId,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+};
+
+module.exports = {
+  TOKEN_ALGORITHM,
+  sign,
+  verify,
+  getPublicKey,
+};
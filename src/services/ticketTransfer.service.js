@@ -0,0 +1,676 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  TransactWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const { v4: uuidv4 } = require('uuid');
+const env = require('../config/env');
+const {
+  BookingModel,
+  EventModel,
+  UserModel,
+  TicketTransferModel,
+  CounterModel,
+} = require('../models');
+const notificationService = require('./notification.service');
+const bookingService = require('./booking.service');
+const bookingStateMachine = require('./bookingStateMachine.service');
+const seatTicketService = require('./seatTicket.service');
+
+/**
+ * Ticket Transfer Service
+ * Moves a confirmed booking to another registered user. The owner starts a
+ * transfer, the recipient accepts it with the token sent to them, and the
+ * owner can revoke it until then. While a transfer is open the booking
+ * carries its pendingTransferId, so only one transfer runs at a time.
+ */
+
+const { TransferStatus } = TicketTransferModel;
+
+const TRANSFER_FAILED = 'TRANSFER_FAILED';
+
+const TransferFailure = {
+  NOT_FOUND: 'NOT_FOUND',
+  FORBIDDEN: 'FORBIDDEN',
+  INVALID: 'INVALID',
+  CONFLICT: 'CONFLICT',
+  EXPIRED: 'EXPIRED',
+};
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Build the error thrown for every refused transfer operation
+ * @param {string} failure - TransferFailure value
+ * @param {string} message - Reason shown to the client
+ * @returns {Error} Error with code TRANSFER_FAILED
+ */
+const createTransferError = (failure, message) => {
+  const error = new Error(message);
+  error.code = TRANSFER_FAILED;
+  error.failure = failure;
+  return error;
+};
+
+// Link the recipient opens to accept a transfer
+const buildAcceptUrl = (token) =>
+  `${env.clientUrl || ''}/transfers/accept?token=${encodeURIComponent(token)}`;
+
+const getItem = async (db, tableName, key) => {
+  const result = await db.send(
+    new GetCommand({ TableName: tableName, Key: key })
+  );
+  return result.Item;
+};
+
+/**
+ * Find a registered user by email address or username
+ * @param {string} identifier - Email or username
+ * @returns {Object|undefined} User profile
+ */
+const findUser = async (identifier) => {
+  const db = initDynamoDB();
+  const value = String(identifier || '').trim();
+  const byEmail = value.includes('@');
+
+  const result = await db.send(
+    new QueryCommand({
+      TableName: UserModel.tableName,
+      IndexName: byEmail ? 'EmailIndex' : 'UsernameIndex',
+      KeyConditionExpression: byEmail ? 'email = :value' : 'username = :value',
+      ExpressionAttributeValues: {
+        ':value': value,
+      },
+    })
+  );
+
+  return result.Items?.[0];
+};
+
+// Send transfer notifications (async, non-blocking)
+const notify = async (db, type, transfer, booking, recipients, acceptUrl) => {
+  try {
+    const event = await getItem(db, EventModel.tableName, {
+      id: booking.eventId,
+    });
+
+    notificationService
+      .sendTransferNotifications(
+        type,
+        transfer,
+        booking,
+        event,
+        recipients,
+        acceptUrl
+      )
+      .catch((err) =>
+        console.error(
+          '[TicketTransferService] Failed to queue notifications:',
+          err
+        )
+      );
+  } catch (notificationError) {
+    // Log but don't fail the transfer
+    console.error(
+      '[TicketTransferService] Error preparing notifications:',
+      notificationError
+    );
+  }
+};
+
+const sender = (transfer, booking) => ({
+  email: transfer.fromEmail || booking.email,
+  name: booking.name,
+  role: notificationService.RecipientRole.TRANSFER_SENDER,
+});
+
+const recipient = (transfer) => ({
+  email: transfer.toEmail,
+  name: transfer.toUsername,
+  role: notificationService.RecipientRole.TRANSFER_RECIPIENT,
+});
+
+/**
+ * Get transfer by ID
+ */
+const getTransferById = async (transferId) => {
+  return getItem(initDynamoDB(), TicketTransferModel.tableName, {
+    id: transferId,
+  });
+};
+
+/**
+ * Get the transfers of a booking, newest first
+ */
+const getBookingTransfers = async (ticketId) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new QueryCommand({
+      TableName: TicketTransferModel.tableName,
+      IndexName: 'TicketIdIndex',
+      KeyConditionExpression: 'ticketId = :ticketId',
+      ExpressionAttributeValues: { ':ticketId': ticketId },
+    })
+  );
+
+  return (result.Items || [])
+    .map(TicketTransferModel.toPublic)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Get the open transfers offered to a user
+ */
+const getIncomingTransfers = async (userId) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new QueryCommand({
+      TableName: TicketTransferModel.tableName,
+      IndexName: 'ToUserIdIndex',
+      KeyConditionExpression: 'toUserId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+    })
+  );
+
+  return (result.Items || [])
+    .filter(TicketTransferModel.isOpen)
+    .map(TicketTransferModel.toPublic)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Start transferring a booking to another registered user
+ * @param {Object} booking - Booking owned by the sender
+ * @param {Object} data - { recipient (email or username), message }
+ * @param {Object} owner - Sender's user profile
+ * @returns {Object} { transfer, acceptUrl }
+ */
+const startTransfer = async (
+  booking,
+  { recipient: identifier, message },
+  owner
+) => {
+  const db = initDynamoDB();
+
+  if (!BookingModel.hasSoldSeats(booking)) {
+    throw createTransferError(
+      TransferFailure.INVALID,
+      'Only confirmed bookings can be transferred'
+    );
+  }
+
+  const event = await getItem(db, EventModel.tableName, {
+    id: booking.eventId,
+  });
+  if (!event || EventModel.getTimeStatus(event) === 'past') {
+    throw createTransferError(
+      TransferFailure.INVALID,
+      'Tickets of past events cannot be transferred'
+    );
+  }
+
+  const recipientUser = await findUser(identifier);
+  if (!recipientUser) {
+    throw createTransferError(
+      TransferFailure.NOT_FOUND,
+      'No registered user with this email or username'
+    );
+  }
+  if (recipientUser.cognitoId === booking.userId) {
+    throw createTransferError(
+      TransferFailure.INVALID,
+      'You cannot transfer a booking to yourself'
+    );
+  }
+
+  // An open transfer blocks a new one, one past its deadline is replaced
+  let staleTransfer = null;
+  if (booking.pendingTransferId) {
+    staleTransfer = await getTransferById(booking.pendingTransferId);
+    if (staleTransfer && TicketTransferModel.isOpen(staleTransfer)) {
+      throw createTransferError(
+        TransferFailure.CONFLICT,
+        'A transfer of this booking is already pending'
+      );
+    }
+  }
+
+  const transferId = uuidv4();
+  const { token, tokenHash } = TicketTransferModel.createToken(transferId);
+
+  const transfer = TicketTransferModel.prepareForCreation(
+    TicketTransferModel.validate({
+      id: transferId,
+      ticketId: booking.id,
+      eventId: booking.eventId,
+      fromUserId: booking.userId,
+      fromEmail: owner?.email || booking.email,
+      toUserId: recipientUser.cognitoId,
+      toEmail: recipientUser.email,
+      toUsername: recipientUser.username,
+      message: message || '',
+      tokenHash,
+      expiresAt: TicketTransferModel.calculateExpirationTime(event.datetime),
+    })
+  );
+
+  const transactItems = [
+    {
+      Put: {
+        TableName: TicketTransferModel.tableName,
+        Item: transfer,
+        ConditionExpression: 'attribute_not_exists(id)',
+      },
+    },
+    {
+      Update: {
+        TableName: BookingModel.tableName,
+        Key: { id: booking.id },
+        UpdateExpression: 'SET pendingTransferId = :transferId',
+        ConditionExpression: `userId = :ownerId AND #status IN (:confirmed, :partiallyRefunded) AND ${
+          booking.pendingTransferId
+            ? 'pendingTransferId = :staleTransferId'
+            : 'attribute_not_exists(pendingTransferId)'
+        }`,
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':transferId': transfer.id,
+          ':ownerId': booking.userId,
+          ':confirmed': BookingModel.BookingStatus.CONFIRMED,
+          ':partiallyRefunded': BookingModel.BookingStatus.PARTIALLY_REFUNDED,
+          ...(booking.pendingTransferId && {
+            ':staleTransferId': booking.pendingTransferId,
+          }),
+        },
+      },
+    },
+  ];
+
+  // Close the replaced transfer in the same write
+  if (staleTransfer?.status === TransferStatus.PENDING) {
+    transactItems.push({
+      Update: {
+        TableName: TicketTransferModel.tableName,
+        Key: { id: staleTransfer.id },
+        UpdateExpression: 'SET #status = :expired, updatedAt = :now',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':expired': TransferStatus.EXPIRED,
+          ':pending': TransferStatus.PENDING,
+          ':now': transfer.createdAt,
+        },
+      },
+    });
+  }
+
+  try {
+    await db.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw createTransferError(
+        TransferFailure.CONFLICT,
+        'Booking was changed in the meantime, please try again'
+      );
+    }
+    throw error;
+  }
+
+  const acceptUrl = buildAcceptUrl(token);
+  await notify(
+    db,
+    notificationService.NotificationType.TRANSFER_OFFERED,
+    transfer,
+    booking,
+    [recipient(transfer)],
+    acceptUrl
+  );
+
+  return { transfer: TicketTransferModel.toPublic(transfer), acceptUrl };
+};
+
+// Throw unless a transfer can still be accepted or revoked
+const assertOpen = (transfer) => {
+  if (transfer.status !== TransferStatus.PENDING) {
+    throw createTransferError(
+      TransferFailure.CONFLICT,
+      `Transfer has already been ${transfer.status.toLowerCase()}`
+    );
+  }
+  if (!TicketTransferModel.isOpen(transfer)) {
+    throw createTransferError(TransferFailure.EXPIRED, 'Transfer has expired');
+  }
+};
+
+/**
+ * Reissue the tickets of a transferred booking, trying twice
+ * @param {Object} booking - Booking under its new owner
+ */
+const retrySeatTicketSync = async (booking) => {
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      await seatTicketService.syncSeatTickets(booking);
+      return;
+    } catch (error) {
+      console.error(
+        `[TicketTransferService] Failed to reissue tickets of ${booking.id} (attempt ${attempt}), they are reissued on next fetch:`,
+        error
+      );
+    }
+  }
+};
+
+/**
+ * Accept a transfer as its recipient
+ * The booking moves to the recipient with a new booking code
+ * @param {string} token - Token from the acceptance link
+ * @param {string} userId - Signed-in user
+ * @returns {Object} Updated booking
+ */
+const acceptTransfer = async (token, userId) => {
+  const db = initDynamoDB();
+
+  const parsed = TicketTransferModel.parseToken(token);
+  if (!parsed) {
+    throw createTransferError(
+      TransferFailure.INVALID,
+      'Invalid transfer token'
+    );
+  }
+
+  const transfer = await getTransferById(parsed.transferId);
+  if (!transfer || !TicketTransferModel.verifyToken(transfer, parsed.secret)) {
+    throw createTransferError(
+      TransferFailure.INVALID,
+      'Invalid transfer token'
+    );
+  }
+  assertOpen(transfer);
+  if (transfer.toUserId !== userId) {
+    throw createTransferError(
+      TransferFailure.FORBIDDEN,
+      'This transfer was offered to another user'
+    );
+  }
+
+  const [booking, recipientUser] = await Promise.all([
+    getItem(db, BookingModel.tableName, { id: transfer.ticketId }),
+    getItem(db, UserModel.tableName, { cognitoId: userId }),
+  ]);
+  if (!booking) {
+    throw createTransferError(TransferFailure.NOT_FOUND, 'Booking not found');
+  }
+
+  // Seats of both users, for user seats counters that do not exist yet
+  const [senderSeats, recipientSeats] = await Promise.all([
+    bookingService.countUserEventSeats(transfer.fromUserId, booking.eventId),
+    bookingService.countUserEventSeats(userId, booking.eventId),
+  ]);
+
+  const now = new Date().toISOString();
+  const bookingCode = BookingModel.generateBookingCode();
+  // Ownership changes are recorded in the history without a status change
+  const historyEntry = bookingStateMachine.createHistoryEntry(
+    booking.status,
+    booking.status,
+    {
+      actor: { type: bookingStateMachine.ActorType.USER, id: userId },
+      reason: `Transferred from ${transfer.fromUserId} to ${userId}`,
+    },
+    now
+  );
+
+  const changes = {
+    userId,
+    bookingCode,
+    name: recipientUser?.name || recipientUser?.username || '',
+    email: recipientUser?.email || transfer.toEmail,
+    phoneNumber: recipientUser?.phoneNumber || '',
+    updatedAt: now,
+  };
+  const fields = Object.keys(changes);
+
+  try {
+    await db.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: TicketTransferModel.tableName,
+              Key: { id: transfer.id },
+              UpdateExpression:
+                'SET #status = :accepted, acceptedAt = :now, updatedAt = :now',
+              ConditionExpression: '#status = :pending AND expiresAt > :now',
+              ExpressionAttributeNames: { '#status': 'status' },
+              ExpressionAttributeValues: {
+                ':accepted': TransferStatus.ACCEPTED,
+                ':pending': TransferStatus.PENDING,
+                ':now': now,
+              },
+            },
+          },
+          {
+            Update: {
+              TableName: BookingModel.tableName,
+              Key: { id: booking.id },
+              UpdateExpression: `SET ${fields
+                .map((field) => `${field} = :${field}`)
+                .join(
+                  ', '
+                )}, history = list_append(if_not_exists(history, :emptyList), :historyEntry) REMOVE pendingTransferId`,
+              // Fails if the booking changed since it was read, e.g. a refund
+              ConditionExpression:
+                'pendingTransferId = :transferId AND userId = :fromUserId AND #status IN (:confirmed, :partiallyRefunded) AND updatedAt = :previousUpdatedAt',
+              ExpressionAttributeNames: { '#status': 'status' },
+              ExpressionAttributeValues: {
+                ':transferId': transfer.id,
+                ':fromUserId': transfer.fromUserId,
+                ':previousUpdatedAt': booking.updatedAt,
+                ':confirmed': BookingModel.BookingStatus.CONFIRMED,
+                ':partiallyRefunded':
+                  BookingModel.BookingStatus.PARTIALLY_REFUNDED,
+                ':emptyList': [],
+                ':historyEntry': [historyEntry],
+                ...Object.fromEntries(
+                  fields.map((field) => [`:${field}`, changes[field]])
+                ),
+              },
+            },
+          },
+          // The seats now count against the recipient's purchase limits,
+          // missing counters start from the seats on the user index
+          ...[
+            [transfer.fromUserId, senderSeats, -booking.takenSeats.length],
+            [userId, recipientSeats, booking.takenSeats.length],
+          ].map(([countedUserId, bookedSeats, change]) => ({
+            Update: {
+              TableName: CounterModel.tableName,
+              Key: {
+                name: CounterModel.buildUserSeatsName(
+                  booking.eventId,
+                  countedUserId
+                ),
+              },
+              UpdateExpression:
+                'SET #value = if_not_exists(#value, :bookedSeats) + :change',
+              ExpressionAttributeNames: { '#value': 'value' },
+              ExpressionAttributeValues: {
+                ':bookedSeats': bookedSeats,
+                ':change': change,
+              },
+            },
+          })),
+        ],
+      })
+    );
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw createTransferError(
+        TransferFailure.CONFLICT,
+        'Transfer is no longer available'
+      );
+    }
+    throw error;
+  }
+
+  const acceptedTransfer = {
+    ...transfer,
+    status: TransferStatus.ACCEPTED,
+    acceptedAt: now,
+    updatedAt: now,
+  };
+  const transferredBooking = {
+    ...booking,
+    ...changes,
+    pendingTransferId: undefined,
+    history: [...(booking.history || []), historyEntry],
+  };
+
+  // The sender's tickets carry the old booking code and stop working. The
+  // transfer is already stored, so a failed sync is retried once and then
+  // left to the next read of the booking's tickets, which reissues
+  // out-of-date ones before use.
+  await retrySeatTicketSync(transferredBooking);
+
+  await notify(
+    db,
+    notificationService.NotificationType.TRANSFER_ACCEPTED,
+    acceptedTransfer,
+    transferredBooking,
+    [sender(transfer, booking), recipient(transfer)]
+  );
+
+  return transferredBooking;
+};
+
+/**
+ * Revoke a transfer that has not been accepted yet
+ * @param {string} transferId - Transfer ID
+ * @param {string} userId - Signed-in user, must be the sender
+ * @returns {Object} Revoked transfer
+ */
+const revokeTransfer = async (transferId, userId) => {
+  const db = initDynamoDB();
+
+  const transfer = await getTransferById(transferId);
+  if (!transfer) {
+    throw createTransferError(TransferFailure.NOT_FOUND, 'Transfer not found');
+  }
+  if (transfer.fromUserId !== userId) {
+    throw createTransferError(
+      TransferFailure.FORBIDDEN,
+      'Only the sender can revoke a transfer'
+    );
+  }
+  assertOpen(transfer);
+
+  const now = new Date().toISOString();
+
+  try {
+    await db.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: TicketTransferModel.tableName,
+              Key: { id: transfer.id },
+              UpdateExpression:
+                'SET #status = :revoked, revokedAt = :now, updatedAt = :now',
+              ConditionExpression: '#status = :pending',
+              ExpressionAttributeNames: { '#status': 'status' },
+              ExpressionAttributeValues: {
+                ':revoked': TransferStatus.REVOKED,
+                ':pending': TransferStatus.PENDING,
+                ':now': now,
+              },
+            },
+          },
+          {
+            Update: {
+              TableName: BookingModel.tableName,
+              Key: { id: transfer.ticketId },
+              UpdateExpression: 'REMOVE pendingTransferId',
+              ConditionExpression: 'pendingTransferId = :transferId',
+              ExpressionAttributeValues: { ':transferId': transfer.id },
+            },
+          },
+        ],
+      })
+    );
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw createTransferError(
+        TransferFailure.CONFLICT,
+        'Transfer was accepted or revoked in the meantime'
+      );
+    }
+    throw error;
+  }
+
+  const revokedTransfer = {
+    ...transfer,
+    status: TransferStatus.REVOKED,
+    revokedAt: now,
+    updatedAt: now,
+  };
+
+  const booking = await getItem(db, BookingModel.tableName, {
+    id: transfer.ticketId,
+  });
+  if (booking) {
+    await notify(
+      db,
+      notificationService.NotificationType.TRANSFER_REVOKED,
+      revokedTransfer,
+      booking,
+      [recipient(transfer)]
+    );
+  }
+
+  return TicketTransferModel.toPublic(revokedTransfer);
+};
+
+module.exports = {
+  TRANSFER_FAILED,
+  TransferFailure,
+  initDynamoDB,
+  findUser,
+  getTransferById,
+  getBookingTransfers,
+  getIncomingTransfers,
+  startTransfer,
+  acceptTransfer,
+  revokeTransfer,
+};
@@ -0,0 +1,316 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  ScanCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { VenueModel, EventModel } = require('../models');
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+/**
+ * Get a venue item
+ */
+const getVenue = async (venueId) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new GetCommand({
+      TableName: VenueModel.tableName,
+      Key: { id: venueId },
+    })
+  );
+
+  return result.Item;
+};
+
+/**
+ * Get the seat map layout an event uses
+ * @param {Object} event - Event item
+ * @returns {Promise<Object|null>} Layout, or null if the event has no seat
+ * map or its venue or layout is gone
+ */
+const getEventLayout = async (event) => {
+  if (!EventModel.hasSeatMap(event)) return null;
+
+  const venue = await getVenue(event.venueId);
+  return VenueModel.findLayout(venue, event.layoutId) || null;
+};
+
+/**
+ * Get the events that use a venue
+ * @returns {Promise<Array>} Events ({ id, title, layoutId })
+ */
+const getVenueEvents = async (venueId) => {
+  const db = initDynamoDB();
+  const events = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await db.send(
+      new ScanCommand({
+        TableName: EventModel.tableName,
+        FilterExpression: 'venueId = :venueId',
+        ProjectionExpression: 'id, title, layoutId',
+        ExpressionAttributeValues: { ':venueId': venueId },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+
+    events.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return events;
+};
+
+// Seat numbers of a layout in a comparable form
+const getSeatNumbersKey = (layout) =>
+  VenueModel.getLayoutSeats(layout)
+    .map((seat) => seat.number)
+    .sort((a, b) => a - b)
+    .join(',');
+
+/**
+ * Get all venues
+ */
+const getAllVenues = async () => {
+  try {
+    const db = initDynamoDB();
+    const venues = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await db.send(
+        new ScanCommand({
+          TableName: VenueModel.tableName,
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+
+      venues.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    // Sort alphabetically by name
+    venues.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      success: true,
+      data: venues,
+      count: venues.length,
+    };
+  } catch (error) {
+    console.error('Error getting venues:', error);
+    throw new Error('Failed to retrieve venues');
+  }
+};
+
+/**
+ * Get venue by ID
+ */
+const getVenueById = async (venueId) => {
+  try {
+    const venue = await getVenue(venueId);
+
+    if (!venue) {
+      return {
+        success: false,
+        message: 'Venue not found',
+      };
+    }
+
+    return {
+      success: true,
+      data: venue,
+    };
+  } catch (error) {
+    console.error('Error getting venue:', error);
+    throw new Error('Failed to retrieve venue');
+  }
+};
+
+/**
+ * Create a venue with its seat map layouts
+ */
+const createVenue = async (venueData) => {
+  try {
+    const db = initDynamoDB();
+
+    const validatedData = VenueModel.validate(venueData);
+    const venue = VenueModel.prepareForCreation(validatedData);
+
+    await db.send(
+      new PutCommand({
+        TableName: VenueModel.tableName,
+        Item: venue,
+      })
+    );
+
+    return {
+      success: true,
+      data: venue,
+      message: 'Venue created successfully',
+    };
+  } catch (error) {
+    console.error('Error creating venue:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create venue',
+    };
+  }
+};
+
+/**
+ * Update a venue
+ * Layouts used by events must keep their seat numbers, since bookings and
+ * seat counts refer to them. Labels, positions and attributes can change.
+ */
+const updateVenue = async (venueId, updateData) => {
+  try {
+    const db = initDynamoDB();
+
+    const existingVenue = await getVenue(venueId);
+    if (!existingVenue) {
+      return {
+        success: false,
+        message: 'Venue not found',
+      };
+    }
+
+    const validatedData = VenueModel.validate({
+      ...existingVenue,
+      ...updateData,
+      id: venueId, // Ensure ID doesn't change
+      createdAt: existingVenue.createdAt,
+    });
+
+    const usedLayoutIds = new Set(
+      (await getVenueEvents(venueId)).map((event) => event.layoutId)
+    );
+    for (const layoutId of usedLayoutIds) {
+      const existingLayout = VenueModel.findLayout(existingVenue, layoutId);
+      const layout = VenueModel.findLayout(validatedData, layoutId);
+      if (!existingLayout) continue;
+
+      if (!layout) {
+        return {
+          success: false,
+          message: `Layout "${existingLayout.name}" is used by events and cannot be removed`,
+        };
+      }
+      if (getSeatNumbersKey(layout) !== getSeatNumbersKey(existingLayout)) {
+        return {
+          success: false,
+          message: `Layout "${existingLayout.name}" is used by events, its seat numbers cannot change`,
+        };
+      }
+    }
+
+    const updatedVenue = VenueModel.prepareForUpdate(validatedData);
+
+    await db.send(
+      new PutCommand({
+        TableName: VenueModel.tableName,
+        Item: updatedVenue,
+      })
+    );
+
+    return {
+      success: true,
+      data: updatedVenue,
+      message: 'Venue updated successfully',
+    };
+  } catch (error) {
+    console.error('Error updating venue:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to update venue',
+    };
+  }
+};
+
+/**
+ * Delete a venue that no event uses
+ */
+const deleteVenue = async (venueId) => {
+  try {
+    const db = initDynamoDB();
+
+    const existingVenue = await getVenue(venueId);
+    if (!existingVenue) {
+      return {
+        success: false,
+        message: 'Venue not found',
+      };
+    }
+
+    const events = await getVenueEvents(venueId);
+    if (events.length > 0) {
+      return {
+        success: false,
+        message: `Venue is used by ${events.length} event(s) and cannot be deleted`,
+      };
+    }
+
+    await db.send(
+      new DeleteCommand({
+        TableName: VenueModel.tableName,
+        Key: { id: venueId },
+      })
+    );
+
+    return {
+      success: true,
+      message: 'Venue deleted successfully',
+    };
+  } catch (error) {
+    console.error('Error deleting venue:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to delete venue',
+    };
+  }
+};
+
+module.exports = {
+  initDynamoDB,
+  getVenue,
+  getEventLayout,
+  getAllVenues,
+  getVenueById,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+};
@@ -0,0 +1,436 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  QueryCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const env = require('../config/env');
+const { EventModel, WaitlistEntryModel } = require('../models');
+const accessCodeService = require('./accessCode.service');
+
+/**
+ * Waitlist Service
+ * Keeps the line of users waiting for a sold-out event. Offers are made by
+ * booking.service whenever seats are released: it reserves the first
+ * fitting entry here, creates the pending booking that holds the seats and
+ * settles the entry once that booking is paid, cancelled or expires.
+ */
+
+const { WaitlistStatus } = WaitlistEntryModel;
+
+let dynamoDb = null;
+
+const initDynamoDB = () => {
+  if (!dynamoDb) {
+    const clientConfig = {
+      region: env.aws.region,
+      requestHandler: new NodeHttpHandler({
+        connectionTimeout: 5000,
+        socketTimeout: 5000,
+      }),
+    };
+
+    if (env.aws.dynamodbEndpoint) {
+      clientConfig.endpoint = env.aws.dynamodbEndpoint;
+    }
+
+    if (env.aws.awsAccessKeyId && env.aws.awsSecretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: env.aws.awsAccessKeyId,
+        secretAccessKey: env.aws.awsSecretAccessKey,
+      };
+    }
+
+    const client = new DynamoDBClient(clientConfig);
+    dynamoDb = DynamoDBDocumentClient.from(client);
+  }
+  return dynamoDb;
+};
+
+// Error code used for every refused waitlist operation
+const WAITLIST_FAILED = 'WAITLIST_FAILED';
+
+const WaitlistFailure = {
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  INVALID: 'INVALID',
+};
+
+/**
+ * Build the error thrown for every refused waitlist operation
+ * @param {string} failure - WaitlistFailure value
+ * @param {string} message - Reason shown to the client
+ * @returns {Error} Error with code WAITLIST_FAILED
+ */
+const createWaitlistError = (failure, message) => {
+  const error = new Error(message);
+  error.code = WAITLIST_FAILED;
+  error.failure = failure;
+  return error;
+};
+
+/**
+ * Get all entries of an event, in the order they joined
+ */
+const getEventEntries = async (eventId) => {
+  const db = initDynamoDB();
+  const entries = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await db.send(
+      new QueryCommand({
+        TableName: WaitlistEntryModel.tableName,
+        IndexName: 'EventIdIndex',
+        KeyConditionExpression: 'eventId = :eventId',
+        ExpressionAttributeValues: { ':eventId': eventId },
+        ExclusiveStartKey: lastEvaluatedKey,
+      })
+    );
+
+    entries.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return entries;
+};
+
+/**
+ * Get the entries of an event still waiting for an offer, first in line first
+ */
+const getWaitingEntries = async (eventId) => {
+  const entries = await getEventEntries(eventId);
+  return entries.filter((entry) => entry.status === WaitlistStatus.WAITING);
+};
+
+/**
+ * Get a user's entry on an event's waitlist
+ * @returns {Object|undefined} Entry, including closed ones
+ */
+const getEntry = async (eventId, userId) => {
+  const db = initDynamoDB();
+
+  const result = await db.send(
+    new GetCommand({
+      TableName: WaitlistEntryModel.tableName,
+      Key: { id: WaitlistEntryModel.buildId(eventId, userId) },
+    })
+  );
+
+  return result.Item;
+};
+
+/**
+ * Add an entry's place in line, counting only entries still waiting
+ * @param {Object} entry - Waitlist entry
+ * @param {Array} entries - All entries of the event
+ * @returns {Object} Entry with position (null unless it is waiting)
+ */
+const withPosition = (entry, entries) => {
+  if (entry.status !== WaitlistStatus.WAITING) {
+    return { ...entry, position: null };
+  }
+
+  const ahead = entries.filter(
+    (other) =>
+      other.status === WaitlistStatus.WAITING &&
+      other.id !== entry.id &&
+      other.joinedAt <= entry.joinedAt
+  );
+  return { ...entry, position: ahead.length + 1 };
+};
+
+/**
+ * Get a user's entry with their place in line
+ * @returns {Object|null} Entry with position, or null if they never joined
+ */
+const getUserEntry = async (eventId, userId) => {
+  const entry = await getEntry(eventId, userId);
+  if (!entry) return null;
+
+  return withPosition(entry, await getEventEntries(eventId));
+};
+
+/**
+ * Join the waitlist of a sold-out event
+ * Joining is allowed once no seat is left to book, or while seats that came
+ * back are being offered to the line. Offers skip the access check at
+ * booking time, so private and presale events check the code here
+ * @param {string} eventId - Event ID
+ * @param {Object} user - { userId, name, email, phoneNumber }
+ * @param {Object} options - { seatCount, tierId, accessCode }
+ * @returns {Promise<Object>} New entry with its position
+ */
+const joinWaitlist = async (
+  eventId,
+  user,
+  { seatCount, tierId, accessCode }
+) => {
+  const db = initDynamoDB();
+
+  const eventResult = await db.send(
+    new GetCommand({
+      TableName: EventModel.tableName,
+      Key: { id: eventId },
+    })
+  );
+  const event = eventResult.Item;
+
+  if (!event || event.status !== 'PUBLISHED') {
+    throw createWaitlistError(WaitlistFailure.NOT_FOUND, 'Event not found');
+  }
+
+  if (new Date(event.datetime) <= new Date()) {
+    throw createWaitlistError(
+      WaitlistFailure.INVALID,
+      'Event has already started'
+    );
+  }
+
+  const access = await accessCodeService.checkBookingAccess(event, accessCode);
+  if (!access.allowed) {
+    throw createWaitlistError(WaitlistFailure.INVALID, access.message);
+  }
+
+  if (tierId && !EventModel.findTicketTier(event, tierId)) {
+    throw createWaitlistError(WaitlistFailure.INVALID, 'Ticket tier not found');
+  }
+
+  // An offer is a booking, it could never be made above the event's caps
+  const { maxSeatsPerBooking, maxSeatsPerUser } =
+    EventModel.getPurchaseLimits(event);
+  const maxSeats = Math.min(
+    maxSeatsPerBooking || Infinity,
+    maxSeatsPerUser || Infinity
+  );
+  if (seatCount > maxSeats) {
+    throw createWaitlistError(
+      WaitlistFailure.INVALID,
+      `You can wait for at most ${maxSeats} seats for this event`
+    );
+  }
+
+  const entries = await getEventEntries(eventId);
+  const lineIsOpen = entries.some(WaitlistEntryModel.isActive);
+  if (EventModel.calculateAvailableSeats(event) > 0 && !lineIsOpen) {
+    throw createWaitlistError(
+      WaitlistFailure.CONFLICT,
+      'Seats are still available for this event'
+    );
+  }
+
+  let entry;
+  try {
+    entry = WaitlistEntryModel.prepareForCreation({
+      eventId,
+      userId: user.userId,
+      tierId,
+      seatCount,
+      name: user.name || '',
+      email: user.email || '',
+      phoneNumber: user.phoneNumber || '',
+    });
+  } catch (error) {
+    throw createWaitlistError(WaitlistFailure.INVALID, error.message);
+  }
+
+  try {
+    // A closed entry is replaced, so rejoining goes to the end of the line
+    await db.send(
+      new PutCommand({
+        TableName: WaitlistEntryModel.tableName,
+        Item: entry,
+        ConditionExpression:
+          'attribute_not_exists(id) OR (#status <> :waiting AND #status <> :offered)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':waiting': WaitlistStatus.WAITING,
+          ':offered': WaitlistStatus.OFFERED,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw createWaitlistError(
+        WaitlistFailure.CONFLICT,
+        'You are already on the waitlist for this event'
+      );
+    }
+    throw error;
+  }
+
+  return withPosition(entry, [...entries, entry]);
+};
+
+/**
+ * Leave the line before an offer is made
+ * Entries holding an offer leave by cancelling the offer's booking
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Closed entry
+ */
+const leaveWaitlist = async (eventId, userId) => {
+  const db = initDynamoDB();
+  const now = new Date().toISOString();
+
+  try {
+    const result = await db.send(
+      new UpdateCommand({
+        TableName: WaitlistEntryModel.tableName,
+        Key: { id: WaitlistEntryModel.buildId(eventId, userId) },
+        UpdateExpression:
+          'SET #status = :left, closedAt = :now, updatedAt = :now',
+        ConditionExpression: '#status = :waiting',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':left': WaitlistStatus.LEFT,
+          ':waiting': WaitlistStatus.WAITING,
+          ':now': now,
+        },
+        ReturnValues: 'ALL_NEW',
+      })
+    );
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw createWaitlistError(
+        WaitlistFailure.NOT_FOUND,
+        'You are not waiting for this event'
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reserve a waiting entry for an offer before its booking is created
+ * @param {Object} entry - Waiting entry
+ * @param {Object} offer - { ticketId, seats, expiresAt }
+ * @returns {Promise<Object|null>} Entry with the offer, or null if it left
+ * or got an offer in the meantime
+ */
+const reserveOffer = async (entry, offer) => {
+  const db = initDynamoDB();
+  const now = new Date().toISOString();
+  const entryOffer = { ...offer, offeredAt: now };
+
+  try {
+    await db.send(
+      new UpdateCommand({
+        TableName: WaitlistEntryModel.tableName,
+        Key: { id: entry.id },
+        UpdateExpression:
+          'SET #status = :offered, offer = :offer, updatedAt = :now',
+        ConditionExpression: '#status = :waiting AND joinedAt = :joinedAt',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':offered': WaitlistStatus.OFFERED,
+          ':waiting': WaitlistStatus.WAITING,
+          ':joinedAt': entry.joinedAt,
+          ':offer': entryOffer,
+          ':now': now,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+
+  return {
+    ...entry,
+    status: WaitlistStatus.OFFERED,
+    offer: entryOffer,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Put an entry back in line, keeping its place, when the booking of its
+ * offer could not be created
+ * @param {Object} entry - Entry reserved by reserveOffer
+ */
+const withdrawOffer = async (entry) => {
+  const db = initDynamoDB();
+
+  await db
+    .send(
+      new UpdateCommand({
+        TableName: WaitlistEntryModel.tableName,
+        Key: { id: entry.id },
+        UpdateExpression:
+          'SET #status = :waiting, updatedAt = :now REMOVE offer',
+        ConditionExpression:
+          '#status = :offered AND offer.ticketId = :ticketId',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':waiting': WaitlistStatus.WAITING,
+          ':offered': WaitlistStatus.OFFERED,
+          ':ticketId': entry.offer.ticketId,
+          ':now': new Date().toISOString(),
+        },
+      })
+    )
+    .catch((error) => {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    });
+};
+
+/**
+ * Close the entry of an offer once its booking is paid, cancelled or expired
+ * @param {Object} booking - Booking created for the offer
+ * @param {string} status - CLAIMED, DECLINED or EXPIRED
+ * @returns {Promise<boolean>} False if the entry was already closed
+ */
+const settleOffer = async (booking, status) => {
+  const db = initDynamoDB();
+  const now = new Date().toISOString();
+
+  try {
+    await db.send(
+      new UpdateCommand({
+        TableName: WaitlistEntryModel.tableName,
+        Key: { id: booking.waitlistEntryId },
+        UpdateExpression:
+          'SET #status = :status, closedAt = :now, updatedAt = :now',
+        ConditionExpression:
+          '#status = :offered AND offer.ticketId = :ticketId',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':status': status,
+          ':offered': WaitlistStatus.OFFERED,
+          ':ticketId': booking.id,
+          ':now': now,
+        },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  initDynamoDB,
+  WAITLIST_FAILED,
+  WaitlistFailure,
+  getEventEntries,
+  getWaitingEntries,
+  getEntry,
+  getUserEntry,
+  joinWaitlist,
+  leaveWaitlist,
+  reserveOffer,
+  withdrawOffer,
+  settleOffer,
+};
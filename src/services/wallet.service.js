@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const forge = require('node-forge');
+const jwt = require('jsonwebtoken');
+const env = require('../config/env');
+const eventService = require('./event.service');
+const seatTicketService = require('./seatTicket.service');
+
+/**
+ * Wallet Service
+ * Builds phone wallet passes for the seats of a sold booking, one pass per
+ * seat carrying the same signed QR token as the ticket PDF:
+ * - Apple Wallet: a signed .pkpass bundle, or a .pkpasses bundle of them
+ *   when several seats are requested at once
+ * - Google Wallet: a signed JWT and the "Add to Google Wallet" link for it
+ */
+
+// Error code used when a wallet is not configured on this server
+const WALLET_UNAVAILABLE = 'WALLET_UNAVAILABLE';
+
+const Wallet = {
+  APPLE: 'apple',
+  GOOGLE: 'google',
+};
+
+const WalletName = {
+  [Wallet.APPLE]: 'Apple Wallet',
+  [Wallet.GOOGLE]: 'Google Wallet',
+};
+
+const ORGANIZATION_NAME = 'Tixly';
+const GOOGLE_SAVE_URL = 'https://pay.google.com/gp/v/save/';
+
+// Solid square shown as the pass icon on the lock screen (icon.png is
+// required in every pass)
+const PASS_ICON = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAADoAAAA6CAIAAABu2d1/AAAARklEQVR42u3OQQkAAAgEsEvn1/4B7GGOg8ECLDtXJLq6urq6urq6urq6urq6urq6urq6urq6urq6urq6urq6urq6urq6PR79EmhGLk0nPQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+let appleCredentials = null;
+
+const createUnavailableError = (wallet) => {
+  const error = new Error(`${WalletName[wallet]} passes are not configured`);
+  error.code = WALLET_UNAVAILABLE;
+  error.wallet = wallet;
+  return error;
+};
+
+// PEM values are stored with their newlines escaped as \n
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+// Certificates and key from APPLE_PASS_CERT, APPLE_PASS_KEY and
+// APPLE_WWDR_CERT, parsed once
+const loadAppleCredentials = () => {
+  if (!appleCredentials) {
+    const config = env.wallet.apple;
+
+    if (
+      !config.passTypeId ||
+      !config.teamId ||
+      !config.certificate ||
+      !config.privateKey ||
+      !config.wwdrCertificate
+    ) {
+      throw createUnavailableError(Wallet.APPLE);
+    }
+
+    const privateKey = config.privateKeyPassword
+      ? forge.pki.decryptRsaPrivateKey(
+          readPem(config.privateKey),
+          config.privateKeyPassword
+        )
+      : forge.pki.privateKeyFromPem(readPem(config.privateKey));
+
+    if (!privateKey) {
+      throw new Error('APPLE_PASS_KEY could not be decrypted');
+    }
+
+    appleCredentials = {
+      certificate: forge.pki.certificateFromPem(readPem(config.certificate)),
+      wwdrCertificate: forge.pki.certificateFromPem(
+        readPem(config.wwdrCertificate)
+      ),
+      privateKey,
+    };
+  }
+  return appleCredentials;
+};
+
+const getGoogleConfig = () => {
+  const config = env.wallet.google;
+
+  if (!config.issuerId || !config.serviceAccountEmail || !config.privateKey) {
+    throw createUnavailableError(Wallet.GOOGLE);
+  }
+  return config;
+};
+
+const getEvent = async (eventId) => {
+  const result = await eventService.getEventById(eventId);
+  if (!result.success) {
+    throw new Error('Event not found');
+  }
+  return result.data;
+};
+
+/**
+ * Get the tickets of a sold booking to put in a wallet
+ * @param {Object} booking - Sold booking
+ * @param {number|string} [seat] - Only this seat, defaults to all seats
+ * @returns {Promise<Array>} Tickets with their signed tokens
+ */
+const getWalletTickets = async (booking, seat) => {
+  const tickets = await seatTicketService.getBookingTickets(booking);
+
+  return seat === undefined
+    ? tickets
+    : tickets.filter((ticket) => String(ticket.seat) === String(seat));
+};
+
+const getVenueName = (event) => {
+  return [event.venue, event.location].filter(Boolean).join(', ');
+};
+
+/**
+ * Build the pass.json of a seat's Apple Wallet pass
+ * @param {Object} booking - Sold booking
+ * @param {Object} event - Event of the booking
+ * @param {Object} ticket - Seat ticket with its token
+ * @returns {Object} Pass definition
+ */
+const buildApplePass = (booking, event, ticket) => {
+  const config = env.wallet.apple;
+
+  return {
+    formatVersion: 1,
+    passTypeIdentifier: config.passTypeId,
+    teamIdentifier: config.teamId,
+    serialNumber: ticket.id,
+    organizationName: ORGANIZATION_NAME,
+    description: `Ticket for ${event.title}`,
+    relevantDate: event.datetime,
+    backgroundColor: 'rgb(79, 70, 229)',
+    foregroundColor: 'rgb(255, 255, 255)',
+    labelColor: 'rgb(224, 231, 255)',
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'EVENT', value: event.title }],
+      secondaryFields: [
+        { key: 'seat', label: 'SEAT', value: String(ticket.seat) },
+        ...(ticket.tierName
+          ? [{ key: 'tier', label: 'TICKET', value: ticket.tierName }]
+          : []),
+      ],
+      auxiliaryFields: [
+        {
+          key: 'date',
+          label: 'DATE',
+          value: event.datetime,
+          dateStyle: 'PKDateStyleMedium',
+          timeStyle: 'PKDateStyleShort',
+        },
+        { key: 'venue', label: 'VENUE', value: getVenueName(event) },
+      ],
+      backFields: [
+        { key: 'holder', label: 'Ticket Holder', value: booking.name || '' },
+        { key: 'code', label: 'Booking Code', value: booking.bookingCode },
+        { key: 'organizer', label: 'Organizer', value: event.organizerName },
+      ],
+    },
+    barcodes: [
+      {
+        format: 'PKBarcodeFormatQR',
+        message: ticket.token,
+        messageEncoding: 'iso-8859-1',
+      },
+    ],
+  };
+};
+
+/**
+ * Sign a pass manifest with the pass type certificate
+ * @param {Buffer} manifest - manifest.json contents
+ * @returns {Buffer} Detached PKCS#7 signature (DER)
+ */
+const signManifest = (manifest) => {
+  const { certificate, wwdrCertificate, privateKey } = loadAppleCredentials();
+
+  const signedData = forge.pkcs7.createSignedData();
+  signedData.content = forge.util.createBuffer(manifest.toString('binary'));
+  signedData.addCertificate(wwdrCertificate);
+  signedData.addCertificate(certificate);
+  signedData.addSigner({
+    key: privateKey,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() },
+    ],
+  });
+  signedData.sign({ detached: true });
+
+  return Buffer.from(
+    forge.asn1.toDer(signedData.toAsn1()).getBytes(),
+    'binary'
+  );
+};
+
+/**
+ * Bundle a seat's pass into a signed .pkpass archive
+ * @param {Object} booking - Sold booking
+ * @param {Object} event - Event of the booking
+ * @param {Object} ticket - Seat ticket with its token
+ * @returns {Buffer} .pkpass file
+ */
+const createApplePass = (booking, event, ticket) => {
+  const files = {
+    'pass.json': Buffer.from(
+      JSON.stringify(buildApplePass(booking, event, ticket))
+    ),
+    'icon.png': PASS_ICON,
+    'icon@2x.png': PASS_ICON,
+  };
+
+  // Wallet checks every file of the pass against its SHA-1 in the manifest
+  const manifest = Buffer.from(
+    JSON.stringify(
+      Object.fromEntries(
+        Object.entries(files).map(([name, contents]) => [
+          name,
+          crypto.createHash('sha1').update(contents).digest('hex'),
+        ])
+      )
+    )
+  );
+
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, contents]) => {
+    zip.addFile(name, contents);
+  });
+  zip.addFile('manifest.json', manifest);
+  zip.addFile('signature', signManifest(manifest));
+
+  return zip.toBuffer();
+};
+
+/**
+ * Get the Apple Wallet passes of a sold booking
+ * One seat gives a .pkpass, several seats a .pkpasses bundle that adds them
+ * all at once
+ * @param {Object} booking - Sold booking
+ * @param {number|string} [seat] - Only this seat, defaults to all seats
+ * @returns {Promise<{data: Buffer, contentType: string, filename: string}>}
+ */
+const getApplePasses = async (booking, seat) => {
+  loadAppleCredentials();
+
+  const [event, tickets] = await Promise.all([
+    getEvent(booking.eventId),
+    getWalletTickets(booking, seat),
+  ]);
+  const name = `ticket-${booking.bookingCode || booking.id}`;
+
+  if (tickets.length === 1) {
+    return {
+      data: createApplePass(booking, event, tickets[0]),
+      contentType: 'application/vnd.apple.pkpass',
+      filename: `${name}-${tickets[0].seat}.pkpass`,
+    };
+  }
+
+  const bundle = new AdmZip();
+  tickets.forEach((ticket) => {
+    bundle.addFile(
+      `seat-${ticket.seat}.pkpass`,
+      createApplePass(booking, event, ticket)
+    );
+  });
+
+  return {
+    data: bundle.toBuffer(),
+    contentType: 'application/vnd.apple.pkpasses',
+    filename: `${name}.pkpasses`,
+  };
+};
+
+const localized = (value) => ({
+  defaultValue: { language: 'en-US', value: String(value) },
+});
+
+/**
+ * Build the Google Wallet event ticket class of an event
+ * Passes of every booking of the event share it
+ */
+const buildGoogleClass = (event, issuerId) => {
+  return {
+    id: `${issuerId}.${event.id}`,
+    issuerName: ORGANIZATION_NAME,
+    reviewStatus: 'UNDER_REVIEW',
+    eventName: localized(event.title),
+    venue: {
+      name: localized(event.venue || event.location),
+      address: localized(event.location),
+    },
+    dateTime: { start: event.datetime },
+  };
+};
+
+/**
+ * Build the Google Wallet event ticket object of a seat
+ */
+const buildGoogleObject = (booking, event, ticket, issuerId) => {
+  return {
+    id: `${issuerId}.${ticket.id}`,
+    classId: `${issuerId}.${event.id}`,
+    state: 'ACTIVE',
+    ticketHolderName: booking.name,
+    reservationInfo: { confirmationCode: booking.bookingCode },
+    seatInfo: { seat: localized(ticket.seat) },
+    ...(ticket.tierName && { ticketType: localized(ticket.tierName) }),
+    barcode: { type: 'QR_CODE', value: ticket.token },
+  };
+};
+
+/**
+ * Get the "Add to Google Wallet" link of a sold booking
+ * The signed JWT carries the event class and one object per seat, Google
+ * creates them when the link is opened
+ * @param {Object} booking - Sold booking
+ * @param {number|string} [seat] - Only this seat, defaults to all seats
+ * @returns {Promise<{jwt: string, saveUrl: string}>}
+ */
+const getGoogleSaveLink = async (booking, seat) => {
+  const config = getGoogleConfig();
+
+  const [event, tickets] = await Promise.all([
+    getEvent(booking.eventId),
+    getWalletTickets(booking, seat),
+  ]);
+
+  const token = jwt.sign(
+    {
+      iss: config.serviceAccountEmail,
+      aud: 'google',
+      typ: 'savetowallet',
+      origins: env.clientUrl ? [env.clientUrl] : [],
+      payload: {
+        eventTicketClasses: [buildGoogleClass(event, config.issuerId)],
+        eventTicketObjects: tickets.map((ticket) =>
+          buildGoogleObject(booking, event, ticket, config.issuerId)
+        ),
+      },
+    },
+    readPem(config.privateKey),
+    { algorithm: 'RS256' }
+  );
+
+  return {
+    jwt: token,
+    saveUrl: `${GOOGLE_SAVE_URL}${token}`,
+  };
+};
+
+module.exports = {
+  WALLET_UNAVAILABLE,
+  Wallet,
+  buildApplePass,
+  createApplePass,
+  getApplePasses,
+  getGoogleSaveLink,
+};
@@ -0,0 +1,105 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Sale phases and the access codes that open private events and presales,
+ * with DynamoDB stubbed out
+ */
+
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+const accessCodeService = require('../src/services/accessCode.service');
+const { AccessCodeModel, EventModel } = require('../src/models');
+
+const { AccessCodeType } = AccessCodeModel;
+const { EventVisibility, SalePhase } = EventModel;
+
+const hoursFromNow = (hours) =>
+  new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+const inPresale = { presale: { endsAt: hoursFromNow(24) } };
+
+// Stub the client with the codes of the event, keyed by code
+const stubCodes = (t, codes) => {
+  const lookups = [];
+  t.mock.method(accessCodeService.initDynamoDB(), 'send', async (command) => {
+    assert.ok(command instanceof GetCommand);
+    lookups.push(command.input.Key.code);
+    return { Item: codes[command.input.Key.code] };
+  });
+  return lookups;
+};
+
+const code = (type, fields) => ({ type, active: true, ...fields });
+
+describe('EventModel.getSalePhase', () => {
+  it('follows the presale window', () => {
+    assert.equal(EventModel.getSalePhase({}), SalePhase.GENERAL);
+    assert.equal(EventModel.getSalePhase(inPresale), SalePhase.PRESALE);
+    assert.equal(
+      EventModel.getSalePhase({
+        presale: { startsAt: hoursFromNow(1), endsAt: hoursFromNow(24) },
+      }),
+      SalePhase.NOT_ON_SALE
+    );
+    assert.equal(
+      EventModel.getSalePhase({ presale: { endsAt: hoursFromNow(-1) } }),
+      SalePhase.GENERAL
+    );
+  });
+});
+
+describe('checkBookingAccess', () => {
+  it('lets anyone book public events on general sale', async (t) => {
+    const lookups = stubCodes(t, {});
+    const access = await accessCodeService.checkBookingAccess({ id: 'e1' });
+
+    assert.equal(access.allowed, true);
+    assert.equal(lookups.length, 0);
+  });
+
+  it('needs a usable code of the event for private events', async (t) => {
+    const lookups = stubCodes(t, {
+      FRIENDS: code(AccessCodeType.ACCESS),
+      OLD: code(AccessCodeType.ACCESS, { validUntil: hoursFromNow(-1) }),
+    });
+    const event = { id: 'e1', visibility: EventVisibility.PRIVATE };
+
+    assert.equal(
+      (await accessCodeService.checkBookingAccess(event, ' friends ')).allowed,
+      true
+    );
+    assert.equal(
+      (await accessCodeService.checkBookingAccess(event, 'old')).allowed,
+      false
+    );
+    assert.equal(
+      (await accessCodeService.checkBookingAccess(event)).allowed,
+      false
+    );
+    // Codes are looked up the way they are stored
+    assert.deepEqual(lookups, ['FRIENDS', 'OLD']);
+  });
+
+  it('takes only presale codes during a presale', async (t) => {
+    stubCodes(t, {
+      FRIENDS: code(AccessCodeType.ACCESS),
+      FANCLUB: code(AccessCodeType.PRESALE),
+    });
+    const event = { id: 'e1', ...inPresale };
+
+    const refused = await accessCodeService.checkBookingAccess(
+      event,
+      'FRIENDS'
+    );
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.details.generalSaleStartsAt, inPresale.presale.endsAt);
+
+    const allowed = await accessCodeService.checkBookingAccess(
+      event,
+      'FANCLUB'
+    );
+    assert.equal(allowed.accessCode.type, AccessCodeType.PRESALE);
+  });
+});
@@ -0,0 +1,76 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Expired bookings are kept as EXPIRED records, with DynamoDB stubbed out
+ */
+
+const {
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const bookingService = require('../src/services/booking.service');
+const { BookingModel, SeatLockModel } = require('../src/models');
+
+const expiredBooking = {
+  id: 'booking-1',
+  eventId: 'event-1',
+  status: 'PENDING',
+  takenSeats: [4, 5],
+  expiresAt: new Date(Date.now() - 60 * 1000).toISOString(),
+};
+
+// Stub the client, returns the commands it was sent
+const stubDynamoDB = (t, { closeFails = false } = {}) => {
+  const sent = [];
+  t.mock.method(bookingService.initDynamoDB(), 'send', async (command) => {
+    sent.push(command);
+    if (command instanceof QueryCommand) {
+      return { Items: [expiredBooking] };
+    }
+    if (command instanceof UpdateCommand && closeFails) {
+      throw Object.assign(new Error('Condition failed'), {
+        name: 'ConditionalCheckFailedException',
+      });
+    }
+    return {};
+  });
+  return sent;
+};
+
+describe('cleanupExpiredBookings', () => {
+  it('marks the booking EXPIRED and frees its seat locks', async (t) => {
+    const sent = stubDynamoDB(t);
+
+    assert.deepEqual(await bookingService.cleanupExpiredBookings(), {
+      expired: 1,
+    });
+
+    const update = sent.find((command) => command instanceof UpdateCommand);
+    assert.equal(update.input.TableName, BookingModel.tableName);
+    assert.equal(
+      update.input.ExpressionAttributeValues[':status'],
+      BookingModel.BookingStatus.EXPIRED
+    );
+    // The hold end stays on the record
+    assert.ok(!update.input.UpdateExpression.includes('expiresAt'));
+
+    const deletes = sent.filter((command) => command instanceof DeleteCommand);
+    assert.deepEqual(
+      deletes.map((command) => command.input.TableName),
+      [SeatLockModel.tableName, SeatLockModel.tableName]
+    );
+  });
+
+  it('leaves a booking alone that changed in the meantime', async (t) => {
+    const sent = stubDynamoDB(t, { closeFails: true });
+
+    assert.deepEqual(await bookingService.cleanupExpiredBookings(), {
+      expired: 0,
+    });
+    assert.ok(!sent.some((command) => command instanceof DeleteCommand));
+  });
+});
@@ -0,0 +1,169 @@
+require('./setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Concurrent bookings of the same seats, against a real DynamoDB
+ * Runs when DYNAMODB_ENDPOINT points to a DynamoDB Local instance, e.g.
+ *   docker run -p 8000:8000 amazon/dynamodb-local
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 npm test
+ * and is skipped otherwise. The seats are only guarded by the DynamoDB
+ * transaction here: Redis is off, so no hold turns a request away first.
+ */
+
+const endpoint = process.env.DYNAMODB_ENDPOINT;
+if (endpoint) {
+  process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || 'local';
+  process.env.AWS_SECRET_ACCESS_KEY =
+    process.env.AWS_SECRET_ACCESS_KEY || 'local';
+}
+
+const express = require('express');
+const {
+  DynamoDBClient,
+  ListTablesCommand,
+} = require('@aws-sdk/client-dynamodb');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+const env = require('../src/config/env');
+const initializeTables = require('../src/config/initDB');
+const { EventModel } = require('../src/models');
+const authService = require('../src/services/auth.service');
+const bookingService = require('../src/services/booking.service');
+const bookingRoutes = require('../src/routes/booking.routes');
+
+const createClient = () =>
+  new DynamoDBClient({
+    region: env.aws.region,
+    endpoint,
+    credentials: {
+      accessKeyId: env.aws.awsAccessKeyId,
+      secretAccessKey: env.aws.awsSecretAccessKey,
+    },
+  });
+
+// Why the tests are skipped, null when DynamoDB Local answers
+const findSkipReason = async () => {
+  if (!endpoint) {
+    return 'DYNAMODB_ENDPOINT is not set';
+  }
+
+  try {
+    await createClient().send(new ListTablesCommand({ Limit: 1 }), {
+      abortSignal: AbortSignal.timeout(2000),
+    });
+    return null;
+  } catch (error) {
+    return `DynamoDB Local is not reachable at ${endpoint}`;
+  }
+};
+
+const createEvent = async () => {
+  const event = EventModel.prepareForCreation(
+    EventModel.validate({
+      title: 'Concurrency Test',
+      description: 'Two customers race for the same seats',
+      datetime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      location: 'Test Hall',
+      pricePerSeat: 25,
+      totalSeats: 50,
+      organizerName: 'Tests',
+      status: 'PUBLISHED',
+    })
+  );
+
+  await bookingService
+    .initDynamoDB()
+    .send(new PutCommand({ TableName: EventModel.tableName, Item: event }));
+  return event;
+};
+
+describe('concurrent bookings of the same seats', () => {
+  let skipReason;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    skipReason = await findSkipReason();
+    if (skipReason) return;
+
+    await initializeTables(createClient());
+
+    // The bearer token is taken as the user ID
+    authService.verifyToken = async (token) => ({
+      success: true,
+      data: { cognitoId: token },
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1', bookingRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => {
+    if (server) server.close();
+  });
+
+  it('books the seats once and answers 409 to the other request', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const event = await createEvent();
+    const book = (userId) =>
+      fetch(`${baseUrl}/bookings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${userId}`,
+        },
+        body: JSON.stringify({
+          eventId: event.id,
+          seats: [7, 8],
+          name: userId,
+          email: `${userId}@example.com`,
+        }),
+      }).then(async (response) => ({
+        status: response.status,
+        body: await response.json(),
+      }));
+
+    const responses = await Promise.all([book('user-a'), book('user-b')]);
+    const statuses = responses.map((response) => response.status).sort();
+    assert.deepEqual(statuses, [201, 409]);
+
+    const created = responses.find((response) => response.status === 201);
+    const conflict = responses.find((response) => response.status === 409);
+    assert.deepEqual(created.body.data.takenSeats, [7, 8]);
+    assert.equal(conflict.body.success, false);
+    assert.ok(conflict.body.data.conflictingSeats.length > 0);
+    assert.ok(
+      conflict.body.data.conflictingSeats.every((seat) => [7, 8].includes(seat))
+    );
+  });
+
+  it('lets exactly one of many parallel bookings through', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+
+    const event = await createEvent();
+    const results = await Promise.allSettled(
+      ['a', 'b', 'c', 'd', 'e'].map((user, index) =>
+        bookingService.createBooking({
+          eventId: event.id,
+          userId: `user-${user}`,
+          // Every request wants seat 3, each with a different second seat
+          seats: [3, 10 + index],
+        })
+      )
+    );
+
+    const booked = results.filter((result) => result.status === 'fulfilled');
+    const rejected = results.filter((result) => result.status === 'rejected');
+    assert.equal(booked.length, 1);
+    assert.equal(rejected.length, 4);
+    rejected.forEach(({ reason }) => {
+      assert.equal(reason.code, bookingService.SEAT_CONFLICT);
+      assert.deepEqual(reason.conflictingSeats, [3]);
+    });
+  });
+});
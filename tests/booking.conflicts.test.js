@@ -0,0 +1,205 @@
+require('./setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * How cancelled seat transactions are answered, with DynamoDB stubbed out
+ * The stub cancels the booking transaction with the given reasons, one list
+ * per attempt, and answers event reads with the seats already sold.
+ */
+
+const { randomUUID } = require('node:crypto');
+const express = require('express');
+const {
+  TransactWriteCommand,
+  GetCommand,
+  QueryCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const authService = require('../src/services/auth.service');
+const eventService = require('../src/services/event.service');
+const bookingService = require('../src/services/booking.service');
+const bookingRoutes = require('../src/routes/booking.routes');
+
+const EVENT_ID = randomUUID();
+
+const event = {
+  id: EVENT_ID,
+  status: 'PUBLISHED',
+  datetime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+  pricePerSeat: 25,
+  totalSeats: 50,
+};
+
+const cancelled = (codes) =>
+  Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: codes.map((Code) => ({ Code })),
+  });
+
+// Stub the client, returns the transactions it was sent
+const stubDynamoDB = (t, { attempts, soldSeats = [], eventFields }) => {
+  const transactions = [];
+  t.mock.method(bookingService.initDynamoDB(), 'send', async (command) => {
+    if (command instanceof TransactWriteCommand) {
+      const codes = attempts[transactions.length];
+      transactions.push(command.input.TransactItems);
+      if (codes) throw cancelled(codes);
+      return {};
+    }
+    if (command instanceof GetCommand) {
+      return { Item: { ...event, ...eventFields, takenSeats: soldSeats } };
+    }
+    // The user has no other bookings on the event
+    if (command instanceof QueryCommand) {
+      return { Items: [] };
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return transactions;
+};
+
+const bookSeats = (seats) =>
+  bookingService.createBooking({
+    eventId: EVENT_ID,
+    userId: 'user-a',
+    seats,
+    name: 'User A',
+    email: 'user-a@example.com',
+  });
+
+describe('cancelled booking transactions', () => {
+  let server;
+  let baseUrl;
+
+  before(() => {
+    // The bearer token is taken as the user ID
+    authService.verifyToken = async (token) => ({
+      success: true,
+      data: { cognitoId: token },
+    });
+    // The event is not in queue mode
+    eventService.getEventById = async () => ({ success: true, data: event });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1', bookingRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => server.close());
+
+  const post = (seats) =>
+    fetch(`${baseUrl}/bookings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer user-a',
+      },
+      body: JSON.stringify({ eventId: EVENT_ID, seats }),
+    }).then(async (response) => ({
+      status: response.status,
+      body: await response.json(),
+    }));
+
+  it('answers 409 with sold and contested seats', async (t) => {
+    // Seat 8 is sold, the lock of seat 7 is written by another booking
+    const transactions = stubDynamoDB(t, {
+      attempts: [
+        ['None', 'ConditionalCheckFailed', 'TransactionConflict', 'None'],
+      ],
+      soldSeats: [8],
+    });
+
+    const { status, body } = await post([7, 8]);
+    assert.equal(status, 409);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.data.conflictingSeats.sort(), [7, 8]);
+    // A failed condition is final, nothing is retried
+    assert.equal(transactions.length, 1);
+  });
+
+  it('answers 409 with the locks taken by other bookings', async (t) => {
+    stubDynamoDB(t, {
+      attempts: [['None', 'None', 'None', 'ConditionalCheckFailed']],
+    });
+
+    const { status, body } = await post([7, 8]);
+    assert.equal(status, 409);
+    assert.deepEqual(body.data.conflictingSeats, [8]);
+  });
+
+  it('retries a transaction that only conflicted', async (t) => {
+    const transactions = stubDynamoDB(t, {
+      attempts: [['None', 'TransactionConflict', 'None', 'None']],
+    });
+
+    const booking = await bookSeats([7, 8]);
+    assert.deepEqual(booking.takenSeats, [7, 8]);
+    assert.equal(transactions.length, 2);
+    assert.deepEqual(transactions[1], transactions[0]);
+  });
+
+  it('answers 503 when the event stays contested', async (t) => {
+    const conflict = ['None', 'TransactionConflict', 'None', 'None'];
+    const transactions = stubDynamoDB(t, {
+      attempts: [conflict, conflict, conflict],
+    });
+
+    const { status, body } = await post([7, 8]);
+    assert.equal(status, 503);
+    assert.equal(body.success, false);
+    assert.equal(transactions.length, 3);
+  });
+
+  it('rejects with the contested seats once the retries are spent', async (t) => {
+    const conflict = ['None', 'None', 'TransactionConflict', 'None'];
+    stubDynamoDB(t, { attempts: [conflict, conflict, conflict] });
+
+    await assert.rejects(bookSeats([7, 8]), (error) => {
+      assert.equal(error.code, bookingService.SEAT_CONFLICT);
+      assert.deepEqual(error.conflictingSeats, [7]);
+      return true;
+    });
+  });
+
+  it('rejects a sold out tier only when the event refused the seats', async (t) => {
+    const tiered = {
+      ticketTiers: [{ id: 'floor', name: 'Floor', price: 25, capacity: 10 }],
+      tierSales: { floor: 8 },
+    };
+    const bookFloorSeats = () =>
+      bookingService.createBooking({
+        eventId: EVENT_ID,
+        userId: 'user-a',
+        tierId: 'floor',
+        seats: [7, 8],
+        name: 'User A',
+        email: 'user-a@example.com',
+      });
+
+    stubDynamoDB(t, {
+      attempts: [['None', 'ConditionalCheckFailed', 'None', 'None']],
+      eventFields: tiered,
+    });
+    await assert.rejects(
+      bookFloorSeats(),
+      (error) =>
+        error.code === bookingService.BOOKING_REJECTED &&
+        /Not enough Floor seats left/.test(error.message)
+    );
+
+    t.mock.restoreAll();
+    // Other bookings kept updating the tier sales
+    const conflict = ['None', 'TransactionConflict', 'None', 'None'];
+    stubDynamoDB(t, {
+      attempts: [conflict, conflict, conflict],
+      eventFields: tiered,
+    });
+    await assert.rejects(
+      bookFloorSeats(),
+      (error) => error.code === bookingService.TRANSACTION_BUSY
+    );
+  });
+});
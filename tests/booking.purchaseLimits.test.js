@@ -0,0 +1,125 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Per-booking and per-user seat limits, with DynamoDB stubbed out
+ */
+
+const { randomUUID } = require('node:crypto');
+const {
+  GetCommand,
+  QueryCommand,
+  TransactWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const bookingService = require('../src/services/booking.service');
+const { CounterModel } = require('../src/models');
+
+const EVENT_ID = randomUUID();
+
+const event = {
+  id: EVENT_ID,
+  status: 'PUBLISHED',
+  datetime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+  pricePerSeat: 25,
+  totalSeats: 50,
+  purchaseLimits: { maxSeatsPerBooking: 3, maxSeatsPerUser: 4 },
+};
+
+// Stub the client: the user already has the given bookings on the event,
+// transactions fail with the given reasons
+const stubDynamoDB = (t, { userBookings = [], reasons } = {}) => {
+  const transactions = [];
+  t.mock.method(bookingService.initDynamoDB(), 'send', async (command) => {
+    if (command instanceof GetCommand) {
+      return { Item: event };
+    }
+    if (command instanceof QueryCommand) {
+      return { Items: userBookings };
+    }
+    if (command instanceof TransactWriteCommand) {
+      transactions.push(command.input.TransactItems);
+      if (reasons) {
+        throw Object.assign(new Error('Transaction cancelled'), {
+          name: 'TransactionCanceledException',
+          CancellationReasons: reasons.map((Code) => ({ Code })),
+        });
+      }
+      return {};
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return transactions;
+};
+
+const bookSeats = (seats) =>
+  bookingService.createBooking({
+    eventId: EVENT_ID,
+    userId: 'user-a',
+    seats,
+    name: 'User A',
+    email: 'user-a@example.com',
+  });
+
+const confirmedBooking = (takenSeats) => ({
+  id: randomUUID(),
+  eventId: EVENT_ID,
+  status: 'CONFIRMED',
+  takenSeats,
+});
+
+const assertRejected = (promise, message) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.code, bookingService.BOOKING_REJECTED);
+    assert.match(error.message, message);
+    return true;
+  });
+
+describe('purchase limits', () => {
+  it('rejects more seats than one booking may take', async (t) => {
+    stubDynamoDB(t);
+    await assertRejected(bookSeats([1, 2, 3, 4]), /at most 3 seats at a time/);
+  });
+
+  it('counts the seats the user already booked', async (t) => {
+    const transactions = stubDynamoDB(t, {
+      userBookings: [confirmedBooking([10, 11, 12])],
+    });
+
+    await assertRejected(bookSeats([1, 2]), /book 1 more seats/);
+    assert.equal(transactions.length, 0);
+  });
+
+  it('starts a missing user seats counter from the booked seats', async (t) => {
+    const transactions = stubDynamoDB(t, {
+      userBookings: [confirmedBooking([10, 11])],
+    });
+
+    await bookSeats([1, 2]);
+
+    const counter = transactions[0].at(-1).Update;
+    assert.equal(
+      counter.Key.name,
+      CounterModel.buildUserSeatsName(EVENT_ID, 'user-a')
+    );
+    assert.equal(
+      counter.UpdateExpression,
+      'SET #value = if_not_exists(#value, :bookedSeats) + :seatCount'
+    );
+    assert.deepEqual(counter.ExpressionAttributeValues, {
+      ':bookedSeats': 2,
+      ':seatCount': 2,
+      ':userLimit': 2,
+    });
+  });
+
+  it('rejects when a concurrent booking used up the allowance', async (t) => {
+    // Seats and locks were free, only the user seats counter refused
+    stubDynamoDB(t, {
+      reasons: ['None', 'None', 'None', 'None', 'ConditionalCheckFailed'],
+    });
+
+    await assertRejected(bookSeats([1, 2]), /reached the limit of 4 seats/);
+  });
+});
@@ -0,0 +1,87 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Seat states merged from sold seats, Redis holds and seat locks, with
+ * DynamoDB and Redis stubbed out
+ */
+
+const { GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const bookingService = require('../src/services/booking.service');
+const seatHoldService = require('../src/services/seatHold.service');
+
+const { SeatState } = bookingService;
+const inFiveMinutes = () => new Date(Date.now() + 5 * 60 * 1000).toISOString();
+
+const stubSources = (t, { takenSeats, locks, redisHolds }) => {
+  t.mock.method(bookingService.initDynamoDB(), 'send', async (command) => {
+    if (command instanceof GetCommand) {
+      return { Item: { id: 'event-1', totalSeats: 10, takenSeats } };
+    }
+    if (command instanceof QueryCommand) {
+      return { Items: locks };
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  t.mock.method(seatHoldService, 'getEventHolds', async () => redisHolds);
+};
+
+const byState = (seatStates) =>
+  Object.fromEntries(seatStates.seats.map(({ seat, state }) => [seat, state]));
+
+describe('getSeatStates', () => {
+  it('merges Redis holds with the seat locks', async (t) => {
+    const expiresAt = inFiveMinutes();
+    stubSources(t, {
+      takenSeats: [1],
+      // Seat 2 was held while Redis was down, seat 1 is sold meanwhile
+      locks: [
+        { seat: 1, ticketId: 'booking-a', expiresAt },
+        { seat: 2, ticketId: 'booking-b', expiresAt },
+      ],
+      redisHolds: [{ seat: 3, ticketId: 'booking-c', expiresAt }],
+    });
+
+    const seatStates = await bookingService.getSeatStates('event-1');
+    assert.deepEqual(byState(seatStates), {
+      1: SeatState.SOLD,
+      2: SeatState.HELD,
+      3: SeatState.HELD,
+    });
+    assert.deepEqual(seatStates.summary, { free: 7, held: 2, sold: 1 });
+  });
+
+  it('lists a seat held in both places once', async (t) => {
+    const expiresAt = inFiveMinutes();
+    stubSources(t, {
+      takenSeats: [],
+      locks: [{ seat: '4', ticketId: 'booking-a', expiresAt }],
+      redisHolds: [{ seat: 4, ticketId: 'booking-a', expiresAt }],
+    });
+
+    const seatStates = await bookingService.getSeatStates('event-1');
+    assert.equal(seatStates.seats.length, 1);
+    assert.equal(seatStates.summary.held, 1);
+  });
+
+  it('reports the locks when Redis is unavailable', async (t) => {
+    stubSources(t, {
+      takenSeats: [1],
+      locks: [{ seat: 2, ticketId: 'booking-b', expiresAt: inFiveMinutes() }],
+      redisHolds: null,
+    });
+
+    const seatStates = await bookingService.getSeatStates('event-1');
+    assert.deepEqual(byState(seatStates), {
+      1: SeatState.SOLD,
+      2: SeatState.HELD,
+    });
+  });
+
+  it('returns null for an unknown event', async (t) => {
+    t.mock.method(bookingService.initDynamoDB(), 'send', async () => ({}));
+    assert.equal(await bookingService.getSeatStates('missing'), null);
+  });
+});
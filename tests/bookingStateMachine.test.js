@@ -0,0 +1,144 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Booking state machine guards and the updates that store transitions
+ */
+
+const stateMachine = require('../src/services/bookingStateMachine.service');
+
+const { BookingTransition, ActorType, INVALID_TRANSITION } = stateMachine;
+
+const minutesFromNow = (minutes) =>
+  new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const pending = {
+  id: 'booking-1',
+  status: 'PENDING',
+  expiresAt: minutesFromNow(5),
+};
+const expired = { ...pending, expiresAt: minutesFromNow(-1) };
+const confirmed = { id: 'booking-1', status: 'CONFIRMED', takenSeats: [1, 2] };
+
+const user = { actor: { type: ActorType.USER, id: 'user-a' } };
+const admin = { actor: { type: ActorType.ADMIN, id: 'admin-a' } };
+
+const assertRejected = (booking, name, context, message) =>
+  assert.throws(
+    () => stateMachine.assertCanTransition(booking, name, context),
+    (error) => error.code === INVALID_TRANSITION && message.test(error.message)
+  );
+
+describe('booking transitions', () => {
+  it('confirms pending bookings whose hold has not run out', () => {
+    const { CONFIRM } = BookingTransition;
+    assert.equal(stateMachine.canTransition(pending, CONFIRM), true);
+    assert.equal(stateMachine.canTransition(expired, CONFIRM), false);
+    assert.equal(stateMachine.canTransition(confirmed, CONFIRM), false);
+  });
+
+  it('cancels unpaid bookings only', () => {
+    const { CANCEL } = BookingTransition;
+    assert.equal(stateMachine.canTransition(pending, CANCEL, user), true);
+    assertRejected(confirmed, CANCEL, user, /request a refund instead/);
+    assertRejected(
+      { ...pending, status: 'REFUNDED' },
+      CANCEL,
+      user,
+      /^Booking cannot be cancelled$/
+    );
+  });
+
+  it('expires pending bookings past their hold', () => {
+    const { EXPIRE } = BookingTransition;
+    assert.equal(stateMachine.canTransition(expired, EXPIRE), true);
+    assertRejected(pending, EXPIRE, {}, /has not expired/);
+  });
+
+  it('holds customers to the refund policy but not admins', () => {
+    const { REFUND } = BookingTransition;
+    const refundable = { ...user, refundBreakdown: { refundable: true } };
+    const late = {
+      ...user,
+      refundBreakdown: {
+        refundable: false,
+        reason: 'Refunds are only available within 24 hours of purchase',
+      },
+    };
+
+    assert.equal(
+      stateMachine.canTransition(confirmed, REFUND, refundable),
+      true
+    );
+    assertRejected(confirmed, REFUND, late, /within 24 hours of purchase\.$/);
+    assert.equal(stateMachine.canTransition(confirmed, REFUND, admin), true);
+    assertRejected(pending, REFUND, admin, /Only confirmed bookings/);
+  });
+
+  it('refunds some seats as a partial refund only', () => {
+    const { PARTIAL_REFUND } = BookingTransition;
+    const refunding = (seats) => ({
+      ...admin,
+      refundBreakdown: { refundable: true, seats },
+    });
+
+    assert.equal(
+      stateMachine.canTransition(confirmed, PARTIAL_REFUND, refunding([2])),
+      true
+    );
+    // All seats left is a full refund
+    assert.equal(
+      stateMachine.canTransition(confirmed, PARTIAL_REFUND, refunding([1, 2])),
+      false
+    );
+  });
+
+  it('rejects unknown transitions', () => {
+    assert.throws(
+      () => stateMachine.canTransition(pending, 'REOPEN'),
+      /Unknown booking transition: REOPEN/
+    );
+  });
+});
+
+describe('buildTransitionUpdate', () => {
+  it('only writes over the status the booking was read with', () => {
+    const { params, changes } = stateMachine.buildTransitionUpdate(
+      pending,
+      BookingTransition.CONFIRM,
+      user,
+      { paymentInfo: { transactionId: 'txn_1' } }
+    );
+
+    assert.equal(
+      params.ConditionExpression,
+      '#status = :fromStatus AND expiresAt > :transitionAt'
+    );
+    assert.equal(params.ExpressionAttributeValues[':fromStatus'], 'PENDING');
+    assert.equal(params.ExpressionAttributeValues[':status'], 'CONFIRMED');
+    assert.deepEqual(changes.paymentInfo, { transactionId: 'txn_1' });
+  });
+
+  it('appends a history entry naming the actor', () => {
+    const { params, changes } = stateMachine.buildTransitionUpdate(
+      { ...pending, history: [{ from: null, to: 'PENDING' }] },
+      BookingTransition.CANCEL,
+      { ...user, reason: 'Changed plans' }
+    );
+
+    const [entry] = params.ExpressionAttributeValues[':historyEntry'];
+    assert.deepEqual(
+      { ...entry, at: undefined },
+      {
+        at: undefined,
+        actor: { type: ActorType.USER, id: 'user-a' },
+        from: 'PENDING',
+        to: 'CANCELLED',
+        reason: 'Changed plans',
+      }
+    );
+    assert.equal(changes.history.length, 2);
+  });
+});
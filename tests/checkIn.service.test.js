@@ -0,0 +1,257 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Checking in scanned tickets, live and from offline scanners, with
+ * DynamoDB stubbed out
+ */
+
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const checkInService = require('../src/services/checkIn.service');
+const ticketTokenService = require('../src/services/ticketToken.service');
+const { BookingModel, SeatTicketModel } = require('../src/models');
+
+const { CheckInRejection } = checkInService;
+
+const booking = {
+  id: 'booking-1',
+  eventId: 'event-1',
+  name: 'User A',
+  status: 'CONFIRMED',
+  bookingCode: 'CODE1',
+  takenSeats: [1, 2],
+};
+
+const ticketFor = (seat, fields) => ({
+  id: SeatTicketModel.buildId(booking, seat),
+  ticketId: booking.id,
+  eventId: booking.eventId,
+  seat,
+  bookingCode: booking.bookingCode,
+  status: SeatTicketModel.SeatTicketStatus.VALID,
+  issuedAt: new Date().toISOString(),
+  ...fields,
+});
+
+const tokenFor = (seatTicket) =>
+  ticketTokenService.sign(SeatTicketModel.toTokenPayload(seatTicket));
+
+// Stub the client, the ticket update fails its condition when asked to
+const stubDynamoDB = (t, seatTicket, { bookingItem = booking, raced } = {}) => {
+  const updates = [];
+  t.mock.method(checkInService.initDynamoDB(), 'send', async (command) => {
+    if (command instanceof GetCommand) {
+      return command.input.TableName === BookingModel.tableName
+        ? { Item: bookingItem }
+        : { Item: updates.length > 0 ? raced : seatTicket };
+    }
+    if (command instanceof UpdateCommand) {
+      updates.push(command.input);
+      if (raced) {
+        throw Object.assign(new Error('Condition failed'), {
+          name: 'ConditionalCheckFailedException',
+        });
+      }
+      return {
+        Attributes: {
+          ...seatTicket,
+          checkedInAt: command.input.ExpressionAttributeValues[':now'],
+          checkedInBy: command.input.ExpressionAttributeValues[':staffId'],
+        },
+      };
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return updates;
+};
+
+const assertRejected = (promise, reason) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.code, checkInService.CHECKIN_REJECTED);
+    assert.equal(error.reason, reason);
+    return true;
+  });
+
+describe('checkIn', () => {
+  it('admits a valid ticket once', async (t) => {
+    const seatTicket = ticketFor(1);
+    const updates = stubDynamoDB(t, seatTicket);
+
+    const admitted = await checkInService.checkIn(
+      tokenFor(seatTicket),
+      'event-1',
+      'staff-a'
+    );
+
+    assert.equal(admitted.checkedInBy, 'staff-a');
+    assert.equal(admitted.holderName, 'User A');
+    assert.match(
+      updates[0].ConditionExpression,
+      /attribute_not_exists\(checkedInAt\)/
+    );
+  });
+
+  it('refuses tokens for another event or not signed by us', async (t) => {
+    const seatTicket = ticketFor(1);
+    stubDynamoDB(t, seatTicket);
+
+    await assertRejected(
+      checkInService.checkIn(tokenFor(seatTicket), 'event-2', 'staff-a'),
+      CheckInRejection.WRONG_EVENT
+    );
+    await assertRejected(
+      checkInService.checkIn('forged.token', 'event-1', 'staff-a'),
+      CheckInRejection.INVALID_TOKEN
+    );
+  });
+
+  it('refuses refunded seats and tickets replaced by a transfer', async (t) => {
+    const refunded = ticketFor(3);
+    stubDynamoDB(t, refunded, {
+      bookingItem: { ...booking, refundedSeats: [3] },
+    });
+    await assertRejected(
+      checkInService.checkIn(tokenFor(refunded), 'event-1', 'staff-a'),
+      CheckInRejection.REFUNDED
+    );
+
+    t.mock.restoreAll();
+    // The booking code changed, so the ticket ID no longer matches
+    const reissued = ticketFor(1);
+    stubDynamoDB(t, reissued, {
+      bookingItem: { ...booking, bookingCode: 'CODE2' },
+    });
+    await assertRejected(
+      checkInService.checkIn(tokenFor(reissued), 'event-1', 'staff-a'),
+      CheckInRejection.REISSUED
+    );
+  });
+
+  it('reports a ticket scanned at another entrance meanwhile', async (t) => {
+    const seatTicket = ticketFor(2);
+    stubDynamoDB(t, seatTicket, {
+      raced: { ...seatTicket, checkedInAt: new Date().toISOString() },
+    });
+
+    await assertRejected(
+      checkInService.checkIn(tokenFor(seatTicket), 'event-1', 'staff-b'),
+      CheckInRejection.ALREADY_CHECKED_IN
+    );
+  });
+});
+
+describe('syncScans', () => {
+  const minutesAgo = (minutes) =>
+    new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  // Keep the ticket in memory and apply the check-in condition to it
+  const stubStore = (t, seatTicket) => {
+    const store = { ...seatTicket };
+    t.mock.method(checkInService.initDynamoDB(), 'send', async (command) => {
+      if (command instanceof GetCommand) {
+        return command.input.TableName === BookingModel.tableName
+          ? { Item: booking }
+          : { Item: { ...store } };
+      }
+      if (command instanceof UpdateCommand) {
+        const values = command.input.ExpressionAttributeValues;
+        if (values[':scans']) {
+          store.duplicateScans = [
+            ...(store.duplicateScans || []),
+            ...values[':scans'],
+          ];
+          return {};
+        }
+        if (store.checkedInAt && store.checkedInAt <= values[':at']) {
+          throw Object.assign(new Error('Condition failed'), {
+            name: 'ConditionalCheckFailedException',
+          });
+        }
+        const previous = { ...store };
+        Object.assign(store, {
+          checkedInAt: values[':at'],
+          checkedInBy: values[':by'],
+          checkedInDevice: values[':deviceId'],
+        });
+        return { Attributes: previous };
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    });
+    return store;
+  };
+
+  it('admits the earliest scan and flags the others', async (t) => {
+    const seatTicket = ticketFor(1);
+    const store = stubStore(t, seatTicket);
+    const token = tokenFor(seatTicket);
+
+    const report = await checkInService.syncScans(
+      'event-1',
+      {
+        deviceId: 'door-2',
+        scans: [
+          { token, scannedAt: minutesAgo(5) },
+          { token, scannedAt: minutesAgo(10) },
+        ],
+      },
+      'staff-a'
+    );
+
+    assert.deepEqual(
+      report.results.map(({ status }) => status),
+      [checkInService.ScanResult.DUPLICATE, checkInService.ScanResult.ACCEPTED]
+    );
+    assert.equal(store.checkedInAt, report.results[1].scannedAt);
+    assert.equal(store.duplicateScans.length, 1);
+  });
+
+  it('replaces a later check-in with an earlier offline scan', async (t) => {
+    const liveCheckIn = minutesAgo(2);
+    const seatTicket = ticketFor(2);
+    const store = stubStore(t, {
+      ...seatTicket,
+      checkedInAt: liveCheckIn,
+      checkedInBy: 'staff-b',
+      checkedInDevice: 'door-1',
+    });
+
+    const report = await checkInService.syncScans(
+      'event-1',
+      {
+        deviceId: 'door-2',
+        scans: [{ token: tokenFor(seatTicket), scannedAt: minutesAgo(10) }],
+      },
+      'staff-a'
+    );
+
+    const [result] = report.results;
+    assert.equal(result.status, checkInService.ScanResult.ACCEPTED);
+    assert.equal(result.replacedCheckIn.at, liveCheckIn);
+    assert.equal(store.checkedInDevice, 'door-2');
+    assert.deepEqual(
+      store.duplicateScans.map(({ at, deviceId }) => [at, deviceId]),
+      [[liveCheckIn, 'door-1']]
+    );
+  });
+
+  it('changes nothing when a batch is pushed again', async (t) => {
+    const seatTicket = ticketFor(1);
+    const store = stubStore(t, seatTicket);
+    const token = tokenFor(seatTicket);
+    const batch = {
+      deviceId: 'door-2',
+      scans: [
+        { token, scannedAt: minutesAgo(10) },
+        { token, scannedAt: minutesAgo(5) },
+      ],
+    };
+
+    const first = await checkInService.syncScans('event-1', batch, 'staff-a');
+    const again = await checkInService.syncScans('event-1', batch, 'staff-a');
+
+    assert.deepEqual(again.results, first.results);
+    assert.equal(store.duplicateScans.length, 1);
+  });
+});
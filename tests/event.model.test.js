@@ -0,0 +1,156 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Ticket tier rules of the event model
+ */
+
+const { randomUUID } = require('node:crypto');
+const { EventModel } = require('../src/models');
+
+const baseEvent = {
+  title: 'Tier Test',
+  description: 'An event with ticket tiers',
+  datetime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+  location: 'Test Hall',
+  pricePerSeat: 25,
+  totalSeats: 100,
+  organizerName: 'Tests',
+};
+
+const tier = (fields) => ({ name: 'Standard', price: 25, ...fields });
+
+describe('EventModel.validate ticket tiers', () => {
+  it('accepts tiers that fit the event', () => {
+    const event = EventModel.validate({
+      ...baseEvent,
+      ticketTiers: [
+        tier({ name: 'Front', capacity: 20, seatRange: { start: 1, end: 20 } }),
+        tier({
+          name: 'Back',
+          capacity: 80,
+          seatRange: { start: 21, end: 100 },
+        }),
+      ],
+    });
+
+    assert.equal(event.ticketTiers.length, 2);
+    // Tiers get their IDs in validation
+    assert.ok(event.ticketTiers.every((ticketTier) => ticketTier.id));
+  });
+
+  it('rejects capacities above totalSeats', () => {
+    assert.throws(
+      () =>
+        EventModel.validate({
+          ...baseEvent,
+          ticketTiers: [tier({ capacity: 60 }), tier({ capacity: 50 })],
+        }),
+      /capacities \(110\) exceed totalSeats \(100\)/
+    );
+  });
+
+  it('rejects overlapping seat ranges', () => {
+    assert.throws(
+      () =>
+        EventModel.validate({
+          ...baseEvent,
+          ticketTiers: [
+            tier({ name: 'A', capacity: 10, seatRange: { start: 1, end: 10 } }),
+            tier({
+              name: 'B',
+              capacity: 10,
+              seatRange: { start: 10, end: 19 },
+            }),
+          ],
+        }),
+      /Seat ranges of tiers "A" and "B" overlap/
+    );
+  });
+
+  it('rejects a range smaller than the capacity or past the last seat', () => {
+    assert.throws(
+      () =>
+        EventModel.validate({
+          ...baseEvent,
+          ticketTiers: [
+            tier({ capacity: 20, seatRange: { start: 95, end: 105 } }),
+          ],
+        }),
+      (error) =>
+        /ends after seat 100/.test(error.message) &&
+        /more capacity than its seat range/.test(error.message)
+    );
+  });
+});
+
+describe('EventModel.validate seat map tiers', () => {
+  const farTier = tier({ capacity: 10, seatRange: { start: 201, end: 210 } });
+
+  it('lets seat map events use their own seat numbers', () => {
+    assert.throws(
+      () => EventModel.validate({ ...baseEvent, ticketTiers: [farTier] }),
+      /ends after seat 100/
+    );
+
+    const event = EventModel.validate({
+      ...baseEvent,
+      venueId: randomUUID(),
+      layoutId: 'main',
+      ticketTiers: [farTier],
+    });
+    assert.equal(event.ticketTiers.length, 1);
+  });
+});
+
+describe('EventModel.findTierSalesErrors', () => {
+  const tiers = [
+    { id: 'front', name: 'Front', capacity: 20 },
+    { id: 'back', name: 'Back', capacity: 80 },
+  ];
+
+  it('accepts tiers that still hold their sales', () => {
+    assert.deepEqual(
+      EventModel.findTierSalesErrors(tiers, { front: 20, back: 5 }, tiers),
+      []
+    );
+  });
+
+  it('rejects a capacity below the seats sold', () => {
+    const [error] = EventModel.findTierSalesErrors(
+      [{ ...tiers[0], capacity: 10 }, tiers[1]],
+      { front: 12 },
+      tiers
+    );
+    assert.match(error, /Tier "Front" already sold 12 seats/);
+  });
+
+  it('rejects removing a tier with sales only', () => {
+    assert.deepEqual(
+      EventModel.findTierSalesErrors([tiers[1]], { front: 0 }, tiers),
+      []
+    );
+
+    const [error] = EventModel.findTierSalesErrors(
+      [tiers[1]],
+      { front: 1 },
+      tiers
+    );
+    assert.match(error, /Tier "Front" has sold seats and cannot be removed/);
+  });
+});
+
+describe('EventModel.calculateTierAvailableSeats', () => {
+  it('subtracts the tier sales from its capacity', () => {
+    const event = {
+      ticketTiers: [{ id: 'front', capacity: 20 }],
+      tierSales: { front: 15 },
+    };
+    assert.equal(
+      EventModel.calculateTierAvailableSeats(event, event.ticketTiers[0]),
+      5
+    );
+  });
+});
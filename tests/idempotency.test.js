@@ -0,0 +1,180 @@
+require('./setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Idempotency-Key handling, with the key store kept in memory
+ */
+
+const express = require('express');
+const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { idempotent } = require('../src/middleware/idempotency.middleware');
+const idempotencyService = require('../src/services/idempotency.service');
+const { IdempotencyKeyModel } = require('../src/models');
+
+const { KeyStatus } = IdempotencyKeyModel;
+
+describe('idempotent middleware', () => {
+  const originalService = { ...idempotencyService };
+  const records = new Map();
+  let server;
+  let baseUrl;
+  let calls;
+  let nextStatus;
+
+  before(() => {
+    idempotencyService.claimKey = async (id, fingerprint) => {
+      if (records.has(id)) {
+        return { claimed: false, record: records.get(id) };
+      }
+      records.set(id, IdempotencyKeyModel.prepareForCreation(id, fingerprint));
+      return { claimed: true };
+    };
+    idempotencyService.completeKey = async (id, statusCode, body) => {
+      Object.assign(records.get(id), {
+        status: KeyStatus.COMPLETED,
+        statusCode,
+        responseBody: body,
+      });
+    };
+    idempotencyService.releaseKey = async (id) => {
+      records.delete(id);
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.post(
+      '/bookings',
+      (req, res, next) => {
+        req.user = { cognitoId: 'user-a' };
+        next();
+      },
+      idempotent,
+      (req, res) => {
+        calls++;
+        res.status(nextStatus).json({ success: nextStatus < 400, calls });
+      }
+    );
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    Object.assign(idempotencyService, originalService);
+  });
+
+  beforeEach(() => {
+    records.clear();
+    calls = 0;
+    nextStatus = 201;
+  });
+
+  const post = (key, body) =>
+    fetch(`${baseUrl}/bookings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: JSON.stringify(body),
+    }).then(async (response) => ({
+      status: response.status,
+      replayed: response.headers.get('Idempotent-Replayed'),
+      body: await response.json(),
+    }));
+
+  it('replays the stored response for the same request', async () => {
+    const first = await post('key-1', { eventId: 'e1', seats: [1, 2] });
+    // Same body with the keys in another order
+    const second = await post('key-1', { seats: [1, 2], eventId: 'e1' });
+
+    assert.equal(calls, 1);
+    assert.equal(second.status, 201);
+    assert.equal(second.replayed, 'true');
+    assert.deepEqual(second.body, first.body);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await post('key-1', { eventId: 'e1', seats: [1] });
+    const reused = await post('key-1', { eventId: 'e1', seats: [2] });
+
+    assert.equal(reused.status, 422);
+    assert.equal(calls, 1);
+  });
+
+  it('answers 409 while the first request is in progress', async () => {
+    const body = { eventId: 'e1' };
+    await post('key-1', body);
+    // As if the first request was still running
+    const [record] = records.values();
+    record.status = KeyStatus.IN_PROGRESS;
+
+    const response = await post('key-1', body);
+    assert.equal(response.status, 409);
+    assert.equal(calls, 1);
+  });
+
+  it('forgets server errors so the request can be retried', async () => {
+    nextStatus = 500;
+    await post('key-1', { eventId: 'e1' });
+    nextStatus = 201;
+    const retried = await post('key-1', { eventId: 'e1' });
+
+    assert.equal(retried.status, 201);
+    assert.equal(retried.replayed, null);
+    assert.equal(calls, 2);
+  });
+
+  it('runs requests without the header every time', async () => {
+    await fetch(`${baseUrl}/bookings`, { method: 'POST' });
+    await fetch(`${baseUrl}/bookings`, { method: 'POST' });
+    assert.equal(calls, 2);
+    assert.equal(records.size, 0);
+  });
+});
+
+describe('claimKey', () => {
+  it('lets another request take over a key past its lease', async (t) => {
+    let put;
+    const db = idempotencyService.initDynamoDB();
+    t.mock.method(db, 'send', async (command) => {
+      if (command instanceof PutCommand) {
+        put = command.input;
+        return {};
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    });
+
+    assert.deepEqual(await idempotencyService.claimKey('id-1', 'hash'), {
+      claimed: true,
+    });
+    assert.match(
+      put.ConditionExpression,
+      /#status = :inProgress AND leaseExpiresAt < :now/
+    );
+    const leaseMs =
+      new Date(put.Item.leaseExpiresAt) - new Date(put.Item.createdAt);
+    assert.equal(leaseMs, IdempotencyKeyModel.IN_PROGRESS_LEASE_SECONDS * 1000);
+  });
+
+  it('returns the record of a key that is taken', async (t) => {
+    const record = { id: 'id-1', status: KeyStatus.COMPLETED };
+    const db = idempotencyService.initDynamoDB();
+    t.mock.method(db, 'send', async (command) => {
+      if (command instanceof PutCommand) {
+        throw Object.assign(new Error('Condition failed'), {
+          name: 'ConditionalCheckFailedException',
+        });
+      }
+      if (command instanceof GetCommand) {
+        assert.equal(command.input.ConsistentRead, true);
+        return { Item: record };
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    });
+
+    assert.deepEqual(await idempotencyService.claimKey('id-1', 'hash'), {
+      claimed: false,
+      record,
+    });
+  });
+});
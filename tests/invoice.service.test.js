@@ -0,0 +1,93 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Invoice numbers handed out to paid bookings, with DynamoDB stubbed out
+ */
+
+const { GetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const invoiceService = require('../src/services/invoice.service');
+const { BookingModel, CounterModel } = require('../src/models');
+
+const booking = { id: 'booking-1', status: 'CONFIRMED', takenSeats: [1] };
+
+const cancelled = (codes) =>
+  Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: codes.map((Code) => ({ Code })),
+  });
+
+// Stub the client: counter reads return the next value of counterValues,
+// transactions fail with the next entry of attempts
+const stubDynamoDB = (t, { counterValues, attempts = [], stored }) => {
+  const transactions = [];
+  let counterReads = 0;
+  t.mock.method(invoiceService.initDynamoDB(), 'send', async (command) => {
+    if (command instanceof GetCommand) {
+      if (command.input.TableName === CounterModel.tableName) {
+        const value = counterValues[counterReads++];
+        return { Item: value && { name: 'invoice', value } };
+      }
+      assert.equal(command.input.TableName, BookingModel.tableName);
+      return { Item: stored };
+    }
+    if (command instanceof TransactWriteCommand) {
+      const codes = attempts[transactions.length];
+      transactions.push(command.input.TransactItems);
+      if (codes) throw cancelled(codes);
+      return {};
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return transactions;
+};
+
+describe('assignInvoiceNumber', () => {
+  it('pads invoice numbers', () => {
+    assert.equal(invoiceService.formatInvoiceNumber(42), 'INV-000042');
+  });
+
+  it('starts the counter at the first invoice', async (t) => {
+    const transactions = stubDynamoDB(t, { counterValues: [undefined] });
+
+    const invoiced = await invoiceService.assignInvoiceNumber(booking);
+
+    assert.equal(invoiced.invoiceNumber, 'INV-000001');
+    assert.equal(
+      transactions[0][0].Update.ConditionExpression,
+      'attribute_not_exists(#value)'
+    );
+  });
+
+  it('takes the next number when another receipt took it', async (t) => {
+    const transactions = stubDynamoDB(t, {
+      counterValues: [41, 42],
+      attempts: [['ConditionalCheckFailed', 'None']],
+    });
+
+    const invoiced = await invoiceService.assignInvoiceNumber(booking);
+
+    assert.equal(invoiced.invoiceNumber, 'INV-000043');
+    assert.equal(transactions.length, 2);
+  });
+
+  it('keeps the number a concurrent request gave the booking', async (t) => {
+    const stored = { ...booking, invoiceNumber: 'INV-000042' };
+    stubDynamoDB(t, {
+      counterValues: [42],
+      attempts: [['ConditionalCheckFailed', 'ConditionalCheckFailed']],
+      stored,
+    });
+
+    assert.deepEqual(await invoiceService.assignInvoiceNumber(booking), stored);
+  });
+
+  it('refuses unpaid bookings', async () => {
+    await assert.rejects(
+      invoiceService.assignInvoiceNumber({ ...booking, status: 'PENDING' }),
+      /only available for paid bookings/
+    );
+  });
+});
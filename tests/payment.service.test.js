@@ -0,0 +1,91 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const paymentService = require('../src/services/payment.service');
+const { TestCards } = require('../src/services/paymentProviders/mock.provider');
+
+const { PAYMENT_FAILED, PaymentFailure } = paymentService;
+
+const authorizeWith = (cardNumber, idempotencyKey) =>
+  paymentService.authorize({
+    amount: 42.5,
+    currency: 'USD',
+    paymentMethod: { cardNumber },
+    reference: 'ticket-1',
+    idempotencyKey,
+  });
+
+describe('payment service with the mock provider', () => {
+  it('authorizes the success card', async () => {
+    const result = await authorizeWith(TestCards.SUCCESS);
+
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.status, 'AUTHORIZED');
+    assert.equal(result.amount, 42.5);
+    assert.ok(result.transactionId);
+  });
+
+  it('replays an authorization with the same idempotency key', async () => {
+    const first = await authorizeWith(TestCards.SUCCESS, 'authorize-replay');
+    const second = await authorizeWith(TestCards.SUCCESS, 'authorize-replay');
+
+    assert.equal(second.transactionId, first.transactionId);
+  });
+
+  it('fails the declined card with its decline code', async () => {
+    await assert.rejects(authorizeWith(TestCards.DECLINED), {
+      code: PAYMENT_FAILED,
+      failure: PaymentFailure.DECLINED,
+      details: { provider: 'mock', declineCode: 'card_declined' },
+    });
+  });
+
+  it('fails the insufficient funds card with its decline code', async () => {
+    await assert.rejects(authorizeWith(TestCards.INSUFFICIENT_FUNDS), {
+      code: PAYMENT_FAILED,
+      failure: PaymentFailure.DECLINED,
+      details: { provider: 'mock', declineCode: 'insufficient_funds' },
+    });
+  });
+
+  it('declines card numbers failing the Luhn check', async () => {
+    await assert.rejects(authorizeWith('4242424242424241'), {
+      failure: PaymentFailure.DECLINED,
+      details: { provider: 'mock', declineCode: 'invalid_card_number' },
+    });
+  });
+
+  it('times out on the timeout card and finds no authorization', async () => {
+    await assert.rejects(
+      authorizeWith(TestCards.TIMEOUT, 'authorize-timeout'),
+      {
+        code: PAYMENT_FAILED,
+        failure: PaymentFailure.TIMEOUT,
+        details: { provider: 'mock', operation: 'authorize' },
+      }
+    );
+
+    const found = await paymentService.findAuthorization({
+      idempotencyKey: 'authorize-timeout',
+    });
+    assert.equal(found.transactionId, undefined);
+  });
+
+  it('captures, refunds and voids authorizations', async () => {
+    const captured = await authorizeWith(TestCards.SUCCESS);
+    await paymentService.capture({ transactionId: captured.transactionId });
+    const refund = await paymentService.refund({
+      transactionId: captured.transactionId,
+      amount: 10,
+    });
+    assert.equal(refund.amount, 10);
+    assert.ok(refund.refundId);
+
+    const voided = await authorizeWith(TestCards.SUCCESS);
+    const result = await paymentService.void({
+      transactionId: voided.transactionId,
+    });
+    assert.equal(result.status, 'VOIDED');
+  });
+});
@@ -0,0 +1,174 @@
+require('./setup');
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Webhook signatures and payment events applied to bookings, with DynamoDB
+ * and the provider's refunds stubbed out
+ */
+
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const paymentService = require('../src/services/payment.service');
+const bookingService = require('../src/services/booking.service');
+
+const payload = Buffer.from(JSON.stringify({ id: 'evt_1' }));
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('verifyWebhookSignature', () => {
+  it('accepts a payload signed just now', () => {
+    const signature = paymentService.signWebhookPayload(payload, now());
+    assert.equal(
+      paymentService.verifyWebhookSignature(payload, signature),
+      true
+    );
+  });
+
+  it('accepts a signature inside the tolerance only', () => {
+    const verifyAt = (timestamp) =>
+      paymentService.verifyWebhookSignature(
+        payload,
+        paymentService.signWebhookPayload(payload, timestamp)
+      );
+
+    assert.equal(verifyAt(now() - 290), true);
+    assert.equal(verifyAt(now() - 310), false);
+    // Clocks drift both ways
+    assert.equal(verifyAt(now() + 310), false);
+  });
+
+  it('rejects a changed payload or a bad header', () => {
+    const signature = paymentService.signWebhookPayload(payload, now());
+    const changed = Buffer.from(JSON.stringify({ id: 'evt_2' }));
+
+    assert.equal(
+      paymentService.verifyWebhookSignature(changed, signature),
+      false
+    );
+    assert.equal(
+      paymentService.verifyWebhookSignature(payload, `t=${now()}`),
+      false
+    );
+    assert.equal(paymentService.verifyWebhookSignature(payload, ''), false);
+  });
+});
+
+describe('applyPaymentEvent', () => {
+  const pendingBooking = {
+    id: 'booking-1',
+    status: 'PENDING',
+    pricePerSeat: 25,
+    takenSeats: [1, 2],
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+  };
+
+  const succeeded = (fields) => ({
+    type: paymentService.PaymentEventType.SUCCEEDED,
+    ticketId: 'booking-1',
+    transactionId: 'txn_1',
+    amount: 50,
+    currency: 'USD',
+    provider: 'mock',
+    ...fields,
+  });
+
+  // Stub the client and the provider, returns what was written and refunded
+  const stubBooking = (t, booking) => {
+    const updates = [];
+    const refunds = [];
+    t.mock.method(bookingService.initDynamoDB(), 'send', async (command) => {
+      if (command instanceof GetCommand) {
+        return { Item: booking };
+      }
+      if (command instanceof UpdateCommand) {
+        updates.push(command.input);
+        return {};
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    });
+    t.mock.method(paymentService, 'refund', async (params) => {
+      refunds.push(params);
+      return { refundId: `re_${refunds.length}` };
+    });
+    return { updates, refunds };
+  };
+
+  it('refunds a payment for the wrong amount and records it', async (t) => {
+    const { updates, refunds } = stubBooking(t, pendingBooking);
+
+    const outcome = await bookingService.applyPaymentEvent(
+      succeeded({ amount: 40 })
+    );
+
+    assert.deepEqual(outcome, { ticketId: 'booking-1', result: 'refunded' });
+    assert.deepEqual(refunds, [
+      { transactionId: 'txn_1', amount: 40, idempotencyKey: 'refund-txn_1' },
+    ]);
+    const [extraPayment] = updates[0].ExpressionAttributeValues[':payment'];
+    assert.equal(extraPayment.transactionId, 'txn_1');
+    assert.equal(extraPayment.refundId, 're_1');
+  });
+
+  it('does not refund a replayed payment twice', async (t) => {
+    const { refunds } = stubBooking(t, {
+      ...pendingBooking,
+      extraPayments: [{ transactionId: 'txn_1' }],
+    });
+
+    const outcome = await bookingService.applyPaymentEvent(
+      succeeded({ amount: 40 })
+    );
+
+    assert.equal(outcome.result, 'ignored');
+    assert.equal(refunds.length, 0);
+  });
+
+  it('refunds a second payment of a paid booking', async (t) => {
+    const { refunds } = stubBooking(t, {
+      ...pendingBooking,
+      status: 'CONFIRMED',
+      paymentInfo: { transactionId: 'txn_0', status: 'CAPTURED' },
+    });
+
+    const outcome = await bookingService.applyPaymentEvent(succeeded());
+
+    assert.equal(outcome.result, 'refunded');
+    assert.equal(refunds[0].transactionId, 'txn_1');
+  });
+
+  it('refunds a payment that arrives after the booking expired', async (t) => {
+    const { updates, refunds } = stubBooking(t, {
+      ...pendingBooking,
+      status: 'EXPIRED',
+    });
+
+    const outcome = await bookingService.applyPaymentEvent(succeeded());
+
+    assert.equal(outcome.result, 'refunded');
+    assert.equal(refunds.length, 1);
+    const [extraPayment] = updates[0].ExpressionAttributeValues[':payment'];
+    assert.equal(extraPayment.reason, 'Booking is expired');
+  });
+
+  it('refunds a payment for an unknown booking', async (t) => {
+    const { refunds } = stubBooking(t, undefined);
+
+    const outcome = await bookingService.applyPaymentEvent(succeeded());
+
+    assert.equal(outcome.result, 'refunded');
+    assert.equal(refunds.length, 1);
+  });
+
+  it('ignores event types it does not handle', async (t) => {
+    const { refunds } = stubBooking(t, pendingBooking);
+
+    const outcome = await bookingService.applyPaymentEvent(
+      succeeded({ type: 'unknown' })
+    );
+
+    assert.equal(outcome.result, 'ignored');
+    assert.equal(refunds.length, 0);
+  });
+});
@@ -0,0 +1,160 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Refund amounts under each refund policy
+ */
+
+const pricingService = require('../src/services/pricing.service');
+const { EventModel } = require('../src/models');
+
+const { RefundPolicyType } = EventModel;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2030-01-01T12:00:00.000Z');
+
+const eventIn = (days, refundPolicy) => ({
+  datetime: new Date(now.getTime() + days * DAY_MS).toISOString(),
+  refundPolicy,
+});
+
+const paid = (total, purchaseDate = now.toISOString()) => ({
+  status: 'CONFIRMED',
+  purchaseDate,
+  takenSeats: [1],
+  priceBreakdown: { total, currency: 'USD' },
+});
+
+const tiered = {
+  type: RefundPolicyType.TIERED,
+  tiers: [
+    { daysBeforeEvent: 30, refundPercent: 100 },
+    { daysBeforeEvent: 7, refundPercent: 50 },
+  ],
+  cancellationFee: 1,
+};
+
+describe('calculateRefund', () => {
+  it('applies the tier with the longest notice still met', () => {
+    const refund = pricingService.calculateRefund(
+      paid(80),
+      eventIn(10, tiered),
+      undefined,
+      now
+    );
+
+    assert.equal(refund.refundable, true);
+    assert.equal(refund.refundPercent, 50);
+    assert.equal(refund.cancellationFee, 1);
+    assert.equal(refund.refundAmount, 39);
+  });
+
+  it('rounds the percentage to whole cents', () => {
+    // Half of 33.33 is 16.665
+    const refund = pricingService.calculateRefund(
+      paid(33.33),
+      eventIn(10, { ...tiered, cancellationFee: 0 }),
+      undefined,
+      now
+    );
+
+    assert.equal(refund.refundAmount, 16.67);
+  });
+
+  it('refunds nothing once the last tier has passed', () => {
+    const refund = pricingService.calculateRefund(
+      paid(80),
+      eventIn(3, tiered),
+      undefined,
+      now
+    );
+
+    assert.equal(refund.refundable, false);
+    assert.equal(refund.refundAmount, 0);
+    assert.match(refund.reason, /deadline for this event has passed/);
+  });
+
+  it('refuses when the fee takes the whole refund', () => {
+    const refund = pricingService.calculateRefund(
+      paid(0.5),
+      eventIn(40, tiered),
+      undefined,
+      now
+    );
+
+    assert.equal(refund.refundable, false);
+    assert.match(refund.reason, /cancellation fee exceeds/);
+  });
+
+  it('lets free bookings be refunded to release their seats', () => {
+    const refund = pricingService.calculateRefund(
+      paid(0),
+      eventIn(40, { ...tiered, cancellationFee: 0 }),
+      undefined,
+      now
+    );
+
+    assert.equal(refund.refundable, true);
+    assert.equal(refund.refundAmount, 0);
+  });
+
+  it('keeps the 24 hour purchase window for events without a policy', () => {
+    const event = eventIn(40);
+    const recent = paid(20, new Date(now.getTime() - DAY_MS / 2).toISOString());
+    const old = paid(20, new Date(now.getTime() - 2 * DAY_MS).toISOString());
+
+    assert.equal(
+      pricingService.calculateRefund(recent, event, undefined, now)
+        .refundAmount,
+      20
+    );
+    assert.equal(
+      pricingService.calculateRefund(old, event, undefined, now).refundable,
+      false
+    );
+  });
+
+  it('refunds nothing after the event', () => {
+    const refund = pricingService.calculateRefund(
+      paid(20),
+      eventIn(-1, { type: RefundPolicyType.FULL, daysBeforeEvent: 0 }),
+      undefined,
+      now
+    );
+
+    assert.equal(refund.refundable, false);
+    assert.match(refund.reason, /already taken place/);
+  });
+});
+
+describe('calculateFullRefund', () => {
+  it('splits the total over the seats without losing a cent', () => {
+    const booking = { ...paid(10), takenSeats: [1, 2, 3] };
+    const first = pricingService.calculateFullRefund(booking, [1]);
+    const second = pricingService.calculateFullRefund(
+      {
+        ...booking,
+        takenSeats: [2, 3],
+        refundedSeats: [1],
+        refundAmount: first.refundAmount,
+      },
+      [2]
+    );
+    const last = pricingService.calculateFullRefund(
+      {
+        ...booking,
+        takenSeats: [3],
+        refundedSeats: [1, 2],
+        refundAmount: second.totalRefunded,
+      },
+      [3]
+    );
+
+    assert.deepEqual(
+      [first, second, last].map(({ refundAmount }) => refundAmount),
+      [3.33, 3.34, 3.33]
+    );
+    assert.equal(last.totalRefunded, 10);
+  });
+});
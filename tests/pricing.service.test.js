@@ -0,0 +1,80 @@
+require('./setup');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Booking price breakdowns with the platform fees set per test
+ */
+
+const env = require('../src/config/env');
+const pricingService = require('../src/services/pricing.service');
+
+const { LineItemType } = pricingService;
+
+describe('calculatePrice', () => {
+  const originalPricing = { ...env.pricing };
+
+  afterEach(() => {
+    env.pricing = { ...originalPricing };
+  });
+
+  it('adds the service fee and the tax on top of the tickets', () => {
+    env.pricing = {
+      ...originalPricing,
+      serviceFeePercent: 2,
+      serviceFeePerSeat: 0.5,
+    };
+
+    const price = pricingService.calculatePrice({
+      pricePerSeat: 19.99,
+      seatCount: 3,
+      taxRate: 0.1,
+      tierName: 'VIP',
+    });
+
+    assert.equal(price.subtotal, 59.97);
+    // 2% of 59.97 rounds to 1.20, plus 0.50 for each seat
+    assert.equal(price.serviceFee, 2.7);
+    // Tax is charged on the fee as well
+    assert.equal(price.tax, 6.27);
+    assert.equal(price.total, 68.94);
+    assert.deepEqual(
+      price.lineItems.map(({ type, description }) => [type, description]),
+      [
+        [LineItemType.TICKETS, '3 x VIP ticket @ 19.99'],
+        [LineItemType.SERVICE_FEE, 'Service fee'],
+        [LineItemType.TAX, 'Tax (10%)'],
+      ]
+    );
+  });
+
+  it('lists the tickets only when there is no fee or tax', () => {
+    const price = pricingService.calculatePrice({
+      pricePerSeat: 25,
+      seatCount: 2,
+    });
+
+    assert.equal(price.total, 50);
+    assert.equal(price.currency, env.pricing.currency);
+    assert.deepEqual(price.lineItems, [
+      {
+        type: LineItemType.TICKETS,
+        description: '2 x Ticket @ 25.00',
+        amount: 50,
+      },
+    ]);
+  });
+
+  it('adds the amounts in cents', () => {
+    const price = pricingService.calculatePrice({
+      pricePerSeat: 0.1,
+      seatCount: 3,
+      taxRate: 0.2,
+    });
+
+    assert.equal(price.subtotal, 0.3);
+    assert.equal(price.tax, 0.06);
+    assert.equal(price.total, 0.36);
+  });
+});
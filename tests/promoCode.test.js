@@ -0,0 +1,168 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Promo code rules and redemptions on pending bookings, with DynamoDB
+ * stubbed out
+ */
+
+const { GetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const bookingService = require('../src/services/booking.service');
+const promoCodeService = require('../src/services/promoCode.service');
+const { PromoCodeModel, BookingModel, EventModel } = require('../src/models');
+
+const { DiscountType } = PromoCodeModel;
+
+const promoCode = (fields) => ({
+  code: 'SPRING',
+  discountType: DiscountType.PERCENTAGE,
+  discountValue: 10,
+  redemptionCount: 0,
+  active: true,
+  ...fields,
+});
+
+describe('PromoCodeModel', () => {
+  it('caps the discount at the subtotal', () => {
+    assert.equal(PromoCodeModel.calculateDiscount(promoCode(), 33.33), 3.33);
+    assert.equal(
+      PromoCodeModel.calculateDiscount(
+        promoCode({ discountType: DiscountType.FIXED, discountValue: 80 }),
+        50
+      ),
+      50
+    );
+  });
+
+  it('redeems a code inside its window and limit only', () => {
+    const now = new Date('2030-01-01T12:00:00.000Z');
+    const window = {
+      validFrom: '2030-01-01T00:00:00.000Z',
+      validUntil: '2030-01-02T00:00:00.000Z',
+    };
+
+    assert.equal(PromoCodeModel.isRedeemable(promoCode(window), now), true);
+    assert.equal(
+      PromoCodeModel.isRedeemable(
+        promoCode({ ...window, validUntil: '2030-01-01T12:00:00.000Z' }),
+        now
+      ),
+      false
+    );
+    assert.equal(
+      PromoCodeModel.isRedeemable(
+        promoCode({ maxRedemptions: 5, redemptionCount: 5 }),
+        now
+      ),
+      false
+    );
+    assert.equal(
+      PromoCodeModel.isRedeemable(promoCode({ active: false }), now),
+      false
+    );
+  });
+
+  it('scopes a code to its events and categories', () => {
+    const scoped = promoCode({ eventIds: ['event-1'], categoryIds: ['jazz'] });
+
+    assert.equal(PromoCodeModel.appliesToEvent(promoCode(), { id: 'x' }), true);
+    assert.equal(
+      PromoCodeModel.appliesToEvent(scoped, { id: 'event-1' }),
+      true
+    );
+    assert.equal(
+      PromoCodeModel.appliesToEvent(scoped, {
+        id: 'event-2',
+        categoryIds: ['rock', 'jazz'],
+      }),
+      true
+    );
+    assert.equal(
+      PromoCodeModel.appliesToEvent(scoped, { id: 'event-2' }),
+      false
+    );
+  });
+});
+
+describe('applyPromoCode', () => {
+  const booking = {
+    id: 'booking-1',
+    eventId: 'event-1',
+    userId: 'user-a',
+    status: 'PENDING',
+    pricePerSeat: 25,
+    takenSeats: [1, 2],
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+  };
+
+  // Stub the client, cancels the transaction with the given reasons
+  const stubRedemption = (t, { code = promoCode(), reasons } = {}) => {
+    const transactions = [];
+    t.mock.method(promoCodeService, 'getPromoCode', async () => code);
+    t.mock.method(bookingService.initDynamoDB(), 'send', async (command) => {
+      if (command instanceof GetCommand) {
+        const item = {
+          [BookingModel.tableName]: booking,
+          [EventModel.tableName]: { id: 'event-1' },
+        }[command.input.TableName];
+        return { Item: item };
+      }
+      if (command instanceof TransactWriteCommand) {
+        transactions.push(command.input.TransactItems);
+        if (reasons) {
+          throw Object.assign(new Error('Transaction cancelled'), {
+            name: 'TransactionCanceledException',
+            CancellationReasons: reasons.map((Code) => ({ Code })),
+          });
+        }
+        return {};
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    });
+    return transactions;
+  };
+
+  it('counts the redemption and reprices the booking together', async (t) => {
+    const transactions = stubRedemption(t, {
+      code: promoCode({ maxRedemptions: 100, maxRedemptionsPerUser: 1 }),
+    });
+
+    await bookingService.applyPromoCode('booking-1', 'spring');
+
+    const [[codeItem, userItem, bookingItem]] = transactions;
+    assert.match(
+      codeItem.Update.ConditionExpression,
+      /redemptionCount < :maxRedemptions/
+    );
+    assert.deepEqual(userItem.Update.Key, { code: 'SPRING', userId: 'user-a' });
+    assert.match(
+      userItem.Update.ConditionExpression,
+      /redemptions < :maxPerUser/
+    );
+
+    const priceBreakdown =
+      bookingItem.Update.ExpressionAttributeValues[':priceBreakdown'];
+    assert.equal(priceBreakdown.discount, 5);
+    assert.equal(priceBreakdown.total, 45);
+  });
+
+  it('rejects a code that ran out meanwhile', async (t) => {
+    stubRedemption(t, { reasons: ['ConditionalCheckFailed', 'None', 'None'] });
+
+    await assert.rejects(
+      bookingService.applyPromoCode('booking-1', 'SPRING'),
+      /Promo code is invalid or has expired/
+    );
+  });
+
+  it('rejects a second use by the same user', async (t) => {
+    stubRedemption(t, { reasons: ['None', 'ConditionalCheckFailed', 'None'] });
+
+    await assert.rejects(
+      bookingService.applyPromoCode('booking-1', 'SPRING'),
+      /You have already used this promo code/
+    );
+  });
+});
@@ -0,0 +1,98 @@
+require('./setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Queue admission in front of the booking routes, with the events and the
+ * queue kept in memory
+ */
+
+const { randomUUID } = require('node:crypto');
+const express = require('express');
+const {
+  requireQueueAdmission,
+  QUEUE_TOKEN_HEADER,
+} = require('../src/middleware/queue.middleware');
+const eventService = require('../src/services/event.service');
+const queueService = require('../src/services/queue.service');
+
+describe('requireQueueAdmission', () => {
+  const originalGetEventById = eventService.getEventById;
+  const originalIsAdmitted = queueService.isAdmitted;
+  const events = new Map();
+  // Token that is admitted, null while Redis is down
+  let admittedToken;
+  let server;
+  let baseUrl;
+
+  before(() => {
+    eventService.getEventById = async (id) => ({
+      success: events.has(id),
+      data: events.get(id),
+    });
+    queueService.isAdmitted = async (event, token) =>
+      admittedToken === null ? null : token === admittedToken;
+
+    const app = express();
+    app.use(express.json());
+    app.post('/bookings', requireQueueAdmission, (req, res) =>
+      res.status(201).json({ success: true })
+    );
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    eventService.getEventById = originalGetEventById;
+    queueService.isAdmitted = originalIsAdmitted;
+  });
+
+  // Events are cached by the middleware, every test gets its own
+  const addEvent = (queue) => {
+    const id = randomUUID();
+    events.set(id, { id, queue });
+    return id;
+  };
+
+  const post = (eventId, token) =>
+    fetch(`${baseUrl}/bookings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { [QUEUE_TOKEN_HEADER]: token }),
+      },
+      body: JSON.stringify({ eventId }),
+    }).then(async (response) => ({
+      status: response.status,
+      body: await response.json(),
+    }));
+
+  it('lets requests for events without a queue through', async () => {
+    admittedToken = 'token-1';
+    const { status } = await post(addEvent({ enabled: false }));
+    assert.equal(status, 201);
+  });
+
+  it('admits only the session whose turn it is', async () => {
+    admittedToken = 'token-1';
+    const eventId = addEvent({ enabled: true });
+
+    const refused = await post(eventId, 'token-2');
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.data.queueRequired, true);
+
+    assert.equal((await post(eventId, 'token-1')).status, 201);
+  });
+
+  it('follows failOpen while Redis is unavailable', async () => {
+    admittedToken = null;
+
+    assert.equal((await post(addEvent({ enabled: true }))).status, 201);
+    assert.equal(
+      (await post(addEvent({ enabled: true, failOpen: false }))).status,
+      503
+    );
+  });
+});
@@ -0,0 +1,130 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Admin decisions on refund requests, with DynamoDB, the booking refund and
+ * the notifications stubbed out
+ */
+
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const refundRequestService = require('../src/services/refundRequest.service');
+const bookingService = require('../src/services/booking.service');
+const notificationService = require('../src/services/notification.service');
+const { RefundRequestModel } = require('../src/models');
+
+const { RefundRequestStatus } = RefundRequestModel;
+const admin = { id: 'admin-a', email: 'admin@example.com' };
+
+const refundRequest = {
+  id: 'request-1',
+  ticketId: 'booking-1',
+  eventId: 'event-1',
+  reason: 'Cannot attend',
+  seats: [2],
+  status: RefundRequestStatus.PENDING,
+};
+
+// Stub the client, returns the updates it was sent
+const stubDynamoDB = (t, { decisionError } = {}) => {
+  const updates = [];
+  t.mock.method(
+    refundRequestService.initDynamoDB(),
+    'send',
+    async (command) => {
+      if (command instanceof GetCommand) {
+        return command.input.TableName === RefundRequestModel.tableName
+          ? { Item: refundRequest }
+          : { Item: { id: 'event-1' } };
+      }
+      if (command instanceof UpdateCommand) {
+        updates.push(command.input);
+        if (decisionError && updates.length === 1) throw decisionError;
+        return {
+          Attributes: {
+            ...refundRequest,
+            status: command.input.ExpressionAttributeValues[':status'],
+          },
+        };
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    }
+  );
+  t.mock.method(
+    notificationService,
+    'sendRefundRequestNotifications',
+    async () => {}
+  );
+  return updates;
+};
+
+describe('reviewRefundRequest', () => {
+  it('refunds the requested seats on approval', async (t) => {
+    const updates = stubDynamoDB(t);
+    const refundBooking = t.mock.method(
+      bookingService,
+      'refundBooking',
+      async () => ({ data: { refundBreakdown: { refundAmount: 20 } } })
+    );
+
+    const result = await refundRequestService.reviewRefundRequest(
+      'request-1',
+      RefundRequestStatus.APPROVED,
+      admin
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.refundAmount, 20);
+    const [ticketId, context, seats] = refundBooking.mock.calls[0].arguments;
+    assert.equal(ticketId, 'booking-1');
+    assert.equal(context.actor.type, 'ADMIN');
+    assert.deepEqual(seats, [2]);
+    assert.equal(updates[0].ConditionExpression, '#status = :pending');
+  });
+
+  it('reopens the request when the refund fails', async (t) => {
+    const updates = stubDynamoDB(t);
+    t.mock.method(bookingService, 'refundBooking', async () => {
+      throw new Error('Payment provider unavailable');
+    });
+
+    await assert.rejects(
+      refundRequestService.reviewRefundRequest(
+        'request-1',
+        RefundRequestStatus.APPROVED,
+        admin
+      ),
+      /Payment provider unavailable/
+    );
+    const reopen = updates.at(-1);
+    assert.equal(
+      reopen.ExpressionAttributeValues[':pending'],
+      RefundRequestStatus.PENDING
+    );
+    assert.match(reopen.UpdateExpression, /REMOVE reviewedBy/);
+  });
+
+  it('does not decide twice', async (t) => {
+    stubDynamoDB(t, {
+      decisionError: Object.assign(new Error('Condition failed'), {
+        name: 'ConditionalCheckFailedException',
+      }),
+    });
+    const refundBooking = t.mock.method(
+      bookingService,
+      'refundBooking',
+      async () => ({})
+    );
+
+    const result = await refundRequestService.reviewRefundRequest(
+      'request-1',
+      RefundRequestStatus.APPROVED,
+      admin
+    );
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /reviewed in the meantime/);
+    assert.equal(refundBooking.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,103 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Best available seat selection
+ */
+
+const seatSelectionService = require('../src/services/seatSelection.service');
+
+// 3 rows of 10 seats: 1-10 at the front, 21-30 at the back
+const hall = { totalSeats: 30, seatsPerRow: 10 };
+
+const pick = (quantity, unavailableSeats, event = hall, tier, layout) =>
+  seatSelectionService.findBestAvailableSeats({
+    event,
+    layout,
+    tier,
+    quantity,
+    unavailableSeats,
+  });
+
+describe('findBestAvailableSeats', () => {
+  it('picks the middle of the front row', () => {
+    assert.deepEqual(pick(2, []), { seats: [5, 6], contiguous: true });
+    assert.deepEqual(pick(3, []).seats, [4, 5, 6]);
+  });
+
+  it('moves around and behind seats that are taken', () => {
+    assert.deepEqual(pick(2, [5, 6]).seats, [3, 4]);
+    // Front row only has single seats left
+    const frontRowGaps = [1, 3, 5, 7, 9];
+    assert.deepEqual(pick(2, frontRowGaps).seats, [15, 16]);
+  });
+
+  it('splits the group when no row has a block', () => {
+    const takenEveryOther = Array.from({ length: 30 }, (_, i) => i + 1).filter(
+      (seat) => seat % 2 === 0
+    );
+    const selection = pick(2, takenEveryOther);
+
+    assert.equal(selection.contiguous, false);
+    assert.deepEqual(selection.seats, [5, 7]);
+  });
+
+  it('stays inside the tier and reports when too few seats are free', () => {
+    const event = {
+      ...hall,
+      ticketTiers: [
+        { id: 'back', name: 'Back', seatRange: { start: 21, end: 30 } },
+      ],
+    };
+    const [tier] = event.ticketTiers;
+
+    assert.deepEqual(pick(2, [], event, tier).seats, [25, 26]);
+    assert.equal(pick(11, [], event, tier), null);
+  });
+});
+
+describe('findBestAvailableSeats on a seat map', () => {
+  const seatRow = (label, numbers, attributes = {}) => ({
+    label,
+    seats: numbers.map((number) => ({
+      number,
+      label: String(number),
+      attributes: attributes[number] || [],
+    })),
+  });
+
+  // A front section of one row, the stalls behind it
+  const layout = {
+    sections: [
+      {
+        name: 'Front',
+        rows: [
+          seatRow('A', [101, 102, 103, 104], {
+            102: ['WHEELCHAIR'],
+            103: ['COMPANION'],
+          }),
+        ],
+      },
+      {
+        name: 'Stalls',
+        rows: [
+          seatRow('B', [201, 202, 203, 204, 205], {
+            203: ['RESTRICTED_VIEW'],
+          }),
+        ],
+      },
+    ],
+  };
+  const event = { venueId: 'venue-1', layoutId: 'layout-1' };
+
+  it('leaves wheelchair and companion seats alone', () => {
+    // Row A has no two free neighbours once 102 and 103 are left out
+    assert.deepEqual(pick(2, [], event, null, layout).seats, [201, 202]);
+  });
+
+  it('avoids restricted views when a clear block is as close', () => {
+    assert.deepEqual(pick(1, [101, 104], event, null, layout).seats, [202]);
+  });
+});
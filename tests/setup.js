@@ -0,0 +1,14 @@
+/**
+ * Test setup
+ * Required first by every test file: gives the config the values it insists
+ * on and keeps the tests off Redis, so nothing depends on a local .env.
+ */
+
+process.env.COGNITO_USER_POOL_ID =
+  process.env.COGNITO_USER_POOL_ID || 'us-east-1_test';
+process.env.COGNITO_CLIENT_ID = process.env.COGNITO_CLIENT_ID || 'test-client';
+process.env.PAYMENT_PROVIDER = 'mock';
+// The timeout test card never answers, keep the wait short
+process.env.PAYMENT_TIMEOUT_MS = '200';
+// Set rather than deleted, dotenv does not override variables already set
+process.env.REDIS_HOST = '';
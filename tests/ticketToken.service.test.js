@@ -0,0 +1,55 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Signed ticket tokens, checked the way a scanner does
+ */
+
+const crypto = require('crypto');
+const ticketTokenService = require('../src/services/ticketToken.service');
+
+const payload = { sid: 'seat-ticket-1', eid: 'event-1', seat: 12 };
+
+describe('ticket tokens', () => {
+  it('verifies a signed token and returns its claims', () => {
+    const token = ticketTokenService.sign(payload);
+    const claims = ticketTokenService.verify(token);
+
+    assert.deepEqual(
+      { sid: claims.sid, eid: claims.eid, seat: claims.seat },
+      payload
+    );
+    assert.equal(claims.kid, ticketTokenService.getPublicKey().keyId);
+  });
+
+  it('can be checked offline with the public key', () => {
+    const [encodedPayload, signature] = ticketTokenService
+      .sign(payload)
+      .split('.');
+    const { publicKey } = ticketTokenService.getPublicKey();
+
+    assert.equal(
+      crypto.verify(
+        null,
+        Buffer.from(encodedPayload),
+        publicKey,
+        Buffer.from(signature, 'base64url')
+      ),
+      true
+    );
+  });
+
+  it('rejects forged and malformed tokens', () => {
+    const [, signature] = ticketTokenService.sign(payload).split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ ...payload, seat: 13 })
+    ).toString('base64url');
+
+    assert.equal(ticketTokenService.verify(`${forged}.${signature}`), null);
+    assert.equal(ticketTokenService.verify('not-a-token'), null);
+    assert.equal(ticketTokenService.verify(`${forged}.${signature}.x`), null);
+    assert.equal(ticketTokenService.verify(undefined), null);
+  });
+});
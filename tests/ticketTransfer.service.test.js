@@ -0,0 +1,153 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Accepting ticket transfers, with DynamoDB, the user seat counts and the
+ * notifications stubbed out
+ */
+
+const { GetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const ticketTransferService = require('../src/services/ticketTransfer.service');
+const bookingService = require('../src/services/booking.service');
+const notificationService = require('../src/services/notification.service');
+const {
+  BookingModel,
+  CounterModel,
+  TicketTransferModel,
+  UserModel,
+} = require('../src/models');
+
+const { token, tokenHash } = TicketTransferModel.createToken('transfer-1');
+
+const transfer = {
+  id: 'transfer-1',
+  ticketId: 'booking-1',
+  fromUserId: 'user-a',
+  toUserId: 'user-b',
+  toEmail: 'user-b@example.com',
+  status: TicketTransferModel.TransferStatus.PENDING,
+  tokenHash,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+};
+
+const booking = {
+  id: 'booking-1',
+  eventId: 'event-1',
+  userId: 'user-a',
+  status: 'CONFIRMED',
+  takenSeats: [1, 2],
+  pendingTransferId: 'transfer-1',
+  updatedAt: '2030-01-01T12:00:00.000Z',
+};
+
+// Stub the client, returns the transactions it was sent
+const stubDynamoDB = (t, { transactionError } = {}) => {
+  const transactions = [];
+  const items = {
+    [TicketTransferModel.tableName]: transfer,
+    [BookingModel.tableName]: booking,
+    [UserModel.tableName]: { cognitoId: 'user-b', email: 'user-b@example.com' },
+  };
+  t.mock.method(
+    ticketTransferService.initDynamoDB(),
+    'send',
+    async (command) => {
+      if (command instanceof GetCommand) {
+        return { Item: items[command.input.TableName] };
+      }
+      if (command instanceof TransactWriteCommand) {
+        transactions.push(command.input.TransactItems);
+        if (transactionError) throw transactionError;
+        return {};
+      }
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    }
+  );
+  // user-a has one more booking of 2 seats, user-b one of 1 seat
+  t.mock.method(bookingService, 'countUserEventSeats', async (userId) =>
+    userId === 'user-a' ? 4 : 1
+  );
+  t.mock.method(
+    notificationService,
+    'sendTransferNotifications',
+    async () => {}
+  );
+  return transactions;
+};
+
+describe('acceptTransfer', () => {
+  it('moves the booking only if it did not change since it was read', async (t) => {
+    const transactions = stubDynamoDB(t);
+
+    const transferred = await ticketTransferService.acceptTransfer(
+      token,
+      'user-b'
+    );
+
+    assert.equal(transferred.userId, 'user-b');
+    assert.equal(transferred.email, 'user-b@example.com');
+    assert.notEqual(transferred.bookingCode, undefined);
+    const bookingUpdate = transactions[0][1].Update;
+    assert.match(
+      bookingUpdate.ConditionExpression,
+      /updatedAt = :previousUpdatedAt/
+    );
+    assert.equal(
+      bookingUpdate.ExpressionAttributeValues[':previousUpdatedAt'],
+      booking.updatedAt
+    );
+  });
+
+  it('moves the seats between the user seats counters', async (t) => {
+    const transactions = stubDynamoDB(t);
+
+    await ticketTransferService.acceptTransfer(token, 'user-b');
+
+    const counters = transactions[0]
+      .slice(2)
+      .map(({ Update }) => [
+        Update.Key.name,
+        Update.ExpressionAttributeValues[':bookedSeats'],
+        Update.ExpressionAttributeValues[':change'],
+      ]);
+    assert.deepEqual(counters, [
+      [CounterModel.buildUserSeatsName('event-1', 'user-a'), 4, -2],
+      [CounterModel.buildUserSeatsName('event-1', 'user-b'), 1, 2],
+    ]);
+    assert.match(
+      transactions[0][2].Update.UpdateExpression,
+      /if_not_exists\(#value, :bookedSeats\) \+ :change/
+    );
+  });
+
+  it('reports a booking changed in the meantime as a conflict', async (t) => {
+    stubDynamoDB(t, {
+      transactionError: Object.assign(new Error('Transaction cancelled'), {
+        name: 'TransactionCanceledException',
+      }),
+    });
+
+    await assert.rejects(
+      ticketTransferService.acceptTransfer(token, 'user-b'),
+      (error) =>
+        error.failure === ticketTransferService.TransferFailure.CONFLICT
+    );
+  });
+
+  it('refuses other users and bad tokens', async (t) => {
+    const transactions = stubDynamoDB(t);
+    const { TransferFailure } = ticketTransferService;
+
+    await assert.rejects(
+      ticketTransferService.acceptTransfer(token, 'user-c'),
+      (error) => error.failure === TransferFailure.FORBIDDEN
+    );
+    await assert.rejects(
+      ticketTransferService.acceptTransfer('transfer-1.wrong', 'user-b'),
+      (error) => error.failure === TransferFailure.INVALID
+    );
+    assert.equal(transactions.length, 0);
+  });
+});
@@ -0,0 +1,126 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Joining the waitlist and reserving offers, with DynamoDB stubbed out
+ */
+
+const { randomUUID } = require('node:crypto');
+const {
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} = require('@aws-sdk/lib-dynamodb');
+const waitlistService = require('../src/services/waitlist.service');
+const { WaitlistEntryModel } = require('../src/models');
+
+const { WaitlistStatus } = WaitlistEntryModel;
+const { WaitlistFailure } = waitlistService;
+
+const EVENT_ID = randomUUID();
+const user = { userId: 'user-c', name: 'User C', email: 'user-c@example.com' };
+
+const eventWith = (takenSeats) => ({
+  id: EVENT_ID,
+  status: 'PUBLISHED',
+  datetime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+  totalSeats: 2,
+  takenSeats,
+});
+
+const waiting = (userId, joinedAt) => ({
+  id: WaitlistEntryModel.buildId(EVENT_ID, userId),
+  eventId: EVENT_ID,
+  userId,
+  seatCount: 1,
+  status: WaitlistStatus.WAITING,
+  joinedAt,
+});
+
+const conditionFailed = () =>
+  Object.assign(new Error('Condition failed'), {
+    name: 'ConditionalCheckFailedException',
+  });
+
+// Stub the client, returns the items it was asked to put
+const stubDynamoDB = (t, { event, entries = [], putError }) => {
+  const puts = [];
+  t.mock.method(waitlistService.initDynamoDB(), 'send', async (command) => {
+    if (command instanceof GetCommand) return { Item: event };
+    if (command instanceof QueryCommand) return { Items: entries };
+    if (command instanceof PutCommand) {
+      if (putError) throw putError;
+      puts.push(command.input.Item);
+      return {};
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return puts;
+};
+
+describe('joinWaitlist', () => {
+  it('queues behind the entries still waiting', async (t) => {
+    const puts = stubDynamoDB(t, {
+      event: eventWith([1, 2]),
+      entries: [
+        waiting('user-a', '2026-01-01T10:00:00.000Z'),
+        { ...waiting('user-b', '2026-01-01T10:01:00.000Z'), status: 'LEFT' },
+      ],
+    });
+
+    const entry = await waitlistService.joinWaitlist(EVENT_ID, user, {
+      seatCount: 2,
+    });
+
+    assert.equal(entry.status, WaitlistStatus.WAITING);
+    assert.equal(entry.position, 2);
+    assert.equal(puts[0].seatCount, 2);
+  });
+
+  it('refuses while seats can still be booked', async (t) => {
+    stubDynamoDB(t, { event: eventWith([1]) });
+
+    await assert.rejects(
+      waitlistService.joinWaitlist(EVENT_ID, user, { seatCount: 1 }),
+      (error) =>
+        error.failure === WaitlistFailure.CONFLICT &&
+        /still available/.test(error.message)
+    );
+  });
+
+  it('lets a user wait in line once', async (t) => {
+    stubDynamoDB(t, { event: eventWith([1, 2]), putError: conditionFailed() });
+
+    await assert.rejects(
+      waitlistService.joinWaitlist(EVENT_ID, user, { seatCount: 1 }),
+      /already on the waitlist/
+    );
+  });
+});
+
+describe('reserveOffer', () => {
+  it('skips an entry that left or rejoined meanwhile', async (t) => {
+    const entry = waiting('user-a', '2026-01-01T10:00:00.000Z');
+    const updates = [];
+    t.mock.method(waitlistService.initDynamoDB(), 'send', async (command) => {
+      assert.ok(command instanceof UpdateCommand);
+      updates.push(command.input);
+      throw conditionFailed();
+    });
+
+    const reserved = await waitlistService.reserveOffer(entry, {
+      ticketId: 'booking-1',
+      seats: [1],
+      expiresAt: new Date().toISOString(),
+    });
+
+    assert.equal(reserved, null);
+    assert.equal(
+      updates[0].ExpressionAttributeValues[':joinedAt'],
+      entry.joinedAt
+    );
+  });
+});
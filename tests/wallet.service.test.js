@@ -0,0 +1,234 @@
+require('./setup');
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const forge = require('node-forge');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Issue a certificate for a new key pair
+ * @param {string} commonName - Subject CN
+ * @param {Object} [issuer] - { certificate, privateKey } signing it, self-signed if unset
+ * @returns {Object} { certificate, privateKey, pem: { certificate, privateKey } }
+ */
+const issueCertificate = (commonName, issuer) => {
+  // Node generates the keys much faster than forge
+  const { privateKey: privateKeyPem } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  const certificate = forge.pki.createCertificate();
+  const subject = [{ name: 'commonName', value: commonName }];
+
+  certificate.publicKey = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e);
+  certificate.serialNumber = crypto.randomBytes(8).toString('hex');
+  certificate.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  certificate.setSubject(subject);
+  certificate.setIssuer(
+    issuer ? issuer.certificate.subject.attributes : subject
+  );
+  certificate.sign(
+    issuer ? issuer.privateKey : privateKey,
+    forge.md.sha256.create()
+  );
+
+  return {
+    certificate,
+    privateKey,
+    pem: {
+      certificate: forge.pki.certificateToPem(certificate),
+      privateKey: privateKeyPem,
+    },
+  };
+};
+
+// Stored with escaped newlines, as in a .env file
+const escapePem = (pem) => pem.replace(/\r?\n/g, '\\n');
+
+const wwdr = issueCertificate('Test WWDR');
+const pass = issueCertificate('Pass Type ID: pass.test.tixly', wwdr);
+const google = issueCertificate('wallet@test.iam.gserviceaccount.com');
+
+process.env.APPLE_PASS_TYPE_ID = 'pass.test.tixly';
+process.env.APPLE_TEAM_ID = 'TEAM123456';
+process.env.APPLE_PASS_CERT = escapePem(pass.pem.certificate);
+process.env.APPLE_PASS_KEY = escapePem(pass.pem.privateKey);
+process.env.APPLE_WWDR_CERT = escapePem(wwdr.pem.certificate);
+process.env.GOOGLE_WALLET_ISSUER_ID = '3388000000000000000';
+process.env.GOOGLE_WALLET_EMAIL = 'wallet@test.iam.gserviceaccount.com';
+process.env.GOOGLE_WALLET_KEY = escapePem(google.pem.privateKey);
+
+const eventService = require('../src/services/event.service');
+const seatTicketService = require('../src/services/seatTicket.service');
+const walletService = require('../src/services/wallet.service');
+
+const event = {
+  id: 'a3c0e8a4-8b4e-4b43-9d5a-0d6f0e7c1a11',
+  title: 'Test Concert',
+  datetime: '2030-06-01T19:00:00.000Z',
+  venue: 'Main Hall',
+  location: 'Springfield',
+  organizerName: 'Tixly Events',
+};
+
+const booking = {
+  id: 'b6f1f0a4-2c3e-4f5a-8b7c-9d0e1f2a3b4c',
+  eventId: event.id,
+  status: 'CONFIRMED',
+  takenSeats: [7, 8],
+  bookingCode: 'ABCD2345',
+  name: 'Ada Lovelace',
+};
+
+const tickets = booking.takenSeats.map((seat) => ({
+  id: `${booking.id}#${booking.bookingCode}#${seat}`,
+  ticketId: booking.id,
+  eventId: event.id,
+  seat,
+  tierName: 'Floor',
+  token: `token-${seat}`,
+}));
+
+const sha1 = (contents) =>
+  crypto.createHash('sha1').update(contents).digest('hex');
+
+/**
+ * Check the detached PKCS#7 signature of a pass manifest: its signed
+ * attributes carry the manifest digest and are signed with the pass key
+ * @returns {Object} Parsed signed data
+ */
+const verifySignature = (manifest, signature) => {
+  const message = forge.pkcs7.messageFromAsn1(
+    forge.asn1.fromDer(signature.toString('binary'))
+  );
+  // Pass bundles have a single signer, captured with the message
+  const signer = message.rawCapture;
+  assert.equal(signer.signerInfos.length, 1);
+
+  const digestAttribute = signer.authenticatedAttributes.find(
+    (attribute) =>
+      forge.asn1.derToOid(attribute.value[0].value) ===
+      forge.pki.oids.messageDigest
+  );
+  assert.equal(
+    Buffer.from(digestAttribute.value[1].value[0].value, 'binary').toString(
+      'hex'
+    ),
+    crypto.createHash('sha256').update(manifest).digest('hex')
+  );
+
+  // The attributes are signed as a DER SET, not with their [0] tag
+  const signedAttributes = forge.asn1.toDer(
+    forge.asn1.create(
+      forge.asn1.Class.UNIVERSAL,
+      forge.asn1.Type.SET,
+      true,
+      signer.authenticatedAttributes
+    )
+  );
+  assert.ok(
+    crypto.verify(
+      'sha256',
+      Buffer.from(signedAttributes.getBytes(), 'binary'),
+      pass.pem.certificate,
+      Buffer.from(signer.signature, 'binary')
+    )
+  );
+
+  return message;
+};
+
+describe('wallet passes', () => {
+  before(() => {
+    eventService.getEventById = async () => ({ success: true, data: event });
+    seatTicketService.getBookingTickets = async () => tickets;
+  });
+
+  it('signs a .pkpass for one seat', async () => {
+    const result = await walletService.getApplePasses(booking, 8);
+
+    assert.equal(result.contentType, 'application/vnd.apple.pkpass');
+    assert.equal(result.filename, 'ticket-ABCD2345-8.pkpass');
+
+    const zip = new AdmZip(result.data);
+    const files = Object.fromEntries(
+      zip.getEntries().map((entry) => [entry.entryName, entry.getData()])
+    );
+    assert.deepEqual(Object.keys(files).sort(), [
+      'icon.png',
+      'icon@2x.png',
+      'manifest.json',
+      'pass.json',
+      'signature',
+    ]);
+
+    const passJson = JSON.parse(files['pass.json']);
+    assert.equal(passJson.passTypeIdentifier, 'pass.test.tixly');
+    assert.equal(passJson.teamIdentifier, 'TEAM123456');
+    assert.equal(passJson.serialNumber, tickets[1].id);
+    assert.equal(passJson.barcodes[0].message, 'token-8');
+
+    // Every file but the manifest and signature is listed with its SHA-1
+    const manifest = JSON.parse(files['manifest.json']);
+    assert.deepEqual(manifest, {
+      'pass.json': sha1(files['pass.json']),
+      'icon.png': sha1(files['icon.png']),
+      'icon@2x.png': sha1(files['icon@2x.png']),
+    });
+
+    const message = verifySignature(files['manifest.json'], files.signature);
+    assert.deepEqual(
+      message.certificates.map(
+        (certificate) => certificate.subject.getField('CN').value
+      ),
+      ['Test WWDR', 'Pass Type ID: pass.test.tixly']
+    );
+  });
+
+  it('bundles one pass per seat in a .pkpasses', async () => {
+    const result = await walletService.getApplePasses(booking);
+
+    assert.equal(result.contentType, 'application/vnd.apple.pkpasses');
+    assert.equal(result.filename, 'ticket-ABCD2345.pkpasses');
+
+    const bundle = new AdmZip(result.data);
+    assert.deepEqual(
+      bundle.getEntries().map((entry) => entry.entryName),
+      ['seat-7.pkpass', 'seat-8.pkpass']
+    );
+
+    const seatPass = new AdmZip(bundle.getEntry('seat-7.pkpass').getData());
+    verifySignature(
+      seatPass.getEntry('manifest.json').getData(),
+      seatPass.getEntry('signature').getData()
+    );
+  });
+
+  it('signs a Google Wallet save link with the service account key', async () => {
+    const result = await walletService.getGoogleSaveLink(booking);
+
+    assert.equal(
+      result.saveUrl,
+      `https://pay.google.com/gp/v/save/${result.jwt}`
+    );
+
+    const claims = jwt.verify(result.jwt, google.pem.certificate, {
+      algorithms: ['RS256'],
+    });
+    assert.equal(claims.iss, 'wallet@test.iam.gserviceaccount.com');
+    assert.equal(claims.typ, 'savetowallet');
+    assert.deepEqual(
+      claims.payload.eventTicketObjects.map((object) => object.barcode.value),
+      ['token-7', 'token-8']
+    );
+    assert.equal(
+      claims.payload.eventTicketClasses[0].id,
+      `3388000000000000000.${event.id}`
+    );
+  });
+});